@@ -7,6 +7,8 @@ class ReceiptOCRApp {
         this.elements = {};
         this.currentImage = null;
         this.ocrResults = null;
+        // OCRに渡す画像の長辺の上限（表示用Canvasではなく元画像の解像度で認識する）
+        this.maxOCRImageSize = 4000;
         this.cameraSupported = false;
         this.perspectiveCorrection = new PerspectiveCorrection();
         this.perspectiveMode = false;
@@ -18,6 +20,16 @@ class ReceiptOCRApp {
         this.rectangleSelector = null;
         this.rectangleSelectionMode = false;
         
+        // 1枚の写真に並んだ複数の領収書の分割
+        this.multiReceiptSelector = null;
+        this.multiReceiptMode = false;
+        
+        // カメラ映像からの撮影
+        this.liveCapture = null;
+        
+        // OCRデバッグ表示（検出・認識の中間結果のオーバーレイ）
+        this.debugOverlay = null;
+        
         // 候補履歴管理
         this.candidateHistory = {
             date: [],
@@ -38,13 +50,28 @@ class ReceiptOCRApp {
         // リソース監視システム
         this.resourceMonitor = null;
         
+        // HEIC/HEIF・TIFF・PDFの変換
+        this.imageDecoder = window.ReceiptImageDecoder ? new ReceiptImageDecoder() : null;
+        
+        // OCR前の画質チェック
+        this.imageQualityAnalyzer = null;
+        this.qualityGateOverride = false; // 「このまま実行」で次の1回だけブロックを無視する
+        
         // モバイル最適化システム
         this.mobileOptimizer = null;
         
+        // 実行中のOCR処理の中断用コントローラー
+        this.currentAbortController = null;
+        
+        // 保存済みの領収書の一覧と、フォームで編集中の保存済み領収書のID
+        this.savedReceipts = [];
+        this.editingReceiptId = null;
+        
         this.initializeElements();
         this.bindEvents();
         this.initializeErrorHandling();
         this.initializeResourceMonitoring();
+        this.initializeImageQualityAnalyzer();
         this.initializeMobileOptimization();
         this.checkCameraSupport();
         this.initializeOCREngine();
@@ -74,6 +101,15 @@ class ReceiptOCRApp {
     async cancelCurrentOperation() {
         console.log('処理のキャンセルが要求されました');
         
+        // 中断可能なOCR処理はWorkerを残したまま中断する
+        if (this.currentAbortController) {
+            this.currentAbortController.abort();
+            this.currentAbortController = null;
+            this.hideProgress();
+            this.updateStatus('処理がキャンセルされました', 'warning');
+            return;
+        }
+        
         try {
             // OCR Worker Managerの処理を停止
             if (this.ocrWorkerManager) {
@@ -105,10 +141,17 @@ class ReceiptOCRApp {
     initializeElements() {
         this.elements = {
             imageInput: document.getElementById('image-input'),
+            liveCaptureButton: document.getElementById('live-capture-button'),
+            stitchInput: document.getElementById('stitch-input'),
             imageDisplay: document.getElementById('image-display'),
             imageCanvas: document.getElementById('image-canvas'),
             resetButton: document.getElementById('reset-image'),
             processButton: document.getElementById('process-image'),
+            recognizerSelect: document.getElementById('recognizer-select'),
+            preprocessingSelect: document.getElementById('preprocessing-select'),
+            ensembleToggle: document.getElementById('ensemble-toggle'),
+            debugToggle: document.getElementById('debug-toggle'),
+            qualityReport: document.getElementById('image-quality-report'),
             statusIndicator: document.getElementById('status-indicator'),
             progressOverlay: document.getElementById('progress-overlay'),
             progressText: document.getElementById('progress-text'),
@@ -132,6 +175,9 @@ class ReceiptOCRApp {
             amountCandidates: document.getElementById('amount-candidates'),
             purposeCandidates: document.getElementById('purpose-candidates'),
             
+            // Uncertain digits
+            amountUncertainDigits: document.getElementById('amount-uncertain-digits'),
+            
             // Perspective correction
             perspectiveOverlay: document.getElementById('perspective-overlay'),
             perspectiveSvg: document.getElementById('perspective-svg'),
@@ -140,6 +186,9 @@ class ReceiptOCRApp {
             applyPerspectiveButton: document.getElementById('apply-perspective'),
             cancelPerspectiveButton: document.getElementById('cancel-perspective'),
             
+            // Multiple receipts
+            multiReceiptButton: document.getElementById('multi-receipt-button'),
+            
             // Rectangle selection
             rectangleOverlay: document.getElementById('rectangle-overlay'),
             rectangleSelectButton: document.getElementById('rectangle-select-button'),
@@ -151,7 +200,13 @@ class ReceiptOCRApp {
             
             // Action buttons
             saveButton: document.getElementById('save-button'),
-            exportButton: document.getElementById('export-button')
+            exportButton: document.getElementById('export-button'),
+            
+            // Saved receipts
+            savedReceiptsList: document.getElementById('saved-receipts-list'),
+            savedReceiptsEmpty: document.getElementById('saved-receipts-empty'),
+            unreviewedFilter: document.getElementById('unreviewed-filter'),
+            draftCount: document.getElementById('draft-count')
         };
     }
 
@@ -165,11 +220,21 @@ class ReceiptOCRApp {
         // Image controls
         this.elements.resetButton.addEventListener('click', this.resetImage.bind(this));
         this.elements.processButton.addEventListener('click', this.processImage.bind(this));
+        this.elements.debugToggle.addEventListener('change', this.toggleDebugOverlay.bind(this));
         
         // Form actions
         this.elements.saveButton.addEventListener('click', this.saveData.bind(this));
         this.elements.exportButton.addEventListener('click', this.exportData.bind(this));
         
+        // Saved receipts
+        this.elements.unreviewedFilter.addEventListener('change', () => this.renderSavedReceipts());
+        this.elements.savedReceiptsList.addEventListener('click', (e) => {
+            const item = e.target.closest('[data-receipt-id]');
+            if (item) {
+                this.openSavedReceipt(item.dataset.receiptId);
+            }
+        });
+        
         // Form field validation
         this.bindFormValidation();
         
@@ -179,11 +244,20 @@ class ReceiptOCRApp {
         // Handle file input click for camera permission
         this.elements.imageInput.addEventListener('click', this.handleFileInputClick.bind(this));
         
+        // Live camera capture
+        this.elements.liveCaptureButton.addEventListener('click', this.openLiveCapture.bind(this));
+        
+        // Long receipt stitching
+        this.elements.stitchInput.addEventListener('change', this.handleStitchUpload.bind(this));
+        
         // Perspective correction events
         this.elements.perspectiveButton.addEventListener('click', this.togglePerspectiveMode.bind(this));
         this.elements.applyPerspectiveButton.addEventListener('click', this.applyPerspectiveCorrection.bind(this));
         this.elements.cancelPerspectiveButton.addEventListener('click', this.cancelPerspectiveMode.bind(this));
         
+        // Multiple receipt events
+        this.elements.multiReceiptButton.addEventListener('click', this.enterMultiReceiptMode.bind(this));
+        
         // Rectangle selection events
         this.elements.rectangleSelectButton.addEventListener('click', this.toggleRectangleSelectionMode.bind(this));
         this.elements.applySelectionButton.addEventListener('click', this.applyRectangleSelection.bind(this));
@@ -218,7 +292,7 @@ class ReceiptOCRApp {
             
             // ファイル形式の検証
             if (!this.validateImageFile(file)) {
-                throw new Error('サポートされていないファイル形式です。JPEG、PNG、WebP形式の画像を選択してください。');
+                throw new Error('サポートされていないファイル形式です。JPEG、PNG、WebP、HEIC、TIFF、PDF形式のファイルを選択してください。');
             }
             
             // ファイルサイズの検証（10MB制限）
@@ -235,7 +309,10 @@ class ReceiptOCRApp {
                 : await this.loadImage(file);
             this.displayImage(imageData);
             
-            this.updateStatus('画像読み込み完了');
+            // 複数ページのTIFF・PDFは1ページ目を読み込む
+            this.updateStatus(imageData.pageCount > 1
+                ? `画像読み込み完了（全${imageData.pageCount}ページのうち1ページ目）`
+                : '画像読み込み完了');
         } catch (error) {
             console.error('画像読み込みエラー:', error);
             
@@ -261,6 +338,240 @@ class ReceiptOCRApp {
         }
     }
 
+    /**
+     * 分割撮影した長い領収書の画像をつなぎ合わせて読み込む
+     * 画像は撮影順（更新日時、同じ場合はファイル名の順）に並べ、重なりを合わせて1枚にする
+     */
+    async handleStitchUpload(event) {
+        const files = Array.from(event.target.files || []);
+        if (files.length === 0) return;
+        
+        try {
+            if (files.length < 2) {
+                throw new Error('つなぎ合わせるには2枚以上の画像を選択してください。');
+            }
+            if (!window.ImageStitcher) {
+                throw new Error('画像のつなぎ合わせ機能が読み込まれていません');
+            }
+            
+            for (const file of files) {
+                if (!this.validateImageFile(file)) {
+                    throw new Error('サポートされていないファイル形式です。JPEG、PNG、WebP、HEIC、TIFF、PDF形式のファイルを選択してください。');
+                }
+                if (file.size > 10 * 1024 * 1024) {
+                    throw new Error('ファイルサイズが大きすぎます。10MB以下の画像を選択してください。');
+                }
+            }
+            
+            // 選択した順に並べ、つなぎ合わせる前に順番を確認・入れ替えてもらう
+            this.updateStatus(`${files.length}枚の画像を読み込み中...`, 'processing');
+            
+            const loadedImages = [];
+            for (const file of files) {
+                loadedImages.push(await this.loadImage(file));
+            }
+            
+            const result = await this.showStitchOrderDialog(loadedImages.map((loaded, i) => ({ img: loaded.img, name: files[i].name })));
+            if (!result) {
+                this.updateStatus('つなぎ合わせをキャンセルしました');
+                return;
+            }
+            
+            const { order, stitched } = result;
+            const img = await this.imageDataToImage(stitched.imageData);
+            
+            // 撮影画像は元のファイル（最大10MB）ではなく縮小したJPEGで、つなぎ合わせた順に保存する
+            const sourceImages = [];
+            for (const index of order) {
+                sourceImages.push(await this.createSourceImageBlob(loadedImages[index].img));
+            }
+            
+            this.displayImage({
+                img,
+                file: files[order[0]],
+                sourceImages,
+                stitched: { count: files.length, overlaps: stitched.overlaps }
+            });
+            
+            const unmatched = stitched.overlaps.filter(overlap => !overlap.matched).length;
+            if (unmatched > 0) {
+                this.updateStatus(`${files.length}枚をつなぎ合わせました（${unmatched}か所は重なりを検出できなかったため、そのまま並べています）`, 'warning');
+            } else {
+                this.updateStatus(`${files.length}枚をつなぎ合わせました`);
+            }
+            
+        } catch (error) {
+            console.error('画像つなぎ合わせエラー:', error);
+            
+            if (this.errorHandler && this.errorDisplay) {
+                const errorResult = await this.errorHandler.handleError(error, { 
+                    operation: 'file',
+                    fileCount: files.length
+                });
+                this.errorDisplay.show(errorResult);
+            } else {
+                this.updateStatus(error.message || '画像のつなぎ合わせに失敗しました', 'error');
+            }
+        } finally {
+            // 同じ画像を選び直せるようにファイル入力をリセット
+            this.elements.stitchInput.value = '';
+        }
+    }
+
+    /**
+     * つなぎ合わせる順番の確認ダイアログ
+     * 選択した順に上から並べ、隣り合う画像ごとに重なりを検出できたかを表示する。順番を入れ替えると検出し直す
+     * @param {Array<{img: HTMLImageElement, name: string}>} images - 選択した順の画像
+     * @returns {Promise<{order: Array<number>, stitched: Object}|null>} 確定した順番（images の添字）とつなぎ合わせの結果。キャンセル時は null
+     */
+    showStitchOrderDialog(images) {
+        return new Promise((resolve) => {
+            const order = images.map((_, i) => i);
+            let stitched = null;
+            
+            const modal = document.createElement('div');
+            modal.className = 'export-modal stitch-order-modal';
+            modal.innerHTML = `
+                <div class="modal-content">
+                    <div class="modal-header">
+                        <h3>つなぎ合わせる順番</h3>
+                        <button type="button" class="modal-close" aria-label="閉じる">×</button>
+                    </div>
+                    <div class="modal-body">
+                        <p class="field-help">領収書の上から順に並べてください。重なりを検出できない箇所は、順番が違うか撮影の重なりが足りない可能性があります。</p>
+                        <ol class="stitch-order-list" aria-live="polite"></ol>
+                    </div>
+                    <div class="modal-footer">
+                        <button type="button" class="action-button secondary" data-action="cancel">キャンセル</button>
+                        <button type="button" class="action-button primary" data-action="stitch">つなぎ合わせる</button>
+                    </div>
+                </div>
+            `;
+            
+            const list = modal.querySelector('.stitch-order-list');
+            const thumbnails = images.map(({ img }) => {
+                const canvas = document.createElement('canvas');
+                const scale = Math.min(1, 64 / Math.max(img.width, img.height));
+                canvas.width = Math.max(1, Math.round(img.width * scale));
+                canvas.height = Math.max(1, Math.round(img.height * scale));
+                canvas.className = 'stitch-order-thumbnail';
+                canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+                return canvas;
+            });
+            
+            const render = () => {
+                stitched = this.stitchImages(order.map(index => images[index].img));
+                list.innerHTML = '';
+                
+                order.forEach((index, position) => {
+                    if (position > 0) {
+                        const overlap = stitched.overlaps[position - 1];
+                        const status = document.createElement('li');
+                        status.className = `stitch-overlap ${overlap.matched ? 'matched' : 'unmatched'}`;
+                        status.textContent = overlap.matched ? '↕ 重なりを検出' : '⚠ 重なりを検出できません（そのまま並べます）';
+                        list.appendChild(status);
+                    }
+                    
+                    const item = document.createElement('li');
+                    item.className = 'stitch-order-item';
+                    item.appendChild(thumbnails[index]);
+                    
+                    const name = document.createElement('span');
+                    name.className = 'stitch-order-name';
+                    name.textContent = `${position + 1}. ${images[index].name}`;
+                    item.appendChild(name);
+                    
+                    [['up', '↑', '上へ', position === 0], ['down', '↓', '下へ', position === order.length - 1]]
+                        .forEach(([direction, label, ariaLabel, disabled]) => {
+                            const button = document.createElement('button');
+                            button.type = 'button';
+                            button.className = 'control-button';
+                            button.textContent = label;
+                            button.disabled = disabled;
+                            button.setAttribute('aria-label', `${images[index].name} を${ariaLabel}`);
+                            button.addEventListener('click', () => {
+                                const target = direction === 'up' ? position - 1 : position + 1;
+                                [order[position], order[target]] = [order[target], order[position]];
+                                render();
+                            });
+                            item.appendChild(button);
+                        });
+                    
+                    list.appendChild(item);
+                });
+            };
+            
+            const close = (result) => {
+                document.removeEventListener('keydown', handleKeydown);
+                document.body.removeChild(modal);
+                resolve(result);
+            };
+            const handleKeydown = (event) => {
+                if (event.key === 'Escape') {
+                    close(null);
+                }
+            };
+            
+            modal.querySelector('.modal-close').addEventListener('click', () => close(null));
+            modal.querySelector('[data-action="cancel"]').addEventListener('click', () => close(null));
+            modal.querySelector('[data-action="stitch"]').addEventListener('click', () => close({ order: [...order], stitched }));
+            document.addEventListener('keydown', handleKeydown);
+            
+            render();
+            document.body.appendChild(modal);
+        });
+    }
+
+    /**
+     * 画像のつなぎ合わせ（1枚目の幅にそろえる。メモリ節約のため幅は最大1200pxに縮小）
+     * @param {Array<HTMLImageElement>} images - 撮影順の画像
+     * @returns {Object} ImageStitcher.stitch の結果
+     */
+    stitchImages(images) {
+        const width = Math.min(1200, images[0].width);
+        const imageDataList = images.map(img => {
+            const canvas = document.createElement('canvas');
+            canvas.width = width;
+            canvas.height = Math.max(1, Math.round(img.height * width / img.width));
+            const ctx = canvas.getContext('2d');
+            ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+            return ctx.getImageData(0, 0, canvas.width, canvas.height);
+        });
+        
+        return new ImageStitcher().stitch(imageDataList);
+    }
+
+    /**
+     * 保存用の撮影画像の作成（長辺を最大1600pxに縮小してJPEGに変換。EXIFの向きは適用済み）
+     * @param {HTMLImageElement} img - 読み込んだ撮影画像
+     * @returns {Promise<Blob>}
+     */
+    createSourceImageBlob(img) {
+        const scale = Math.min(1, 1600 / Math.max(img.width, img.height));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(img.width * scale));
+        canvas.height = Math.max(1, Math.round(img.height * scale));
+        canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height);
+        return this.canvasToBlob(canvas);
+    }
+
+    /**
+     * ImageData から画像要素を作成
+     */
+    imageDataToImage(imageData) {
+        return new Promise((resolve, reject) => {
+            const canvas = document.createElement('canvas');
+            canvas.width = imageData.width;
+            canvas.height = imageData.height;
+            canvas.getContext('2d').putImageData(imageData, 0, 0);
+            
+            const img = new Image();
+            img.onload = () => resolve(img);
+            img.onerror = () => reject(new Error('つなぎ合わせた画像の作成に失敗しました'));
+            img.src = canvas.toDataURL('image/jpeg', 0.92);
+        });
+    }
+
     /**
      * エラーハンドリングシステムの初期化
      */
@@ -331,6 +642,25 @@ class ReceiptOCRApp {
         }
     }
 
+    /**
+     * 画質チェックの初期化
+     * チェックごとの扱いは window.IMAGE_QUALITY_POLICY で上書きできる（例: { blur: 'warn', glare: 'block' }）
+     */
+    initializeImageQualityAnalyzer() {
+        try {
+            if (window.ImageQualityAnalyzer) {
+                this.imageQualityAnalyzer = new ImageQualityAnalyzer({
+                    policy: window.IMAGE_QUALITY_POLICY || {}
+                });
+            } else {
+                console.warn('ImageQualityAnalyzerが読み込まれていません');
+            }
+        } catch (error) {
+            console.error('画質チェックの初期化に失敗:', error);
+            this.imageQualityAnalyzer = null;
+        }
+    }
+
     /**
      * モバイル最適化システムの初期化
      */
@@ -378,6 +708,9 @@ class ReceiptOCRApp {
             if (!this.cameraSupported) {
                 console.warn('カメラデバイスが見つかりません');
             }
+            
+            // カメラ映像からの撮影はカメラがある場合だけ表示する
+            this.elements.liveCaptureButton.style.display = this.cameraSupported && window.LiveCapture ? 'inline-flex' : 'none';
         } catch (error) {
             console.warn('カメラサポート確認エラー:', error);
             this.cameraSupported = false;
@@ -429,6 +762,69 @@ class ReceiptOCRApp {
         }
     }
 
+    /**
+     * カメラ映像からの撮影画面を開く
+     */
+    async openLiveCapture() {
+        if (this.liveCapture) return;
+        
+        if (!window.LiveCapture) {
+            console.warn('LiveCaptureが読み込まれていません');
+            return;
+        }
+        
+        try {
+            this.liveCapture = new LiveCapture({
+                qualityAnalyzer: this.imageQualityAnalyzer,
+                onClose: (captures) => this.handleLiveCaptures(captures)
+            });
+            await this.liveCapture.start();
+            
+        } catch (error) {
+            console.error('カメラ起動エラー:', error);
+            this.liveCapture = null;
+            
+            if (this.errorHandler && this.errorDisplay) {
+                const errorResult = await this.errorHandler.handleError(error, { operation: 'camera' });
+                this.errorDisplay.show(errorResult);
+            } else {
+                this.updateStatus('カメラを起動できませんでした', 'error');
+            }
+        }
+    }
+
+    /**
+     * 撮影画面で撮影した画像の処理
+     * 1枚なら透視補正して表示し、複数枚なら1枚ずつOCR・フィールド抽出・保存を行う
+     * @param {Array<{img: HTMLImageElement, corners: Array|null}>} captures - 撮影画像と検出した四隅（映像の座標）
+     */
+    async handleLiveCaptures(captures) {
+        this.liveCapture = null;
+        if (captures.length === 0) return;
+        
+        try {
+            this.updateStatus('撮影画像を補正中...', 'processing');
+            
+            const images = [];
+            for (const capture of captures) {
+                images.push(capture.corners
+                    ? await this.perspectiveCorrection.correctPerspective(capture.img, capture.corners)
+                    : capture.img);
+            }
+            
+            if (images.length === 1) {
+                this.displayImage({ img: images[0], file: null, perspectiveCorrected: !!captures[0].corners });
+                this.updateStatus('撮影完了');
+            } else {
+                await this.processReceiptBatch(images, null);
+            }
+            
+        } catch (error) {
+            console.error('撮影画像の処理エラー:', error);
+            this.updateStatus('撮影画像の処理に失敗しました', 'error');
+        }
+    }
+
     /**
      * カメラ権限ダイアログの表示
      */
@@ -453,8 +849,17 @@ class ReceiptOCRApp {
      * ファイル形式の検証
      */
     validateImageFile(file) {
-        const allowedTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/webp'];
-        return allowedTypes.includes(file.type.toLowerCase());
+        const allowedTypes = [
+            'image/jpeg', 'image/jpg', 'image/png', 'image/webp',
+            'image/heic', 'image/heif', 'image/tiff', 'application/pdf'
+        ];
+        if (allowedTypes.includes(file.type.toLowerCase())) {
+            return true;
+        }
+        
+        // HEICなどはブラウザによってMIMEタイプが空になるため拡張子でも判定する
+        const extension = (file.name || '').split('.').pop().toLowerCase();
+        return !file.type && ['heic', 'heif', 'tif', 'tiff', 'pdf'].includes(extension);
     }
 
     /**
@@ -462,6 +867,18 @@ class ReceiptOCRApp {
      */
     async loadImage(file) {
         try {
+            // HEIC/HEIF・TIFF・PDFはPNGに変換してから読み込む（向きはTIFFのOrientationタグを使う）
+            const format = this.imageDecoder ? await this.imageDecoder.getFormat(file) : null;
+            if (format) {
+                const decoded = await this.imageDecoder.decode(file);
+                const imageData = await this.loadImageData(decoded.blob);
+                const correctedImageData = await this.applyEXIFCorrection(
+                    { ...imageData, file },
+                    { orientation: decoded.orientation }
+                );
+                return { ...correctedImageData, sourceFormat: decoded.format, pageCount: decoded.pageCount };
+            }
+            
             // EXIF情報の読み取り
             const exifData = await EXIFReader.readEXIF(file);
             
@@ -600,13 +1017,14 @@ class ReceiptOCRApp {
      * 画像の表示
      */
     displayImage(imageData) {
-        const { img, file, corrected, rotationAngle, flipInfo } = imageData;
+        const { img, file, corrected, rotationAngle, flipInfo, stitched } = imageData;
         const canvas = this.elements.imageCanvas;
         const ctx = canvas.getContext('2d');
         
         // Canvas サイズの設定（レスポンシブ対応）
+        // つなぎ合わせた長い領収書は、撮影1枚あたりの解像度が通常の画像と同じになるように縦長を許す
         const maxWidth = 800;
-        const maxHeight = 600;
+        const maxHeight = stitched ? 600 * stitched.count : 600;
         let { width, height } = img;
         
         if (width > maxWidth) {
@@ -629,17 +1047,28 @@ class ReceiptOCRApp {
         this.elements.imageDisplay.style.display = 'block';
         this.currentImage = { ...imageData, canvas };
         
+        // 新しい画像は新しい領収書として保存する
+        this.editingReceiptId = null;
+        this.renderSavedReceipts();
+        
         // EXIF補正が適用された場合の通知
         if (corrected) {
             const correctionInfo = this.formatCorrectionInfo(rotationAngle, flipInfo);
             this.updateStatus(`画像読み込み完了 (${correctionInfo})`);
         }
         
-        // 透視補正の初期化
+        // 透視補正の初期化（OpenCV.jsが無い場合も純JSの検出器で自動検出する）
         this.corners = null;
-        if (this.perspectiveCorrection.isOpenCVReady) {
-            this.detectRectangleAsync();
+        if (this.multiReceiptMode) {
+            this.exitMultiReceiptMode();
         }
+        this.detectRectangleAsync();
+        
+        // 前の画像のデバッグ表示と画質チェック結果を消去
+        if (this.debugOverlay) {
+            this.debugOverlay.clear();
+        }
+        this.showImageQualityReport(null);
         
         // フォームをリセット
         this.resetForm();
@@ -666,6 +1095,89 @@ class ReceiptOCRApp {
         return corrections.length > 0 ? corrections.join('・') + '補正済み' : '補正済み';
     }
 
+    /**
+     * ページ向き補正情報のフォーマット
+     */
+    formatPageOrientationInfo(pageOrientation) {
+        if (!pageOrientation || !pageOrientation.applied) {
+            return '';
+        }
+        
+        return `自動向き補正: ${pageOrientation.rotation}度回転 (信頼度 ${Math.round(pageOrientation.confidence * 100)}%)`;
+    }
+
+    /**
+     * 傾き補正情報のフォーマット
+     */
+    formatDeskewInfo(deskew) {
+        if (!deskew || !deskew.applied) {
+            return '';
+        }
+        
+        return `傾き補正: ${deskew.angle > 0 ? '+' : ''}${deskew.angle.toFixed(1)}度`;
+    }
+
+    /**
+     * 現在の画像に適用した補正（EXIF補正・傾き補正・自動向き補正）の表示用テキスト
+     */
+    formatImageCorrectionInfo() {
+        if (!this.currentImage) {
+            return '';
+        }
+        
+        const { corrected, rotationAngle, flipInfo, deskew, pageOrientation } = this.currentImage;
+        return [
+            corrected ? this.formatCorrectionInfo(rotationAngle, flipInfo) : '',
+            this.formatPageOrientationInfo(pageOrientation),
+            this.formatDeskewInfo(deskew)
+        ].filter(Boolean).join('・');
+    }
+
+    /**
+     * OCRエンジンが行った回転（傾き補正・ページの向き補正）に合わせて表示中の画像を回転
+     * Canvasの画素をそのまま回転するため、OCR結果の座標とCanvasの座標が一致する
+     * @param {number} angle - 時計回りの回転角（度）
+     * @param {Object} correction - currentImage に記録する補正情報
+     */
+    applyImageRotation(angle, correction) {
+        const canvas = this.currentImage.canvas;
+        const rotatedCanvas = this.createRotatedCanvas(canvas, angle);
+        canvas.width = rotatedCanvas.width;
+        canvas.height = rotatedCanvas.height;
+        canvas.getContext('2d').drawImage(rotatedCanvas, 0, 0);
+        
+        // 元画像も回転しておき、透視補正などの再描画でも向きを保つ
+        // 回転前の画像にそれまでの回転をまとめて適用し直し、Canvasのまま持つ（JPEGへの再エンコードで画質を落とさない）
+        const rotationSource = this.currentImage.rotationSource || this.currentImage.img;
+        const rotations = [...(this.currentImage.rotations || []), angle];
+        const img = rotations.reduce((source, rotation) => this.createRotatedCanvas(source, rotation), rotationSource);
+        this.currentImage = { ...this.currentImage, img, rotationSource, rotations, ...correction };
+        
+        // 回転前に検出した四角形は使えないため検出し直す
+        this.corners = null;
+        this.detectRectangleAsync();
+    }
+
+    /**
+     * 画像を中心まわりに時計回りに回転したCanvasを作成
+     * 90°/270°では縦横を入れ替え、それ以外は同じサイズではみ出した部分を白で埋める（OCRエンジンの回転と同じ規則）
+     */
+    createRotatedCanvas(source, angle) {
+        const quarterTurn = Math.abs(angle % 180) === 90;
+        const canvas = document.createElement('canvas');
+        canvas.width = quarterTurn ? source.height : source.width;
+        canvas.height = quarterTurn ? source.width : source.height;
+        
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        ctx.translate(canvas.width / 2, canvas.height / 2);
+        ctx.rotate((angle * Math.PI) / 180);
+        ctx.drawImage(source, -source.width / 2, -source.height / 2);
+        
+        return canvas;
+    }
+
     /**
      * 画像のリセット
      */
@@ -686,16 +1198,25 @@ class ReceiptOCRApp {
             this.rectangleSelector = null;
         }
         
+        if (this.debugOverlay) {
+            this.debugOverlay.clear();
+        }
+        this.showImageQualityReport(null);
+        
         this.elements.imageDisplay.style.display = 'none';
         this.elements.imageInput.value = '';
         this.currentImage = null;
         this.ocrResults = null;
+        this.editingReceiptId = null;
+        this.renderSavedReceipts();
         this.resetForm();
         this.updateStatus('準備完了');
     }
 
     /**
      * OCR処理の実行
+     * @returns {Promise<string>} 'completed'（画像から読み取った結果をフォームに反映）, 'cancelled', 'failed'
+     *          （画像なし・画質チェックでの中止・読み取り失敗。失敗時はサンプルデータが表示される場合がある）
      */
     async processImage() {
         if (!this.currentImage) {
@@ -709,7 +1230,16 @@ class ReceiptOCRApp {
             } else {
                 this.showProgressError('画像が読み込まれていません', null, { autoHide: 3000 });
             }
-            return;
+            return 'failed';
+        }
+
+        // 画質チェック（ポリシーで 'block' の問題がある場合はOCRを実行しない）
+        const qualityOverride = this.qualityGateOverride;
+        this.qualityGateOverride = false;
+        const qualityReport = this.checkImageQuality();
+        if (qualityReport && qualityReport.blocked && !qualityOverride) {
+            this.updateStatus(qualityReport.issues[0].message, 'error');
+            return 'failed';
         }
 
         try {
@@ -722,6 +1252,7 @@ class ReceiptOCRApp {
             
             // 実際のOCR処理を実行
             let ocrResult = null;
+            let recovered = true;
             try {
                 ocrResult = await this.performActualOCRProcessing();
                 
@@ -729,13 +1260,21 @@ class ReceiptOCRApp {
                 await this.extractFieldsFromOCRResult(ocrResult);
                 
             } catch (ocrError) {
+                // キャンセル時は結果を反映せずに終了（表示は cancelCurrentOperation で更新済み）
+                if (ocrError.name === 'AbortError') {
+                    console.log('OCR処理がキャンセルされました');
+                    return 'cancelled';
+                }
+                
                 console.error('OCR処理でエラーが発生:', ocrError);
                 
                 // OCR処理に失敗した場合、フォールバック処理を実行
-                await this.handleOCRProcessingFailure(ocrError);
+                recovered = await this.handleOCRProcessingFailure(ocrError);
             }
             
-            this.updateStatus('OCR処理完了');
+            const correctionInfo = this.formatImageCorrectionInfo();
+            this.updateStatus(correctionInfo ? `OCR処理完了 (${correctionInfo})` : 'OCR処理完了');
+            return recovered ? 'completed' : 'failed';
             
         } catch (error) {
             console.error('OCR処理エラー:', error);
@@ -760,9 +1299,94 @@ class ReceiptOCRApp {
                 });
                 this.updateStatus('OCR処理に失敗しました', 'error');
             }
+            return 'failed';
+        }
+    }
+
+    /**
+     * OCR対象の画像の画質チェック
+     * 結果は画像の下に表示し、チェックできない場合は null を返す（OCRは実行する）
+     */
+    checkImageQuality() {
+        if (!this.imageQualityAnalyzer || !this.currentImage) {
+            return null;
+        }
+        
+        try {
+            // 表示用Canvas（800x600に縮小）ではピンぼけが目立たなくなり文字も小さく測られるため、
+            // 元画像を分析用の大きさ（長辺 maxAnalysisSize まで）に縮小して測り、文字の高さは元画像のpxに換算する
+            const source = this.currentImage.img || this.currentImage.canvas;
+            const scale = Math.min(1, this.imageQualityAnalyzer.options.maxAnalysisSize / Math.max(source.width, source.height));
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.max(1, Math.round(source.width * scale));
+            canvas.height = Math.max(1, Math.round(source.height * scale));
+            const ctx = canvas.getContext('2d');
+            ctx.drawImage(source, 0, 0, canvas.width, canvas.height);
+            const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+            const report = this.imageQualityAnalyzer.analyze(imageData, source.width / canvas.width);
+            
+            console.log('画質チェック結果:', report);
+            this.showImageQualityReport(report);
+            return report;
+            
+        } catch (error) {
+            console.warn('画質チェックエラー:', error);
+            return null;
         }
     }
 
+    /**
+     * 画質チェック結果の表示（null または問題なしの場合は非表示）
+     */
+    showImageQualityReport(report) {
+        const container = this.elements.qualityReport;
+        if (!container) {
+            return;
+        }
+        
+        container.innerHTML = '';
+        container.classList.toggle('blocked', !!(report && report.blocked));
+        
+        if (!report || report.issues.length === 0) {
+            container.style.display = 'none';
+            return;
+        }
+        
+        const title = document.createElement('strong');
+        title.textContent = report.blocked
+            ? '画質に問題があるためOCRを実行しませんでした'
+            : '画質に問題があるため、読み取り結果の確認をおすすめします';
+        container.appendChild(title);
+        
+        const list = document.createElement('ul');
+        list.className = 'quality-issues';
+        for (const issue of report.issues) {
+            const item = document.createElement('li');
+            item.className = `quality-issue ${issue.severity}`;
+            item.textContent = issue.message;
+            
+            const advice = document.createElement('small');
+            advice.textContent = issue.advice;
+            item.appendChild(advice);
+            list.appendChild(item);
+        }
+        container.appendChild(list);
+        
+        if (report.blocked) {
+            const proceedButton = document.createElement('button');
+            proceedButton.type = 'button';
+            proceedButton.className = 'control-button';
+            proceedButton.textContent = 'このまま実行';
+            proceedButton.addEventListener('click', () => {
+                this.qualityGateOverride = true;
+                this.processImage();
+            });
+            container.appendChild(proceedButton);
+        }
+        
+        container.style.display = 'block';
+    }
+
     /**
      * 実際のOCR処理の実行
      */
@@ -773,29 +1397,43 @@ class ReceiptOCRApp {
         const overallTimeout = 60000;
         const startTime = Date.now();
         
+        // キャンセル・タイムアウト時にWorker内の処理も止める
+        const abortController = new AbortController();
+        this.currentAbortController = abortController;
+        
+        let overallTimer = null;
         const timeoutPromise = new Promise((_, reject) => {
-            setTimeout(() => {
+            overallTimer = setTimeout(() => {
+                abortController.abort();
                 reject(new Error('OCR処理がタイムアウトしました（60秒）'));
             }, overallTimeout);
         });
         
         try {
             return await Promise.race([
-                this._performOCRWithSteps(),
+                this._performOCRWithSteps(abortController.signal),
                 timeoutPromise
             ]);
         } catch (error) {
             const elapsedTime = Date.now() - startTime;
-            console.error(`OCR処理エラー (経過時間: ${elapsedTime}ms):`, error);
+            if (error.name !== 'AbortError') {
+                console.error(`OCR処理エラー (経過時間: ${elapsedTime}ms):`, error);
+            }
             throw error;
+        } finally {
+            clearTimeout(overallTimer);
+            if (this.currentAbortController === abortController) {
+                this.currentAbortController = null;
+            }
         }
     }
 
     /**
      * OCR処理のステップ実行
+     * @param {AbortSignal} [signal] - 中断用シグナル
      * @private
      */
-    async _performOCRWithSteps() {
+    async _performOCRWithSteps(signal = null) {
         // OCR Worker Managerの初期化確認
         if (!this.ocrWorkerManager) {
             console.log('OCR Worker Managerを作成中...');
@@ -853,6 +1491,9 @@ class ReceiptOCRApp {
             
             await Promise.race([modelPromise, modelTimeoutPromise]);
             console.log('モデル読み込み完了');
+            this.updateRecognizerOptions().catch(error => {
+                console.warn('認識言語の選択肢更新エラー:', error);
+            });
         }
 
         // 画像データの準備
@@ -872,44 +1513,138 @@ class ReceiptOCRApp {
             this.showProgress(message, adjustedProgress);
         };
 
-        // OCR処理タイムアウト（30秒）
+        // OCR処理タイムアウト（30秒）。タイムアウト時はWorker内の処理も中断する
         const ocrTimeout = 30000;
+        const ocrAbortController = new AbortController();
+        if (signal) {
+            signal.addEventListener('abort', () => ocrAbortController.abort(), { once: true });
+        }
+        
         const ocrPromise = this.ocrWorkerManager.processImage(imageData, {
             progressCallback,
             detectionThreshold: 0.5,
-            nmsThreshold: 0.3
+            nmsThreshold: 0.3,
+            memoryStatus: this.resourceMonitor ? this.resourceMonitor.getMemoryStatus() : null,
+            recognizer: this.getSelectedRecognizer(),
+            preprocessing: this.getSelectedPreprocessing(),
+            // 高精度モードでは投票時の妥当性判定にも語彙を使う
+            ...(this.isEnsembleModeEnabled() ? { ensemble: true, lexicon: await this.getRecognitionLexicon() } : {}),
+            ...(this.isDebugOverlayEnabled() ? { debug: true } : {}),
+            ...(await this.getRecognitionDecodingOptions()),
+            signal: ocrAbortController.signal
         });
         
+        let ocrTimer = null;
         const ocrTimeoutPromise = new Promise((_, reject) => {
-            setTimeout(() => {
+            ocrTimer = setTimeout(() => {
+                ocrAbortController.abort();
                 reject(new Error('OCR処理がタイムアウトしました（30秒）'));
             }, ocrTimeout);
         });
 
-        const ocrResult = await Promise.race([ocrPromise, ocrTimeoutPromise]);
+        let ocrResult = null;
+        try {
+            ocrResult = await Promise.race([ocrPromise, ocrTimeoutPromise]);
+        } finally {
+            clearTimeout(ocrTimer);
+        }
         console.log('OCR処理実行完了:', ocrResult);
+        this.scaleOCRResultToCanvas(ocrResult, imageData);
 
         this.showProgress('OCR処理完了', 90);
         
+        // ページの向きや傾きを補正した場合は、結果の座標に合わせて表示中の画像もOCRエンジンと同じ順（向き→傾き）に回転する
+        if (ocrResult && ocrResult.pageOrientation && ocrResult.pageOrientation.applied) {
+            this.applyImageRotation(ocrResult.pageOrientation.rotation, { pageOrientation: ocrResult.pageOrientation });
+        }
+        if (ocrResult && ocrResult.deskew && ocrResult.deskew.applied) {
+            this.applyImageRotation(ocrResult.deskew.angle, { deskew: ocrResult.deskew });
+        }
+        
         // OCR結果を保存
         this.ocrResults = ocrResult;
+        this.updateDebugOverlay(ocrResult);
         
         return ocrResult;
     }
 
     /**
      * OCR用画像データの準備
+     * 表示用Canvas（最大800×600）ではなく元画像の解像度で切り出す（長辺は maxOCRImageSize まで）
+     * 画質削減中は縮小済みの表示用Canvasをそのまま使う
      */
     async prepareImageDataForOCR() {
-        const canvas = this.currentImage.canvas;
-        const ctx = canvas.getContext('2d');
+        const { canvas, img, reducedForProcessing } = this.currentImage;
+        const source = window.imageQualityReduction || reducedForProcessing || !img ? canvas : img;
+        const sourceWidth = source.naturalWidth || source.width;
+        const sourceHeight = source.naturalHeight || source.height;
+        const scale = Math.min(1, this.maxOCRImageSize / Math.max(sourceWidth, sourceHeight));
+        
+        const ocrCanvas = document.createElement('canvas');
+        ocrCanvas.width = Math.max(1, Math.round(sourceWidth * scale));
+        ocrCanvas.height = Math.max(1, Math.round(sourceHeight * scale));
+        const ctx = ocrCanvas.getContext('2d');
+        ctx.drawImage(source, 0, 0, ocrCanvas.width, ocrCanvas.height);
         
         // ImageDataを取得
-        const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+        const imageData = ctx.getImageData(0, 0, ocrCanvas.width, ocrCanvas.height);
         
         return imageData;
     }
 
+    /**
+     * OCR結果の座標（OCRに渡した画像の座標）を表示用Canvasの座標に変換
+     * 行・列のブロックは textBlocks と同じオブジェクトを参照しているため、変換済みの座標は二重に変換しない
+     * @param {Object} ocrResult - OCR結果（その場で書き換える）
+     * @param {ImageData} imageData - OCRに渡した画像データ
+     * @returns {Object} 変換後のOCR結果
+     */
+    scaleOCRResultToCanvas(ocrResult, imageData) {
+        const canvas = this.currentImage.canvas;
+        const scaleX = canvas.width / imageData.width;
+        const scaleY = canvas.height / imageData.height;
+        if (!ocrResult || (scaleX === 1 && scaleY === 1)) {
+            return ocrResult;
+        }
+        
+        const scaled = new Set();
+        const scaleBox = box => {
+            if (!box || scaled.has(box)) return;
+            scaled.add(box);
+            box.x *= scaleX;
+            box.y *= scaleY;
+            box.width *= scaleX;
+            box.height *= scaleY;
+        };
+        const scaleRegion = region => {
+            if (!region) return;
+            scaleBox(region.boundingBox);
+            (region.polygon || []).forEach(point => {
+                if (scaled.has(point)) return;
+                scaled.add(point);
+                point.x *= scaleX;
+                point.y *= scaleY;
+            });
+        };
+        
+        (ocrResult.textBlocks || []).forEach(scaleRegion);
+        (ocrResult.lines || []).forEach(line => {
+            scaleRegion(line);
+            (line.blocks || []).forEach(scaleRegion);
+            (line.columns || []).forEach(scaleRegion);
+        });
+        
+        const debug = ocrResult.debug;
+        if (debug) {
+            // ヒートマップは配置（x, y, width, height）だけを変換し、描画時に拡大縮小する
+            (debug.probabilityMaps || []).forEach(scaleBox);
+            [debug.candidates, debug.nmsCandidates, debug.regions, debug.crops]
+                .forEach(regions => (regions || []).forEach(scaleRegion));
+        }
+        
+        return ocrResult;
+    }
+
     /**
      * OCR結果からフィールドを抽出
      */
@@ -928,7 +1663,7 @@ class ReceiptOCRApp {
             const textBlocks = this.convertOCRResultToTextBlocks(ocrResult);
             
             // フィールド抽出の実行
-            const extractedFields = await fieldExtractor.extractFields(textBlocks);
+            const extractedFields = await fieldExtractor.extractFields(textBlocks, ocrResult.lines);
             
             this.showProgress('結果を表示中...', 95);
             
@@ -965,7 +1700,10 @@ class ReceiptOCRApp {
                 width: block.boundingBox?.width || 0,
                 height: block.boundingBox?.height || 0
             },
+            polygon: block.polygon || null,
             fontSize: block.fontSize || 12,
+            characters: block.characters || null,
+            orientation: block.orientation || 'horizontal',
             source: block.source || 'ocr'
         }));
     }
@@ -984,6 +1722,7 @@ class ReceiptOCRApp {
                         fieldData.confidence || 0, 
                         fieldData.candidates || []
                     );
+                    this.updateUncertainDigits(fieldName, fieldData.uncertainDigits || []);
                 }
             });
             
@@ -1037,6 +1776,8 @@ class ReceiptOCRApp {
         if (!this.currentImage || !this.currentImage.canvas) return;
         
         const canvas = this.currentImage.canvas;
+        // 以降のOCRは元画像ではなく縮小した表示用Canvasから読み取る
+        this.currentImage.reducedForProcessing = true;
         
         // リソース監視システムを使用して品質調整
         if (this.resourceMonitor) {
@@ -1196,6 +1937,45 @@ class ReceiptOCRApp {
         }
     }
 
+    /**
+     * 読み取りが不確かな桁の強調表示
+     * 数値入力欄の中は装飾できないため、欄の下に値を表示して該当桁を強調する
+     */
+    updateUncertainDigits(fieldName, uncertainDigits = []) {
+        const container = this.elements[`${fieldName}UncertainDigits`];
+        const field = this.elements[`${fieldName}Field`];
+        if (!container) return;
+        
+        if (!field || uncertainDigits.length === 0) {
+            container.style.display = 'none';
+            container.innerHTML = '';
+            return;
+        }
+        
+        const value = String(field.value);
+        const digitsByPosition = new Map(uncertainDigits.map(digit => [digit.position, digit]));
+        
+        const digitsHTML = Array.from(value).map((char, position) => {
+            const digit = digitsByPosition.get(position);
+            if (!digit) {
+                return this.escapeHtml(char);
+            }
+            
+            const alternatives = (digit.alternatives || [])
+                .map(alt => `${alt.char} (${Math.round(alt.probability * 100)}%)`)
+                .join(', ');
+            const title = alternatives ? `他の候補: ${alternatives}` : '読み取りが不確かです';
+            
+            return `<mark class="uncertain-digit" title="${this.escapeHtml(title)}">${this.escapeHtml(char)}</mark>`;
+        }).join('');
+        
+        container.innerHTML = `
+            <span class="uncertain-digits-label">確認が必要な桁:</span>
+            <span class="uncertain-digits-value">${digitsHTML}</span>
+        `;
+        container.style.display = 'flex';
+    }
+
     /**
      * フィールドのバリデーション
      */
@@ -1830,6 +2610,9 @@ class ReceiptOCRApp {
                 
                 // 入力時のエラークリア
                 field.addEventListener('input', (e) => {
+                    // 手入力で値が変わった場合は桁の強調表示を消す
+                    this.updateUncertainDigits(fieldName);
+                    
                     if (field.classList.contains('error') || field.classList.contains('warning')) {
                         // 入力があった場合はエラー状態をクリア
                         field.classList.remove('error');
@@ -1892,6 +2675,8 @@ class ReceiptOCRApp {
                 candidatesElement.innerHTML = '';
             }
 
+            this.updateUncertainDigits(field);
+
             // エラーメッセージを削除
             const errorElement = document.querySelector(`#${field}-error`);
             if (errorElement) {
@@ -2237,8 +3022,10 @@ class ReceiptOCRApp {
                 imageCorners
             );
             
-            // 補正後の画像を表示
+            // 補正後の画像を表示（以後の回転は補正後の画像を基準にする）
             this.currentImage.img = correctedImg;
+            this.currentImage.rotationSource = null;
+            this.currentImage.rotations = [];
             this.currentImage.perspectiveCorrected = true;
             this.displayImage(this.currentImage);
             
@@ -2356,6 +3143,152 @@ class ReceiptOCRApp {
         this.dragIndex = -1;
     }
 
+    /**
+     * 複数領収書モードに入る（写真に並んだ領収書を検出し、範囲の確認・調整を求める）
+     */
+    enterMultiReceiptMode() {
+        if (!this.currentImage || this.multiReceiptMode) return;
+        
+        if (!window.MultiReceiptSelector) {
+            console.warn('MultiReceiptSelectorが読み込まれていません');
+            return;
+        }
+        
+        if (this.perspectiveMode) {
+            this.exitPerspectiveMode();
+        }
+        
+        this.multiReceiptMode = true;
+        
+        // 検出結果は画像座標なので、表示Canvasの座標に変換する
+        const canvas = this.elements.imageCanvas;
+        const img = this.currentImage.img;
+        let quads = this.perspectiveCorrection.detectRectangles(img).map(corners => corners.map(corner => ({
+            x: corner.x * canvas.width / img.width,
+            y: corner.y * canvas.height / img.height
+        })));
+        
+        if (quads.length === 0) {
+            quads = [this.perspectiveCorrection.getDefaultCorners(canvas.width, canvas.height)];
+            this.updateStatus('領収書を検出できませんでした。枠を調整してください');
+        } else {
+            this.updateStatus(`${quads.length}枚の領収書を検出しました`);
+        }
+        
+        if (!this.multiReceiptSelector) {
+            this.multiReceiptSelector = new MultiReceiptSelector(canvas, {
+                onConfirm: (selectedQuads) => this.processMultipleReceipts(selectedQuads),
+                onCancel: () => this.exitMultiReceiptMode()
+            });
+        }
+        
+        this.multiReceiptSelector.setQuads(quads);
+        this.multiReceiptSelector.show();
+        
+        this.elements.multiReceiptButton.style.display = 'none';
+        this.elements.perspectiveButton.style.display = 'none';
+        this.elements.processButton.style.display = 'none';
+    }
+
+    /**
+     * 複数領収書モードを終了
+     */
+    exitMultiReceiptMode() {
+        this.multiReceiptMode = false;
+        
+        if (this.multiReceiptSelector) {
+            this.multiReceiptSelector.hide();
+        }
+        
+        this.elements.multiReceiptButton.style.display = 'inline-flex';
+        this.elements.perspectiveButton.style.display = 'inline-flex';
+        this.elements.processButton.style.display = 'inline-flex';
+    }
+
+    /**
+     * 選択した領収書を1枚ずつ切り出し、通常と同じOCR・フィールド抽出・保存を行う
+     * @param {Array<Array>} quads - 領収書ごとの四隅（Canvas座標）
+     */
+    async processMultipleReceipts(quads) {
+        if (!this.currentImage || quads.length === 0) return;
+        
+        // 表示中の画像は1枚目の切り出しで置き換わるため、先にすべて切り出しておく
+        const source = this.currentImage;
+        const imageQuads = quads.map(corners => this.convertToImageCoordinates(corners));
+        this.exitMultiReceiptMode();
+        
+        try {
+            this.updateStatus('領収書を切り出し中...', 'processing');
+            
+            const images = [];
+            for (const corners of imageQuads) {
+                images.push(await this.perspectiveCorrection.correctPerspective(source.img, corners));
+            }
+            
+            await this.processReceiptBatch(images, source.file);
+            
+        } catch (error) {
+            console.error('領収書の切り出しエラー:', error);
+            this.updateStatus('領収書の切り出しに失敗しました', 'error');
+        }
+    }
+
+    /**
+     * 複数の領収書画像を1枚ずつ表示し、通常と同じOCR・フィールド抽出を行って保存する
+     * 1枚ずつ内容を確認する手順を挟まないため、読み取れた領収書は「未確認」の下書きとして保存する。
+     * 読み取りに失敗した領収書は保存せず、キャンセルした場合は残りの領収書も処理しない
+     * @param {Array<HTMLImageElement>} images - 透視補正済みの領収書画像
+     * @param {File|null} file - 元の画像ファイル
+     */
+    async processReceiptBatch(images, file) {
+        const savedIds = [];
+        const failedNumbers = [];
+        let cancelled = false;
+        
+        for (let i = 0; i < images.length; i++) {
+            try {
+                this.updateStatus(`領収書 ${i + 1}/${images.length} を処理中...`, 'processing');
+                
+                this.displayImage({ img: images[i], file, perspectiveCorrected: true });
+                
+                const status = await this.processImage();
+                if (status === 'cancelled') {
+                    cancelled = true;
+                    break;
+                }
+                if (status !== 'completed') {
+                    failedNumbers.push(i + 1);
+                    continue;
+                }
+                
+                const receiptId = await this.saveData({ reviewed: false });
+                if (receiptId) {
+                    savedIds.push(receiptId);
+                } else {
+                    failedNumbers.push(i + 1);
+                }
+                
+            } catch (error) {
+                console.error(`領収書 ${i + 1} の処理エラー:`, error);
+                failedNumbers.push(i + 1);
+            }
+        }
+        
+        const message = `${images.length}件中${savedIds.length}件を未確認として保存しました`;
+        if (cancelled) {
+            this.updateStatus(`処理がキャンセルされました（${message}）`, 'warning');
+        } else if (failedNumbers.length === 0) {
+            this.showProgressSuccess(message, {
+                details: `内容を確認してください。ID: ${savedIds.join(', ')}`,
+                autoHide: 3000
+            });
+            this.updateStatus(message);
+        } else {
+            this.showProgressError(`${message}。読み取れなかった領収書（${failedNumbers.join('・')}枚目）は個別に読み取ってください`, null, { autoHide: 5000 });
+            this.updateStatus(message, 'error');
+        }
+    }
+
     /**
      * 矩形選択モードの切り替え
      */
@@ -2518,17 +3451,36 @@ class ReceiptOCRApp {
                 height: selection.height
             };
             
-            // OCR処理を実行（Web Workerで非同期実行）
-            const ocrResult = await this.ocrWorkerManager.processRegion(imageData, region, {
-                progressCallback: (text, progress) => {
-                    this.showProgress(text, progress);
+            // OCR処理を実行（Web Workerで非同期実行。停止ボタンで中断可能）
+            const abortController = new AbortController();
+            this.currentAbortController = abortController;
+            
+            let ocrResult = null;
+            try {
+                ocrResult = await this.ocrWorkerManager.processRegion(imageData, region, {
+                    progressCallback: (text, progress) => {
+                        this.showProgress(text, progress);
+                    },
+                    recognizer: this.getSelectedRecognizer(),
+                    preprocessing: this.getSelectedPreprocessing(),
+                    ...(await this.getRecognitionDecodingOptions()),
+                    signal: abortController.signal
+                });
+            } finally {
+                if (this.currentAbortController === abortController) {
+                    this.currentAbortController = null;
                 }
-            });
+            }
             
             // 結果から候補を抽出
             await this.extractCandidatesFromOCRResult(ocrResult);
             
         } catch (error) {
+            if (error.name === 'AbortError') {
+                console.log('選択範囲OCR処理がキャンセルされました');
+                return;
+            }
+            
             console.error('選択範囲OCR処理エラー:', error);
             
             // エラーハンドリングシステムを使用
@@ -2568,7 +3520,7 @@ class ReceiptOCRApp {
                 const textBlocks = this.convertOCRResultToTextBlocks(ocrResult);
                 
                 // フィールド抽出を実行
-                const extractedFields = await fieldExtractor.extractFields(textBlocks);
+                const extractedFields = await fieldExtractor.extractFields(textBlocks, ocrResult.lines);
                 
                 // 各フィールドの候補を追加
                 Object.entries(extractedFields).forEach(([fieldName, fieldData]) => {
@@ -2808,6 +3760,18 @@ class ReceiptOCRApp {
                 this.updateStatus('OCR処理でエラーが発生しました', 'error');
             });
             
+            this.ocrWorkerManager.on('fallback', (detail) => {
+                this.handleFallbackSwitch({ detail });
+            });
+            
+            this.ocrWorkerManager.on('backendSwitch', (detail) => {
+                this.handleBackendSwitch(detail);
+            });
+            
+            this.ocrWorkerManager.on('recovery', (detail) => {
+                this.handleRecoverySwitch(detail);
+            });
+            
             // バックグラウンドで初期化
             this.ocrWorkerManager.initialize({
                 modelsPath: './models/',
@@ -2819,9 +3783,11 @@ class ReceiptOCRApp {
                 
                 // モデルのプリロード（バックグラウンド）
                 if (!status.usingFallback) {
-                    this.ocrWorkerManager.loadModels().catch(error => {
-                        console.warn('モデルプリロードエラー:', error);
-                    });
+                    this.ocrWorkerManager.loadModels()
+                        .then(() => this.updateRecognizerOptions())
+                        .catch(error => {
+                            console.warn('モデルプリロードエラー:', error);
+                        });
                 }
                 
                 // 統合テストの実行（開発環境のみ）
@@ -2960,6 +3926,7 @@ class ReceiptOCRApp {
 
     /**
      * OCR処理失敗時のハンドリング
+     * @returns {Promise<boolean>} 再試行で画像から読み取れた場合 true（サンプルデータを表示した場合は false）
      */
     async handleOCRProcessingFailure(error) {
         console.warn('OCR処理失敗のためフォールバック処理を実行します');
@@ -2982,7 +3949,7 @@ class ReceiptOCRApp {
                         // フォールバックで再試行
                         const fallbackResult = await this.performFallbackOCRProcessing();
                         await this.extractFieldsFromOCRResult(fallbackResult);
-                        return;
+                        return true;
                     } catch (fallbackError) {
                         console.error('フォールバック処理も失敗:', fallbackError);
                     }
@@ -2997,7 +3964,7 @@ class ReceiptOCRApp {
                     await this.reduceImageQualityForProcessing();
                     const retryResult = await this.performActualOCRProcessing();
                     await this.extractFieldsFromOCRResult(retryResult);
-                    return;
+                    return true;
                 } catch (retryError) {
                     console.error('品質削減後の再試行も失敗:', retryError);
                 }
@@ -3018,6 +3985,7 @@ class ReceiptOCRApp {
                     features: '手動で矩形選択して再OCRを試してください'
                 }
             );
+            return false;
             
         } catch (fallbackError) {
             console.error('フォールバック処理エラー:', fallbackError);
@@ -3025,6 +3993,132 @@ class ReceiptOCRApp {
         }
     }
 
+    /**
+     * 認識言語の選択肢を更新（マニフェストに複数の認識モデルがある場合のみ表示）
+     */
+    async updateRecognizerOptions() {
+        const select = this.elements.recognizerSelect;
+        if (!select || !this.ocrWorkerManager) {
+            return;
+        }
+        
+        const status = await this.ocrWorkerManager.getStatus();
+        const recognizers = (status.engineInfo && status.engineInfo.recognizers) || [];
+        
+        select.innerHTML = '';
+        for (const recognizer of recognizers) {
+            const option = document.createElement('option');
+            option.value = recognizer.id;
+            option.textContent = recognizer.label;
+            option.selected = recognizer.active;
+            select.appendChild(option);
+        }
+        
+        select.style.display = recognizers.length > 1 ? 'inline-block' : 'none';
+    }
+
+    /**
+     * CTCデコード設定
+     * 低性能端末では貪欲法のまま、それ以外では領収書の語彙で補正するビームサーチを使う
+     */
+    async getRecognitionDecodingOptions() {
+        if (this.useBeamDecoding === undefined) {
+            this.useBeamDecoding = !(this.mobileOptimizer && this.mobileOptimizer.isLowPerformanceDevice());
+        }
+        
+        if (!this.useBeamDecoding) {
+            return { decoder: 'greedy' };
+        }
+        
+        return {
+            decoder: 'beam',
+            beamWidth: 5,
+            lexicon: await this.getRecognitionLexicon()
+        };
+    }
+
+    /**
+     * ビームサーチ用の語彙（金額キーワード・元号・企業語尾・保存済みの支払先）
+     */
+    async getRecognitionLexicon() {
+        if (this.recognitionLexicon) {
+            return this.recognitionLexicon;
+        }
+        
+        let savedPayees = [];
+        if (this.storageManager) {
+            try {
+                const receipts = await this.storageManager.getAllReceipts({ limit: 200 });
+                savedPayees = receipts.map(receipt => receipt.data && receipt.data.payee && receipt.data.payee.value);
+            } catch (error) {
+                console.warn('保存済み支払先の取得エラー:', error);
+            }
+        }
+        
+        this.recognitionLexicon = window.FieldExtractor
+            ? new FieldExtractor().getRecognitionLexicon(savedPayees)
+            : [];
+        return this.recognitionLexicon;
+    }
+
+    /**
+     * 現在の文書に使用する認識モデルID（未選択時は既定の認識モデル）
+     */
+    getSelectedRecognizer() {
+        const select = this.elements.recognizerSelect;
+        return select && select.value ? select.value : null;
+    }
+
+    /**
+     * 選択された画像前処理のプリセット（'thermal', 'photo'。未選択時は前処理なし）
+     */
+    getSelectedPreprocessing() {
+        const select = this.elements.preprocessingSelect;
+        return select && select.value ? select.value : 'none';
+    }
+
+    /**
+     * 高精度モード（ONNXとTesseractのアンサンブル）が選択されているか
+     * 処理時間は増えるが、高額な領収書などで低信頼度の行を再認識する
+     */
+    isEnsembleModeEnabled() {
+        const toggle = this.elements.ensembleToggle;
+        return !!(toggle && toggle.checked);
+    }
+
+    /**
+     * デバッグ表示が選択されているか（OCRに中間結果を返させる）
+     */
+    isDebugOverlayEnabled() {
+        const toggle = this.elements.debugToggle;
+        return !!(toggle && toggle.checked);
+    }
+
+    /**
+     * デバッグ表示の切り替え
+     */
+    toggleDebugOverlay() {
+        if (!this.debugOverlay) {
+            if (!window.DebugOverlay) {
+                console.warn('DebugOverlayが読み込まれていません');
+                return;
+            }
+            this.debugOverlay = new DebugOverlay(this.elements.imageCanvas);
+            this.updateDebugOverlay(this.ocrResults);
+        }
+        
+        this.debugOverlay.toggle(this.isDebugOverlayEnabled());
+    }
+
+    /**
+     * OCR結果の中間結果をデバッグ表示に反映
+     */
+    updateDebugOverlay(ocrResult) {
+        if (this.debugOverlay) {
+            this.debugOverlay.setDebugInfo(ocrResult ? ocrResult.debug : null);
+        }
+    }
+
     /**
      * フォールバックOCR処理
      */
@@ -3043,23 +4137,53 @@ class ReceiptOCRApp {
             }
         });
         
-        return result;
+        return this.scaleOCRResultToCanvas(result, imageData);
     }
 
     /**
      * フォールバック切り替えの処理
      */
     handleFallbackSwitch(event) {
-        const { reason, performanceDifference } = event.detail;
+        const { reason, performanceDifference, integrityError } = event.detail;
         console.warn('フォールバックに切り替わりました:', reason);
         
+        if (integrityError) {
+            this.updateStatus(`モデルファイルの整合性エラー: ${integrityError.file} が破損しているため使用しません`, 'error');
+        }
+        
         this.showFallbackNotification(reason, performanceDifference);
     }
 
+    /**
+     * サーキットブレーカーによるバックエンド切り替えの処理
+     */
+    handleBackendSwitch(detail) {
+        const { from, to, reason } = detail;
+        console.warn(`OCRバックエンドを ${from} から ${to} に切り替えました:`, reason);
+        
+        this.showFallbackNotification(reason, null, {
+            title: 'バックエンド切り替え',
+            message: `${from} での処理が続けて失敗したため、${to} に切り替えました。`
+        });
+    }
+
+    /**
+     * フォールバックからONNXへの復帰の処理
+     */
+    handleRecoverySwitch(detail) {
+        console.log(`高性能OCR (${detail.backend}) に復帰しました`);
+        
+        this.showFallbackNotification(null, null, {
+            icon: '✅',
+            title: '高性能OCRに復帰',
+            message: `${detail.backend} バックエンドが再び利用可能になったため、高性能OCRに戻しました。`
+        });
+    }
+
     /**
      * フォールバック通知の表示
      */
-    showFallbackNotification(reason = null, performanceDifference = null) {
+    showFallbackNotification(reason = null, performanceDifference = null, options = {}) {
         // 既存の通知を削除
         const existingNotification = document.querySelector('.fallback-notification');
         if (existingNotification) {
@@ -3076,7 +4200,7 @@ class ReceiptOCRApp {
         notification.className = 'fallback-notification';
         
         let notificationContent;
-        if (isGitHubPages || isGitHubPagesMode) {
+        if ((isGitHubPages || isGitHubPagesMode) && !options.title) {
             // GitHub Pages専用の通知
             notificationContent = `
                 <div class="notification-content">
@@ -3094,10 +4218,10 @@ class ReceiptOCRApp {
             // 通常のフォールバック通知
             notificationContent = `
                 <div class="notification-content">
-                    <div class="notification-icon">⚠️</div>
+                    <div class="notification-icon">${options.icon || '⚠️'}</div>
                     <div class="notification-text">
-                        <strong>フォールバックモード</strong>
-                        <p>高性能OCRが利用できないため、代替エンジンを使用しています。</p>
+                        <strong>${options.title || 'フォールバックモード'}</strong>
+                        <p>${options.message || '高性能OCRが利用できないため、代替エンジンを使用しています。'}</p>
                         ${reason ? `<small>理由: ${reason}</small>` : ''}
                         ${performanceDifference ? `
                             <details>
@@ -3143,6 +4267,7 @@ class ReceiptOCRApp {
             this.zipExportManager = new ZipExportManager();
             
             console.log('ストレージとエクスポート機能が初期化されました');
+            await this.refreshSavedReceipts();
         } catch (error) {
             console.error('ストレージ初期化エラー:', error);
             this.updateStatus('ストレージ初期化に失敗しました', 'error');
@@ -3151,11 +4276,14 @@ class ReceiptOCRApp {
 
     /**
      * データの保存
+     * 保存済みの領収書を開いて編集している場合は、新しく保存せずにその領収書を更新する（確認済みになる）
+     * @param {Object} options - reviewed: false の場合は読み取り結果を確認していない下書きとして保存
+     * @returns {Promise<string|null>} 保存した領収書のID（保存しなかった場合は null）
      */
-    async saveData() {
+    async saveData(options = {}) {
         if (!this.storageManager) {
             this.showProgressError('ストレージが利用できません', null, { autoHide: 3000 });
-            return;
+            return null;
         }
 
         try {
@@ -3165,19 +4293,39 @@ class ReceiptOCRApp {
             // バリデーション
             if (!this.validateFormData(formData)) {
                 this.showProgressError('入力データに不備があります', null, { autoHide: 3000 });
-                return;
+                return null;
             }
 
             this.updateStatus('データを保存中...', 'processing');
             
+            if (this.editingReceiptId) {
+                const receiptId = this.editingReceiptId;
+                await this.storageManager.updateReceipt(receiptId, formData, { reviewed: options.reviewed !== false });
+                
+                this.recognitionLexicon = null;
+                this.showProgressSuccess('保存済みの領収書を更新しました', {
+                    details: `ID: ${receiptId}`,
+                    autoHide: 2000
+                });
+                this.updateStatus('データ更新完了');
+                await this.refreshSavedReceipts();
+                return receiptId;
+            }
+            
             // 画像データの取得（存在する場合）
             let imageBlob = null;
             if (this.currentImage && this.currentImage.canvas) {
                 imageBlob = await this.canvasToBlob(this.currentImage.canvas);
             }
 
-            // データの保存
-            const receiptId = await this.storageManager.saveReceipt(formData, imageBlob);
+            // データの保存（つなぎ合わせた画像の場合は撮影画像も保存）
+            const sourceImages = (this.currentImage && this.currentImage.sourceImages) || [];
+            const receiptId = await this.storageManager.saveReceipt(formData, imageBlob, sourceImages, {
+                reviewed: options.reviewed !== false
+            });
+            
+            // 新しい支払先を次回以降の認識語彙に反映
+            this.recognitionLexicon = null;
             
             this.showProgressSuccess('データが保存されました', {
                 details: `ID: ${receiptId}`,
@@ -3185,11 +4333,105 @@ class ReceiptOCRApp {
             });
             
             this.updateStatus('データ保存完了');
+            await this.refreshSavedReceipts();
+            return receiptId;
             
         } catch (error) {
             console.error('データ保存エラー:', error);
             this.showProgressError('データの保存に失敗しました', error, { autoHide: 5000 });
             this.updateStatus('データ保存に失敗しました', 'error');
+            return null;
+        }
+    }
+
+    /**
+     * 保存済みの領収書の一覧を読み込み直して表示
+     */
+    async refreshSavedReceipts() {
+        if (!this.storageManager) return;
+        
+        try {
+            this.savedReceipts = await this.storageManager.getAllReceipts();
+        } catch (error) {
+            console.error('保存済みの領収書の読み込みエラー:', error);
+            this.savedReceipts = [];
+        }
+        this.renderSavedReceipts();
+    }
+
+    /**
+     * 保存済みの領収書の一覧の表示
+     * 未確認の下書き（まとめて読み取って確認せずに保存したもの）には印を付け、「未確認のみ」で絞り込める
+     */
+    renderSavedReceipts() {
+        const list = this.elements.savedReceiptsList;
+        if (!list) return;
+        
+        const drafts = this.savedReceipts.filter(receipt => receipt.reviewed === false);
+        const receipts = this.elements.unreviewedFilter.checked ? drafts : this.savedReceipts;
+        
+        this.elements.draftCount.textContent = `未確認 ${drafts.length}件`;
+        this.elements.draftCount.style.display = drafts.length > 0 ? 'inline-block' : 'none';
+        this.elements.savedReceiptsEmpty.textContent = this.elements.unreviewedFilter.checked
+            ? '未確認の領収書はありません'
+            : '保存された領収書はありません';
+        this.elements.savedReceiptsEmpty.style.display = receipts.length === 0 ? 'block' : 'none';
+        
+        const value = (receipt, field) => (receipt.data && receipt.data[field] && receipt.data[field].value) || '';
+        list.innerHTML = receipts.map(receipt => {
+            const draft = receipt.reviewed === false;
+            const amount = value(receipt, 'amount');
+            const classes = ['saved-receipt-item', draft ? 'draft' : '', receipt.id === this.editingReceiptId ? 'editing' : '']
+                .filter(Boolean).join(' ');
+            return `
+                <li>
+                    <button type="button" class="${classes}" data-receipt-id="${this.escapeHtml(receipt.id)}" title="開いて内容を確認・修正する">
+                        ${draft ? '<span class="draft-badge">未確認</span>' : ''}
+                        <span class="saved-receipt-date">${this.escapeHtml(value(receipt, 'date') || '日付なし')}</span>
+                        <span class="saved-receipt-payee">${this.escapeHtml(value(receipt, 'payee') || '支払先なし')}</span>
+                        <span class="saved-receipt-amount">${amount ? `¥${this.escapeHtml(amount)}` : ''}</span>
+                    </button>
+                </li>
+            `;
+        }).join('');
+    }
+
+    /**
+     * 保存済みの領収書を開いてフォームに表示（保存すると確認済みとして更新される）
+     * @param {string} receiptId - 領収書ID
+     */
+    async openSavedReceipt(receiptId) {
+        try {
+            const receipt = await this.storageManager.getReceipt(receiptId);
+            if (!receipt) {
+                this.updateStatus('領収書が見つかりません', 'error');
+                await this.refreshSavedReceipts();
+                return;
+            }
+            
+            // 保存した画像があれば表示する（表示すると新しい領収書の扱いになるため、編集中のIDは後で設定する）
+            const imageBlob = receipt.hasImage ? await this.storageManager.getImage(receiptId) : null;
+            if (imageBlob) {
+                const { img } = await this.loadImageData(imageBlob);
+                this.displayImage({ img, file: null });
+            } else {
+                this.resetForm();
+            }
+            
+            ['date', 'payee', 'amount', 'purpose'].forEach(field => {
+                const fieldData = (receipt.data && receipt.data[field]) || {};
+                this.updateField(field, fieldData.value || '', fieldData.confidence || 0, fieldData.candidates || []);
+            });
+            
+            this.editingReceiptId = receiptId;
+            this.renderSavedReceipts();
+            this.updateStatus(receipt.reviewed === false
+                ? '未確認の領収書を開きました。内容を確認して保存すると確認済みになります'
+                : '保存済みの領収書を開きました');
+            
+        } catch (error) {
+            console.error('保存済みの領収書の読み込みエラー:', error);
+            this.updateStatus('保存済みの領収書を開けませんでした', 'error');
         }
     }
 
@@ -0,0 +1,276 @@
+/**
+ * OCRデバッグ表示オーバーレイ
+ * OCREngine.processImage の debug モードで得た中間結果（確率マップ、NMS前後の候補、
+ * 最終的な検出領域、認識に使った切り出し画像）を画像Canvasの上に重ねて表示する
+ */
+class DebugOverlay {
+    constructor(canvas, options = {}) {
+        this.canvas = canvas;
+        this.options = {
+            candidateColor: 'rgba(156, 163, 175, 0.9)',
+            nmsColor: '#f59e0b',
+            regionColor: '#10b981',
+            strokeWidth: 2,
+            ...options
+        };
+
+        // 表示するレイヤー
+        this.layers = {
+            heatmap: true,
+            candidates: false,
+            nms: true,
+            regions: true,
+            crops: true
+        };
+
+        this.debugInfo = null;
+        this.visible = false;
+
+        this.container = canvas.parentElement;
+        this.overlayCanvas = null;
+        this.panel = null;
+
+        this.createElements();
+    }
+
+    /**
+     * オーバーレイCanvasとレイヤー切り替え・切り出し画像のパネルを作成
+     */
+    createElements() {
+        this.overlayCanvas = document.createElement('canvas');
+        this.overlayCanvas.className = 'debug-overlay-canvas';
+        this.overlayCanvas.style.display = 'none';
+        this.container.appendChild(this.overlayCanvas);
+
+        this.panel = document.createElement('div');
+        this.panel.className = 'debug-overlay-panel';
+        this.panel.style.display = 'none';
+
+        const layerLabels = {
+            heatmap: '確率マップ',
+            candidates: 'NMS前の候補',
+            nms: 'NMS後の候補',
+            regions: '最終領域',
+            crops: '切り出し画像'
+        };
+
+        const legend = document.createElement('div');
+        legend.className = 'debug-overlay-legend';
+        for (const [layer, label] of Object.entries(layerLabels)) {
+            const toggle = document.createElement('label');
+            toggle.className = `debug-layer-toggle debug-layer-${layer}`;
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = this.layers[layer];
+            checkbox.addEventListener('change', () => this.setLayer(layer, checkbox.checked));
+
+            toggle.appendChild(checkbox);
+            toggle.appendChild(document.createTextNode(label));
+            legend.appendChild(toggle);
+        }
+
+        this.summary = document.createElement('div');
+        this.summary.className = 'debug-overlay-summary';
+
+        this.cropList = document.createElement('div');
+        this.cropList.className = 'debug-crop-list';
+
+        this.panel.appendChild(legend);
+        this.panel.appendChild(this.summary);
+        this.panel.appendChild(this.cropList);
+        this.container.parentElement.insertBefore(this.panel, this.container.nextSibling);
+    }
+
+    /**
+     * デバッグ情報の設定（OCR結果の debug をそのまま渡す。null で消去）
+     */
+    setDebugInfo(debugInfo) {
+        this.debugInfo = debugInfo || null;
+        this.render();
+    }
+
+    /**
+     * レイヤーの表示切り替え
+     */
+    setLayer(layer, enabled) {
+        if (!(layer in this.layers)) {
+            return;
+        }
+        this.layers[layer] = enabled;
+        this.render();
+    }
+
+    /**
+     * オーバーレイの表示
+     */
+    show() {
+        this.visible = true;
+        this.overlayCanvas.style.display = 'block';
+        this.panel.style.display = 'block';
+        this.render();
+    }
+
+    /**
+     * オーバーレイの非表示
+     */
+    hide() {
+        this.visible = false;
+        this.overlayCanvas.style.display = 'none';
+        this.panel.style.display = 'none';
+    }
+
+    /**
+     * 表示・非表示の切り替え
+     */
+    toggle(visible = !this.visible) {
+        if (visible) {
+            this.show();
+        } else {
+            this.hide();
+        }
+    }
+
+    /**
+     * オーバーレイの描画（画像Canvasと同じ座標系で描く）
+     */
+    render() {
+        if (!this.visible) {
+            return;
+        }
+
+        const overlay = this.overlayCanvas;
+        overlay.width = this.canvas.width;
+        overlay.height = this.canvas.height;
+
+        const ctx = overlay.getContext('2d');
+        ctx.clearRect(0, 0, overlay.width, overlay.height);
+
+        this.renderCrops();
+
+        const debugInfo = this.debugInfo;
+        if (!debugInfo) {
+            this.summary.textContent = 'デバッグ情報がありません（デバッグ表示を有効にしてOCRを実行してください。Tesseract.js使用時は表示されません）';
+            return;
+        }
+
+        this.summary.textContent = [
+            `確率マップ: ${debugInfo.probabilityMaps.length}`,
+            `NMS前: ${debugInfo.candidates.length}`,
+            `NMS後: ${debugInfo.nmsCandidates.length}`,
+            `最終領域: ${debugInfo.regions.length}`,
+            `切り出し: ${debugInfo.crops.length}`
+        ].join(' / ');
+
+        if (this.layers.heatmap) {
+            this.drawHeatmaps(ctx, debugInfo.probabilityMaps);
+        }
+        if (this.layers.candidates) {
+            this.drawRegions(ctx, debugInfo.candidates, this.options.candidateColor, [4, 4]);
+        }
+        if (this.layers.nms) {
+            this.drawRegions(ctx, debugInfo.nmsCandidates, this.options.nmsColor, [6, 3]);
+        }
+        if (this.layers.regions) {
+            this.drawRegions(ctx, debugInfo.regions, this.options.regionColor, []);
+        }
+    }
+
+    /**
+     * 確率マップのヒートマップを元画像上の配置に引き伸ばして描画
+     */
+    drawHeatmaps(ctx, probabilityMaps) {
+        for (const map of probabilityMaps) {
+            const heatmapCanvas = document.createElement('canvas');
+            heatmapCanvas.width = map.image.width;
+            heatmapCanvas.height = map.image.height;
+            heatmapCanvas.getContext('2d').putImageData(this.toImageData(map.image), 0, 0);
+
+            ctx.drawImage(heatmapCanvas, map.x, map.y, map.width, map.height);
+        }
+    }
+
+    /**
+     * 領域の四角形（無ければバウンディングボックス）を描画
+     */
+    drawRegions(ctx, regions, color, dash) {
+        ctx.save();
+        ctx.strokeStyle = color;
+        ctx.lineWidth = this.options.strokeWidth;
+        ctx.setLineDash(dash);
+
+        for (const region of regions) {
+            ctx.beginPath();
+            if (region.polygon && region.polygon.length >= 3) {
+                ctx.moveTo(region.polygon[0].x, region.polygon[0].y);
+                for (const point of region.polygon.slice(1)) {
+                    ctx.lineTo(point.x, point.y);
+                }
+                ctx.closePath();
+            } else {
+                const bbox = region.boundingBox;
+                ctx.rect(bbox.x, bbox.y, bbox.width, bbox.height);
+            }
+            ctx.stroke();
+        }
+
+        ctx.restore();
+    }
+
+    /**
+     * 認識に使った切り出し画像と認識結果の一覧を表示
+     */
+    renderCrops() {
+        this.cropList.innerHTML = '';
+
+        if (!this.layers.crops || !this.debugInfo) {
+            return;
+        }
+
+        for (const crop of this.debugInfo.crops) {
+            const item = document.createElement('figure');
+            item.className = 'debug-crop';
+
+            const cropCanvas = document.createElement('canvas');
+            cropCanvas.width = crop.image.width;
+            cropCanvas.height = crop.image.height;
+            cropCanvas.getContext('2d').putImageData(this.toImageData(crop.image), 0, 0);
+
+            const caption = document.createElement('figcaption');
+            caption.textContent = crop.error
+                ? `エラー: ${crop.error}`
+                : `${crop.text || '（空）'} (${Math.round(crop.confidence * 100)}%${crop.orientation === 'vertical' ? ', 縦書き' : ''})`;
+
+            item.appendChild(cropCanvas);
+            item.appendChild(caption);
+            this.cropList.appendChild(item);
+        }
+    }
+
+    /**
+     * Workerから受け取った画像をImageDataに変換
+     */
+    toImageData(image) {
+        return image instanceof ImageData
+            ? image
+            : new ImageData(new Uint8ClampedArray(image.data), image.width, image.height);
+    }
+
+    /**
+     * 表示の消去
+     */
+    clear() {
+        this.setDebugInfo(null);
+    }
+
+    /**
+     * 破棄処理
+     */
+    destroy() {
+        this.overlayCanvas.remove();
+        this.panel.remove();
+        this.debugInfo = null;
+    }
+}
+
+window.DebugOverlay = DebugOverlay;
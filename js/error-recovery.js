@@ -223,7 +223,7 @@ class ErrorRecovery {
             title: 'ファイルの処理に失敗しました',
             explanation: '選択されたファイルに問題があるか、サポートされていない形式です。',
             steps: [
-                'JPEG、PNG、WebP形式の画像を使用する',
+                'JPEG、PNG、WebP、HEIC、TIFF、PDF形式のファイルを使用する',
                 'ファイルサイズを10MB以下にする',
                 '別の画像ファイルを試す'
             ],
@@ -108,7 +108,7 @@ class ExportManager {
         }
 
         if (includeMetadata) {
-            headers.push('作成日時', '最終アクセス日時', '画像有無');
+            headers.push('作成日時', '最終アクセス日時', '画像有無', '確認状況');
         }
 
         // CSVデータの生成
@@ -136,7 +136,8 @@ class ExportManager {
                 row.push(
                     this.formatDateTime(receipt.createdAt),
                     this.formatDateTime(receipt.lastAccessedAt),
-                    receipt.hasImage ? 'あり' : 'なし'
+                    receipt.hasImage ? 'あり' : 'なし',
+                    receipt.reviewed === false ? '未確認' : '確認済み'
                 );
             }
 
@@ -219,7 +220,8 @@ class ExportManager {
             formatted.metadata = {
                 createdAt: receipt.createdAt,
                 lastAccessedAt: receipt.lastAccessedAt,
-                hasImage: receipt.hasImage
+                hasImage: receipt.hasImage,
+                reviewed: receipt.reviewed !== false
             };
         }
 
@@ -244,7 +246,9 @@ class ExportManager {
             formatted.candidates = field.candidates.map(candidate => ({
                 value: candidate.value,
                 confidence: candidate.confidence,
-                originalText: candidate.originalText
+                originalText: candidate.originalText,
+                boundingBox: candidate.boundingBox || null,
+                polygon: candidate.polygon || null
             }));
         }
 
@@ -45,20 +45,56 @@ class FieldExtractor {
             '金額': 0.5
         };
 
+        // 数字と誤認識されやすい文字（置換先の数字）
+        this.confusableDigits = {
+            'O': '0',
+            'o': '0',
+            '〇': '0',
+            'l': '1',
+            'I': '1'
+        };
+
+        // この確率未満の文字は読み取りが不確かとみなす
+        this.uncertainCharacterThreshold = 0.8;
+
+        // 企業語尾
+        this.companySuffixes = ['株式会社', '有限会社', '合同会社', '合資会社'];
+
         // 企業語尾パターン
+        const companySuffixPattern = this.companySuffixes.join('|');
         this.companyPatterns = [
-            /(.+)(株式会社|有限会社|合同会社|合資会社)/,
+            new RegExp(`(.+)(${companySuffixPattern})`),
             /(.+)(店|商店|薬局|堂|院|館|屋)/,
-            /(株式会社|有限会社|合同会社|合資会社)(.+)/
+            new RegExp(`(${companySuffixPattern})(.+)`)
         ];
     }
 
+    /**
+     * 文字認識（CTCビームサーチ）のバイアスに使う領収書の語彙
+     * @param {Array<string>} [extraWords] - 保存済みの支払先など追加する語
+     * @returns {Array<string>} 重複を除いた2文字以上の語
+     */
+    getRecognitionLexicon(extraWords = []) {
+        const words = [
+            ...Object.keys(this.amountKeywords),
+            ...Object.keys(this.eraConversions),
+            ...this.companySuffixes,
+            ...extraWords
+        ];
+
+        return [...new Set(words
+            .filter(word => typeof word === 'string')
+            .map(word => word.trim())
+            .filter(word => word.length >= 2))];
+    }
+
     /**
      * OCR結果から構造化データを抽出
      * @param {Array} textBlocks - OCR結果のテキストブロック配列
+     * @param {Array} [lines] - OCR結果の行情報（レイアウト解析済みの場合）
      * @returns {Object} 抽出された領収書データ
      */
-    async extractFields(textBlocks) {
+    async extractFields(textBlocks, lines = null) {
         // 入力データの検証
         if (!textBlocks || !Array.isArray(textBlocks)) {
             console.warn('Invalid textBlocks provided, using empty array');
@@ -73,16 +109,42 @@ class FieldExtractor {
             block.text.trim().length > 0
         );
 
+        // 行全体も候補に加え、別ブロックに分かれたラベルと値（「合計」「¥1,200」等）を結び付ける
+        const blocksWithLines = validBlocks.concat(this.buildLineBlocks(lines));
+
         const result = {
-            date: this.extractDate(validBlocks),
-            amount: this.extractAmount(validBlocks),
-            payee: this.extractPayee(validBlocks),
+            date: this.extractDate(blocksWithLines),
+            amount: this.extractAmount(blocksWithLines),
+            payee: this.extractPayee(blocksWithLines),
             purpose: this.extractPurpose(validBlocks)
         };
 
         return result;
     }
 
+    /**
+     * 複数ブロックからなる行を1つのテキストブロックに変換
+     * @param {Array} lines - OCR結果の行情報
+     * @returns {Array} 行単位のテキストブロック配列
+     */
+    buildLineBlocks(lines) {
+        if (!Array.isArray(lines)) {
+            return [];
+        }
+
+        return lines
+            .filter(line => line && Array.isArray(line.blocks) && line.blocks.length > 1 &&
+                typeof line.text === 'string' && line.text.trim().length > 0)
+            .map(line => ({
+                text: line.text,
+                confidence: line.confidence,
+                boundingBox: line.boundingBox || null,
+                polygon: null,
+                fontSize: Math.max(...line.blocks.map(block => block.fontSize || 0)) || undefined,
+                source: 'line'
+            }));
+    }
+
     /**
      * 日付の抽出と正規化
      * @param {Array} textBlocks - テキストブロック配列
@@ -103,27 +165,39 @@ class FieldExtractor {
         for (const block of textBlocks) {
             if (!block || !block.text) continue;
             
-            const text = block.text;
+            const blockCandidates = [];
             
-            for (const pattern of this.datePatterns) {
-                try {
-                    const match = text.match(pattern);
-                    if (match) {
-                        const normalizedDate = this.normalizeDate(match, currentYear);
-                        if (normalizedDate) {
-                            candidates.push({
-                                value: normalizedDate,
-                                confidence: this.calculateDateConfidence(match, block),
-                                boundingBox: block.boundingBox || null,
-                                originalText: match[0]
-                            });
+            // 誤認識しやすい文字を数字に置換したテキストを優先し、一致しなければ元のテキストで照合
+            for (const variant of this.getTextVariants(block)) {
+                const text = variant.text;
+                
+                for (const pattern of this.datePatterns) {
+                    try {
+                        const match = text.match(pattern);
+                        if (match) {
+                            const normalizedDate = this.normalizeDate(match, currentYear);
+                            if (normalizedDate) {
+                                const confidence = this.calculateDateConfidence(match, block);
+                                blockCandidates.push({
+                                    value: normalizedDate,
+                                    confidence: variant.substitutions.length > 0 ? confidence * 0.9 : confidence,
+                                    boundingBox: block.boundingBox || null,
+                                    polygon: block.polygon || null,
+                                    originalText: match[0],
+                                    substituted: variant.substitutions.length > 0
+                                });
+                            }
                         }
+                    } catch (error) {
+                        console.warn('Date pattern matching error:', error);
+                        continue;
                     }
-                } catch (error) {
-                    console.warn('Date pattern matching error:', error);
-                    continue;
                 }
+                
+                if (blockCandidates.length > 0) break;
             }
+            
+            candidates.push(...blockCandidates);
         }
 
         // 信頼度でソート
@@ -316,33 +390,48 @@ class FieldExtractor {
         for (const block of textBlocks) {
             if (!block || !block.text) continue;
             
-            const text = block.text;
-            
             // 既に処理済みのテキストはスキップ
-            if (seenTexts.has(text)) continue;
-            seenTexts.add(text);
+            if (seenTexts.has(block.text)) continue;
+            seenTexts.add(block.text);
             
-            for (const pattern of this.amountPatterns) {
-                try {
-                    const match = text.match(pattern);
-                    if (match) {
-                        const amount = this.normalizeAmount(match[1]);
-                        if (amount > 0) {
-                            const confidence = this.calculateAmountConfidence(text, block, textBlocks);
-                            candidates.push({
-                                value: amount,
-                                confidence: confidence,
-                                boundingBox: block.boundingBox || null,
-                                originalText: match[0],
-                                fullText: text
-                            });
-                            break; // 最初にマッチしたパターンのみ使用
+            let candidate = null;
+            
+            // 誤認識しやすい文字を数字に置換したテキストを優先し、一致しなければ元のテキストで照合
+            for (const variant of this.getTextVariants(block)) {
+                const text = variant.text;
+                
+                for (const pattern of this.amountPatterns) {
+                    try {
+                        const match = text.match(pattern);
+                        if (match) {
+                            const amount = this.normalizeAmount(match[1]);
+                            if (amount > 0) {
+                                const confidence = this.calculateAmountConfidence(text, block, textBlocks);
+                                const digitsStart = match.index + match[0].indexOf(match[1]);
+                                candidate = {
+                                    value: amount,
+                                    confidence: variant.substitutions.length > 0 ? confidence * 0.9 : confidence,
+                                    boundingBox: block.boundingBox || null,
+                                    polygon: block.polygon || null,
+                                    originalText: match[0],
+                                    fullText: text,
+                                    substituted: variant.substitutions.length > 0,
+                                    uncertainDigits: this.findUncertainDigits(block, variant, digitsStart, match[1], amount)
+                                };
+                                break; // 最初にマッチしたパターンのみ使用
+                            }
                         }
+                    } catch (error) {
+                        console.warn('Amount pattern matching error:', error);
+                        continue;
                     }
-                } catch (error) {
-                    console.warn('Amount pattern matching error:', error);
-                    continue;
                 }
+                
+                if (candidate) break;
+            }
+            
+            if (candidate) {
+                candidates.push(candidate);
             }
         }
 
@@ -357,10 +446,124 @@ class FieldExtractor {
         return {
             value: candidates.length > 0 ? candidates[0].value : 0,
             confidence: candidates.length > 0 ? candidates[0].confidence : 0,
+            uncertainDigits: candidates.length > 0 ? candidates[0].uncertainDigits : [],
             candidates: candidates.slice(0, 3)
         };
     }
 
+    /**
+     * 照合に使うテキストの候補（誤認識しやすい文字を数字に置換したテキスト、元のテキストの順）
+     * 置換は数字・桁区切り・金額記号に隣接する文字に限り、隣接判定には置換済みの文字も含める。
+     * 文字ごとの代替候補（block.characters）に数字がある場合はその数字も置換先に使う
+     * @param {Object} block - テキストブロック
+     * @returns {Array<{text: string, substitutions: Array<number>}>} substitutions は置換した文字の位置
+     */
+    getTextVariants(block) {
+        const original = { text: block.text, substitutions: [] };
+        const characters = this.getAlignedCharacters(block);
+        const chars = Array.from(block.text);
+        const substitutions = [];
+
+        const getReplacement = (index) => {
+            const char = chars[index];
+            if (/\d/.test(char)) return null;
+            if (this.confusableDigits[char]) return this.confusableDigits[char];
+
+            // 確率の低い文字は、代替候補の数字を置換先にする
+            const character = characters ? characters[index] : null;
+            if (!character || character.probability >= this.uncertainCharacterThreshold || !character.alternatives) {
+                return null;
+            }
+            const alternative = character.alternatives.find(alt => /^\d$/.test(alt.char));
+            return alternative ? alternative.char : null;
+        };
+
+        // 置換した数字が隣の文字の判定に効くよう、変化がなくなるまで繰り返す
+        let changed = true;
+        while (changed) {
+            changed = false;
+            for (let i = 0; i < chars.length; i++) {
+                const replacement = getReplacement(i);
+                if (!replacement) continue;
+
+                const neighbors = [chars[i - 1], chars[i + 1]].filter(char => char !== undefined);
+                const nextToDigit = neighbors.some(char => /\d/.test(char));
+                const nextToAmountSign = this.confusableDigits[chars[i]] && neighbors.some(char => /[,¥円]/.test(char));
+                if (nextToDigit || nextToAmountSign) {
+                    chars[i] = replacement;
+                    substitutions.push(i);
+                    changed = true;
+                }
+            }
+        }
+
+        if (substitutions.length === 0) {
+            return [original];
+        }
+
+        return [{ text: chars.join(''), substitutions: substitutions.sort((a, b) => a - b) }, original];
+    }
+
+    /**
+     * テキストと1文字ずつ対応する文字情報（確率・代替候補）の取得
+     * @param {Object} block - テキストブロック
+     * @returns {Array|null} 対応が取れない場合は null
+     */
+    getAlignedCharacters(block) {
+        const chars = Array.from(block.text);
+        if (!Array.isArray(block.characters) || block.characters.length !== chars.length) {
+            return null;
+        }
+
+        return block.characters.every((character, i) => character && character.char === chars[i])
+            ? block.characters
+            : null;
+    }
+
+    /**
+     * 金額のうち読み取りが不確かな桁の特定
+     * @param {Object} block - テキストブロック
+     * @param {Object} variant - 照合に使ったテキスト（getTextVariants の要素）
+     * @param {number} start - variant.text 上の金額の数字部分の開始位置（match.index 基準）
+     * @param {string} digitsText - 金額の数字部分（桁区切りを含む）
+     * @param {number} amount - 正規化後の金額
+     * @returns {Array<{position: number, char: string, probability: number|null, substituted: boolean, alternatives: Array}>}
+     *          position は String(amount) 内の位置
+     */
+    findUncertainDigits(block, variant, start, digitsText, amount) {
+        const characters = this.getAlignedCharacters(block);
+        const offset = Array.from(variant.text.slice(0, start)).length;
+        const digitsChars = Array.from(digitsText);
+        const valueText = String(amount);
+        const uncertainDigits = [];
+        let position = digitsChars.filter(char => /\d/.test(char)).length - valueText.length;
+
+        digitsChars.forEach((char, i) => {
+            if (!/\d/.test(char)) return;
+
+            const textIndex = offset + i;
+            const character = characters ? characters[textIndex] : null;
+            const substituted = variant.substitutions.includes(textIndex);
+            const probability = character ? character.probability : null;
+
+            if (position >= 0 && (substituted || (probability !== null && probability < this.uncertainCharacterThreshold))) {
+                uncertainDigits.push({
+                    position,
+                    char: valueText[position],
+                    probability,
+                    substituted,
+                    alternatives: character ? [
+                        ...(substituted ? [{ char: character.char, probability: character.probability }] : []),
+                        ...(character.alternatives || [])
+                    ].filter(alt => alt.char !== valueText[position]) : []
+                });
+            }
+            position++;
+        });
+
+        return uncertainDigits;
+    }
+
     /**
      * 金額の正規化
      * @param {string} amountText - 金額テキスト
@@ -447,6 +650,7 @@ class FieldExtractor {
                             value: text,
                             confidence: confidence,
                             boundingBox: block.boundingBox || null,
+                            polygon: block.polygon || null,
                             originalText: text
                         });
                         break;
@@ -460,6 +664,7 @@ class FieldExtractor {
                         value: text,
                         confidence: confidence,
                         boundingBox: block.boundingBox || null,
+                        polygon: block.polygon || null,
                         originalText: text
                     });
                 }
@@ -0,0 +1,24 @@
+/**
+ * カメラ映像のフレーム解析 Web Worker
+ * 撮影画面の描画（requestAnimationFrame）を止めないよう、四角形の検出とピントの測定をメインスレッドの外で行う
+ */
+
+importScripts('./quad-detector.js', './image-quality-analyzer.js', './live-capture.js');
+
+const detector = new QuadDetector();
+const qualityAnalyzer = new ImageQualityAnalyzer();
+
+/**
+ * メインスレッドから縮小済みのフレーム（ImageData）を受け取り、四隅とラプラシアン分散を返す
+ */
+self.onmessage = function(e) {
+    const { id, imageData } = e.data;
+
+    try {
+        const result = LiveCapture.analyzeImageData(imageData, detector, qualityAnalyzer);
+        self.postMessage({ id, ...result });
+    } catch (error) {
+        console.warn('フレームの四角形検出に失敗:', error);
+        self.postMessage({ id, corners: null, sharpness: Infinity });
+    }
+};
@@ -0,0 +1,325 @@
+/**
+ * ブラウザが直接表示できない画像形式のデコード
+ * HEIC/HEIF（iPhoneの写真）、TIFF（複数ページを含むスキャン画像）、PDF（1ページ目）をPNGに変換し、
+ * 通常の画像と同じ読み込み・EXIF補正・表示の処理に渡せるようにする
+ * デコーダー（libheif・UTIF・pdf.js）は必要になったときに libs/ から読み込む
+ */
+
+// ブラウザ組み込みの WebCodecs の ImageDecoder と名前が重ならないようにする
+class ReceiptImageDecoder {
+    constructor(options = {}) {
+        this.options = {
+            libraryPath: 'libs/',
+            maxSize: 4000, // 変換後の長辺の最大サイズ（画像読み込みの上限に合わせる）
+            pdfRenderSize: 2400, // PDFのページを描画する長辺のサイズ
+            ...options
+        };
+
+        // 読み込み中・読み込み済みのライブラリ（同じスクリプトを二重に読み込まない）
+        this.libraryPromises = new Map();
+    }
+
+    /**
+     * ファイル先頭のバイト列・MIMEタイプ・拡張子から、変換が必要な形式を判定
+     * @param {Uint8Array} header - ファイルの先頭（16バイト以上）
+     * @param {string} mimeType - ファイルのMIMEタイプ（空の場合あり）
+     * @param {string} fileName - ファイル名
+     * @returns {string|null} 'heic' | 'tiff' | 'pdf'。ブラウザがそのまま読める形式は null
+     */
+    detectFormat(header, mimeType = '', fileName = '') {
+        const ascii = (start, end) => String.fromCharCode(...header.subarray(start, end));
+
+        // ISO BMFF の ftyp ボックスのブランド（heic/heix/mif1 など）
+        if (header.length >= 12 && ascii(4, 8) === 'ftyp') {
+            const brand = ascii(8, 12);
+            if (['heic', 'heix', 'heim', 'heis', 'hevc', 'hevx', 'mif1', 'msf1'].includes(brand)) {
+                return 'heic';
+            }
+        }
+        if (header.length >= 4 &&
+            ((header[0] === 0x49 && header[1] === 0x49 && header[2] === 0x2A && header[3] === 0x00) ||
+             (header[0] === 0x4D && header[1] === 0x4D && header[2] === 0x00 && header[3] === 0x2A))) {
+            return 'tiff';
+        }
+        if (header.length >= 5 && ascii(0, 5) === '%PDF-') {
+            return 'pdf';
+        }
+
+        // 先頭で判定できない場合はMIMEタイプ・拡張子で判定
+        const type = mimeType.toLowerCase();
+        const extension = (fileName.split('.').pop() || '').toLowerCase();
+        if (type === 'image/heic' || type === 'image/heif' || ['heic', 'heif'].includes(extension)) {
+            return 'heic';
+        }
+        if (type === 'image/tiff' || ['tif', 'tiff'].includes(extension)) {
+            return 'tiff';
+        }
+        if (type === 'application/pdf' || extension === 'pdf') {
+            return 'pdf';
+        }
+
+        return null;
+    }
+
+    /**
+     * ファイルの形式の判定（先頭16バイトを読む）
+     * @param {File} file - 画像ファイル
+     * @returns {Promise<string|null>} 変換が必要な形式。不要な場合は null
+     */
+    async getFormat(file) {
+        const header = new Uint8Array(await file.slice(0, 16).arrayBuffer());
+        return this.detectFormat(header, file.type || '', file.name || '');
+    }
+
+    /**
+     * PNGへの変換
+     * @param {File} file - HEIC/HEIF・TIFF・PDFのファイル
+     * @returns {Promise<{blob: Blob, format: string, orientation: number, pageCount: number}>}
+     *          orientation は変換後の画像に適用するEXIFのOrientation値（TIFFのタグ。他は 1）
+     */
+    async decode(file) {
+        const format = await this.getFormat(file);
+
+        try {
+            let result;
+            switch (format) {
+                case 'heic':
+                    result = await this.decodeHEIC(file);
+                    break;
+                case 'tiff':
+                    result = await this.decodeTIFF(file);
+                    break;
+                case 'pdf':
+                    result = await this.decodePDF(file);
+                    break;
+                default:
+                    throw new Error('変換が必要な形式ではありません');
+            }
+
+            return {
+                blob: await this.canvasToBlob(result.canvas),
+                format,
+                orientation: result.orientation || 1,
+                pageCount: result.pageCount || 1
+            };
+
+        } catch (error) {
+            console.error(`${format}画像の変換エラー:`, error);
+            const labels = { heic: 'HEIC', tiff: 'TIFF', pdf: 'PDF' };
+            const decodeError = new Error(`${labels[format] || ''}ファイルを読み込めませんでした。JPEGまたはPNGに変換してから選択してください。`);
+            decodeError.cause = error;
+            throw decodeError;
+        }
+    }
+
+    /**
+     * HEIC/HEIFのデコード
+     * Safari などブラウザが表示できる場合はそのまま使い、できない場合は libheif（WASM）でデコードする
+     * libheif は画像の回転情報（irot/imir）を適用済みの画素を返すため、EXIFの向きは使わない
+     */
+    async decodeHEIC(file) {
+        const native = await this.decodeNatively(file);
+        if (native) {
+            return { canvas: native };
+        }
+
+        await this.loadLibrary('libheif', 'libheif-bundle.js');
+        const lib = typeof libheif === 'function' ? await libheif() : libheif;
+
+        const decoder = new lib.HeifDecoder();
+        const images = decoder.decode(new Uint8Array(await file.arrayBuffer()));
+        if (!images || images.length === 0) {
+            throw new Error('HEICファイルに画像が含まれていません');
+        }
+
+        // 複数の画像を含む場合（バースト・Live Photos など）は主画像（先頭）を使う
+        const image = images[0];
+        const width = image.get_width();
+        const height = image.get_height();
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const ctx = canvas.getContext('2d');
+        const imageData = ctx.createImageData(width, height);
+
+        await new Promise((resolve, reject) => {
+            image.display(imageData, (displayData) => {
+                if (!displayData) {
+                    reject(new Error('HEIC画像のデコードに失敗しました'));
+                    return;
+                }
+                resolve();
+            });
+        });
+        ctx.putImageData(imageData, 0, 0);
+        images.forEach(decodedImage => decodedImage.free && decodedImage.free());
+
+        return { canvas: this.limitSize(canvas) };
+    }
+
+    /**
+     * TIFFのデコード（複数ページの場合は1ページ目）
+     * Safari などブラウザが表示できる場合はそのまま使い、できない場合は UTIF でデコードする
+     */
+    async decodeTIFF(file) {
+        // ブラウザのデコーダーは向き（Orientation タグ）を適用済みの画像を返す
+        // ページ数は UTIF を読み込めた場合のみ数える（UTIF が無くても表示はできる）
+        const native = await this.decodeNatively(file);
+        if (native) {
+            let pageCount = 1;
+            try {
+                await this.loadLibrary('UTIF', 'UTIF.js');
+                pageCount = UTIF.decode(await file.arrayBuffer()).length || 1;
+            } catch (error) {
+                console.warn('TIFFのページ数を取得できませんでした:', error);
+            }
+            return { canvas: native, orientation: 1, pageCount };
+        }
+
+        await this.loadLibrary('UTIF', 'UTIF.js');
+
+        const buffer = await file.arrayBuffer();
+        const pages = UTIF.decode(buffer);
+        if (!pages || pages.length === 0) {
+            throw new Error('TIFFファイルにページが含まれていません');
+        }
+
+        const page = pages[0];
+        const orientation = page.t274 ? page.t274[0] : 1;
+
+        UTIF.decodeImage(buffer, page);
+        const rgba = UTIF.toRGBA8(page);
+        const canvas = document.createElement('canvas');
+        canvas.width = page.width;
+        canvas.height = page.height;
+        canvas.getContext('2d').putImageData(
+            new ImageData(new Uint8ClampedArray(rgba.buffer, rgba.byteOffset, rgba.length), page.width, page.height),
+            0, 0
+        );
+
+        return { canvas: this.limitSize(canvas), orientation, pageCount: pages.length };
+    }
+
+    /**
+     * PDFの1ページ目を描画（長辺が pdfRenderSize になる倍率）
+     */
+    async decodePDF(file) {
+        await this.loadLibrary('pdfjsLib', 'pdf.min.js');
+        pdfjsLib.GlobalWorkerOptions.workerSrc = this.options.libraryPath + 'pdf.worker.min.js';
+
+        const pdf = await pdfjsLib.getDocument({ data: new Uint8Array(await file.arrayBuffer()) }).promise;
+        try {
+            const page = await pdf.getPage(1);
+            const baseViewport = page.getViewport({ scale: 1 });
+            const scale = this.options.pdfRenderSize / Math.max(baseViewport.width, baseViewport.height);
+            const viewport = page.getViewport({ scale });
+
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.round(viewport.width);
+            canvas.height = Math.round(viewport.height);
+            const ctx = canvas.getContext('2d');
+
+            // 透明な背景は白にする
+            ctx.fillStyle = '#ffffff';
+            ctx.fillRect(0, 0, canvas.width, canvas.height);
+            await page.render({ canvasContext: ctx, viewport }).promise;
+
+            return { canvas, pageCount: pdf.numPages };
+
+        } finally {
+            pdf.destroy();
+        }
+    }
+
+    /**
+     * ブラウザ自身のデコーダーでの読み込み（対応していなければ null）
+     */
+    async decodeNatively(file) {
+        if (typeof createImageBitmap === 'undefined') {
+            return null;
+        }
+
+        try {
+            const bitmap = await createImageBitmap(file);
+            const canvas = document.createElement('canvas');
+            canvas.width = bitmap.width;
+            canvas.height = bitmap.height;
+            canvas.getContext('2d').drawImage(bitmap, 0, 0);
+            bitmap.close();
+            return this.limitSize(canvas);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * 長辺が maxSize を超える場合は縮小
+     */
+    limitSize(canvas) {
+        const scale = this.options.maxSize / Math.max(canvas.width, canvas.height);
+        if (scale >= 1) {
+            return canvas;
+        }
+
+        const resized = document.createElement('canvas');
+        resized.width = Math.round(canvas.width * scale);
+        resized.height = Math.round(canvas.height * scale);
+        resized.getContext('2d').drawImage(canvas, 0, 0, resized.width, resized.height);
+        return resized;
+    }
+
+    /**
+     * CanvasをPNGのBlobに変換
+     */
+    canvasToBlob(canvas) {
+        return new Promise((resolve, reject) => {
+            canvas.toBlob(blob => {
+                if (blob) {
+                    resolve(blob);
+                } else {
+                    reject(new Error('変換後の画像の作成に失敗しました'));
+                }
+            }, 'image/png');
+        });
+    }
+
+    /**
+     * デコーダーのスクリプトの読み込み（読み込み済みなら何もしない）
+     * @param {string} globalName - スクリプトが定義するグローバル変数名
+     * @param {string} fileName - libs/ 内のファイル名
+     */
+    loadLibrary(globalName, fileName) {
+        if (typeof window[globalName] !== 'undefined') {
+            return Promise.resolve();
+        }
+
+        if (!this.libraryPromises.has(globalName)) {
+            const promise = new Promise((resolve, reject) => {
+                const script = document.createElement('script');
+                script.src = this.options.libraryPath + fileName;
+                script.onload = () => {
+                    if (typeof window[globalName] === 'undefined') {
+                        reject(new Error(`${fileName} に ${globalName} が定義されていません`));
+                        return;
+                    }
+                    resolve();
+                };
+                script.onerror = () => reject(new Error(`${fileName} の読み込みに失敗しました`));
+                document.head.appendChild(script);
+            });
+
+            // 失敗した場合は次回読み込み直せるようにする
+            promise.catch(() => this.libraryPromises.delete(globalName));
+            this.libraryPromises.set(globalName, promise);
+        }
+
+        return this.libraryPromises.get(globalName);
+    }
+}
+
+// モジュールとしてエクスポート
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ReceiptImageDecoder;
+} else {
+    window.ReceiptImageDecoder = ReceiptImageDecoder;
+}
@@ -0,0 +1,386 @@
+/**
+ * OCR用画像前処理パイプライン
+ * コントラスト補正（コントラスト伸張・CLAHE）、適応的二値化、影・背景の平坦化、ノイズ除去、シャープ化を
+ * 組み合わせて適用する。感熱紙（'thermal'）や写真（'photo'）向けの名前付きプリセットを持つ
+ * 各ステップはグレースケールの輝度面（{data: Uint8ClampedArray, width, height}）を受け取り、新しい輝度面を返す
+ */
+
+class ImagePreprocessor {
+    constructor() {
+        // ステップ名 → 処理関数
+        this.steps = {
+            contrastStretch: this.contrastStretch.bind(this),
+            clahe: this.clahe.bind(this),
+            adaptiveBinarize: this.adaptiveBinarize.bind(this),
+            flattenBackground: this.flattenBackground.bind(this),
+            denoise: this.denoise.bind(this),
+            sharpen: this.sharpen.bind(this)
+        };
+    }
+
+    /**
+     * 前処理の適用
+     * @param {ImageData} imageData - 入力画像
+     * @param {string|Array} pipeline - プリセット名、またはステップの配列（'clahe' や { step: 'clahe', options: {...} }）
+     * @returns {ImageData} 前処理後の画像（グレースケール）
+     */
+    process(imageData, pipeline) {
+        const steps = this.resolvePipeline(pipeline);
+        let plane = this.toLuminance(imageData);
+
+        for (const { step, options } of steps) {
+            plane = this.steps[step](plane, options || {});
+        }
+
+        return this.toImageData(plane);
+    }
+
+    /**
+     * プリセット名またはステップ配列を { step, options } の配列に解決
+     */
+    resolvePipeline(pipeline) {
+        let steps = pipeline;
+        if (typeof pipeline === 'string') {
+            steps = ImagePreprocessor.PRESETS[pipeline];
+            if (!steps) {
+                throw new Error(`未知の前処理プリセット: ${pipeline}`);
+            }
+        }
+
+        if (!Array.isArray(steps)) {
+            throw new Error('前処理の指定が不正です');
+        }
+
+        return steps.map(item => {
+            const resolved = typeof item === 'string' ? { step: item } : item;
+            if (!this.steps[resolved.step]) {
+                throw new Error(`未知の前処理ステップ: ${resolved.step}`);
+            }
+            return resolved;
+        });
+    }
+
+    /**
+     * RGBA画像を輝度面に変換
+     */
+    toLuminance(imageData) {
+        const { width, height, data } = imageData;
+        const luminance = new Uint8ClampedArray(width * height);
+
+        for (let i = 0; i < luminance.length; i++) {
+            const p = i * 4;
+            luminance[i] = data[p] * 0.299 + data[p + 1] * 0.587 + data[p + 2] * 0.114;
+        }
+
+        return { data: luminance, width, height };
+    }
+
+    /**
+     * 輝度面をRGBA画像に変換（ImageDataが無い環境では同じ形のオブジェクトを返す）
+     */
+    toImageData(plane) {
+        const { width, height } = plane;
+        const data = new Uint8ClampedArray(width * height * 4);
+
+        for (let i = 0; i < plane.data.length; i++) {
+            const p = i * 4;
+            data[p] = data[p + 1] = data[p + 2] = plane.data[i];
+            data[p + 3] = 255;
+        }
+
+        return typeof ImageData !== 'undefined'
+            ? new ImageData(data, width, height)
+            : { width, height, data };
+    }
+
+    /**
+     * コントラスト伸張
+     * 輝度の下位・上位パーセンタイルを0と255に引き伸ばす（色あせた感熱紙の文字を濃くする）
+     */
+    contrastStretch(plane, options = {}) {
+        const low = options.low !== undefined ? options.low : 0.01;
+        const high = options.high !== undefined ? options.high : 0.99;
+        const histogram = this.calculateHistogram(plane.data);
+        const total = plane.data.length;
+
+        let minLevel = -1;
+        let maxLevel = -1;
+        let cumulative = 0;
+        for (let level = 0; level < 256; level++) {
+            cumulative += histogram[level];
+            if (minLevel < 0 && cumulative > total * low) {
+                minLevel = level;
+            }
+            if (maxLevel < 0 && cumulative >= total * high) {
+                maxLevel = level;
+            }
+        }
+
+        const range = Math.max(1, maxLevel - minLevel);
+        const output = new Uint8ClampedArray(plane.data.length);
+        for (let i = 0; i < output.length; i++) {
+            output[i] = (plane.data[i] - minLevel) * 255 / range;
+        }
+
+        return { ...plane, data: output };
+    }
+
+    /**
+     * CLAHE（コントラスト制限付き適応ヒストグラム平坦化）
+     * 画像をタイルに分けてヒストグラム平坦化し、タイル間は双線形補間する
+     */
+    clahe(plane, options = {}) {
+        const { data, width, height } = plane;
+        const gridSize = options.gridSize || 8;
+        const clipLimit = options.clipLimit || 2.0;
+        const tilesX = Math.max(1, Math.min(gridSize, Math.floor(width / 8)));
+        const tilesY = Math.max(1, Math.min(gridSize, Math.floor(height / 8)));
+        const tileWidth = width / tilesX;
+        const tileHeight = height / tilesY;
+
+        // タイルごとの変換表
+        const lookupTables = [];
+        for (let ty = 0; ty < tilesY; ty++) {
+            for (let tx = 0; tx < tilesX; tx++) {
+                const x0 = Math.floor(tx * tileWidth);
+                const x1 = Math.floor((tx + 1) * tileWidth);
+                const y0 = Math.floor(ty * tileHeight);
+                const y1 = Math.floor((ty + 1) * tileHeight);
+
+                const histogram = new Uint32Array(256);
+                for (let y = y0; y < y1; y++) {
+                    for (let x = x0; x < x1; x++) {
+                        histogram[data[y * width + x]]++;
+                    }
+                }
+
+                lookupTables.push(this.createClippedEqualization(histogram, (x1 - x0) * (y1 - y0), clipLimit));
+            }
+        }
+
+        const output = new Uint8ClampedArray(data.length);
+        for (let y = 0; y < height; y++) {
+            // 隣接するタイル中心の間での位置
+            const gy = Math.min(tilesY - 1, Math.max(0, (y + 0.5) / tileHeight - 0.5));
+            const ty0 = Math.floor(gy);
+            const ty1 = Math.min(tilesY - 1, ty0 + 1);
+            const wy = gy - ty0;
+
+            for (let x = 0; x < width; x++) {
+                const gx = Math.min(tilesX - 1, Math.max(0, (x + 0.5) / tileWidth - 0.5));
+                const tx0 = Math.floor(gx);
+                const tx1 = Math.min(tilesX - 1, tx0 + 1);
+                const wx = gx - tx0;
+
+                const value = data[y * width + x];
+                const top = lookupTables[ty0 * tilesX + tx0][value] * (1 - wx) + lookupTables[ty0 * tilesX + tx1][value] * wx;
+                const bottom = lookupTables[ty1 * tilesX + tx0][value] * (1 - wx) + lookupTables[ty1 * tilesX + tx1][value] * wx;
+                output[y * width + x] = top * (1 - wy) + bottom * wy;
+            }
+        }
+
+        return { ...plane, data: output };
+    }
+
+    /**
+     * クリップしたヒストグラムから平坦化の変換表を作成（超過分は全階調に均等に再配分）
+     */
+    createClippedEqualization(histogram, pixelCount, clipLimit) {
+        const limit = Math.max(1, Math.floor(clipLimit * pixelCount / 256));
+        let excess = 0;
+
+        for (let level = 0; level < 256; level++) {
+            if (histogram[level] > limit) {
+                excess += histogram[level] - limit;
+                histogram[level] = limit;
+            }
+        }
+
+        const increment = excess / 256;
+        const lookupTable = new Uint8ClampedArray(256);
+        let cumulative = 0;
+        for (let level = 0; level < 256; level++) {
+            cumulative += histogram[level] + increment;
+            lookupTable[level] = Math.round(cumulative * 255 / Math.max(1, pixelCount));
+        }
+
+        return lookupTable;
+    }
+
+    /**
+     * 適応的二値化（周囲の平均輝度から offset 以上暗い画素を文字とする）
+     */
+    adaptiveBinarize(plane, options = {}) {
+        const { data, width, height } = plane;
+        const radius = Math.floor((options.windowSize || 25) / 2);
+        const offset = options.offset !== undefined ? options.offset : 10;
+        const mean = this.boxBlur(plane, radius).data;
+
+        const output = new Uint8ClampedArray(data.length);
+        for (let i = 0; i < data.length; i++) {
+            output[i] = data[i] < mean[i] - offset ? 0 : 255;
+        }
+
+        return { data: output, width, height };
+    }
+
+    /**
+     * 影・背景の平坦化
+     * ブロックごとの最大輝度（紙の明るさ）をぼかして背景とし、画素を背景で割って照明むらを除く
+     */
+    flattenBackground(plane, options = {}) {
+        const { data, width, height } = plane;
+        const blockSize = options.blockSize || Math.max(8, Math.round(Math.max(width, height) / 40));
+        const gridWidth = Math.ceil(width / blockSize);
+        const gridHeight = Math.ceil(height / blockSize);
+
+        // ブロック内の最大輝度（文字を除いた紙の明るさ）
+        let grid = new Float32Array(gridWidth * gridHeight);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const g = Math.floor(y / blockSize) * gridWidth + Math.floor(x / blockSize);
+                grid[g] = Math.max(grid[g], data[y * width + x]);
+            }
+        }
+
+        // 背景を滑らかにする（3x3の平均を2回）
+        for (let pass = 0; pass < 2; pass++) {
+            grid = this.boxBlur({ data: grid, width: gridWidth, height: gridHeight }, 1, Float32Array).data;
+        }
+
+        const output = new Uint8ClampedArray(data.length);
+        for (let y = 0; y < height; y++) {
+            const gy = Math.min(gridHeight - 1, Math.max(0, (y + 0.5) / blockSize - 0.5));
+            const gy0 = Math.floor(gy);
+            const gy1 = Math.min(gridHeight - 1, gy0 + 1);
+            const wy = gy - gy0;
+
+            for (let x = 0; x < width; x++) {
+                const gx = Math.min(gridWidth - 1, Math.max(0, (x + 0.5) / blockSize - 0.5));
+                const gx0 = Math.floor(gx);
+                const gx1 = Math.min(gridWidth - 1, gx0 + 1);
+                const wx = gx - gx0;
+
+                const background =
+                    (grid[gy0 * gridWidth + gx0] * (1 - wx) + grid[gy0 * gridWidth + gx1] * wx) * (1 - wy) +
+                    (grid[gy1 * gridWidth + gx0] * (1 - wx) + grid[gy1 * gridWidth + gx1] * wx) * wy;
+
+                output[y * width + x] = data[y * width + x] * 255 / Math.max(1, background);
+            }
+        }
+
+        return { data: output, width, height };
+    }
+
+    /**
+     * ノイズ除去（メディアンフィルタ）
+     */
+    denoise(plane, options = {}) {
+        const { data, width, height } = plane;
+        const radius = options.radius || 1;
+        const output = new Uint8ClampedArray(data.length);
+        const neighbors = [];
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                neighbors.length = 0;
+                for (let dy = -radius; dy <= radius; dy++) {
+                    const sy = Math.min(height - 1, Math.max(0, y + dy));
+                    for (let dx = -radius; dx <= radius; dx++) {
+                        const sx = Math.min(width - 1, Math.max(0, x + dx));
+                        neighbors.push(data[sy * width + sx]);
+                    }
+                }
+                neighbors.sort((a, b) => a - b);
+                output[y * width + x] = neighbors[neighbors.length >> 1];
+            }
+        }
+
+        return { data: output, width, height };
+    }
+
+    /**
+     * シャープ化（アンシャープマスク）
+     */
+    sharpen(plane, options = {}) {
+        const { data, width, height } = plane;
+        const amount = options.amount !== undefined ? options.amount : 1.0;
+        const blurred = this.boxBlur(plane, options.radius || 1).data;
+
+        const output = new Uint8ClampedArray(data.length);
+        for (let i = 0; i < data.length; i++) {
+            output[i] = data[i] + amount * (data[i] - blurred[i]);
+        }
+
+        return { data: output, width, height };
+    }
+
+    /**
+     * 輝度ヒストグラム
+     */
+    calculateHistogram(data) {
+        const histogram = new Uint32Array(256);
+        for (let i = 0; i < data.length; i++) {
+            histogram[data[i]]++;
+        }
+        return histogram;
+    }
+
+    /**
+     * 積分画像による平均フィルタ（半径 radius の正方形窓、画像端では窓を縮める）
+     */
+    boxBlur(plane, radius, ArrayType = Uint8ClampedArray) {
+        const { data, width, height } = plane;
+        const integral = new Float64Array((width + 1) * (height + 1));
+
+        for (let y = 0; y < height; y++) {
+            let rowSum = 0;
+            for (let x = 0; x < width; x++) {
+                rowSum += data[y * width + x];
+                integral[(y + 1) * (width + 1) + x + 1] = integral[y * (width + 1) + x + 1] + rowSum;
+            }
+        }
+
+        const output = new ArrayType(data.length);
+        for (let y = 0; y < height; y++) {
+            const y0 = Math.max(0, y - radius);
+            const y1 = Math.min(height, y + radius + 1);
+            for (let x = 0; x < width; x++) {
+                const x0 = Math.max(0, x - radius);
+                const x1 = Math.min(width, x + radius + 1);
+                const sum = integral[y1 * (width + 1) + x1] - integral[y0 * (width + 1) + x1] -
+                    integral[y1 * (width + 1) + x0] + integral[y0 * (width + 1) + x0];
+                output[y * width + x] = sum / ((x1 - x0) * (y1 - y0));
+            }
+        }
+
+        return { data: output, width, height };
+    }
+}
+
+/**
+ * 名前付きプリセット
+ * thermal: 色あせて薄い感熱紙向け。背景を平坦化してコントラストを上げ、二値化する
+ * photo: 影や照明むらのある写真向け。二値化はせず、局所コントラストと輪郭を強める
+ */
+ImagePreprocessor.PRESETS = {
+    thermal: [
+        { step: 'flattenBackground' },
+        { step: 'contrastStretch' },
+        { step: 'clahe', options: { clipLimit: 3.0 } },
+        { step: 'denoise' },
+        { step: 'adaptiveBinarize', options: { windowSize: 31, offset: 12 } }
+    ],
+    photo: [
+        { step: 'flattenBackground' },
+        { step: 'clahe', options: { clipLimit: 2.0 } },
+        { step: 'sharpen', options: { amount: 0.6 } }
+    ]
+};
+
+// モジュールとしてエクスポート（OCR Worker内でも使うため self に公開する）
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ImagePreprocessor;
+} else {
+    self.ImagePreprocessor = ImagePreprocessor;
+}
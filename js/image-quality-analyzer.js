@@ -0,0 +1,240 @@
+/**
+ * 画像品質分析クラス
+ * OCR実行前にピンぼけ・白飛び・暗さ・文字の解像度を測定し、再撮影を促す警告を返す
+ */
+
+class ImageQualityAnalyzer {
+    constructor(options = {}) {
+        this.options = {
+            maxAnalysisSize: 1024, // 分析時の長辺の最大サイズ（これより大きい画像は縮小して測定）
+            blurThreshold: 100, // ラプラシアン分散がこの値未満でピンぼけ
+            clippedLevel: 250, // RGBすべてがこの値以上の画素を白飛びとみなす
+            glareRatioThreshold: 0.15, // 白飛び画素の割合がこの値以上で反射・白飛び
+            darkLuminanceThreshold: 70, // 平均輝度がこの値未満で暗すぎる
+            minTextHeight: 8, // 推定した文字行の高さ（元画像px）がこの値未満で解像度不足
+            ...options,
+            // チェックごとの扱い: 'block'（OCRを実行しない）, 'warn'（警告して実行）, 'ignore'
+            policy: {
+                blur: 'block',
+                glare: 'warn',
+                darkness: 'warn',
+                resolution: 'warn',
+                ...(options.policy || {})
+            }
+        };
+    }
+
+    /**
+     * 画像品質の分析
+     * @param {ImageData} imageData - 分析対象の画像データ
+     * @param {number} sourceScale - 元画像のpxと imageData のpxの比（元画像を縮小して渡した場合。文字行の高さを元画像pxに換算する）
+     * @returns {Object} 測定値（metrics）、問題点（issues）、判定（action: 'proceed' | 'warn' | 'block'）
+     */
+    analyze(imageData, sourceScale = 1) {
+        if (!imageData || !imageData.data || !imageData.width || !imageData.height) {
+            throw new Error('分析対象の画像データが不正です');
+        }
+
+        const gray = this.toGrayscale(imageData);
+        const textHeight = this.estimateTextHeight(gray);
+
+        const metrics = {
+            width: imageData.width,
+            height: imageData.height,
+            laplacianVariance: this.calculateLaplacianVariance(gray),
+            clippedHighlightRatio: this.calculateClippedHighlightRatio(imageData),
+            meanLuminance: this.calculateMeanLuminance(gray),
+            textHeight: textHeight !== null ? textHeight * sourceScale : null
+        };
+
+        const issues = this.evaluate(metrics);
+        const blocked = issues.some(issue => issue.severity === 'block');
+
+        return {
+            metrics,
+            issues,
+            blocked,
+            action: blocked ? 'block' : (issues.length > 0 ? 'warn' : 'proceed')
+        };
+    }
+
+    /**
+     * 測定値をしきい値と比較し、ポリシーに従って問題点を列挙
+     */
+    evaluate(metrics) {
+        const { blurThreshold, glareRatioThreshold, darkLuminanceThreshold, minTextHeight } = this.options;
+        const checks = [
+            {
+                type: 'blur',
+                failed: metrics.laplacianVariance < blurThreshold,
+                value: metrics.laplacianVariance,
+                threshold: blurThreshold,
+                message: '再撮影: ピンぼけしています',
+                advice: 'カメラを固定し、ピントを合わせてから撮影してください'
+            },
+            {
+                type: 'glare',
+                failed: metrics.clippedHighlightRatio >= glareRatioThreshold,
+                value: metrics.clippedHighlightRatio,
+                threshold: glareRatioThreshold,
+                message: '再撮影: 反射・白飛びがあります',
+                advice: '照明が映り込まない角度から撮影してください'
+            },
+            {
+                type: 'darkness',
+                failed: metrics.meanLuminance < darkLuminanceThreshold,
+                value: metrics.meanLuminance,
+                threshold: darkLuminanceThreshold,
+                message: '再撮影: 画像が暗すぎます',
+                advice: '明るい場所で撮影してください'
+            },
+            {
+                // 文字行が見つからない場合は判定しない
+                type: 'resolution',
+                failed: metrics.textHeight !== null && metrics.textHeight < minTextHeight,
+                value: metrics.textHeight,
+                threshold: minTextHeight,
+                message: '再撮影: 文字が小さすぎます',
+                advice: '領収書に近づいて、画面いっぱいに写るように撮影してください'
+            }
+        ];
+
+        return checks
+            .filter(check => check.failed && this.options.policy[check.type] !== 'ignore')
+            .map(({ failed, ...check }) => ({
+                ...check,
+                severity: this.options.policy[check.type] === 'block' ? 'block' : 'warn'
+            }));
+    }
+
+    /**
+     * グレースケール化（長辺が maxAnalysisSize を超える場合は面積平均で縮小）
+     * @returns {{data: Float32Array, width: number, height: number, scale: number}}
+     */
+    toGrayscale(imageData) {
+        const { width, height, data } = imageData;
+        const step = Math.max(1, Math.ceil(Math.max(width, height) / this.options.maxAnalysisSize));
+        const outWidth = Math.floor(width / step) || 1;
+        const outHeight = Math.floor(height / step) || 1;
+        const gray = new Float32Array(outWidth * outHeight);
+
+        for (let y = 0; y < outHeight; y++) {
+            for (let x = 0; x < outWidth; x++) {
+                let sum = 0;
+                let count = 0;
+                for (let dy = 0; dy < step && y * step + dy < height; dy++) {
+                    for (let dx = 0; dx < step && x * step + dx < width; dx++) {
+                        const i = ((y * step + dy) * width + x * step + dx) * 4;
+                        sum += data[i] * 0.299 + data[i + 1] * 0.587 + data[i + 2] * 0.114;
+                        count++;
+                    }
+                }
+                gray[y * outWidth + x] = sum / count;
+            }
+        }
+
+        return { data: gray, width: outWidth, height: outHeight, scale: step };
+    }
+
+    /**
+     * ラプラシアン分散（4近傍ラプラシアンの分散。小さいほどエッジが弱くピンぼけ）
+     */
+    calculateLaplacianVariance(gray) {
+        const { data, width, height } = gray;
+        if (width < 3 || height < 3) {
+            return 0;
+        }
+
+        let sum = 0;
+        let sumSquares = 0;
+        let count = 0;
+
+        for (let y = 1; y < height - 1; y++) {
+            for (let x = 1; x < width - 1; x++) {
+                const i = y * width + x;
+                const laplacian = data[i - 1] + data[i + 1] + data[i - width] + data[i + width] - 4 * data[i];
+                sum += laplacian;
+                sumSquares += laplacian * laplacian;
+                count++;
+            }
+        }
+
+        const mean = sum / count;
+        return sumSquares / count - mean * mean;
+    }
+
+    /**
+     * 白飛び画素（RGBすべてが clippedLevel 以上）の割合
+     */
+    calculateClippedHighlightRatio(imageData) {
+        const { data } = imageData;
+        const level = this.options.clippedLevel;
+        const pixelCount = data.length / 4;
+        let clipped = 0;
+
+        for (let i = 0; i < data.length; i += 4) {
+            if (data[i] >= level && data[i + 1] >= level && data[i + 2] >= level) {
+                clipped++;
+            }
+        }
+
+        return clipped / pixelCount;
+    }
+
+    /**
+     * 平均輝度（0-255）
+     */
+    calculateMeanLuminance(gray) {
+        let sum = 0;
+        for (let i = 0; i < gray.data.length; i++) {
+            sum += gray.data[i];
+        }
+        return sum / gray.data.length;
+    }
+
+    /**
+     * 実効的な文字の解像度として、文字行の高さ（元画像のpx）の中央値を推定
+     * 平均輝度より十分暗い画素を文字とみなし、水平方向の投影で行を切り出す
+     * @returns {number|null} 文字行が見つからない場合は null
+     */
+    estimateTextHeight(gray) {
+        const { data, width, height, scale } = gray;
+        const threshold = this.calculateMeanLuminance(gray) * 0.6;
+        const minInkPixels = Math.max(1, Math.round(width * 0.01));
+        const lineHeights = [];
+        let lineStart = -1;
+
+        for (let y = 0; y <= height; y++) {
+            let ink = 0;
+            if (y < height) {
+                for (let x = 0; x < width; x++) {
+                    if (data[y * width + x] < threshold) {
+                        ink++;
+                    }
+                }
+            }
+
+            const isTextRow = ink >= minInkPixels;
+            if (isTextRow && lineStart < 0) {
+                lineStart = y;
+            } else if (!isTextRow && lineStart >= 0) {
+                lineHeights.push((y - lineStart) * scale);
+                lineStart = -1;
+            }
+        }
+
+        if (lineHeights.length === 0) {
+            return null;
+        }
+
+        lineHeights.sort((a, b) => a - b);
+        return lineHeights[Math.floor(lineHeights.length / 2)];
+    }
+}
+
+// モジュールとしてエクスポート（フレーム解析Worker内でも使うため self に公開する）
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ImageQualityAnalyzer;
+} else {
+    self.ImageQualityAnalyzer = ImageQualityAnalyzer;
+}
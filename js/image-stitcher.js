@@ -0,0 +1,315 @@
+/**
+ * 長い領収書の分割撮影画像のつなぎ合わせ
+ * 上から順に撮影した画像の隣り合う組ごとに、重なっている部分を文字行の並び（行ごとの濃さの分布）で
+ * 大まかに探してから画素の相関で縦横のずれを決め、1枚の画像に合成する
+ */
+
+class ImageStitcher {
+    constructor(options = {}) {
+        this.options = {
+            analysisWidth: 300, // 位置合わせに使う画像の幅（これに縮小して測定）
+            minOverlapRatio: 0.05, // 重なりの高さの下限（短い方の画像の高さに対する割合）
+            maxOverlapRatio: 0.7, // 重なりの高さの上限（同上）
+            maxShiftRatio: 0.08, // 横方向のずれの上限（幅に対する割合）
+            candidateCount: 5, // 文字行の並びから選ぶ重なりの候補数
+            minScore: 0.5, // 画素の相関がこの値未満なら重なりを検出できなかったとみなす
+            ...options
+        };
+    }
+
+    /**
+     * 画像のつなぎ合わせ
+     * 幅の異なる画像は1枚目の幅にそろえてから合成する。重なりを検出できなかった組はそのまま縦に並べる
+     * @param {Array<ImageData>} images - 上から順に撮影した画像
+     * @returns {{imageData: ImageData, placements: Array<{x: number, y: number}>, overlaps: Array<Object>}}
+     *          placements は合成画像での各画像の左上の位置、overlaps は隣り合う組ごとの位置合わせの結果
+     */
+    stitch(images) {
+        if (!Array.isArray(images) || images.length === 0) {
+            throw new Error('つなぎ合わせる画像がありません');
+        }
+        for (const image of images) {
+            if (!image || !image.data || !image.width || !image.height) {
+                throw new Error('つなぎ合わせる画像データが不正です');
+            }
+        }
+
+        const width = images[0].width;
+        const normalized = images.map(image => image.width === width ? image : this.resizeToWidth(image, width));
+
+        const overlaps = [];
+        const placements = [{ x: 0, y: 0 }];
+        for (let i = 1; i < normalized.length; i++) {
+            const overlap = this.findOverlap(normalized[i - 1], normalized[i]);
+            const previous = placements[i - 1];
+            overlaps.push(overlap);
+            placements.push({
+                x: previous.x + overlap.offsetX,
+                y: previous.y + normalized[i - 1].height - overlap.height
+            });
+        }
+
+        // 左にはみ出した分だけ全体を右にずらす
+        const minX = Math.min(...placements.map(placement => placement.x));
+        placements.forEach(placement => { placement.x -= minX; });
+
+        return {
+            imageData: this.compose(normalized, placements, overlaps),
+            placements,
+            overlaps
+        };
+    }
+
+    /**
+     * 上の画像の下端と下の画像の上端の重なりを探す
+     * @returns {{height: number, offsetX: number, score: number, matched: boolean}}
+     *          height は重なりの高さ、offsetX は上の画像に対する下の画像の横のずれ（元の画像のpx）
+     */
+    findOverlap(top, bottom) {
+        const scale = Math.min(1, this.options.analysisWidth / top.width);
+        const topGray = this.toGrayscale(top, scale);
+        const bottomGray = this.toGrayscale(bottom, scale);
+
+        const minHeight = Math.min(topGray.height, bottomGray.height);
+        const minOverlap = Math.max(2, Math.round(minHeight * this.options.minOverlapRatio));
+        const maxOverlap = Math.max(minOverlap, Math.round(minHeight * this.options.maxOverlapRatio));
+        const maxShift = Math.round(topGray.width * this.options.maxShiftRatio);
+
+        // 文字行の並びが一致する重なりの高さを候補にする
+        const candidates = this.findProfileCandidates(
+            this.rowProfile(topGray), this.rowProfile(bottomGray), minOverlap, maxOverlap
+        );
+
+        // 候補の前後で縦横のずれを変えながら画素の相関を測る
+        let best = { height: 0, offsetX: 0, score: -Infinity };
+        const tested = new Set();
+        for (const candidate of candidates) {
+            for (let height = candidate - 2; height <= candidate + 2; height++) {
+                if (height < minOverlap || height > maxOverlap || tested.has(height)) {
+                    continue;
+                }
+                tested.add(height);
+
+                for (let offsetX = -maxShift; offsetX <= maxShift; offsetX++) {
+                    const score = this.regionCorrelation(topGray, bottomGray, height, offsetX);
+                    if (score > best.score) {
+                        best = { height, offsetX, score };
+                    }
+                }
+            }
+        }
+
+        if (best.score < this.options.minScore) {
+            return { height: 0, offsetX: 0, score: Math.max(0, best.score), matched: false };
+        }
+
+        return {
+            height: Math.round(best.height / scale),
+            offsetX: Math.round(best.offsetX / scale),
+            score: best.score,
+            matched: true
+        };
+    }
+
+    /**
+     * 行ごとの平均の濃さ（文字行のある行ほど大きい）
+     */
+    rowProfile(gray) {
+        const { data, width, height } = gray;
+        const profile = new Float32Array(height);
+        for (let y = 0; y < height; y++) {
+            let sum = 0;
+            for (let x = 0; x < width; x++) {
+                sum += 255 - data[y * width + x];
+            }
+            profile[y] = sum / width;
+        }
+        return profile;
+    }
+
+    /**
+     * 上の画像の末尾と下の画像の先頭の濃さの分布の相関が高い重なりの高さを、相関の高い順に返す
+     */
+    findProfileCandidates(topProfile, bottomProfile, minOverlap, maxOverlap) {
+        const scores = [];
+        for (let height = minOverlap; height <= maxOverlap; height++) {
+            scores.push({
+                height,
+                score: this.correlation(topProfile.subarray(topProfile.length - height), bottomProfile.subarray(0, height))
+            });
+        }
+
+        return scores
+            .filter((entry, i) =>
+                (i === 0 || entry.score >= scores[i - 1].score) &&
+                (i === scores.length - 1 || entry.score >= scores[i + 1].score))
+            .sort((a, b) => b.score - a.score)
+            .slice(0, this.options.candidateCount)
+            .map(entry => entry.height);
+    }
+
+    /**
+     * 重なり部分の画素の相関（正規化相互相関）
+     * 上の画像の末尾 height 行と、offsetX だけ横にずらした下の画像の先頭 height 行を比べる
+     */
+    regionCorrelation(top, bottom, height, offsetX) {
+        const width = Math.min(top.width, bottom.width);
+        const startX = Math.max(0, offsetX);
+        const endX = Math.min(width, width + offsetX);
+        const topStart = top.height - height;
+
+        let count = 0;
+        let sumA = 0;
+        let sumB = 0;
+        let sumAA = 0;
+        let sumBB = 0;
+        let sumAB = 0;
+
+        // 計算量を抑えるため2画素おきに測る
+        for (let y = 0; y < height; y += 2) {
+            for (let x = startX; x < endX; x += 2) {
+                const a = top.data[(topStart + y) * top.width + x];
+                const b = bottom.data[y * bottom.width + x - offsetX];
+                sumA += a;
+                sumB += b;
+                sumAA += a * a;
+                sumBB += b * b;
+                sumAB += a * b;
+                count++;
+            }
+        }
+
+        return this.normalizedCorrelation(count, sumA, sumB, sumAA, sumBB, sumAB);
+    }
+
+    /**
+     * 同じ長さの2つの数列の相関
+     */
+    correlation(a, b) {
+        let sumA = 0;
+        let sumB = 0;
+        let sumAA = 0;
+        let sumBB = 0;
+        let sumAB = 0;
+        for (let i = 0; i < a.length; i++) {
+            sumA += a[i];
+            sumB += b[i];
+            sumAA += a[i] * a[i];
+            sumBB += b[i] * b[i];
+            sumAB += a[i] * b[i];
+        }
+        return this.normalizedCorrelation(a.length, sumA, sumB, sumAA, sumBB, sumAB);
+    }
+
+    /**
+     * 和から相関係数を計算（どちらかが一様で分散が無い場合は 0）
+     */
+    normalizedCorrelation(count, sumA, sumB, sumAA, sumBB, sumAB) {
+        if (count === 0) {
+            return 0;
+        }
+        const covariance = sumAB - sumA * sumB / count;
+        const varianceA = sumAA - sumA * sumA / count;
+        const varianceB = sumBB - sumB * sumB / count;
+        if (varianceA <= 1e-6 || varianceB <= 1e-6) {
+            return 0;
+        }
+        return covariance / Math.sqrt(varianceA * varianceB);
+    }
+
+    /**
+     * 画像の合成
+     * 重なり部分は中央で切り替え、撮影画像の端（歪みやすい部分）を使わないようにする
+     */
+    compose(images, placements, overlaps) {
+        const width = Math.max(...images.map((image, i) => placements[i].x + image.width));
+        const last = images.length - 1;
+        const height = placements[last].y + images[last].height;
+        const data = new Uint8ClampedArray(width * height * 4).fill(255);
+
+        images.forEach((image, i) => {
+            const startRow = i === 0 ? 0 : Math.floor(overlaps[i - 1].height / 2);
+            const { x: left, y: top } = placements[i];
+
+            for (let y = startRow; y < image.height; y++) {
+                const sourceRow = y * image.width * 4;
+                const targetRow = ((top + y) * width + left) * 4;
+                data.set(image.data.subarray(sourceRow, sourceRow + image.width * 4), targetRow);
+            }
+        });
+
+        return typeof ImageData !== 'undefined'
+            ? new ImageData(data, width, height)
+            : { width, height, data };
+    }
+
+    /**
+     * グレースケール化（scale 倍に縮小。縮小は面積平均）
+     * @returns {{data: Float32Array, width: number, height: number}}
+     */
+    toGrayscale(imageData, scale) {
+        const { width, height, data } = imageData;
+        const outWidth = Math.max(1, Math.round(width * scale));
+        const outHeight = Math.max(1, Math.round(height * scale));
+        const gray = new Float32Array(outWidth * outHeight);
+        const stepX = width / outWidth;
+        const stepY = height / outHeight;
+
+        for (let y = 0; y < outHeight; y++) {
+            const y0 = Math.floor(y * stepY);
+            const y1 = Math.max(y0 + 1, Math.floor((y + 1) * stepY));
+            for (let x = 0; x < outWidth; x++) {
+                const x0 = Math.floor(x * stepX);
+                const x1 = Math.max(x0 + 1, Math.floor((x + 1) * stepX));
+                let sum = 0;
+                for (let sy = y0; sy < y1; sy++) {
+                    for (let sx = x0; sx < x1; sx++) {
+                        const i = (sy * width + sx) * 4;
+                        sum += data[i] * 0.299 + data[i + 1] * 0.587 + data[i + 2] * 0.114;
+                    }
+                }
+                gray[y * outWidth + x] = sum / ((y1 - y0) * (x1 - x0));
+            }
+        }
+
+        return { data: gray, width: outWidth, height: outHeight };
+    }
+
+    /**
+     * 指定した幅への拡大縮小（縦横比を保つ。双線形補間）
+     */
+    resizeToWidth(imageData, targetWidth) {
+        const { width, height, data } = imageData;
+        const scale = targetWidth / width;
+        const targetHeight = Math.max(1, Math.round(height * scale));
+        const output = new Uint8ClampedArray(targetWidth * targetHeight * 4);
+
+        for (let y = 0; y < targetHeight; y++) {
+            const sy = Math.min(height - 1, Math.max(0, (y + 0.5) / scale - 0.5));
+            const y0 = Math.floor(sy);
+            const y1 = Math.min(height - 1, y0 + 1);
+            const fy = sy - y0;
+            for (let x = 0; x < targetWidth; x++) {
+                const sx = Math.min(width - 1, Math.max(0, (x + 0.5) / scale - 0.5));
+                const x0 = Math.floor(sx);
+                const x1 = Math.min(width - 1, x0 + 1);
+                const fx = sx - x0;
+                const o = (y * targetWidth + x) * 4;
+                for (let c = 0; c < 4; c++) {
+                    const top = data[(y0 * width + x0) * 4 + c] * (1 - fx) + data[(y0 * width + x1) * 4 + c] * fx;
+                    const bottom = data[(y1 * width + x0) * 4 + c] * (1 - fx) + data[(y1 * width + x1) * 4 + c] * fx;
+                    output[o + c] = top * (1 - fy) + bottom * fy;
+                }
+            }
+        }
+
+        return { width: targetWidth, height: targetHeight, data: output };
+    }
+}
+
+// モジュールとしてエクスポート
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ImageStitcher;
+} else {
+    window.ImageStitcher = ImageStitcher;
+}
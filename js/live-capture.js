@@ -0,0 +1,503 @@
+/**
+ * カメラ映像からの領収書撮影
+ * getUserMedia の映像のフレームごとに四角形を検出して輪郭を重ねて表示し、
+ * 輪郭が安定してピントが合ったら自動で撮影する（撮影後は次の領収書に替えるまで待つため、束を続けて撮影できる）
+ * 検出は Web Worker（frame-analysis-worker.js）で行い、映像の描画を止めない
+ */
+class LiveCapture {
+    constructor(options = {}) {
+        this.options = {
+            detectionInterval: 200, // フレームを検出にかける間隔（ms）
+            maxMainThreadLoad: 0.25, // Workerが使えずメインスレッドで検出する場合に、検出に使う時間の割合の上限
+            workerPath: './js/frame-analysis-worker.js',
+            analysisSize: 400, // 検出・ピント判定に使うフレームの長辺の最大サイズ
+            stableFrames: 4, // 輪郭がこの回数続けてほぼ動かなければ安定とみなす
+            stabilityTolerance: 0.02, // 連続するフレーム間の四隅の移動量の上限（フレームの対角線長に対する割合）
+            minSharpness: null, // ラプラシアン分散がこの値未満ならピンぼけとみなす（null なら画質チェックの blurThreshold）
+            captureCooldown: 1500, // 撮影後、次の自動撮影までの最短間隔（ms）
+            autoCapture: true,
+            imageQuality: 0.92, // 撮影画像のJPEG品質
+            qualityAnalyzer: null, // ピントの測定に使う ImageQualityAnalyzer（null なら新しく作る）
+            onCapture: null, // 撮影ごとに { img, corners } を受け取る
+            onClose: null, // 終了時に撮影した { img, corners } の配列を受け取る
+            ...options
+        };
+
+        this.stream = null;
+        this.captures = [];
+        this.corners = null;
+        this.history = [];
+        this.armed = true;
+        this.lastCaptureTime = 0;
+        this.lastDetectionTime = 0;
+        this.animationFrame = null;
+        this.capturing = false;
+        this.worker = null;
+        this.pendingFrame = null; // 解析中のフレーム（1枚ずつ解析し、結果が返るまで次のフレームを送らない）
+        this.frameId = 0;
+        this.analysisCost = 0; // メインスレッドで検出した場合の1フレームの処理時間（ms）
+
+        this.container = null;
+        this.video = null;
+        this.overlayCanvas = null;
+        this.analysisCanvas = null;
+        this.qualityAnalyzer = this.options.qualityAnalyzer ||
+            (typeof ImageQualityAnalyzer !== 'undefined' ? new ImageQualityAnalyzer() : null);
+        if (this.options.minSharpness === null) {
+            this.options.minSharpness = this.qualityAnalyzer ? this.qualityAnalyzer.options.blurThreshold : 0;
+        }
+    }
+
+    /**
+     * カメラの起動と撮影画面の表示
+     */
+    async start() {
+        if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+            const error = new Error('このブラウザはカメラ映像の取得に対応していません');
+            error.name = 'NotSupportedError';
+            throw error;
+        }
+
+        this.createElements();
+
+        try {
+            this.stream = await navigator.mediaDevices.getUserMedia({
+                video: {
+                    facingMode: 'environment',
+                    width: { ideal: 1920 },
+                    height: { ideal: 1080 }
+                },
+                audio: false
+            });
+
+            this.video.srcObject = this.stream;
+            await this.video.play();
+
+            this.startAnalysisWorker();
+            this.animationFrame = requestAnimationFrame(() => this.tick());
+
+        } catch (error) {
+            console.error('カメラ起動エラー:', error);
+            this.releaseStream();
+            this.container.remove();
+            throw error;
+        }
+    }
+
+    /**
+     * 撮影画面（映像・輪郭のオーバーレイ・操作ボタン）を作成
+     */
+    createElements() {
+        this.container = document.createElement('div');
+        this.container.className = 'live-capture';
+        this.container.setAttribute('role', 'dialog');
+        this.container.setAttribute('aria-label', 'カメラで撮影');
+
+        const viewport = document.createElement('div');
+        viewport.className = 'live-capture-viewport';
+
+        this.video = document.createElement('video');
+        this.video.className = 'live-capture-video';
+        this.video.setAttribute('playsinline', '');
+        this.video.muted = true;
+
+        this.overlayCanvas = document.createElement('canvas');
+        this.overlayCanvas.className = 'live-capture-overlay';
+
+        viewport.appendChild(this.video);
+        viewport.appendChild(this.overlayCanvas);
+
+        this.statusText = document.createElement('p');
+        this.statusText.className = 'live-capture-status';
+        this.statusText.setAttribute('aria-live', 'polite');
+        this.statusText.textContent = 'カメラを起動中...';
+
+        const controls = document.createElement('div');
+        controls.className = 'live-capture-controls';
+
+        const autoToggle = document.createElement('label');
+        autoToggle.className = 'control-toggle';
+        const autoCheckbox = document.createElement('input');
+        autoCheckbox.type = 'checkbox';
+        autoCheckbox.checked = this.options.autoCapture;
+        autoCheckbox.addEventListener('change', () => {
+            this.options.autoCapture = autoCheckbox.checked;
+        });
+        autoToggle.appendChild(autoCheckbox);
+        autoToggle.appendChild(document.createTextNode('自動撮影'));
+
+        const shutterButton = document.createElement('button');
+        shutterButton.type = 'button';
+        shutterButton.className = 'control-button primary live-capture-shutter';
+        shutterButton.textContent = '撮影';
+        shutterButton.addEventListener('click', () => this.capture());
+
+        this.doneButton = document.createElement('button');
+        this.doneButton.type = 'button';
+        this.doneButton.className = 'control-button';
+        this.doneButton.addEventListener('click', () => this.stop());
+        this.updateDoneButton();
+
+        controls.appendChild(autoToggle);
+        controls.appendChild(shutterButton);
+        controls.appendChild(this.doneButton);
+
+        this.container.appendChild(viewport);
+        this.container.appendChild(this.statusText);
+        this.container.appendChild(controls);
+        document.body.appendChild(this.container);
+
+        this.analysisCanvas = document.createElement('canvas');
+    }
+
+    /**
+     * フレーム解析用の Web Worker を起動（起動できない環境ではメインスレッドで解析する）
+     */
+    startAnalysisWorker() {
+        if (typeof Worker === 'undefined') {
+            return;
+        }
+
+        try {
+            this.worker = new Worker(this.options.workerPath);
+            this.worker.onmessage = (e) => {
+                const { id, corners, sharpness } = e.data;
+                if (this.pendingFrame && this.pendingFrame.id === id) {
+                    this.handleAnalysis(this.pendingFrame, corners, sharpness);
+                }
+            };
+            this.worker.onerror = (event) => {
+                console.warn('フレーム解析Workerを使えないため、メインスレッドで解析します:', event.message);
+                this.stopAnalysisWorker();
+            };
+        } catch (error) {
+            console.warn('フレーム解析Workerの起動に失敗:', error);
+            this.worker = null;
+        }
+    }
+
+    /**
+     * フレーム解析用の Web Worker を終了
+     */
+    stopAnalysisWorker() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+        this.pendingFrame = null;
+    }
+
+    /**
+     * フレームごとの処理
+     * 描画のたびに呼ばれるため、ここでは解析中でなければ縮小したフレームを取り出して解析に回すだけにする
+     */
+    tick() {
+        if (!this.stream) {
+            return;
+        }
+
+        const now = Date.now();
+        if (!this.pendingFrame && this.video.videoWidth > 0 && now - this.lastDetectionTime >= this.getDetectionInterval()) {
+            this.lastDetectionTime = now;
+            this.requestAnalysis();
+        }
+
+        this.animationFrame = requestAnimationFrame(() => this.tick());
+    }
+
+    /**
+     * 次の検出までの間隔
+     * メインスレッドで検出する場合は、測った処理時間から検出に使う時間の割合が maxMainThreadLoad 以下になるよう間隔を広げる
+     * @returns {number} 間隔（ms）
+     */
+    getDetectionInterval() {
+        if (this.worker) {
+            return this.options.detectionInterval;
+        }
+        return Math.max(this.options.detectionInterval, this.analysisCost / this.options.maxMainThreadLoad);
+    }
+
+    /**
+     * 現在のフレームを縮小して解析に回す（Workerが無ければ描画の後にメインスレッドで解析する）
+     */
+    requestAnalysis() {
+        const { videoWidth, videoHeight } = this.video;
+        const scale = Math.min(1, this.options.analysisSize / Math.max(videoWidth, videoHeight));
+        const canvas = this.analysisCanvas;
+        canvas.width = Math.max(1, Math.round(videoWidth * scale));
+        canvas.height = Math.max(1, Math.round(videoHeight * scale));
+
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(this.video, 0, 0, canvas.width, canvas.height);
+        const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+
+        const frame = { id: ++this.frameId, scale, diagonal: Math.hypot(videoWidth, videoHeight) };
+        this.pendingFrame = frame;
+
+        if (this.worker) {
+            this.worker.postMessage({ id: frame.id, imageData }, [imageData.data.buffer]);
+            return;
+        }
+
+        setTimeout(() => {
+            if (this.pendingFrame !== frame) {
+                return;
+            }
+            const startTime = performance.now();
+            let result = { corners: null, sharpness: Infinity };
+            try {
+                result = LiveCapture.analyzeImageData(imageData, new QuadDetector(), this.qualityAnalyzer);
+            } catch (error) {
+                console.warn('フレームの四角形検出に失敗:', error);
+            }
+            this.analysisCost = performance.now() - startTime;
+            this.handleAnalysis(frame, result.corners, result.sharpness);
+        }, 0);
+    }
+
+    /**
+     * 縮小したフレームの四角形の検出とピントの測定（Worker とメインスレッドで共通）
+     * @param {ImageData} imageData - 縮小したフレーム
+     * @param {QuadDetector} detector - 四角形の検出器
+     * @param {ImageQualityAnalyzer|null} qualityAnalyzer - ピントの測定に使う画質チェック（null なら測定しない）
+     * @returns {{corners: Array|null, sharpness: number}} corners はフレームの座標（画像の外に出た角は画像内に収める）
+     */
+    static analyzeImageData(imageData, detector, qualityAnalyzer) {
+        const result = detector.detect(imageData);
+        if (!result) {
+            return { corners: null, sharpness: Infinity };
+        }
+
+        const corners = result.corners.map(point => ({
+            x: Math.min(imageData.width, Math.max(0, point.x)),
+            y: Math.min(imageData.height, Math.max(0, point.y))
+        }));
+        const sharpness = qualityAnalyzer
+            ? qualityAnalyzer.calculateLaplacianVariance(qualityAnalyzer.toGrayscale(imageData))
+            : Infinity;
+
+        return { corners, sharpness };
+    }
+
+    /**
+     * 解析結果の反映（輪郭の表示と、条件がそろえば自動撮影）
+     * @param {Object} frame - 解析したフレーム（縮小率と映像の対角線長）
+     * @param {Array|null} corners - 縮小したフレームの座標の四隅
+     * @param {number} sharpness - フレームのラプラシアン分散
+     * @returns {string|null} 'searching' | 'unstable' | 'blurry' | 'ready' | 'captured'（撮影画面を閉じた後は null）
+     */
+    handleAnalysis(frame, corners, sharpness) {
+        this.pendingFrame = null;
+        if (!this.stream) {
+            return null;
+        }
+
+        // 検出結果は映像の解像度の座標で持つ
+        this.corners = corners
+            ? corners.map(point => ({ x: point.x / frame.scale, y: point.y / frame.scale }))
+            : null;
+
+        const state = this.evaluateFrame(this.corners, sharpness, frame.diagonal);
+        this.showState(state);
+        this.drawOutline(state);
+
+        if (state === 'ready' && this.options.autoCapture && Date.now() - this.lastCaptureTime >= this.options.captureCooldown) {
+            this.capture();
+        }
+        return state;
+    }
+
+    /**
+     * 検出結果の履歴から撮影できる状態かを判定
+     * 撮影後は、輪郭が見失われるか大きく動く（次の領収書に替える）まで再び 'ready' にしない
+     * @param {Array|null} corners - 検出した四隅（検出できない場合は null）
+     * @param {number} sharpness - フレームのラプラシアン分散
+     * @param {number} diagonal - フレームの対角線長
+     * @returns {string} 'searching' | 'unstable' | 'blurry' | 'ready' | 'captured'
+     */
+    evaluateFrame(corners, sharpness, diagonal) {
+        if (!corners) {
+            this.history = [];
+            this.armed = true;
+            return 'searching';
+        }
+
+        const previous = this.history[this.history.length - 1];
+        if (previous && this.maxCornerDistance(previous, corners) > this.options.stabilityTolerance * diagonal) {
+            this.history = [];
+            this.armed = true;
+        }
+
+        this.history.push(corners);
+        if (this.history.length > this.options.stableFrames) {
+            this.history.shift();
+        }
+
+        if (this.history.length < this.options.stableFrames) {
+            return 'unstable';
+        }
+        if (sharpness < this.options.minSharpness) {
+            return 'blurry';
+        }
+        return this.armed ? 'ready' : 'captured';
+    }
+
+    /**
+     * 対応する四隅どうしの距離の最大値
+     */
+    maxCornerDistance(a, b) {
+        return Math.max(...a.map((point, i) => Math.hypot(point.x - b[i].x, point.y - b[i].y)));
+    }
+
+    /**
+     * 状態の表示
+     */
+    showState(state) {
+        const messages = {
+            searching: '領収書全体が画面に収まるように写してください',
+            unstable: 'そのまま動かさないでください',
+            blurry: 'ピントが合うまでお待ちください',
+            ready: this.options.autoCapture ? '撮影します' : '「撮影」を押してください',
+            captured: '撮影しました。次の領収書に替えてください'
+        };
+        this.statusText.textContent = messages[state];
+    }
+
+    /**
+     * 検出した輪郭を映像の上に描画（撮影できる状態では緑、それ以外は黄色）
+     */
+    drawOutline(state) {
+        const overlay = this.overlayCanvas;
+        overlay.width = this.video.videoWidth;
+        overlay.height = this.video.videoHeight;
+
+        const ctx = overlay.getContext('2d');
+        ctx.clearRect(0, 0, overlay.width, overlay.height);
+
+        if (!this.corners) {
+            return;
+        }
+
+        ctx.save();
+        ctx.strokeStyle = state === 'ready' || state === 'captured' ? '#10b981' : '#f59e0b';
+        ctx.fillStyle = state === 'ready' || state === 'captured' ? 'rgba(16, 185, 129, 0.15)' : 'rgba(245, 158, 11, 0.1)';
+        ctx.lineWidth = Math.max(3, overlay.width / 200);
+        ctx.beginPath();
+        ctx.moveTo(this.corners[0].x, this.corners[0].y);
+        for (const point of this.corners.slice(1)) {
+            ctx.lineTo(point.x, point.y);
+        }
+        ctx.closePath();
+        ctx.fill();
+        ctx.stroke();
+        ctx.restore();
+    }
+
+    /**
+     * 現在のフレームを映像の解像度で撮影（輪郭を検出できていればその四隅も渡す）
+     * @returns {Promise<{img: HTMLImageElement, corners: Array|null}|null>}
+     */
+    async capture() {
+        if (!this.stream || this.capturing || this.video.videoWidth === 0) {
+            return null;
+        }
+
+        this.capturing = true;
+        this.armed = false;
+        this.lastCaptureTime = Date.now();
+
+        try {
+            const canvas = document.createElement('canvas');
+            canvas.width = this.video.videoWidth;
+            canvas.height = this.video.videoHeight;
+            canvas.getContext('2d').drawImage(this.video, 0, 0);
+
+            const corners = this.corners ? this.corners.map(point => ({ ...point })) : null;
+            const img = await new Promise((resolve, reject) => {
+                const image = new Image();
+                image.onload = () => resolve(image);
+                image.onerror = () => reject(new Error('撮影画像の作成に失敗しました'));
+                image.src = canvas.toDataURL('image/jpeg', this.options.imageQuality);
+            });
+
+            const result = { img, corners };
+            this.captures.push(result);
+            this.updateDoneButton();
+            this.flash();
+
+            if (this.options.onCapture) {
+                this.options.onCapture(result);
+            }
+            return result;
+
+        } catch (error) {
+            console.error('撮影エラー:', error);
+            this.statusText.textContent = '撮影に失敗しました';
+            return null;
+
+        } finally {
+            this.capturing = false;
+        }
+    }
+
+    /**
+     * 撮影したことを示す表示
+     */
+    flash() {
+        this.container.classList.remove('flash');
+        // アニメーションをやり直すためにリフローさせる
+        void this.container.offsetWidth;
+        this.container.classList.add('flash');
+    }
+
+    /**
+     * 完了ボタンの表示（撮影枚数）
+     */
+    updateDoneButton() {
+        this.doneButton.textContent = this.captures.length > 0 ? `完了 (${this.captures.length}枚)` : '閉じる';
+    }
+
+    /**
+     * カメラの停止と撮影画面の終了
+     */
+    stop() {
+        if (this.animationFrame) {
+            cancelAnimationFrame(this.animationFrame);
+            this.animationFrame = null;
+        }
+
+        this.stopAnalysisWorker();
+        this.releaseStream();
+
+        if (this.container) {
+            this.container.remove();
+            this.container = null;
+        }
+
+        const captures = this.captures;
+        this.captures = [];
+        if (this.options.onClose) {
+            this.options.onClose(captures);
+        }
+    }
+
+    /**
+     * カメラのストリームを解放
+     */
+    releaseStream() {
+        if (this.stream) {
+            this.stream.getTracks().forEach(track => track.stop());
+            this.stream = null;
+        }
+        if (this.video) {
+            this.video.srcObject = null;
+        }
+    }
+}
+
+// モジュールとしてエクスポート（フレーム解析Worker内でも使うため self に公開する）
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = LiveCapture;
+} else {
+    self.LiveCapture = LiveCapture;
+}
@@ -0,0 +1,320 @@
+/**
+ * 複数領収書の選択オーバーレイ
+ * 1枚の写真から検出した領収書ごとの四角形を画像Canvasの上に番号付きで表示し、
+ * 四隅のドラッグによる調整と、読み取る領収書の選択を行う
+ */
+class MultiReceiptSelector {
+    constructor(canvas, options = {}) {
+        this.canvas = canvas;
+        this.options = {
+            colors: ['#2563eb', '#059669', '#d97706', '#dc2626', '#7c3aed', '#0891b2'],
+            handleRadius: 8,
+            onConfirm: null, // 選択した四角形（Canvas座標）の配列を受け取る
+            onCancel: null,
+            ...options
+        };
+
+        // 領収書ごとの四隅（Canvas座標、左上・右上・右下・左下）と読み取り対象かどうか
+        this.quads = [];
+        this.drag = null;
+        this.visible = false;
+
+        this.container = canvas.parentElement;
+        this.overlay = null;
+        this.svg = null;
+        this.panel = null;
+
+        this.handleDrag = this.handleDrag.bind(this);
+        this.endDrag = this.endDrag.bind(this);
+
+        this.createElements();
+    }
+
+    /**
+     * SVGオーバーレイと領収書一覧のパネルを作成
+     */
+    createElements() {
+        this.overlay = document.createElement('div');
+        this.overlay.className = 'multi-receipt-overlay';
+        this.overlay.style.display = 'none';
+
+        this.svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+        this.svg.setAttribute('class', 'multi-receipt-svg');
+        this.overlay.appendChild(this.svg);
+        this.container.appendChild(this.overlay);
+
+        this.panel = document.createElement('div');
+        this.panel.className = 'multi-receipt-panel';
+        this.panel.style.display = 'none';
+
+        this.summary = document.createElement('p');
+        this.summary.className = 'multi-receipt-summary';
+
+        this.list = document.createElement('ul');
+        this.list.className = 'multi-receipt-list';
+
+        const actions = document.createElement('div');
+        actions.className = 'multi-receipt-actions';
+
+        this.confirmButton = document.createElement('button');
+        this.confirmButton.type = 'button';
+        this.confirmButton.className = 'control-button primary';
+        this.confirmButton.addEventListener('click', () => {
+            const quads = this.getSelectedQuads();
+            if (quads.length > 0 && this.options.onConfirm) {
+                this.options.onConfirm(quads);
+            }
+        });
+
+        const cancelButton = document.createElement('button');
+        cancelButton.type = 'button';
+        cancelButton.className = 'control-button';
+        cancelButton.textContent = 'キャンセル';
+        cancelButton.addEventListener('click', () => {
+            if (this.options.onCancel) {
+                this.options.onCancel();
+            }
+        });
+
+        actions.appendChild(this.confirmButton);
+        actions.appendChild(cancelButton);
+
+        this.panel.appendChild(this.summary);
+        this.panel.appendChild(this.list);
+        this.panel.appendChild(actions);
+        this.container.parentElement.insertBefore(this.panel, this.container.nextSibling);
+    }
+
+    /**
+     * 四角形の設定（Canvas座標の四隅の配列の配列。すべて読み取り対象にする）
+     */
+    setQuads(quads) {
+        this.quads = quads.map(corners => ({
+            corners: corners.map(point => ({ x: point.x, y: point.y })),
+            selected: true
+        }));
+        this.render();
+        this.renderList();
+    }
+
+    /**
+     * 読み取り対象の四角形（Canvas座標）
+     */
+    getSelectedQuads() {
+        return this.quads
+            .filter(quad => quad.selected)
+            .map(quad => quad.corners.map(point => ({ ...point })));
+    }
+
+    /**
+     * オーバーレイの表示
+     */
+    show() {
+        this.visible = true;
+        this.overlay.style.display = 'block';
+        this.panel.style.display = 'block';
+        this.render();
+    }
+
+    /**
+     * オーバーレイの非表示
+     */
+    hide() {
+        this.visible = false;
+        this.endDrag();
+        this.overlay.style.display = 'none';
+        this.panel.style.display = 'none';
+    }
+
+    /**
+     * 四角形・番号・ハンドルの描画（画像Canvasと同じ座標系で描く）
+     */
+    render() {
+        if (!this.visible) {
+            return;
+        }
+
+        const canvas = this.canvas;
+        this.svg.style.width = canvas.offsetWidth + 'px';
+        this.svg.style.height = canvas.offsetHeight + 'px';
+        this.svg.setAttribute('viewBox', `0 0 ${canvas.width} ${canvas.height}`);
+
+        while (this.svg.firstChild) {
+            this.svg.removeChild(this.svg.firstChild);
+        }
+
+        this.quads.forEach((quad, quadIndex) => {
+            const color = this.getColor(quadIndex);
+            const group = this.createSvgElement('g', {
+                class: `multi-receipt-quad${quad.selected ? '' : ' excluded'}`
+            });
+
+            group.appendChild(this.createSvgElement('polygon', {
+                class: 'multi-receipt-polygon',
+                points: quad.corners.map(point => `${point.x},${point.y}`).join(' '),
+                fill: color,
+                'fill-opacity': quad.selected ? 0.2 : 0.05,
+                stroke: color,
+                'stroke-width': 2
+            }));
+
+            const center = this.getCenter(quad.corners);
+            const label = this.createSvgElement('text', {
+                class: 'multi-receipt-label',
+                x: center.x,
+                y: center.y,
+                fill: color
+            });
+            label.textContent = String(quadIndex + 1);
+            group.appendChild(label);
+
+            quad.corners.forEach((point, cornerIndex) => {
+                const handle = this.createSvgElement('circle', {
+                    class: 'corner-handle',
+                    cx: point.x,
+                    cy: point.y,
+                    r: this.options.handleRadius,
+                    fill: color,
+                    stroke: 'white',
+                    'stroke-width': 2
+                });
+                handle.addEventListener('mousedown', (e) => this.startDrag(e, quadIndex, cornerIndex));
+                handle.addEventListener('touchstart', (e) => this.startDrag(e, quadIndex, cornerIndex), { passive: false });
+                group.appendChild(handle);
+            });
+
+            this.svg.appendChild(group);
+        });
+    }
+
+    /**
+     * 領収書一覧（読み取り対象のチェックボックス）の描画
+     */
+    renderList() {
+        this.list.innerHTML = '';
+
+        this.quads.forEach((quad, quadIndex) => {
+            const item = document.createElement('li');
+            const label = document.createElement('label');
+            label.className = 'multi-receipt-item';
+            label.style.color = this.getColor(quadIndex);
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = quad.selected;
+            checkbox.addEventListener('change', () => {
+                quad.selected = checkbox.checked;
+                this.render();
+                this.updateSummary();
+            });
+
+            label.appendChild(checkbox);
+            label.appendChild(document.createTextNode(`領収書 ${quadIndex + 1}`));
+            item.appendChild(label);
+            this.list.appendChild(item);
+        });
+
+        this.updateSummary();
+    }
+
+    /**
+     * 件数表示と読み取りボタンの更新
+     */
+    updateSummary() {
+        const selectedCount = this.quads.filter(quad => quad.selected).length;
+        this.summary.textContent = `${this.quads.length}枚の領収書を検出しました。枠の四隅をドラッグして範囲を調整できます`;
+        this.confirmButton.textContent = `選択した${selectedCount}枚を読み取る`;
+        this.confirmButton.disabled = selectedCount === 0;
+    }
+
+    /**
+     * ドラッグ開始
+     */
+    startDrag(event, quadIndex, cornerIndex) {
+        event.preventDefault();
+        event.stopPropagation();
+        this.drag = { quadIndex, cornerIndex };
+
+        document.addEventListener('mousemove', this.handleDrag);
+        document.addEventListener('mouseup', this.endDrag);
+        document.addEventListener('touchmove', this.handleDrag, { passive: false });
+        document.addEventListener('touchend', this.endDrag);
+    }
+
+    /**
+     * ドラッグ処理
+     */
+    handleDrag(event) {
+        if (!this.drag) {
+            return;
+        }
+
+        event.preventDefault();
+
+        const canvas = this.canvas;
+        const rect = canvas.getBoundingClientRect();
+        const pointer = event.type.startsWith('touch') ? event.touches[0] : event;
+
+        // Canvas内の相対座標（画像の外には出さない）
+        const x = ((pointer.clientX - rect.left) / rect.width) * canvas.width;
+        const y = ((pointer.clientY - rect.top) / rect.height) * canvas.height;
+
+        this.quads[this.drag.quadIndex].corners[this.drag.cornerIndex] = {
+            x: Math.max(0, Math.min(canvas.width, x)),
+            y: Math.max(0, Math.min(canvas.height, y))
+        };
+        this.render();
+    }
+
+    /**
+     * ドラッグ終了
+     */
+    endDrag() {
+        this.drag = null;
+
+        document.removeEventListener('mousemove', this.handleDrag);
+        document.removeEventListener('mouseup', this.endDrag);
+        document.removeEventListener('touchmove', this.handleDrag);
+        document.removeEventListener('touchend', this.endDrag);
+    }
+
+    /**
+     * 番号ごとの表示色
+     */
+    getColor(index) {
+        return this.options.colors[index % this.options.colors.length];
+    }
+
+    /**
+     * 四隅の重心
+     */
+    getCenter(corners) {
+        return corners.reduce((center, point) => ({
+            x: center.x + point.x / corners.length,
+            y: center.y + point.y / corners.length
+        }), { x: 0, y: 0 });
+    }
+
+    /**
+     * SVG要素の作成
+     */
+    createSvgElement(tagName, attributes) {
+        const element = document.createElementNS('http://www.w3.org/2000/svg', tagName);
+        for (const [name, value] of Object.entries(attributes)) {
+            element.setAttribute(name, value);
+        }
+        return element;
+    }
+
+    /**
+     * 破棄処理
+     */
+    destroy() {
+        this.endDrag();
+        this.overlay.remove();
+        this.panel.remove();
+        this.quads = [];
+    }
+}
+
+window.MultiReceiptSelector = MultiReceiptSelector;
@@ -8,6 +8,33 @@ class OCREngine {
             modelsPath: config.modelsPath || './models/',
             backends: config.backends || ['webgpu', 'webgl', 'wasm'],
             fallbackToTesseract: config.fallbackToTesseract !== false,
+            manifestFile: config.manifestFile || 'manifest.json',
+            modelSelection: config.modelSelection || {}, // ロール → マニフェストのモデルID
+            modelCache: config.modelCache !== false, // 検証済みモデルをCache Storageに永続化
+            ctcDecoder: config.ctcDecoder || 'greedy', // 'greedy' または 'beam'
+            beamWidth: config.beamWidth || 5,
+            lexiconBonus: config.lexiconBonus !== undefined ? config.lexiconBonus : 1.0, // 辞書一致1文字あたりの対数スコア加算
+            alternativeCount: config.alternativeCount !== undefined ? config.alternativeCount : 3, // 文字ごとに保持する代替候補数
+            verticalText: config.verticalText !== false, // 縦書き領域を回転して認識
+            verticalAspectRatio: config.verticalAspectRatio || 1.5, // 高さ/幅がこの値以上の領域を縦書きとみなす
+            tesseractLanguages: config.tesseractLanguages || 'jpn+eng',
+            verticalTesseractLanguages: config.verticalTesseractLanguages || 'jpn_vert',
+            detectionTiling: config.detectionTiling || 'auto', // 'auto'（縦長画像のみ）, 'always', 'never'
+            tilingAspectRatio: config.tilingAspectRatio || 2.5, // 高さ/幅がこの値以上でタイル分割（'auto'時）
+            tileOverlap: config.tileOverlap || 0.25, // タイル間の重なり（タイルの一辺に対する割合）
+            ensemble: config.ensemble || false, // ONNXの低信頼度行をTesseractでも認識して行ごとに採否を決める
+            ensembleConfidenceThreshold: config.ensembleConfidenceThreshold || 0.8, // この信頼度未満の行をTesseractでも認識
+            ensembleMinIoU: config.ensembleMinIoU || 0.3, // Tesseractの行を同じ行とみなす最小IoU
+            circuitBreakerThreshold: config.circuitBreakerThreshold || 3, // 連続失敗がこの回数に達したバックエンドを切り離す
+            recoveryProbeInterval: config.recoveryProbeInterval !== undefined ? config.recoveryProbeInterval : 60000, // フォールバック中にONNXの復帰を確認する間隔（ms、0で無効）
+            preprocessing: config.preprocessing || null, // 画像前処理のプリセット名（'thermal', 'photo'）またはステップ配列
+            deskew: config.deskew !== false, // 文字行の傾き（微小角度）を推定して回転補正
+            deskewMaxAngle: config.deskewMaxAngle || 6, // 傾き推定の探索範囲（±度）
+            deskewMinAngle: config.deskewMinAngle !== undefined ? config.deskewMinAngle : 0.3, // この角度（度）未満の傾きは補正しない
+            autoOrientation: config.autoOrientation !== false, // ページ全体の向き（0/90/180/270°）を判定して回転
+            orientationSampleCount: config.orientationSampleCount || 5, // 向き判定で角度分類にかけるテキストボックス数
+            orientationMinAspectRatio: config.orientationMinAspectRatio || 2, // 長辺/短辺がこの値未満のボックスは向き判定に使わない
+            orientationMinConfidence: config.orientationMinConfidence !== undefined ? config.orientationMinConfidence : 0.6, // 回転を適用する最小の得票率
             ...config
         };
         
@@ -20,10 +47,41 @@ class OCREngine {
             recognition: null,
             angleClassification: null
         };
+        this.manifest = null;
+        this.modelSpecs = {
+            detection: null,
+            recognition: null,
+            angleClassification: null
+        };
         this.charset = null;
+        
+        // 読み込み済みの認識モデル（モデルID → { spec, session, charset }）
+        this.recognizers = new Map();
+        
+        // ビームサーチ用の辞書トライ（同じ辞書の再構築を避ける）
+        this.lexiconTrie = null;
+        
+        // 画像前処理パイプライン（初回使用時に作成）
+        this.imagePreprocessor = null;
+        
         this.fallbackEngine = null;
+        this.verticalFallbackEngine = null; // 縦書き用（jpn_vert）のTesseractワーカー（遅延初期化）
+        this.fallbackReleased = false; // キャンセルでTesseractワーカーを終了した（次回使用時に作り直す）
         this.usingFallback = false;
         
+        // サーキットブレーカー（バックエンド → 連続失敗回数）と復帰確認タイマー
+        this.backendFailures = {};
+        this.recoveryProbeTimer = null;
+        
+        // 直近のモデル整合性検証エラー（UI表示用）
+        this.integrityError = null;
+        
+        // 永続モデルキャッシュの利用状況
+        this.modelCacheStats = { cacheName: null, hits: 0, misses: 0 };
+        
+        // 認識モデルがバッチ入力に対応しているか（固定バッチ1のモデルでは無効化。認識モデル・バックエンドの切り替えで戻す）
+        this.recognitionBatchSupported = true;
+        
         // 初期化状態の管理
         this.initializationPromise = null;
         this.initializationCallbacks = [];
@@ -384,16 +442,7 @@ class OCREngine {
             }
             
             // Tesseract.jsワーカーの初期化
-            this.fallbackEngine = await Tesseract.createWorker({
-                logger: m => {
-                    if (m.status === 'recognizing text') {
-                        console.log(`Tesseract進行状況: ${Math.round(m.progress * 100)}%`);
-                    }
-                }
-            });
-            
-            await this.fallbackEngine.loadLanguage('jpn+eng');
-            await this.fallbackEngine.initialize('jpn+eng');
+            this.fallbackEngine = await this._createTesseractWorker(this.config.tesseractLanguages);
             
             this.initialized = true;
             this.usingFallback = true;
@@ -407,6 +456,79 @@ class OCREngine {
         }
     }
 
+    /**
+     * 指定言語のTesseract.jsワーカーの作成
+     * @private
+     */
+    async _createTesseractWorker(languages) {
+        const worker = await Tesseract.createWorker({
+            logger: m => {
+                if (m.status === 'recognizing text') {
+                    console.log(`Tesseract進行状況: ${Math.round(m.progress * 100)}%`);
+                }
+            }
+        });
+        
+        await worker.loadLanguage(languages);
+        await worker.initialize(languages);
+        
+        return worker;
+    }
+
+    /**
+     * 縦書き用（jpn_vert）のTesseract.jsワーカーの取得（初回のみ初期化）
+     * 初期化に失敗した場合は横書き用のワーカーで代用する
+     * @private
+     */
+    async _getVerticalFallbackEngine() {
+        if (this.verticalFallbackEngine) {
+            return this.verticalFallbackEngine;
+        }
+        
+        try {
+            console.log(`縦書き用のTesseract.jsワーカーを初期化中 (${this.config.verticalTesseractLanguages})...`);
+            this.verticalFallbackEngine = await this._createTesseractWorker(this.config.verticalTesseractLanguages);
+            return this.verticalFallbackEngine;
+        } catch (error) {
+            console.warn('縦書き用Tesseract.jsワーカーの初期化エラー（横書き用で代用します）:', error);
+            this.verticalFallbackEngine = this.fallbackEngine;
+            return this.verticalFallbackEngine;
+        }
+    }
+
+    /**
+     * フォールバックエンジンの確認（キャンセルで終了したワーカーは作り直す）
+     * @private
+     */
+    async _ensureFallbackEngine() {
+        if (this.fallbackEngine) {
+            return;
+        }
+        
+        if (!this.fallbackReleased) {
+            throw new Error('フォールバックエンジンが初期化されていません');
+        }
+        
+        this.fallbackReleased = false;
+        await this._initializeFallback();
+    }
+
+    /**
+     * 処理中のTesseract.jsワーカーの終了（認識ジョブは途中で止められないためワーカーごと終了する）
+     * @private
+     */
+    async _terminateTesseractWorker(engine) {
+        if (engine === this.verticalFallbackEngine) {
+            this.verticalFallbackEngine = null;
+        }
+        if (engine === this.fallbackEngine) {
+            this.fallbackEngine = null;
+            this.fallbackReleased = true;
+        }
+        
+        await engine.terminate();
+    }
+
     /**
      * 初期化完了の通知
      * @private
@@ -443,12 +565,14 @@ class OCREngine {
             initialized: this.initialized,
             usingFallback: this.usingFallback,
             currentBackend: this.currentBackend,
-            error: this.initializationError
+            error: this.initializationError,
+            integrityError: this.integrityError
         };
     }
 
     /**
      * モデルファイルの動的ロード
+     * models/manifest.json に宣言されたモデルと文字セットを読み込む
      */
     async loadModels(progressCallback = null) {
         if (this.usingFallback) {
@@ -463,337 +587,786 @@ class OCREngine {
         try {
             console.log('モデルファイルのロードを開始...');
             
-            // 文字セットファイルのロード
-            if (progressCallback) progressCallback('文字セットを読み込み中...', 10);
-            await this._loadCharset();
+            // マニフェストの読み込み
+            if (progressCallback) progressCallback('モデルマニフェストを読み込み中...', 5);
+            await this._loadManifest();
             
             // 検出モデルのロード
             if (progressCallback) progressCallback('検出モデルを読み込み中...', 30);
-            await this._loadDetectionModel();
+            await this._loadModel('detection');
             
-            // 認識モデルのロード
-            if (progressCallback) progressCallback('認識モデルを読み込み中...', 60);
-            await this._loadRecognitionModel();
+            // 認識モデルと文字セットのロード（出力クラス数と文字数の整合性を検証）
+            if (progressCallback) progressCallback('認識モデルと文字セットを読み込み中...', 60);
+            await this.useRecognizer();
             
-            // 角度分類モデルのロード
-            if (progressCallback) progressCallback('角度分類モデルを読み込み中...', 90);
-            await this._loadAngleClassificationModel();
+            // 角度分類モデルのロード（マニフェストに宣言されている場合のみ）
+            if (this._getModelSpec('angleClassification')) {
+                if (progressCallback) progressCallback('角度分類モデルを読み込み中...', 90);
+                await this._loadModel('angleClassification');
+            }
             
             if (progressCallback) progressCallback('モデルロード完了', 100);
             console.log('全モデルのロードが完了しました');
             
         } catch (error) {
             console.error('モデルロードエラー:', error);
+            
+            // 破損・改ざんされたモデルでは推論させず、Tesseract.jsに切り替える
+            if (error.name === 'ModelIntegrityError' && this.config.fallbackToTesseract) {
+                this.integrityError = {
+                    file: error.file,
+                    message: error.message,
+                    expected: error.expected,
+                    actual: error.actual
+                };
+                await this._releaseModels();
+                await this.switchToFallback(`モデルファイルの整合性検証に失敗しました (${error.file})`);
+                return;
+            }
+            
             throw error;
         }
     }
 
     /**
-     * 文字セットファイルの読み込み
+     * モデル関連ファイルの取得と整合性検証
+     * 永続キャッシュにあればそれを使い、無ければ取得して検証後にキャッシュへ保存する
      * @private
      */
-    async _loadCharset() {
-        try {
-            const charsetPath = `${this.config.modelsPath}charset_jp.txt`;
-            const response = await fetch(charsetPath);
-            
-            if (!response.ok) {
-                throw new Error(`文字セットファイルの読み込みに失敗: ${response.status}`);
+    async _fetchVerifiedFile(fileName, expected = {}) {
+        const filePath = `${this.config.modelsPath}${fileName}`;
+        const cache = await this._openModelCache();
+        
+        if (cache) {
+            const cachedResponse = await cache.match(filePath);
+            if (cachedResponse) {
+                const cachedBuffer = await cachedResponse.arrayBuffer();
+                try {
+                    await this._verifyFileIntegrity(fileName, cachedBuffer, expected);
+                    this.modelCacheStats.hits++;
+                    return cachedBuffer;
+                } catch (error) {
+                    // 保存済みデータが壊れている場合は破棄して取り直す
+                    console.warn(`キャッシュ済みの ${fileName} が検証に失敗したため再取得します:`, error);
+                    await cache.delete(filePath);
+                }
             }
-            
-            const charsetText = await response.text();
-            this.charset = charsetText.split('\n').filter(char => char.trim() !== '');
-            
-            console.log(`文字セットを読み込みました (${this.charset.length}文字)`);
-            
-        } catch (error) {
-            console.error('文字セット読み込みエラー:', error);
-            // フォールバック文字セットを使用
-            this.charset = this._getDefaultCharset();
-            console.warn('デフォルト文字セットを使用します');
+            this.modelCacheStats.misses++;
+        }
+        
+        const response = await fetch(filePath);
+        
+        if (!response.ok) {
+            throw new Error(`ファイルが見つかりません: ${filePath} (${response.status})`);
+        }
+        
+        const buffer = await response.arrayBuffer();
+        await this._verifyFileIntegrity(fileName, buffer, expected);
+        
+        if (cache) {
+            try {
+                await cache.put(filePath, new Response(buffer));
+            } catch (error) {
+                // 容量不足などで保存できなくても読み込みは続行する
+                console.warn(`${fileName} をモデルキャッシュに保存できませんでした:`, error);
+            }
+        }
+        
+        return buffer;
+    }
+
+    /**
+     * マニフェスト記載のサイズ・SHA-256との照合
+     * @private
+     */
+    async _verifyFileIntegrity(fileName, buffer, expected) {
+        if (expected.size && buffer.byteLength !== expected.size) {
+            throw this._createIntegrityError(
+                fileName,
+                `ファイルサイズが一致しません (期待値: ${expected.size} bytes, 実際: ${buffer.byteLength} bytes)`,
+                String(expected.size),
+                String(buffer.byteLength)
+            );
+        }
+        
+        if (!expected.sha256) {
+            console.warn(`${fileName} のSHA-256がマニフェストに定義されていないため整合性検証を省略します`);
+            return;
+        }
+        
+        if (typeof crypto === 'undefined' || !crypto.subtle) {
+            throw this._createIntegrityError(fileName, 'この環境ではSHA-256を計算できないため整合性を検証できません');
         }
+        
+        const actual = await this._computeSHA256(buffer);
+        const expectedHash = expected.sha256.toLowerCase();
+        
+        if (actual !== expectedHash) {
+            throw this._createIntegrityError(fileName, 'SHA-256ハッシュが一致しません', expectedHash, actual);
+        }
+    }
+
+    /**
+     * SHA-256ハッシュ（16進文字列）の計算
+     * @private
+     */
+    async _computeSHA256(data) {
+        const digest = await crypto.subtle.digest('SHA-256', data);
+        return Array.from(new Uint8Array(digest))
+            .map(byte => byte.toString(16).padStart(2, '0'))
+            .join('');
     }
 
     /**
-     * 検出モデルの読み込み
+     * 永続モデルキャッシュを開く
+     * キャッシュ名にマニフェストのハッシュを含め、マニフェスト更新時は別バージョンとして扱う
      * @private
      */
-    async _loadDetectionModel() {
+    async _openModelCache() {
+        if (!this.config.modelCache || typeof caches === 'undefined' ||
+            typeof crypto === 'undefined' || !crypto.subtle) {
+            return null;
+        }
+        
         try {
-            const modelPath = `${this.config.modelsPath}text_det.onnx`;
-            
-            // モデルファイルの存在確認と検証
-            const response = await fetch(modelPath, { method: 'HEAD' });
-            if (!response.ok) {
-                throw new Error(`検出モデルファイルが見つかりません: ${modelPath}`);
-            }
-            
-            // モデルファイルサイズの確認
-            const fileSize = parseInt(response.headers.get('content-length') || '0');
-            if (fileSize < 1000000) { // 1MB未満の場合は警告
-                console.warn(`検出モデルファイルのサイズが小さすぎます (${fileSize} bytes) - プレースホルダーファイルの可能性があります`);
-                log(`⚠️ 検出モデルファイルサイズ: ${Math.round(fileSize / 1024)} KB (実際のモデルは通常20MB以上)`, 'warning');
-            } else {
-                log(`✅ 検出モデルファイルサイズ: ${Math.round(fileSize / 1024 / 1024)} MB`, 'success');
-            }
-            
-            // ONNXセッションの作成（WASMバックエンド用最適化）
-            const sessionOptions = {
-                executionProviders: [this.currentBackend],
-                graphOptimizationLevel: 'all',
-                executionMode: 'sequential'
-            };
-            
-            // WASMバックエンド用の追加設定
-            if (this.currentBackend === 'wasm') {
-                sessionOptions.enableCpuMemArena = true;
-                sessionOptions.enableMemPattern = true;
-                sessionOptions.interOpNumThreads = Math.min(4, navigator.hardwareConcurrency || 2);
-                sessionOptions.intraOpNumThreads = Math.min(4, navigator.hardwareConcurrency || 2);
+            if (!this.modelCacheStats.cacheName) {
+                const manifest = await this._loadManifest();
+                const manifestHash = await this._computeSHA256(new TextEncoder().encode(JSON.stringify(manifest)));
+                this.modelCacheStats.cacheName = `${OCREngine.MODEL_CACHE_PREFIX}${manifestHash.slice(0, 16)}`;
+                
+                // 古いマニフェストのキャッシュを削除
+                const cacheNames = await caches.keys();
+                await Promise.all(cacheNames
+                    .filter(name => name.startsWith(OCREngine.MODEL_CACHE_PREFIX) && name !== this.modelCacheStats.cacheName)
+                    .map(name => caches.delete(name)));
             }
             
-            this.models.detection = await ort.InferenceSession.create(modelPath, sessionOptions);
-            
-            console.log('検出モデルを読み込みました');
+            return await caches.open(this.modelCacheStats.cacheName);
             
         } catch (error) {
-            console.error('検出モデル読み込みエラー:', error);
-            throw error;
+            console.warn('モデルキャッシュを利用できません:', error);
+            return null;
         }
     }
 
     /**
-     * 認識モデルの読み込み
-     * @private
+     * 永続モデルキャッシュの削除
+     * @returns {Promise<number>} 削除したキャッシュ数
      */
-    async _loadRecognitionModel() {
+    async evictModelCache() {
+        this.modelCacheStats = { cacheName: null, hits: 0, misses: 0 };
+        
+        if (typeof caches === 'undefined') {
+            return 0;
+        }
+        
         try {
-            const modelPath = `${this.config.modelsPath}text_rec_jp.onnx`;
-            
-            // モデルファイルの存在確認と検証
-            const response = await fetch(modelPath, { method: 'HEAD' });
-            if (!response.ok) {
-                throw new Error(`認識モデルファイルが見つかりません: ${modelPath}`);
-            }
+            const cacheNames = (await caches.keys()).filter(name => name.startsWith(OCREngine.MODEL_CACHE_PREFIX));
+            await Promise.all(cacheNames.map(name => caches.delete(name)));
             
-            // モデルファイルサイズの確認
-            const fileSize = parseInt(response.headers.get('content-length') || '0');
-            if (fileSize < 1000000) { // 1MB未満の場合は警告
-                console.warn(`認識モデルファイルのサイズが小さすぎます (${fileSize} bytes) - プレースホルダーファイルの可能性があります`);
-                log(`⚠️ 認識モデルファイルサイズ: ${Math.round(fileSize / 1024)} KB (実際のモデルは通常10MB以上)`, 'warning');
-            } else {
-                log(`✅ 認識モデルファイルサイズ: ${Math.round(fileSize / 1024 / 1024)} MB`, 'success');
-            }
-            
-            // ONNXセッションの作成（WASMバックエンド用最適化）
-            const sessionOptions = {
-                executionProviders: [this.currentBackend],
-                graphOptimizationLevel: 'all',
-                executionMode: 'sequential'
-            };
-            
-            // WASMバックエンド用の追加設定
-            if (this.currentBackend === 'wasm') {
-                sessionOptions.enableCpuMemArena = true;
-                sessionOptions.enableMemPattern = true;
-                sessionOptions.interOpNumThreads = Math.min(4, navigator.hardwareConcurrency || 2);
-                sessionOptions.intraOpNumThreads = Math.min(4, navigator.hardwareConcurrency || 2);
-            }
-            
-            this.models.recognition = await ort.InferenceSession.create(modelPath, sessionOptions);
-            
-            console.log('認識モデルを読み込みました');
+            console.log(`モデルキャッシュを削除しました (${cacheNames.length}件)`);
+            return cacheNames.length;
             
         } catch (error) {
-            console.error('認識モデル読み込みエラー:', error);
+            console.error('モデルキャッシュ削除エラー:', error);
             throw error;
         }
     }
 
     /**
-     * 角度分類モデルの読み込み
-     * @private
+     * 永続モデルキャッシュの再構築
+     * マニフェスト記載のファイルを取得・検証してキャッシュに保存する（セッションは作成しない）
+     * @param {Object} options - { force: true で既存キャッシュを削除してから取り直す }
      */
-    async _loadAngleClassificationModel() {
+    async warmModelCache(options = {}) {
+        if (options.force) {
+            await this.evictModelCache();
+        }
+        
         try {
-            const modelPath = `${this.config.modelsPath}text_angle.onnx`;
-            
-            // モデルファイルの存在確認と検証
-            const response = await fetch(modelPath, { method: 'HEAD' });
-            if (!response.ok) {
-                throw new Error(`角度分類モデルファイルが見つかりません: ${modelPath}`);
-            }
-            
-            // モデルファイルサイズの確認
-            const fileSize = parseInt(response.headers.get('content-length') || '0');
-            if (fileSize < 100000) { // 100KB未満の場合は警告
-                console.warn(`角度分類モデルファイルのサイズが小さすぎます (${fileSize} bytes) - プレースホルダーファイルの可能性があります`);
-                log(`⚠️ 角度分類モデルファイルサイズ: ${Math.round(fileSize / 1024)} KB (実際のモデルは通常1MB以上)`, 'warning');
-            } else {
-                log(`✅ 角度分類モデルファイルサイズ: ${Math.round(fileSize / 1024)} KB`, 'success');
+            const manifest = await this._loadManifest();
+            const files = new Map();
+            for (const entry of manifest.models) {
+                files.set(entry.file, entry);
+                if (entry.charset && entry.charset.file) {
+                    files.set(entry.charset.file, entry.charset);
+                }
             }
             
-            // ONNXセッションの作成（WASMバックエンド用最適化）
-            const sessionOptions = {
-                executionProviders: [this.currentBackend],
-                graphOptimizationLevel: 'all',
-                executionMode: 'sequential'
-            };
-            
-            // WASMバックエンド用の追加設定
-            if (this.currentBackend === 'wasm') {
-                sessionOptions.enableCpuMemArena = true;
-                sessionOptions.enableMemPattern = true;
-                sessionOptions.interOpNumThreads = Math.min(4, navigator.hardwareConcurrency || 2);
-                sessionOptions.intraOpNumThreads = Math.min(4, navigator.hardwareConcurrency || 2);
+            for (const [fileName, expected] of files) {
+                await this._fetchVerifiedFile(fileName, expected);
             }
             
-            this.models.angleClassification = await ort.InferenceSession.create(modelPath, sessionOptions);
-            
-            console.log('角度分類モデルを読み込みました');
+            console.log(`モデルキャッシュを準備しました (${files.size}ファイル)`);
+            return this.getEngineInfo().modelCache;
             
         } catch (error) {
-            console.error('角度分類モデル読み込みエラー:', error);
+            console.error('モデルキャッシュ準備エラー:', error);
             throw error;
         }
     }
 
     /**
-     * デフォルト文字セットの取得
+     * 整合性検証エラーの作成
      * @private
      */
-    _getDefaultCharset() {
-        // 基本的な日本語文字セット（ひらがな、カタカナ、数字、記号）
-        const hiragana = 'あいうえおかきくけこさしすせそたちつてとなにぬねのはひふへほまみむめもやゆよらりるれろわをん';
-        const katakana = 'アイウエオカキクケコサシスセソタチツテトナニヌネノハヒフヘホマミムメモヤユヨラリルレロワヲン';
-        const numbers = '0123456789';
-        const symbols = '、。！？（）「」【】〈〉《》・ー～￥円年月日時分秒';
-        const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
-        
-        return (hiragana + katakana + numbers + symbols + alphabet).split('');
+    _createIntegrityError(fileName, detail, expected = null, actual = null) {
+        const error = new Error(`モデルファイルの整合性検証に失敗しました: ${fileName} - ${detail}`);
+        error.name = 'ModelIntegrityError';
+        error.file = fileName;
+        error.expected = expected;
+        error.actual = actual;
+        return error;
     }
 
     /**
-     * モデルの読み込み状態確認
+     * 処理中断エラーの生成（呼び出し側が name === 'AbortError' で判別できるようにする）
+     * @private
      */
-    areModelsLoaded() {
-        if (this.usingFallback) {
-            return true; // フォールバック使用時は常にtrue
+    _createAbortError(message = 'OCR処理がキャンセルされました') {
+        const error = new Error(message);
+        error.name = 'AbortError';
+        return error;
+    }
+
+    /**
+     * 中断要求の確認（options.signal が中断済みなら AbortError を投げる）
+     * @private
+     */
+    _throwIfAborted(signal) {
+        if (signal && signal.aborted) {
+            throw this._createAbortError();
         }
-        
-        return !!(this.models.detection && this.models.recognition && this.models.angleClassification && this.charset);
     }
 
     /**
-     * 特定のモデルのみロード（遅延ロード用）
+     * 中断可能な待機（中断時は onAbort で処理中のリソースを解放し、AbortError で終了する）
+     * @private
      */
-    async loadModelIfNeeded(modelType) {
-        if (this.usingFallback) {
-            return; // フォールバック使用時は何もしない
+    _runAbortable(promise, signal, onAbort) {
+        if (!signal) {
+            return promise;
         }
         
-        if (!this.initialized) {
-            throw new Error('OCRエンジンが初期化されていません');
+        this._throwIfAborted(signal);
+        
+        return new Promise((resolve, reject) => {
+            const handleAbort = () => {
+                Promise.resolve()
+                    .then(() => onAbort && onAbort())
+                    .catch(error => console.warn('中断時のリソース解放エラー:', error))
+                    .finally(() => reject(this._createAbortError()));
+            };
+            
+            signal.addEventListener('abort', handleAbort, { once: true });
+            
+            promise.then(resolve, reject).finally(() => {
+                signal.removeEventListener('abort', handleAbort);
+            });
+        });
+    }
+
+    /**
+     * 読み込み済みONNXセッションの解放
+     * @private
+     */
+    async _releaseModels() {
+        // 認識モデルは切り替え用に読み込んだものも含めて解放する
+        for (const recognizer of this.recognizers.values()) {
+            await recognizer.session.release();
         }
+        this.recognizers.clear();
+        this.models.recognition = null;
+        this.modelSpecs.recognition = null;
+        this.charset = null;
         
-        try {
-            switch (modelType) {
-                case 'detection':
-                    if (!this.models.detection) {
-                        await this._loadDetectionModel();
-                    }
-                    break;
-                case 'recognition':
-                    if (!this.models.recognition) {
-                        await this._loadRecognitionModel();
-                        if (!this.charset) {
-                            await this._loadCharset();
-                        }
-                    }
-                    break;
-                case 'angleClassification':
-                    if (!this.models.angleClassification) {
-                        await this._loadAngleClassificationModel();
-                    }
-                    break;
-                default:
-                    throw new Error(`未知のモデルタイプ: ${modelType}`);
+        for (const role of Object.keys(this.models)) {
+            if (this.models[role]) {
+                await this.models[role].release();
+                this.models[role] = null;
             }
-        } catch (error) {
-            console.error(`モデル ${modelType} の遅延ロードエラー:`, error);
-            throw error;
         }
     }
 
     /**
-     * モデルファイルのプリロード（バックグラウンドで実行）
+     * モデルマニフェストの読み込み
+     * 取得できない場合は組み込みのマニフェストを使用する
+     * @private
      */
-    async preloadModels() {
-        if (this.usingFallback) {
-            return; // フォールバック使用時は何もしない
+    async _loadManifest() {
+        if (this.manifest) {
+            return this.manifest;
         }
         
+        const manifestPath = `${this.config.modelsPath}${this.config.manifestFile}`;
+        
         try {
-            // バックグラウンドでモデルファイルをプリロード
-            const modelFiles = [
-                'text_det.onnx',
-                'text_rec_jp.onnx', 
-                'text_angle.onnx',
-                'charset_jp.txt'
-            ];
+            const response = await fetch(manifestPath);
             
-            const preloadPromises = modelFiles.map(async (filename) => {
-                try {
-                    const response = await fetch(`${this.config.modelsPath}${filename}`);
-                    if (response.ok) {
-                        // レスポンスボディを読み込んでキャッシュに保存
-                        await response.arrayBuffer();
-                        console.log(`プリロード完了: ${filename}`);
-                    }
-                } catch (error) {
-                    console.warn(`プリロード失敗: ${filename}`, error);
-                }
-            });
+            if (!response.ok) {
+                throw new Error(`マニフェストの読み込みに失敗: ${response.status}`);
+            }
             
-            await Promise.allSettled(preloadPromises);
-            console.log('モデルファイルのプリロードが完了しました');
+            const manifest = await response.json();
+            this._validateManifest(manifest);
+            this.manifest = manifest;
+            
+            console.log(`モデルマニフェストを読み込みました (${manifest.models.length}モデル)`);
             
         } catch (error) {
-            console.warn('モデルプリロードエラー:', error);
+            console.warn('モデルマニフェスト読み込みエラー:', error);
+            this.manifest = this._getDefaultManifest();
+            console.warn('組み込みのモデルマニフェストを使用します');
         }
+        
+        return this.manifest;
     }
 
     /**
-     * フォールバック処理の実行
+     * マニフェストの構造チェック
+     * @private
      */
-    async processWithFallback(imageData, options = {}) {
-        if (!this.fallbackEngine) {
-            throw new Error('フォールバックエンジンが初期化されていません');
+    _validateManifest(manifest) {
+        if (!manifest || !Array.isArray(manifest.models)) {
+            throw new Error('マニフェストに models 配列がありません');
         }
         
-        try {
-            console.log('Tesseract.jsでOCR処理を実行中...');
-            
-            // 画像データをTesseract.jsで処理
-            const result = await this.fallbackEngine.recognize(imageData, {
-                logger: options.progressCallback || null
-            });
-            
-            // 結果を標準形式に変換
-            return this._convertTesseractResult(result);
-            
-        } catch (error) {
-            console.error('Tesseract.js処理エラー:', error);
-            throw error;
+        for (const entry of manifest.models) {
+            if (!entry.id || !entry.role || !entry.file) {
+                throw new Error(`マニフェストのモデル定義が不完全です: ${JSON.stringify(entry)}`);
+            }
+            if (!(entry.role in this.models)) {
+                throw new Error(`未知のモデルロール: ${entry.role}`);
+            }
+        }
+        
+        for (const role of ['detection', 'recognition']) {
+            if (!manifest.models.some(entry => entry.role === role)) {
+                throw new Error(`マニフェストに ${role} モデルがありません`);
+            }
         }
     }
 
     /**
-     * Tesseract.js結果の変換
+     * 組み込みのモデルマニフェスト（manifest.json が無い環境向け）
+     * 同梱モデルのサイズとSHA-256は models/manifest.json と同じ値を持ち、未検証のモデルは読み込まない
      * @private
      */
-    _convertTesseractResult(tesseractResult) {
-        const { data } = tesseractResult;
+    _getDefaultManifest() {
+        return {
+            manifestVersion: 1,
+            models: [
+                {
+                    id: 'text_det',
+                    role: 'detection',
+                    file: 'text_det.onnx',
+                    version: 'builtin',
+                    size: 651,
+                    sha256: 'a4af71a712dcc7386035d4dcce11bfdbdbcc9548ddcd943f79299a134ba8732e',
+                    input: { shape: [1, 3, 640, 640], mean: [0.485, 0.456, 0.406], std: [0.229, 0.224, 0.225] }
+                },
+                {
+                    id: 'text_rec_jp',
+                    role: 'recognition',
+                    file: 'text_rec_jp.onnx',
+                    version: 'builtin',
+                    size: 887,
+                    sha256: '4a6edb9cb2a9367db17969ddd11610aa6df015f619bc1b5d2b741d4c0cbe1373',
+                    language: 'ja',
+                    label: '日本語',
+                    input: { shape: [-1, 3, 48, -1], mean: [0, 0, 0], std: [1, 1, 1] },
+                    charset: {
+                        file: 'charset_jp.txt',
+                        size: 2298,
+                        sha256: '0f839d3a4efbb3bc10794d3074757ad963a5b49f0eb1a565bf0d419984b43a38'
+                    }
+                },
+                {
+                    id: 'text_angle',
+                    role: 'angleClassification',
+                    file: 'text_angle.onnx',
+                    version: 'builtin',
+                    size: 842,
+                    sha256: '52e3dc9c874fb9ea9fb39213a386c5fbc75be98ba1e1884b3e36cb24dd6eed5c',
+                    input: { shape: [1, 1, 48, -1], mean: [0], std: [1] }
+                }
+            ]
+        };
+    }
+
+    /**
+     * ロールに対応するモデル定義の取得（読み込み済みのものを優先）
+     * @private
+     */
+    _getModelSpec(role) {
+        return this.modelSpecs[role] || this._selectManifestEntry(role);
+    }
+
+    /**
+     * マニフェストからロールの既定モデルを選択
+     * 同じロールが複数ある場合は config.modelSelection で指定したIDを優先する
+     * @private
+     */
+    _selectManifestEntry(role) {
+        const manifest = this.manifest || this._getDefaultManifest();
+        const candidates = manifest.models.filter(entry => entry.role === role);
+        const selectedId = this.config.modelSelection[role];
+        
+        if (selectedId) {
+            const selected = candidates.find(entry => entry.id === selectedId);
+            if (!selected) {
+                throw new Error(`マニフェストに ${role} モデル "${selectedId}" がありません`);
+            }
+            return selected;
+        }
+        
+        return candidates[0] || null;
+    }
+
+    /**
+     * モデル入力の形状・正規化定数の取得
+     * @private
+     */
+    _getModelInputSpec(role) {
+        const spec = this._getModelSpec(role);
+        const input = (spec && spec.input) || {};
+        const shape = input.shape || [];
+        const channels = shape[1] > 0 ? shape[1] : 3;
+        
+        return {
+            channels,
+            height: shape[2] > 0 ? shape[2] : null,
+            width: shape[3] > 0 ? shape[3] : null,
+            mean: input.mean || new Array(channels).fill(0),
+            std: input.std || new Array(channels).fill(1)
+        };
+    }
+
+    /**
+     * 文字セットファイルの読み込み
+     * @private
+     */
+    async _loadCharset(spec) {
+        try {
+            const charset = (spec && spec.charset) || { file: 'charset_jp.txt' };
+            const buffer = await this._fetchVerifiedFile(charset.file, charset);
+            
+            const characters = this._parseCharset(new TextDecoder('utf-8').decode(buffer));
+            console.log(`文字セットを読み込みました (${charset.file}: ${characters.length}文字)`);
+            return characters;
+            
+        } catch (error) {
+            console.error('文字セット読み込みエラー:', error);
+            
+            // 整合性エラーは既定の文字セットで隠さず呼び出し元に伝える
+            if (error.name === 'ModelIntegrityError') {
+                throw error;
+            }
+            
+            // フォールバック文字セットを使用（出力クラス数の検証で不一致は検出される）
+            console.warn('デフォルト文字セットを使用します');
+            return this._getDefaultCharset();
+        }
+    }
+
+    /**
+     * 文字セットファイルの解析
+     * "# " で始まる行はコメント、"#" だけの行は "#" 文字、空白だけの行は空白文字として扱う
+     * @private
+     */
+    _parseCharset(text) {
+        return text.split('\n')
+            .map(line => line.replace(/\r$/, ''))
+            .filter(line => line !== '' && !line.startsWith('# '));
+    }
+
+    /**
+     * 認識モデルの出力クラス数と文字セットの整合性検証
+     * クラス数は文字数 + blank（末尾）でなければならず、ずれたまま認識すると文字が入れ替わるため例外にする
+     * @private
+     */
+    _verifyCharsetConsistency(spec, charset, numClasses) {
+        const expectedClasses = charset.length + 1;
+        
+        if (numClasses !== expectedClasses) {
+            const error = new Error(
+                `認識モデル ${spec ? spec.id : 'recognition'} の出力クラス数 (${numClasses}) が` +
+                `文字セット (${charset.length}文字 + blank = ${expectedClasses}) と一致しません`
+            );
+            error.name = 'CharsetMismatchError';
+            throw error;
+        }
+    }
+
+    /**
+     * 利用可能な認識モデルの一覧（文書ごとの言語選択用）
+     */
+    getAvailableRecognizers() {
+        const manifest = this.manifest || this._getDefaultManifest();
+        const active = this.modelSpecs.recognition;
+        
+        return manifest.models
+            .filter(entry => entry.role === 'recognition')
+            .map(entry => ({
+                id: entry.id,
+                language: entry.language || null,
+                label: entry.label || entry.id,
+                active: !!active && active.id === entry.id
+            }));
+    }
+
+    /**
+     * 認識モデルと文字セットの切り替え
+     * 未読み込みであれば読み込んで整合性を検証し、読み込み済みであれば再利用する
+     * @param {string|null} selector - マニフェストのモデルIDまたは言語コード（ja, en, zh など）。省略時は既定の認識モデル
+     */
+    async useRecognizer(selector = null) {
+        await this._loadManifest();
+        
+        let spec = this._selectManifestEntry('recognition');
+        if (selector) {
+            spec = this.manifest.models.find(entry =>
+                entry.role === 'recognition' && (entry.id === selector || entry.language === selector)
+            );
+            if (!spec) {
+                const error = new Error(`認識モデルが見つかりません: ${selector}`);
+                error.name = 'RecognizerNotFoundError';
+                throw error;
+            }
+        }
+        
+        try {
+            let recognizer = this.recognizers.get(spec.id);
+            
+            if (!recognizer) {
+                const charset = await this._loadCharset(spec);
+                const session = await this._createModelSession(spec);
+                
+                // モデル自身の出力形状からクラス数が分かれば読み込み時に検証（動的な次元なら初回推論時に検証）
+                const numClasses = this._getSessionOutputClasses(session);
+                if (numClasses !== null) {
+                    try {
+                        this._verifyCharsetConsistency(spec, charset, numClasses);
+                    } catch (error) {
+                        if (typeof session.release === 'function') {
+                            await session.release();
+                        }
+                        throw error;
+                    }
+                } else {
+                    console.warn(`${spec.id} の出力クラス数をモデルから取得できないため、初回推論時に文字セットとの整合性を検証します`);
+                }
+                
+                recognizer = { spec, session, charset };
+                this.recognizers.set(spec.id, recognizer);
+                
+                console.log(`recognition モデルを読み込みました (${spec.id} v${spec.version || '-'})`);
+            }
+            
+            // 別の認識モデルに切り替えた場合は、そのモデルでバッチ推論を試し直す
+            if (!this.modelSpecs.recognition || this.modelSpecs.recognition.id !== spec.id) {
+                this.recognitionBatchSupported = true;
+            }
+            this.models.recognition = recognizer.session;
+            this.modelSpecs.recognition = spec;
+            this.charset = recognizer.charset;
+            
+            return spec;
+            
+        } catch (error) {
+            console.error(`認識モデル ${spec.id} の読み込みエラー:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * マニフェストに宣言されたモデルの読み込み
+     * @private
+     */
+    async _loadModel(role) {
+        if (role === 'recognition') {
+            await this.useRecognizer();
+            return;
+        }
+        
+        const spec = this._getModelSpec(role);
+        if (!spec) {
+            throw new Error(`${role} モデルがマニフェストに宣言されていません`);
+        }
+        
+        try {
+            this.models[role] = await this._createModelSession(spec);
+            this.modelSpecs[role] = spec;
+            
+            console.log(`${role} モデルを読み込みました (${spec.id} v${spec.version || '-'})`);
+            
+        } catch (error) {
+            console.error(`${role} モデル読み込みエラー:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * 検証済みのモデルファイルからONNXセッションを作成
+     * 検証後の再取得で差し替わらないよう、検証したバイト列をそのまま渡す
+     * @private
+     */
+    async _createModelSession(spec) {
+        const buffer = await this._fetchVerifiedFile(spec.file, spec);
+        return await ort.InferenceSession.create(new Uint8Array(buffer), this._createSessionOptions());
+    }
+
+    /**
+     * ONNXセッションオプションの作成（WASMバックエンド用最適化）
+     * @private
+     */
+    _createSessionOptions() {
+        const sessionOptions = {
+            executionProviders: [this.currentBackend],
+            graphOptimizationLevel: 'all',
+            executionMode: 'sequential'
+        };
+        
+        // WASMバックエンド用の追加設定
+        if (this.currentBackend === 'wasm') {
+            sessionOptions.enableCpuMemArena = true;
+            sessionOptions.enableMemPattern = true;
+            sessionOptions.interOpNumThreads = Math.min(4, navigator.hardwareConcurrency || 2);
+            sessionOptions.intraOpNumThreads = Math.min(4, navigator.hardwareConcurrency || 2);
+        }
+        
+        return sessionOptions;
+    }
+
+    /**
+     * デフォルト文字セットの取得
+     * @private
+     */
+    _getDefaultCharset() {
+        // 基本的な日本語文字セット（ひらがな、カタカナ、数字、記号）
+        const hiragana = 'あいうえおかきくけこさしすせそたちつてとなにぬねのはひふへほまみむめもやゆよらりるれろわをん';
+        const katakana = 'アイウエオカキクケコサシスセソタチツテトナニヌネノハヒフヘホマミムメモヤユヨラリルレロワヲン';
+        const numbers = '0123456789';
+        const symbols = '、。！？（）「」【】〈〉《》・ー～￥円年月日時分秒';
+        const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+        
+        return (hiragana + katakana + numbers + symbols + alphabet).split('');
+    }
+
+    /**
+     * モデルの読み込み状態確認
+     */
+    areModelsLoaded() {
+        if (this.usingFallback) {
+            return true; // フォールバック使用時は常にtrue
+        }
+        
+        // 角度分類モデルはマニフェストに宣言されている場合のみ必須
+        const angleLoaded = !!this.models.angleClassification || !this._getModelSpec('angleClassification');
+        
+        return !!(this.models.detection && this.models.recognition && angleLoaded && this.charset);
+    }
+
+    /**
+     * 特定のモデルのみロード（遅延ロード用）
+     */
+    async loadModelIfNeeded(modelType) {
+        if (this.usingFallback) {
+            return; // フォールバック使用時は何もしない
+        }
+        
+        if (!this.initialized) {
+            throw new Error('OCRエンジンが初期化されていません');
+        }
+        
+        if (!(modelType in this.models)) {
+            throw new Error(`未知のモデルタイプ: ${modelType}`);
+        }
+        
+        try {
+            await this._loadManifest();
+            
+            if (!this.models[modelType]) {
+                await this._loadModel(modelType);
+            }
+        } catch (error) {
+            console.error(`モデル ${modelType} の遅延ロードエラー:`, error);
+            throw error;
+        }
+    }
+
+    /**
+     * モデルファイルのプリロード（バックグラウンドで実行）
+     */
+    async preloadModels() {
+        if (this.usingFallback) {
+            return; // フォールバック使用時は何もしない
+        }
+        
+        try {
+            // バックグラウンドでマニフェスト記載のファイルを永続モデルキャッシュに保存
+            await this.warmModelCache();
+            console.log('モデルファイルのプリロードが完了しました');
+            
+        } catch (error) {
+            console.warn('モデルプリロードエラー:', error);
+        }
+    }
+
+    /**
+     * フォールバック処理の実行
+     */
+    async processWithFallback(imageData, options = {}) {
+        await this._ensureFallbackEngine();
+        
+        try {
+            console.log('Tesseract.jsでOCR処理を実行中...');
+            
+            // 縦書きの文書と指定された場合は jpn_vert で処理
+            const vertical = options.orientation === 'vertical' && this.config.verticalText;
+            const engine = vertical ? await this._getVerticalFallbackEngine() : this.fallbackEngine;
+            
+            // 画像前処理（プリセット指定時のみ）と傾き補正
+            const preprocessing = this._getPreprocessingPipeline(options);
+            let preprocessedImage = this._applyPreprocessing(imageData, preprocessing);
+            const deskew = this._isDeskewEnabled(options) ? this._estimateSkewAngle(preprocessedImage) : null;
+            if (deskew && deskew.applied) {
+                preprocessedImage = this._rotateImageDataByAngle(preprocessedImage, deskew.angle);
+            }
+            
+            // 画像データをTesseract.jsで処理（中断時はワーカーを終了して処理を止める）
+            const result = await this._runAbortable(
+                engine.recognize(preprocessedImage, {
+                    logger: options.progressCallback || null
+                }),
+                options.signal,
+                () => this._terminateTesseractWorker(engine)
+            );
+            
+            // 結果を標準形式に変換
+            const converted = this._convertTesseractResult(result, vertical ? 'vertical' : 'horizontal');
+            if (preprocessing) {
+                converted.preprocessing = this._describePreprocessing(preprocessing);
+            }
+            if (deskew) {
+                converted.deskew = deskew;
+            }
+            return converted;
+            
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                console.error('Tesseract.js処理エラー:', error);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Tesseract.js結果の変換
+     * @private
+     */
+    _convertTesseractResult(tesseractResult, orientation = 'horizontal') {
+        const { data } = tesseractResult;
         
         // テキストブロックの変換
         const textBlocks = [];
@@ -801,24 +1374,32 @@ class OCREngine {
         if (data.words) {
             data.words.forEach(word => {
                 if (word.confidence > 30) { // 低信頼度のワードを除外
+                    const boundingBox = {
+                        x: word.bbox.x0,
+                        y: word.bbox.y0,
+                        width: word.bbox.x1 - word.bbox.x0,
+                        height: word.bbox.y1 - word.bbox.y0
+                    };
+                    
                     textBlocks.push({
                         text: word.text,
                         confidence: word.confidence / 100, // 0-1の範囲に正規化
-                        boundingBox: {
-                            x: word.bbox.x0,
-                            y: word.bbox.y0,
-                            width: word.bbox.x1 - word.bbox.x0,
-                            height: word.bbox.y1 - word.bbox.y0
-                        },
+                        boundingBox,
+                        polygon: this._boundingBoxToPolygon(boundingBox),
                         fontSize: this._estimateFontSize(word.bbox),
+                        orientation,
                         source: 'tesseract'
                     });
                 }
             });
         }
         
+        // 行・列へのグループ化と読み順の再構成
+        const layout = this._analyzeLayout(textBlocks);
+        
         return {
-            textBlocks,
+            textBlocks: layout.textBlocks,
+            lines: layout.lines,
             confidence: data.confidence / 100,
             processingTime: tesseractResult.jobId ? Date.now() : 0,
             engine: 'tesseract',
@@ -894,86 +1475,345 @@ class OCREngine {
      * @private
      */
     _notifyFallbackSwitch(reason) {
-        // カスタムイベントを発火してUIに通知
-        const event = new CustomEvent('ocrFallbackSwitch', {
-            detail: {
-                reason,
-                performanceDifference: this._getPerformanceDifference(),
-                timestamp: Date.now()
-            }
+        this._dispatchEngineEvent('ocrFallbackSwitch', {
+            reason,
+            performanceDifference: this._getPerformanceDifference(),
+            integrityError: this.integrityError,
+            timestamp: Date.now()
         });
+    }
+
+    /**
+     * UI通知用のカスタムイベントの発火
+     * @private
+     */
+    _dispatchEngineEvent(type, detail) {
+        const event = new CustomEvent(type, { detail });
         
-        document.dispatchEvent(event);
+        // Worker内では document が無いため Worker のグローバルスコープに発火する
+        const target = typeof document !== 'undefined' ? document : self;
+        target.dispatchEvent(event);
     }
 
     /**
-     * 処理エンジンの自動選択
+     * ONNX処理の失敗をサーキットブレーカーに記録する
+     * 連続失敗がしきい値に達したバックエンドは切り離し、config.backends の次のバックエンドに切り替える
+     * @returns {Promise<string>} 'retry'（次のバックエンドで再試行）, 'open'（全バックエンドが失敗）, 'closed'（しきい値未満）
+     * @private
      */
-    async processImage(imageData, options = {}) {
-        if (!this.initialized) {
-            throw new Error('OCRエンジンが初期化されていません');
+    async _recordBackendFailure(error) {
+        // 入力・設定の誤りはバックエンドを替えても直らないため数えない
+        if (!this._isBackendError(error)) {
+            return 'closed';
         }
         
-        try {
-            if (this.usingFallback) {
-                // フォールバック使用時
-                return await this.processWithFallback(imageData, options);
-            } else {
-                // ONNX使用時 - 検出→認識パイプライン
-                return await this.processWithONNX(imageData, options);
-            }
-        } catch (error) {
-            console.error('OCR処理エラー:', error);
-            
-            // ONNX処理でエラーが発生した場合、フォールバックを試行
-            if (!this.usingFallback && this.config.fallbackToTesseract) {
-                console.log('ONNXエラーのためフォールバックを試行します');
-                
-                try {
-                    await this.switchToFallback(error.message);
-                    return await this.processWithFallback(imageData, options);
-                } catch (fallbackError) {
-                    console.error('フォールバック処理も失敗:', fallbackError);
-                    throw fallbackError;
-                }
-            }
-            
+        const backend = this.currentBackend;
+        const failures = (this.backendFailures[backend] || 0) + 1;
+        this.backendFailures[backend] = failures;
+        
+        console.warn(`バックエンド ${backend} の連続失敗回数: ${failures}/${this.config.circuitBreakerThreshold}`);
+        
+        if (failures < this.config.circuitBreakerThreshold) {
+            return 'closed';
+        }
+        
+        const nextBackend = await this._findNextBackend(backend);
+        if (!nextBackend) {
+            return 'open';
+        }
+        
+        await this._switchBackend(nextBackend);
+        this._dispatchEngineEvent('ocrBackendSwitch', {
+            from: backend,
+            to: nextBackend,
+            reason: error.message,
+            failures,
+            timestamp: Date.now()
+        });
+        
+        console.warn(`バックエンドを ${backend} から ${nextBackend} に切り替えました`);
+        return 'retry';
+    }
+
+    /**
+     * サーキットブレーカーで数えるエラー（推論セッションの作成・実行の失敗）かどうか
+     * キャンセル・不正な画像・文字セットの不一致・整合性エラー・存在しない認識モデルの指定は対象外
+     * @private
+     */
+    _isBackendError(error) {
+        const nonBackendErrors = [
+            'AbortError',
+            'InvalidImageError',
+            'CharsetMismatchError',
+            'ModelIntegrityError',
+            'RecognizerNotFoundError'
+        ];
+        return !!error && !nonBackendErrors.includes(error.name);
+    }
+
+    /**
+     * 処理対象の画像データの検証（不正な場合は InvalidImageError）
+     * @private
+     */
+    _validateImageData(imageData) {
+        if (!imageData || !(imageData.width > 0) || !(imageData.height > 0)) {
+            const error = new Error('画像データが不正です');
+            error.name = 'InvalidImageError';
             throw error;
         }
     }
 
     /**
-     * ONNX Runtime Webを使用したOCR処理
-     * @param {ImageData} imageData - 処理対象の画像データ
-     * @param {Object} options - オプション設定
-     * @returns {Promise<OCRResult>}
+     * 失敗したバックエンドより後ろにある、利用可能なバックエンドの検索
+     * @private
      */
-    async processWithONNX(imageData, options = {}) {
-        const startTime = Date.now();
+    async _findNextBackend(failedBackend) {
+        const backends = this.config.backends;
         
-        try {
-            // 必要なモデルの遅延ロード
-            await this.loadModelIfNeeded('detection');
-            await this.loadModelIfNeeded('recognition');
-            
-            // 進行状況の通知
-            if (options.progressCallback) {
+        for (let i = backends.indexOf(failedBackend) + 1; i < backends.length; i++) {
+            const backend = backends[i];
+            if ((this.backendFailures[backend] || 0) >= this.config.circuitBreakerThreshold) {
+                continue;
+            }
+            if (await this._checkBackendSupport(backend)) {
+                return backend;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * 実行バックエンドの切り替え
+     * 読み込み済みのセッションは旧バックエンドで作成されているため解放し、次回使用時に読み込み直す
+     * @private
+     */
+    async _switchBackend(backend) {
+        try {
+            await this._releaseModels();
+        } catch (error) {
+            console.warn('バックエンド切り替え時のセッション解放エラー:', error);
+        }
+        this.currentBackend = backend;
+        this.recognitionBatchSupported = true;
+    }
+
+    /**
+     * ONNX失敗後にTesseract.jsで処理するための準備
+     * 全バックエンドが切り離された場合のみフォールバック状態に切り替え、ONNXの復帰確認を開始する
+     * @private
+     */
+    async _prepareFallbackAfterFailure(action, reason) {
+        if (action === 'open') {
+            await this.switchToFallback(reason);
+            this._scheduleRecoveryProbe();
+        } else {
+            // しきい値未満の間はONNXを使い続け、この処理のみTesseract.jsで行う
+            await this._getSharedTesseractEngine();
+        }
+    }
+
+    /**
+     * ONNXの復帰確認を一定間隔で予約
+     * @private
+     */
+    _scheduleRecoveryProbe() {
+        if (!this.config.recoveryProbeInterval || this.recoveryProbeTimer) {
+            return;
+        }
+        
+        this.recoveryProbeTimer = setTimeout(async () => {
+            this.recoveryProbeTimer = null;
+            const recovered = await this.probeONNXRecovery();
+            if (!recovered && this.usingFallback) {
+                this._scheduleRecoveryProbe();
+            }
+        }, this.config.recoveryProbeInterval);
+    }
+
+    /**
+     * フォールバック中にONNXが再び使えるか確認し、使える場合は切り戻す
+     * config.backends の優先順に検出・認識モデルのセッション作成を試す
+     * @returns {Promise<boolean>} ONNXに切り戻した場合 true
+     */
+    async probeONNXRecovery() {
+        // 整合性エラーのモデルは時間が経っても直らないため確認しない
+        if (!this.usingFallback || this.integrityError) {
+            return false;
+        }
+        
+        for (const backend of this.config.backends) {
+            if (!(await this._checkBackendSupport(backend))) {
+                continue;
+            }
+            
+            try {
+                await this._switchBackend(backend);
+                await this._loadManifest();
+                await this._loadModel('detection');
+                await this._loadModel('recognition');
+                
+                this.usingFallback = false;
+                this.backendFailures = {};
+                this._dispatchEngineEvent('ocrRecoverySwitch', {
+                    backend,
+                    timestamp: Date.now()
+                });
+                
+                console.log(`ONNX (${backend}) への復帰が完了しました`);
+                return true;
+                
+            } catch (error) {
+                console.warn(`バックエンド ${backend} の復帰確認に失敗:`, error);
+                await this._switchBackend('tesseract');
+            }
+        }
+        
+        return false;
+    }
+
+    /**
+     * 処理エンジンの自動選択
+     */
+    async processImage(imageData, options = {}) {
+        if (!this.initialized) {
+            throw new Error('OCRエンジンが初期化されていません');
+        }
+        
+        this._validateImageData(imageData);
+        
+        try {
+            this._throwIfAborted(options.signal);
+            
+            if (this.usingFallback) {
+                // フォールバック使用時
+                return await this.processWithFallback(imageData, options);
+            } else {
+                // ONNX使用時 - 検出→認識パイプライン
+                const result = await this.processWithONNX(imageData, options);
+                this.backendFailures[this.currentBackend] = 0;
+                return result;
+            }
+        } catch (error) {
+            // キャンセルはエラーではないためフォールバックしない
+            if (error.name === 'AbortError') {
+                console.log('OCR処理がキャンセルされました');
+                throw error;
+            }
+            
+            console.error('OCR処理エラー:', error);
+            
+            // ONNX処理でエラーが発生した場合、次のバックエンドかフォールバックを試行
+            if (!this.usingFallback) {
+                const action = await this._recordBackendFailure(error);
+                if (action === 'retry') {
+                    return await this.processImage(imageData, options);
+                }
+                
+                if (this.config.fallbackToTesseract) {
+                    console.log('ONNXエラーのためフォールバックを試行します');
+                    
+                    try {
+                        await this._prepareFallbackAfterFailure(action, error.message);
+                        return await this.processWithFallback(imageData, options);
+                    } catch (fallbackError) {
+                        console.error('フォールバック処理も失敗:', fallbackError);
+                        throw fallbackError;
+                    }
+                }
+            }
+            
+            throw error;
+        }
+    }
+
+    /**
+     * ONNX Runtime Webを使用したOCR処理
+     * @param {ImageData} imageData - 処理対象の画像データ
+     * @param {Object} options - オプション設定
+     * @returns {Promise<OCRResult>}
+     */
+    async processWithONNX(imageData, options = {}) {
+        const startTime = Date.now();
+        
+        // デバッグモードでは各段階の中間結果を集める
+        const debugInfo = options.debug ? this._createDebugInfo() : null;
+        if (debugInfo) {
+            options = { ...options, debugInfo };
+        }
+        
+        try {
+            // 必要なモデルの遅延ロード（文書ごとに認識モデルの指定があれば切り替え）
+            await this.loadModelIfNeeded('detection');
+            if (options.recognizer) {
+                await this.useRecognizer(options.recognizer);
+            } else {
+                await this.loadModelIfNeeded('recognition');
+            }
+            
+            this._throwIfAborted(options.signal);
+            
+            // 画像前処理（プリセット指定時のみ）
+            const preprocessing = this._getPreprocessingPipeline(options);
+            imageData = this._applyPreprocessing(imageData, preprocessing);
+            
+            // 進行状況の通知
+            if (options.progressCallback) {
                 options.progressCallback('テキスト検出を実行中...', 10);
             }
             
-            // Step 1: テキスト検出
-            const detectionResult = await this.detectText(imageData, options);
+            // Step 1: ページの向き判定（横向き・逆さまの場合は画像を回転する）
+            let detectionResult = null;
+            let pageOrientation = null;
+            if (this._isAutoOrientationEnabled(options)) {
+                detectionResult = await this.detectText(imageData, options);
+                this._throwIfAborted(options.signal);
+                
+                pageOrientation = await this._estimatePageOrientation(imageData, detectionResult.textRegions);
+                if (pageOrientation.applied) {
+                    imageData = this._rotateImageData(imageData, pageOrientation.rotation);
+                    detectionResult = null;
+                }
+            }
+            
+            // Step 1.5: 微小な傾きの補正（横向きのままでは文字行の方向を取り違えるため、向きの補正後に推定する）
+            const deskew = this._isDeskewEnabled(options) ? this._estimateSkewAngle(imageData) : null;
+            if (deskew && deskew.applied) {
+                imageData = this._rotateImageDataByAngle(imageData, deskew.angle);
+                detectionResult = null;
+            }
+            
+            // Step 1.6: テキスト検出（回転した場合は回転後の画像で検出し直す）
+            if (!detectionResult) {
+                if (debugInfo && pageOrientation) {
+                    Object.assign(debugInfo, this._createDebugInfo());
+                }
+                detectionResult = await this.detectText(imageData, options);
+                this._throwIfAborted(options.signal);
+            }
             
             if (options.progressCallback) {
                 options.progressCallback('テキスト認識を実行中...', 50);
             }
             
             // Step 2: 検出された領域のテキスト認識
-            const recognitionResults = await this.recognizeTextRegions(
+            let recognitionResults = await this.recognizeTextRegions(
                 imageData, 
                 detectionResult.textRegions, 
                 options
             );
+            this._throwIfAborted(options.signal);
+            
+            // Step 2.5: アンサンブル（低信頼度の行をTesseractでも認識して行ごとに投票）
+            const ensembleEnabled = options.ensemble !== undefined ? options.ensemble : this.config.ensemble;
+            let ensembleSummary = null;
+            if (ensembleEnabled) {
+                if (options.progressCallback) {
+                    options.progressCallback('低信頼度の行を再認識中...', 85);
+                }
+                const ensembleResult = await this._applyEnsembleVoting(imageData, recognitionResults, options);
+                recognitionResults = ensembleResult.results;
+                ensembleSummary = ensembleResult.summary;
+            }
             
             if (options.progressCallback) {
                 options.progressCallback('結果を統合中...', 90);
@@ -988,6 +1828,30 @@ class OCREngine {
             finalResult.processingTime = Date.now() - startTime;
             finalResult.engine = 'onnx';
             finalResult.backend = this.currentBackend;
+            if (deskew) {
+                finalResult.deskew = deskew;
+                if (deskew.applied) {
+                    finalResult.processingSteps.unshift('deskew');
+                }
+            }
+            if (pageOrientation) {
+                finalResult.pageOrientation = pageOrientation;
+                if (pageOrientation.applied) {
+                    finalResult.processingSteps.unshift('orientation');
+                }
+            }
+            if (preprocessing) {
+                finalResult.preprocessing = this._describePreprocessing(preprocessing);
+                finalResult.processingSteps.unshift('preprocessing');
+            }
+            if (ensembleSummary) {
+                finalResult.ensemble = ensembleSummary;
+                finalResult.processingSteps.push('ensemble');
+            }
+            if (debugInfo) {
+                debugInfo.regions = detectionResult.textRegions;
+                finalResult.debug = debugInfo;
+            }
             
             if (options.progressCallback) {
                 options.progressCallback('処理完了', 100);
@@ -996,7 +1860,9 @@ class OCREngine {
             return finalResult;
             
         } catch (error) {
-            console.error('ONNX処理エラー:', error);
+            if (error.name !== 'AbortError') {
+                console.error('ONNX処理エラー:', error);
+            }
             throw error;
         }
     }
@@ -1012,6 +1878,11 @@ class OCREngine {
             throw new Error('検出モデルが読み込まれていません');
         }
         
+        // 長いレシートは全体を縮小すると文字が潰れるため、タイルに分けて検出する
+        if (this._shouldTileDetection(imageData, options)) {
+            return this._detectTextTiled(imageData, options);
+        }
+        
         try {
             // 画像の前処理
             const preprocessedImage = await this._preprocessImageForDetection(imageData);
@@ -1039,13 +1910,259 @@ class OCREngine {
         }
     }
 
+    /**
+     * タイル分割検出を使うかの判定
+     * options.tiling（または config.detectionTiling）が 'auto' の場合は高さ/幅の比で決める
+     * @private
+     */
+    _shouldTileDetection(imageData, options = {}) {
+        const mode = options.tiling || this.config.detectionTiling;
+        
+        if (mode === 'never' || mode === false) {
+            return false;
+        }
+        if (mode === 'always' || mode === true) {
+            return this._getDetectionTiles(imageData.width, imageData.height).length > 1;
+        }
+        
+        return imageData.height / Math.max(1, imageData.width) >= this.config.tilingAspectRatio;
+    }
+
+    /**
+     * 検出タイルの配置（検出モデルの入力サイズの正方形のタイルを、重なりを持たせて縦横に並べる）
+     * タイルを入力サイズ以下にすることで、幅の広い画像でも縮小せずにそのままの解像度で検出できるようにする
+     * @private
+     */
+    _getDetectionTiles(width, height) {
+        const targetSize = this._getModelInputSpec('detection').height || 640;
+        const tileWidth = Math.min(width, targetSize);
+        const tileHeight = Math.min(height, targetSize);
+        const tiles = [];
+        
+        for (const top of this._getTileOffsets(height, tileHeight)) {
+            for (const left of this._getTileOffsets(width, tileWidth)) {
+                tiles.push({ x: left, y: top, width: tileWidth, height: tileHeight });
+            }
+        }
+        
+        return tiles;
+    }
+
+    /**
+     * 1方向のタイルの開始位置（最後のタイルは画像の端にそろえる）
+     * @private
+     */
+    _getTileOffsets(length, tileLength) {
+        const overlap = Math.round(tileLength * this.config.tileOverlap);
+        const step = Math.max(1, tileLength - overlap);
+        const offsets = [];
+        
+        for (let position = 0; ; position += step) {
+            const start = Math.min(position, length - tileLength);
+            offsets.push(start);
+            if (start + tileLength >= length) break;
+        }
+        
+        return offsets;
+    }
+
+    /**
+     * タイル分割によるテキスト検出
+     * タイルごとに検出した領域を元画像座標に戻し、継ぎ目で切れた行や重複した行を統合する
+     * @private
+     */
+    async _detectTextTiled(imageData, options = {}) {
+        try {
+            const tiles = this._getDetectionTiles(imageData.width, imageData.height);
+            const tileRegions = [];
+            
+            console.log(`タイル分割検出: ${tiles.length}タイル (${imageData.width}x${imageData.height})`);
+            
+            for (const tile of tiles) {
+                this._throwIfAborted(options.signal);
+                
+                const tileImage = this._sliceImageRegion(imageData, tile);
+                const preprocessedImage = await this._preprocessImageForDetection(tileImage);
+                const detectionOutput = await this._runDetectionModel(preprocessedImage);
+                const regions = await this._postprocessDetection(detectionOutput, tile.width, tile.height, {
+                    ...options,
+                    debugOffsetX: tile.x,
+                    debugOffsetY: tile.y
+                });
+                
+                tileRegions.push({ tile, regions: regions.map(region => this._offsetRegion(region, tile.x, tile.y)) });
+            }
+            
+            const textRegions = this._mergeTiledRegions(tileRegions, imageData.height, imageData.width);
+            textRegions.sort((a, b) => b.confidence - a.confidence);
+            
+            return {
+                textRegions,
+                confidence: this._calculateDetectionConfidence(textRegions),
+                originalSize: { width: imageData.width, height: imageData.height },
+                tiles: tiles.length
+            };
+            
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                console.error('タイル分割検出エラー:', error);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * 画像から指定範囲（タイル）を切り出す
+     * @private
+     */
+    _sliceImageRegion(imageData, { x, y, width, height }) {
+        const data = new Uint8ClampedArray(width * height * 4);
+        for (let row = 0; row < height; row++) {
+            const start = ((y + row) * imageData.width + x) * 4;
+            data.set(imageData.data.subarray(start, start + width * 4), row * width * 4);
+        }
+        
+        return this._createImageData(data, width, height);
+    }
+
+    /**
+     * ImageDataの作成（ImageDataが無い環境では同じ形のオブジェクトを返す）
+     * @private
+     */
+    _createImageData(data, width, height) {
+        return typeof ImageData !== 'undefined'
+            ? new ImageData(data, width, height)
+            : { width, height, data };
+    }
+
+    /**
+     * 領域の平行移動（タイル座標 → 元画像座標）
+     * @private
+     */
+    _offsetRegion(region, offsetX, offsetY) {
+        return {
+            ...region,
+            boundingBox: { ...region.boundingBox, x: region.boundingBox.x + offsetX, y: region.boundingBox.y + offsetY },
+            polygon: region.polygon
+                ? region.polygon.map(point => ({ x: point.x + offsetX, y: point.y + offsetY }))
+                : region.polygon
+        };
+    }
+
+    /**
+     * タイルごとの検出結果の統合
+     * - 継ぎ目（画像端以外のタイル端）に接する領域は、他のタイルで全体が見えていれば捨てる
+     * - 重なり部分で両方のタイルから検出された同じ行は、大きい方に包含させて1つにまとめる
+     * - 左右の継ぎ目で切れた長い行の断片は、重なり部分でつながる同じ高さの断片と結合する
+     * @private
+     */
+    _mergeTiledRegions(tileRegions, imageHeight, imageWidth = null) {
+        const edgeMargin = 2;
+        const width = imageWidth || Math.max(...tileRegions.map(({ tile }) => tile.x + tile.width));
+        const candidates = [];
+        const seamFragments = new Set();
+        
+        // タイルの各辺のうち継ぎ目に接している辺
+        const touchedSeams = (box, tile) => ({
+            left: tile.x > 0 && box.x <= tile.x + edgeMargin,
+            right: tile.x + tile.width < width && box.x + box.width >= tile.x + tile.width - edgeMargin,
+            top: tile.y > 0 && box.y <= tile.y + edgeMargin,
+            bottom: tile.y + tile.height < imageHeight && box.y + box.height >= tile.y + tile.height - edgeMargin
+        });
+        const isFullyVisible = (box, tile) =>
+            box.x >= tile.x && box.y >= tile.y &&
+            box.x + box.width <= tile.x + tile.width && box.y + box.height <= tile.y + tile.height &&
+            !Object.values(touchedSeams(box, tile)).some(Boolean);
+        
+        tileRegions.forEach(({ tile, regions }) => {
+            for (const region of regions) {
+                const box = region.boundingBox;
+                const seams = touchedSeams(box, tile);
+                
+                // 他のタイルに領域全体が収まっていれば、そちらの検出結果を使う
+                if (Object.values(seams).some(Boolean) &&
+                    tileRegions.some(other => other.tile !== tile && isFullyVisible(box, other.tile))) {
+                    continue;
+                }
+                
+                candidates.push(region);
+                if (seams.left || seams.right) {
+                    seamFragments.add(region);
+                }
+            }
+        });
+        
+        // 重複・分断された行の統合（面積の大きい順に吸収）
+        candidates.sort((a, b) =>
+            b.boundingBox.width * b.boundingBox.height - a.boundingBox.width * a.boundingBox.height
+        );
+        
+        const merged = [];
+        for (const region of candidates) {
+            const target = merged.find(existing =>
+                this._isSameTextLine(existing.boundingBox, region.boundingBox) ||
+                ((seamFragments.has(region) || existing.seamFragment) &&
+                    this._isSplitTextLine(existing.boundingBox, region.boundingBox))
+            );
+            
+            if (!target) {
+                merged.push({ ...region, seamFragment: seamFragments.has(region) });
+                continue;
+            }
+            
+            const union = this._unionBoundingBoxes([target.boundingBox, region.boundingBox]);
+            const grew = union.width * union.height > target.boundingBox.width * target.boundingBox.height * 1.05;
+            
+            target.boundingBox = union;
+            target.polygon = grew ? this._boundingBoxToPolygon(union) : target.polygon;
+            target.confidence = Math.max(target.confidence, region.confidence);
+            target.fontSize = this._estimateFontSizeFromBbox(union);
+            target.seamFragment = target.seamFragment || seamFragments.has(region);
+        }
+        
+        return merged.map(({ seamFragment, ...region }) => region);
+    }
+
+    /**
+     * 左右の継ぎ目で切れた同じ行の断片かの判定
+     * 横方向に重なり（または接し）、縦方向の重なりが低い方の高さの半分以上ある場合に同じ行とみなす
+     * @private
+     */
+    _isSplitTextLine(bbox1, bbox2) {
+        const horizontalGap = Math.max(bbox1.x, bbox2.x) - Math.min(bbox1.x + bbox1.width, bbox2.x + bbox2.width);
+        const verticalOverlap = Math.min(bbox1.y + bbox1.height, bbox2.y + bbox2.height) - Math.max(bbox1.y, bbox2.y);
+        
+        return horizontalGap <= 2 && verticalOverlap >= Math.min(bbox1.height, bbox2.height) * 0.5;
+    }
+
+    /**
+     * 2つの領域が同じテキスト行（の一部）かの判定
+     * 小さい方の領域の大半がもう一方と重なっている場合に同じ行とみなす
+     * @private
+     */
+    _isSameTextLine(bbox1, bbox2) {
+        const x1 = Math.max(bbox1.x, bbox2.x);
+        const y1 = Math.max(bbox1.y, bbox2.y);
+        const x2 = Math.min(bbox1.x + bbox1.width, bbox2.x + bbox2.width);
+        const y2 = Math.min(bbox1.y + bbox1.height, bbox2.y + bbox2.height);
+        
+        if (x2 <= x1 || y2 <= y1) return false;
+        
+        const intersection = (x2 - x1) * (y2 - y1);
+        const smallerArea = Math.min(bbox1.width * bbox1.height, bbox2.width * bbox2.height);
+        
+        return intersection / Math.max(1, smallerArea) >= 0.5;
+    }
+
     /**
      * 検出用画像前処理
      * @private
      */
     async _preprocessImageForDetection(imageData) {
-        // 検出モデル用の画像サイズ（通常は640x640や736x736）
-        const targetSize = 640;
+        // 検出モデル用の画像サイズと正規化定数（マニフェストの入力定義。通常は640x640や736x736）
+        const inputSpec = this._getModelInputSpec('detection');
+        const targetSize = inputSpec.height || 640;
+        const { mean, std } = inputSpec;
         
         // Canvas要素を作成して画像をリサイズ
         const canvas = document.createElement('canvas');
@@ -1083,180 +2200,547 @@ class OCREngine {
         
         for (let i = 0; i < targetSize * targetSize; i++) {
             const pixelIndex = i * 4;
-            // RGB値を0-1の範囲に正規化（ImageNetの平均値で正規化）
-            inputTensor[i] = (data[pixelIndex] / 255.0 - 0.485) / 0.229;     // R
-            inputTensor[i + targetSize * targetSize] = (data[pixelIndex + 1] / 255.0 - 0.456) / 0.224; // G
-            inputTensor[i + 2 * targetSize * targetSize] = (data[pixelIndex + 2] / 255.0 - 0.406) / 0.225; // B
+            // RGB値を0-1の範囲に正規化し、マニフェストの平均・標準偏差で標準化
+            inputTensor[i] = (data[pixelIndex] / 255.0 - mean[0]) / std[0];     // R
+            inputTensor[i + targetSize * targetSize] = (data[pixelIndex + 1] / 255.0 - mean[1]) / std[1]; // G
+            inputTensor[i + 2 * targetSize * targetSize] = (data[pixelIndex + 2] / 255.0 - mean[2]) / std[2]; // B
+        }
+        
+        return {
+            tensor: inputTensor,
+            shape: [1, 3, targetSize, targetSize],
+            scale,
+            offsetX,
+            offsetY,
+            originalSize: { width: imageData.width, height: imageData.height }
+        };
+    }
+
+    /**
+     * 検出モデルの実行
+     * @private
+     */
+    async _runDetectionModel(preprocessedImage) {
+        try {
+            // 入力テンソルの作成
+            const inputTensor = new ort.Tensor('float32', preprocessedImage.tensor, preprocessedImage.shape);
+            
+            // モデル実行
+            const feeds = { [this.models.detection.inputNames[0]]: inputTensor };
+            const results = await this.models.detection.run(feeds);
+            
+            // 出力テンソルの取得（DBNetの確率マップ）
+            const outputNames = this.models.detection.outputNames;
+            const probabilityMap = results[outputNames[0]]; // テキスト存在確率
+            
+            return {
+                probabilityMap,
+                preprocessInfo: preprocessedImage
+            };
+            
+        } catch (error) {
+            console.error('検出モデル実行エラー:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 検出結果の後処理（DBNet形式）
+     * 確率マップを二値化し、連結成分ごとに最小外接矩形を求めてunclipで拡張する
+     * @private
+     */
+    async _postprocessDetection(detectionOutput, originalWidth, originalHeight, options = {}) {
+        const { probabilityMap, preprocessInfo } = detectionOutput;
+        // 0 も有効な値として扱う（未指定の場合のみ既定値）
+        const option = (name, defaultValue) => options[name] !== undefined ? options[name] : defaultValue;
+        const binaryThreshold = option('binaryThreshold', 0.3);
+        const boxThreshold = option('boxThreshold', option('detectionThreshold', 0.6));
+        const unclipRatio = option('unclipRatio', 1.5);
+        const minBoxSize = option('minBoxSize', 3);
+        const maxCandidates = option('maxCandidates', 1000);
+        const nmsThreshold = option('nmsThreshold', 0.3);
+        
+        try {
+            // 確率マップからテキスト行単位の候補領域を抽出
+            const candidates = this._extractCandidateRegions(probabilityMap, preprocessInfo, {
+                binaryThreshold,
+                boxThreshold,
+                unclipRatio,
+                minBoxSize,
+                maxCandidates
+            });
+            
+            // unclip後に重なった行を整理するためNMSを適用
+            const filteredCandidates = this._applyNMS(candidates, nmsThreshold);
+            
+            // 座標を元画像サイズに変換
+            const textRegions = filteredCandidates.map(candidate => {
+                return this._transformCoordinates(
+                    candidate, 
+                    preprocessInfo, 
+                    originalWidth, 
+                    originalHeight
+                );
+            });
+            
+            // 信頼度でソート
+            textRegions.sort((a, b) => b.confidence - a.confidence);
+            
+            if (options.debugInfo) {
+                this._recordDetectionDebug(options.debugInfo, {
+                    probabilityMap,
+                    preprocessInfo,
+                    candidates,
+                    filteredCandidates,
+                    originalWidth,
+                    originalHeight,
+                    offsetX: options.debugOffsetX || 0,
+                    offsetY: options.debugOffsetY || 0
+                });
+            }
+            
+            return textRegions;
+            
+        } catch (error) {
+            console.error('検出後処理エラー:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * デバッグ情報の初期化
+     * probabilityMaps: 確率マップのヒートマップ画像と元画像上の配置
+     * candidates / nmsCandidates: NMS前後の候補領域（元画像座標）
+     * regions: 最終的な検出領域 / crops: 認識モデルに入力した切り出し画像と認識結果
+     * @private
+     */
+    _createDebugInfo() {
+        return {
+            probabilityMaps: [],
+            candidates: [],
+            nmsCandidates: [],
+            regions: [],
+            crops: []
+        };
+    }
+
+    /**
+     * 検出段階のデバッグ情報の記録（タイル分割時は offsetX / offsetY でタイル位置に戻す）
+     * @private
+     */
+    _recordDetectionDebug(debugInfo, stage) {
+        const { probabilityMap, preprocessInfo, candidates, filteredCandidates, originalWidth, originalHeight, offsetX, offsetY } = stage;
+        const toOriginal = candidate => this._offsetRegion(
+            this._transformCoordinates(candidate, preprocessInfo, originalWidth, originalHeight),
+            offsetX,
+            offsetY
+        );
+        
+        debugInfo.probabilityMaps.push({
+            image: this._createProbabilityHeatmap(probabilityMap, preprocessInfo),
+            x: offsetX,
+            y: offsetY,
+            width: originalWidth,
+            height: originalHeight
+        });
+        debugInfo.candidates.push(...candidates.map(toOriginal));
+        debugInfo.nmsCandidates.push(...filteredCandidates.map(toOriginal));
+    }
+
+    /**
+     * 確率マップのヒートマップ画像の作成
+     * 前処理で付けた余白は除き、元画像の範囲だけを切り出す（確率を赤の濃さと不透明度で表す）
+     * @private
+     */
+    _createProbabilityHeatmap(probabilityMap, preprocessInfo) {
+        const probData = probabilityMap.data;
+        const mapHeight = probabilityMap.dims[2];
+        const mapWidth = probabilityMap.dims[3];
+        const mapScaleX = mapWidth / preprocessInfo.shape[3];
+        const mapScaleY = mapHeight / preprocessInfo.shape[2];
+        const { scale, offsetX, offsetY, originalSize } = preprocessInfo;
+        
+        const x0 = Math.max(0, Math.floor(offsetX * mapScaleX));
+        const y0 = Math.max(0, Math.floor(offsetY * mapScaleY));
+        const width = Math.max(1, Math.min(mapWidth - x0, Math.round(originalSize.width * scale * mapScaleX)));
+        const height = Math.max(1, Math.min(mapHeight - y0, Math.round(originalSize.height * scale * mapScaleY)));
+        const data = new Uint8ClampedArray(width * height * 4);
+        
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const probability = probData[(y0 + y) * mapWidth + x0 + x];
+                const i = (y * width + x) * 4;
+                data[i] = 255;
+                data[i + 1] = Math.round(255 * (1 - probability));
+                data[i + 2] = 0;
+                data[i + 3] = Math.round(200 * probability);
+            }
+        }
+        
+        return this._createImageData(data, width, height);
+    }
+
+    /**
+     * 認識モデルに入力した切り出し画像（グレースケールのテンソル）と認識結果の記録
+     * @private
+     */
+    _recordCropDebug(debugInfo, preparedImage, result) {
+        const { tensor, width, height } = preparedImage;
+        const data = new Uint8ClampedArray(width * height * 4);
+        
+        for (let i = 0; i < width * height; i++) {
+            const gray = Math.round(Math.min(1, Math.max(0, tensor[i])) * 255);
+            data[i * 4] = gray;
+            data[i * 4 + 1] = gray;
+            data[i * 4 + 2] = gray;
+            data[i * 4 + 3] = 255;
+        }
+        
+        debugInfo.crops.push({
+            image: this._createImageData(data, width, height),
+            boundingBox: result.boundingBox,
+            orientation: preparedImage.orientation,
+            text: result.text,
+            confidence: result.confidence,
+            error: result.recognitionError || null
+        });
+    }
+
+    /**
+     * 候補領域の抽出
+     * 二値化 → 連結成分 → 凸包 → 最小外接矩形 → スコア判定 → unclip の順に処理
+     * @private
+     */
+    _extractCandidateRegions(probabilityMap, preprocessInfo, params) {
+        const { binaryThreshold, boxThreshold, unclipRatio, minBoxSize, maxCandidates } = params;
+        const probData = probabilityMap.data;
+        const height = probabilityMap.dims[2];
+        const width = probabilityMap.dims[3];
+        
+        // 出力マップが入力より小さいモデルに備えて前処理座標系へのスケールを求める
+        const inputWidth = preprocessInfo.shape[3];
+        const inputHeight = preprocessInfo.shape[2];
+        const mapScaleX = inputWidth / width;
+        const mapScaleY = inputHeight / height;
+        
+        const bitmap = this._binarizeProbabilityMap(probData, width, height, binaryThreshold);
+        const components = this._findConnectedComponents(bitmap, probData, width, height);
+        
+        // 面積の大きい成分を優先
+        components.sort((a, b) => b.area - a.area);
+        
+        const candidates = [];
+        
+        for (const component of components.slice(0, maxCandidates)) {
+            if (component.contour.length < 3) continue;
+            
+            const hull = this._convexHull(component.contour);
+            const rect = this._minAreaRect(hull);
+            if (Math.min(rect.width, rect.height) < minBoxSize) continue;
+            
+            // 成分内の平均確率をボックススコアとする
+            const score = component.probabilitySum / component.area;
+            if (score < boxThreshold) continue;
+            
+            const expandedRect = this._unclipRect(rect, unclipRatio);
+            if (Math.min(expandedRect.width, expandedRect.height) < minBoxSize + 2) continue;
+            
+            const points = expandedRect.points.map(point => ({
+                x: Math.min(inputWidth, Math.max(0, point.x * mapScaleX)),
+                y: Math.min(inputHeight, Math.max(0, point.y * mapScaleY))
+            }));
+            
+            candidates.push({
+                boundingBox: this._polygonToBoundingBox(points),
+                polygon: this._orderQuadPoints(points),
+                confidence: score
+            });
+        }
+        
+        return candidates;
+    }
+
+    /**
+     * 四角形の頂点を左上・右上・右下・左下の順に並び替え
+     * @private
+     */
+    _orderQuadPoints(points) {
+        const center = points.reduce((acc, point) => ({
+            x: acc.x + point.x / points.length,
+            y: acc.y + point.y / points.length
+        }), { x: 0, y: 0 });
+        
+        // 重心周りの角度で時計回りに並べる
+        const sorted = [...points].sort((a, b) =>
+            Math.atan2(a.y - center.y, a.x - center.x) - Math.atan2(b.y - center.y, b.x - center.x)
+        );
+        
+        // x + y が最小の頂点（左上）を先頭にする
+        let startIndex = 0;
+        for (let i = 1; i < sorted.length; i++) {
+            if (sorted[i].x + sorted[i].y < sorted[startIndex].x + sorted[startIndex].y) {
+                startIndex = i;
+            }
         }
         
+        return sorted.slice(startIndex).concat(sorted.slice(0, startIndex)).map(point => ({ x: point.x, y: point.y }));
+    }
+
+    /**
+     * 多角形を囲む軸平行バウンディングボックスを計算
+     * @private
+     */
+    _polygonToBoundingBox(polygon) {
+        const xs = polygon.map(point => point.x);
+        const ys = polygon.map(point => point.y);
+        const x1 = Math.min(...xs);
+        const y1 = Math.min(...ys);
+        
         return {
-            tensor: inputTensor,
-            shape: [1, 3, targetSize, targetSize],
-            scale,
-            offsetX,
-            offsetY,
-            originalSize: { width: imageData.width, height: imageData.height }
+            x: x1,
+            y: y1,
+            width: Math.max(1, Math.max(...xs) - x1),
+            height: Math.max(1, Math.max(...ys) - y1)
         };
     }
 
     /**
-     * 検出モデルの実行
+     * バウンディングボックスを四角形（左上から時計回り）に変換
      * @private
      */
-    async _runDetectionModel(preprocessedImage) {
-        try {
-            // 入力テンソルの作成
-            const inputTensor = new ort.Tensor('float32', preprocessedImage.tensor, preprocessedImage.shape);
-            
-            // モデル実行
-            const feeds = { [this.models.detection.inputNames[0]]: inputTensor };
-            const results = await this.models.detection.run(feeds);
-            
-            // 出力テンソルの取得（通常は確率マップとジオメトリマップ）
-            const outputNames = this.models.detection.outputNames;
-            const probabilityMap = results[outputNames[0]]; // テキスト存在確率
-            const geometryMap = results[outputNames[1]];    // バウンディングボックス情報
-            
-            return {
-                probabilityMap,
-                geometryMap,
-                preprocessInfo: preprocessedImage
-            };
-            
-        } catch (error) {
-            console.error('検出モデル実行エラー:', error);
-            throw error;
+    _boundingBoxToPolygon(bbox) {
+        return [
+            { x: bbox.x, y: bbox.y },
+            { x: bbox.x + bbox.width, y: bbox.y },
+            { x: bbox.x + bbox.width, y: bbox.y + bbox.height },
+            { x: bbox.x, y: bbox.y + bbox.height }
+        ];
+    }
+
+    /**
+     * 確率マップの二値化
+     * @private
+     */
+    _binarizeProbabilityMap(probData, width, height, threshold) {
+        const bitmap = new Uint8Array(width * height);
+        
+        for (let i = 0; i < width * height; i++) {
+            bitmap[i] = probData[i] > threshold ? 1 : 0;
         }
+        
+        return bitmap;
     }
 
     /**
-     * 検出結果の後処理
+     * 連結成分の抽出（8近傍）
+     * 各成分の輪郭画素、面積、確率の総和を返す
      * @private
      */
-    async _postprocessDetection(detectionOutput, originalWidth, originalHeight, options = {}) {
-        const { probabilityMap, geometryMap, preprocessInfo } = detectionOutput;
-        const threshold = options.detectionThreshold || 0.5;
-        const nmsThreshold = options.nmsThreshold || 0.3;
+    _findConnectedComponents(bitmap, probData, width, height) {
+        const labels = new Int32Array(width * height);
+        const stack = new Int32Array(width * height);
+        const components = [];
+        let currentLabel = 0;
         
-        try {
-            // 確率マップから候補領域を抽出
-            const candidates = this._extractCandidateRegions(
-                probabilityMap, 
-                geometryMap, 
-                threshold
-            );
+        for (let start = 0; start < bitmap.length; start++) {
+            if (!bitmap[start] || labels[start]) continue;
             
-            // Non-Maximum Suppression (NMS) を適用
-            const filteredCandidates = this._applyNMS(candidates, nmsThreshold);
+            currentLabel++;
+            labels[start] = currentLabel;
             
-            // 座標を元画像サイズに変換
-            const textRegions = filteredCandidates.map(candidate => {
-                return this._transformCoordinates(
-                    candidate, 
-                    preprocessInfo, 
-                    originalWidth, 
-                    originalHeight
-                );
-            });
+            let stackSize = 0;
+            stack[stackSize++] = start;
             
-            // 信頼度でソート
-            textRegions.sort((a, b) => b.confidence - a.confidence);
+            const contour = [];
+            let area = 0;
+            let probabilitySum = 0;
             
-            return textRegions;
+            while (stackSize > 0) {
+                const index = stack[--stackSize];
+                const x = index % width;
+                const y = (index - x) / width;
+                
+                area++;
+                probabilitySum += probData[index];
+                
+                let isBoundary = false;
+                
+                for (let dy = -1; dy <= 1; dy++) {
+                    for (let dx = -1; dx <= 1; dx++) {
+                        if (dx === 0 && dy === 0) continue;
+                        
+                        const nx = x + dx;
+                        const ny = y + dy;
+                        
+                        if (nx < 0 || ny < 0 || nx >= width || ny >= height) {
+                            isBoundary = true;
+                            continue;
+                        }
+                        
+                        const neighbor = ny * width + nx;
+                        if (!bitmap[neighbor]) {
+                            isBoundary = true;
+                            continue;
+                        }
+                        
+                        if (!labels[neighbor]) {
+                            labels[neighbor] = currentLabel;
+                            stack[stackSize++] = neighbor;
+                        }
+                    }
+                }
+                
+                if (isBoundary) {
+                    // 画素の四隅を輪郭点とし、矩形計算で画素の幅を失わないようにする
+                    contour.push(
+                        { x, y },
+                        { x: x + 1, y },
+                        { x, y: y + 1 },
+                        { x: x + 1, y: y + 1 }
+                    );
+                }
+            }
             
-        } catch (error) {
-            console.error('検出後処理エラー:', error);
-            throw error;
+            components.push({ contour, area, probabilitySum });
         }
+        
+        return components;
     }
 
     /**
-     * 候補領域の抽出
+     * 凸包の計算（Andrew's monotone chain）
      * @private
      */
-    _extractCandidateRegions(probabilityMap, geometryMap, threshold) {
-        const candidates = [];
-        const probData = probabilityMap.data;
-        const geomData = geometryMap.data;
+    _convexHull(points) {
+        const sorted = [...points].sort((a, b) => a.x - b.x || a.y - b.y);
+        if (sorted.length <= 2) return sorted;
         
-        const height = probabilityMap.dims[2];
-        const width = probabilityMap.dims[3];
+        const cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
         
-        // 確率マップをスキャンして閾値を超える領域を検出
-        for (let y = 0; y < height; y++) {
-            for (let x = 0; x < width; x++) {
-                const index = y * width + x;
-                const probability = probData[index];
-                
-                if (probability > threshold) {
-                    // ジオメトリ情報から境界ボックスを計算
-                    const bbox = this._calculateBoundingBox(geomData, index, x, y, width, height);
-                    
-                    if (bbox && this._isValidBoundingBox(bbox)) {
-                        candidates.push({
-                            boundingBox: bbox,
-                            confidence: probability,
-                            centerX: x,
-                            centerY: y
-                        });
-                    }
-                }
+        const lower = [];
+        for (const point of sorted) {
+            while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], point) <= 0) {
+                lower.pop();
             }
+            lower.push(point);
         }
         
-        return candidates;
+        const upper = [];
+        for (let i = sorted.length - 1; i >= 0; i--) {
+            const point = sorted[i];
+            while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], point) <= 0) {
+                upper.pop();
+            }
+            upper.push(point);
+        }
+        
+        lower.pop();
+        upper.pop();
+        
+        return lower.concat(upper);
     }
 
     /**
-     * バウンディングボックスの計算
+     * 最小外接矩形の計算（凸包の各辺を基準に回転して探索）
      * @private
      */
-    _calculateBoundingBox(geometryData, baseIndex, centerX, centerY, mapWidth, mapHeight) {
-        try {
-            // ジオメトリマップから距離情報を取得（EAST形式）
-            const stride = mapWidth * mapHeight;
-            const top = geometryData[baseIndex];
-            const right = geometryData[baseIndex + stride];
-            const bottom = geometryData[baseIndex + stride * 2];
-            const left = geometryData[baseIndex + stride * 3];
-            
-            // 中心点から境界ボックスを計算
-            const x1 = centerX - left;
-            const y1 = centerY - top;
-            const x2 = centerX + right;
-            const y2 = centerY + bottom;
+    _minAreaRect(hull) {
+        let best = null;
+        
+        for (let i = 0; i < hull.length; i++) {
+            const p1 = hull[i];
+            const p2 = hull[(i + 1) % hull.length];
+            const edgeLength = Math.hypot(p2.x - p1.x, p2.y - p1.y);
+            if (edgeLength === 0) continue;
+            
+            // 辺方向の単位ベクトルとその法線
+            const ux = (p2.x - p1.x) / edgeLength;
+            const uy = (p2.y - p1.y) / edgeLength;
+            
+            let minU = Infinity, maxU = -Infinity, minV = Infinity, maxV = -Infinity;
+            
+            for (const point of hull) {
+                const u = point.x * ux + point.y * uy;
+                const v = -point.x * uy + point.y * ux;
+                minU = Math.min(minU, u);
+                maxU = Math.max(maxU, u);
+                minV = Math.min(minV, v);
+                maxV = Math.max(maxV, v);
+            }
             
-            return {
-                x: Math.max(0, x1),
-                y: Math.max(0, y1),
-                width: Math.max(1, x2 - x1),
-                height: Math.max(1, y2 - y1)
-            };
+            const area = (maxU - minU) * (maxV - minV);
             
-        } catch (error) {
-            console.warn('バウンディングボックス計算エラー:', error);
-            return null;
+            if (!best || area < best.area) {
+                best = { area, ux, uy, minU, maxU, minV, maxV };
+            }
+        }
+        
+        if (!best) {
+            const point = hull[0] || { x: 0, y: 0 };
+            return { center: { ...point }, width: 0, height: 0, angle: 0, points: [point, point, point, point] };
         }
+        
+        const centerU = (best.minU + best.maxU) / 2;
+        const centerV = (best.minV + best.maxV) / 2;
+        
+        return this._createRotatedRect(
+            {
+                x: centerU * best.ux - centerV * best.uy,
+                y: centerU * best.uy + centerV * best.ux
+            },
+            best.maxU - best.minU,
+            best.maxV - best.minV,
+            Math.atan2(best.uy, best.ux)
+        );
     }
 
     /**
-     * バウンディングボックスの妥当性チェック
+     * 中心・サイズ・角度から回転矩形を生成
      * @private
      */
-    _isValidBoundingBox(bbox) {
-        const minSize = 5; // 最小サイズ
-        const maxAspectRatio = 20; // 最大アスペクト比
+    _createRotatedRect(center, width, height, angle) {
+        const cos = Math.cos(angle);
+        const sin = Math.sin(angle);
+        const halfWidth = width / 2;
+        const halfHeight = height / 2;
         
-        if (bbox.width < minSize || bbox.height < minSize) {
-            return false;
-        }
+        const corners = [
+            [-halfWidth, -halfHeight],
+            [halfWidth, -halfHeight],
+            [halfWidth, halfHeight],
+            [-halfWidth, halfHeight]
+        ];
         
-        const aspectRatio = Math.max(bbox.width / bbox.height, bbox.height / bbox.width);
-        if (aspectRatio > maxAspectRatio) {
-            return false;
-        }
+        return {
+            center,
+            width,
+            height,
+            angle,
+            points: corners.map(([dx, dy]) => ({
+                x: center.x + dx * cos - dy * sin,
+                y: center.y + dx * sin + dy * cos
+            }))
+        };
+    }
+
+    /**
+     * 矩形のunclip処理（DBNetの縮小ラベルを元の文字領域まで拡張）
+     * 拡張距離 = 面積 × unclipRatio / 周長
+     * @private
+     */
+    _unclipRect(rect, unclipRatio) {
+        const area = rect.width * rect.height;
+        const perimeter = 2 * (rect.width + rect.height);
+        if (perimeter === 0) return rect;
         
-        return true;
+        const distance = area * unclipRatio / perimeter;
+        
+        return this._createRotatedRect(
+            rect.center,
+            rect.width + distance * 2,
+            rect.height + distance * 2,
+            rect.angle
+        );
     }
 
     /**
@@ -1338,8 +2822,17 @@ class OCREngine {
             transformedBbox.height = originalHeight - transformedBbox.y;
         }
         
+        // 四角形の各頂点も同様に変換
+        const polygon = candidate.polygon
+            ? candidate.polygon.map(point => ({
+                x: Math.min(originalWidth, Math.max(0, (point.x - offsetX) / scale)),
+                y: Math.min(originalHeight, Math.max(0, (point.y - offsetY) / scale))
+            }))
+            : this._boundingBoxToPolygon(transformedBbox);
+        
         return {
             boundingBox: transformedBbox,
+            polygon,
             confidence: candidate.confidence,
             text: '', // 認識処理で埋める
             fontSize: this._estimateFontSizeFromBbox(transformedBbox),
@@ -1374,6 +2867,8 @@ class OCREngine {
      * @param {ImageData} imageData - 元画像データ
      * @param {Array} textRegions - 検出されたテキスト領域
      * @param {Object} options - オプション設定
+     * @param {number} [options.batchSize] - 1回の推論でまとめる領域数（省略時はバックエンドとメモリから決定）
+     * @param {Object} [options.memoryStatus] - ResourceMonitor#getMemoryStatus の結果
      * @returns {Promise<Array>}
      */
     async recognizeTextRegions(imageData, textRegions, options = {}) {
@@ -1386,14 +2881,19 @@ class OCREngine {
         }
         
         const recognitionResults = [];
-        const batchSize = options.batchSize || 8; // バッチ処理のサイズ
+        const batchSize = this._getRecognitionBatchSize(options);
         
         try {
-            // 領域を信頼度順にソート
-            const sortedRegions = [...textRegions].sort((a, b) => b.confidence - a.confidence);
+            // アスペクト比順に並べ、同じバッチ内のパディングを最小化する
+            const sortedRegions = [...textRegions].sort((a, b) =>
+                this._getRegionAspectRatio(a) - this._getRegionAspectRatio(b)
+            );
             
             // バッチ処理で認識を実行
             for (let i = 0; i < sortedRegions.length; i += batchSize) {
+                // バッチの合間で中断要求を確認
+                this._throwIfAborted(options.signal);
+                
                 const batch = sortedRegions.slice(i, i + batchSize);
                 
                 if (options.progressCallback) {
@@ -1408,33 +2908,125 @@ class OCREngine {
             return recognitionResults;
             
         } catch (error) {
-            console.error('テキスト認識エラー:', error);
+            if (error.name !== 'AbortError') {
+                console.error('テキスト認識エラー:', error);
+            }
             throw error;
         }
     }
 
+    /**
+     * 認識バッチサイズの決定
+     * バックエンドごとの基準値を、ResourceMonitorが報告するメモリ状況で縮小する
+     * @private
+     */
+    _getRecognitionBatchSize(options = {}) {
+        const baseSizes = { webgpu: 32, webgl: 16, wasm: 8 };
+        let batchSize = options.batchSize || baseSizes[this.currentBackend] || 8;
+        
+        const memoryStatus = options.memoryStatus;
+        if (memoryStatus) {
+            switch (memoryStatus.level) {
+                case 'emergency':
+                case 'critical':
+                    batchSize = 1;
+                    break;
+                case 'warning':
+                    batchSize = Math.floor(batchSize / 4);
+                    break;
+                default:
+                    if (memoryStatus.usageRatio >= 0.7) {
+                        batchSize = Math.floor(batchSize / 2);
+                    }
+            }
+            
+            // 入力テンソルが空きメモリの1割を超えないようにする（幅1024pxの切り出しを想定）
+            if (memoryStatus.availableBytes) {
+                const { channels, height } = this._getModelInputSpec('recognition');
+                const bytesPerCrop = channels * (height || 48) * 1024 * 4;
+                batchSize = Math.min(batchSize, Math.floor(memoryStatus.availableBytes * 0.1 / bytesPerCrop));
+            }
+        }
+        
+        return Math.max(1, batchSize);
+    }
+
+    /**
+     * 領域のアスペクト比（幅/高さ）
+     * @private
+     */
+    _getRegionAspectRatio(region) {
+        const bbox = region.boundingBox;
+        return bbox.width / Math.max(1, bbox.height);
+    }
+
     /**
      * バッチでのテキスト認識
+     * 切り出した領域を同じ幅にパディングし、1回の推論で認識する
      * @private
      */
     async _recognizeTextBatch(imageData, textRegions, options = {}) {
-        const batchResults = [];
+        const batchResults = new Array(textRegions.length);
+        const prepared = [];
         
         try {
-            // 各領域を個別に処理（実際のバッチ処理は複雑なため、シーケンシャル処理）
-            for (const region of textRegions) {
+            // 各領域の切り出しと角度補正
+            for (let i = 0; i < textRegions.length; i++) {
+                const region = textRegions[i];
                 try {
-                    const recognitionResult = await this._recognizeTextRegion(imageData, region, options);
-                    batchResults.push(recognitionResult);
+                    const correctedImage = await this._prepareRegionImage(imageData, region, options);
+                    prepared.push({ index: i, region, image: correctedImage });
                 } catch (error) {
-                    console.warn('個別領域の認識エラー:', error);
-                    // エラーが発生した領域は空のテキストで処理を続行
-                    batchResults.push({
-                        ...region,
-                        text: '',
-                        confidence: 0,
-                        recognitionError: error.message
-                    });
+                    batchResults[i] = this._createFailedRecognitionResult(region, error);
+                }
+            }
+            
+            // 角度補正で高さが変わった領域は同じテンソルに積めないため高さごとにまとめる
+            const groups = new Map();
+            for (const item of prepared) {
+                if (!groups.has(item.image.height)) {
+                    groups.set(item.image.height, []);
+                }
+                groups.get(item.image.height).push(item);
+            }
+            
+            for (const group of groups.values()) {
+                let outputs = null;
+                if (this.recognitionBatchSupported || group.length === 1) {
+                    try {
+                        outputs = await this._runRecognitionBatch(group.map(item => item.image));
+                    } catch (error) {
+                        if (error.name === 'CharsetMismatchError') {
+                            throw error;
+                        }
+                        // 一時的な失敗ではこのグループだけ1件ずつ実行し、固定バッチのモデルの場合のみ以降も1件ずつにする
+                        if (group.length > 1 && this._isBatchUnsupportedError(error)) {
+                            console.warn('認識モデルがバッチ入力に対応していないため、以降は1件ずつ実行します:', error);
+                            this.recognitionBatchSupported = false;
+                        } else {
+                            console.warn('バッチ認識エラー（このグループは1件ずつ実行します）:', error);
+                        }
+                    }
+                }
+                
+                for (let j = 0; j < group.length; j++) {
+                    const { index, region, image } = group[j];
+                    try {
+                        // バッチ推論に失敗した場合は1件ずつ再試行
+                        const output = outputs ? outputs[j] : await this._runRecognitionModel(image);
+                        const decodedText = await this._decodeRecognitionOutput(output, options);
+                        batchResults[index] = this._createRecognitionResult(region, decodedText, image.orientation);
+                    } catch (error) {
+                        if (error.name === 'CharsetMismatchError') {
+                            throw error;
+                        }
+                        console.warn('個別領域の認識エラー:', error);
+                        batchResults[index] = this._createFailedRecognitionResult(region, error);
+                    }
+                    
+                    if (options.debugInfo) {
+                        this._recordCropDebug(options.debugInfo, image, batchResults[index]);
+                    }
                 }
             }
             
@@ -1446,31 +3038,60 @@ class OCREngine {
         }
     }
 
+    /**
+     * 認識モデルがバッチ入力に対応していないことを示すエラーか
+     * 固定バッチ1のモデルでは、入力の次元の不一致（ONNX Runtime のエラー）か出力バッチサイズの不一致になる
+     * @private
+     */
+    _isBatchUnsupportedError(error) {
+        return error.name === 'RecognitionBatchSizeError' ||
+            /invalid (input )?dimensions|invalid shape|shape mismatch|batch size/i.test(error.message || '');
+    }
+
+    /**
+     * 認識結果の生成
+     * @private
+     */
+    _createRecognitionResult(textRegion, decodedText, orientation = 'horizontal') {
+        return {
+            ...textRegion,
+            orientation,
+            text: decodedText.text,
+            confidence: Math.min(textRegion.confidence, decodedText.confidence),
+            recognitionConfidence: decodedText.confidence,
+            characters: decodedText.characters
+        };
+    }
+
+    /**
+     * 認識に失敗した領域の結果（空のテキストで処理を続行）
+     * @private
+     */
+    _createFailedRecognitionResult(textRegion, error) {
+        return {
+            ...textRegion,
+            text: '',
+            confidence: 0,
+            recognitionError: error.message
+        };
+    }
+
     /**
      * 単一領域のテキスト認識
      * @private
      */
     async _recognizeTextRegion(imageData, textRegion, options = {}) {
         try {
-            // Step 1: 領域の切り出しと前処理
-            const croppedImage = await this._cropAndPreprocessRegion(imageData, textRegion);
-            
-            // Step 2: 角度補正（必要に応じて）
-            const correctedImage = await this._correctTextAngle(croppedImage, options);
+            // Step 1: 領域の切り出し・前処理と角度補正
+            const correctedImage = await this._prepareRegionImage(imageData, textRegion, options);
             
-            // Step 3: 認識モデルの実行
+            // Step 2: 認識モデルの実行
             const recognitionOutput = await this._runRecognitionModel(correctedImage);
             
-            // Step 4: デコード処理
-            const decodedText = await this._decodeRecognitionOutput(recognitionOutput);
+            // Step 3: デコード処理
+            const decodedText = await this._decodeRecognitionOutput(recognitionOutput, options);
             
-            return {
-                ...textRegion,
-                text: decodedText.text,
-                confidence: Math.min(textRegion.confidence, decodedText.confidence),
-                recognitionConfidence: decodedText.confidence,
-                characters: decodedText.characters
-            };
+            return this._createRecognitionResult(textRegion, decodedText, correctedImage.orientation);
             
         } catch (error) {
             console.error('領域認識エラー:', error);
@@ -1478,13 +3099,77 @@ class OCREngine {
         }
     }
 
+    /**
+     * 認識用の領域画像の準備（切り出し・前処理・角度補正）
+     * 縦長でない領域でも、角度分類で90°/270°と判定された場合は縦書きとして切り出し直す
+     * @private
+     */
+    async _prepareRegionImage(imageData, textRegion, options = {}) {
+        const croppedImage = await this._cropAndPreprocessRegion(imageData, textRegion);
+        const correctedImage = await this._correctTextAngle(croppedImage, options);
+        
+        if (correctedImage.verticalHint && this.config.verticalText &&
+            croppedImage.orientation !== 'vertical' &&
+            this._getRegionAspectRatio(textRegion) < this.config.verticalAspectRatio) {
+            return this._cropAndPreprocessRegion(imageData, { ...textRegion, orientation: 'vertical' });
+        }
+        
+        return correctedImage;
+    }
+
+    /**
+     * 領域の向きの判定
+     * 明示された向きを優先し、なければ高さ/幅が config.verticalAspectRatio 以上の領域を縦書きとする
+     * @private
+     */
+    _getRegionOrientation(textRegion) {
+        if (!this.config.verticalText) {
+            return 'horizontal';
+        }
+        
+        if (textRegion.orientation === 'vertical' || textRegion.orientation === 'horizontal') {
+            return textRegion.orientation;
+        }
+        
+        const bbox = textRegion.boundingBox;
+        if (!bbox || bbox.width <= 0) {
+            return 'horizontal';
+        }
+        
+        return bbox.height / bbox.width >= this.config.verticalAspectRatio ? 'vertical' : 'horizontal';
+    }
+
     /**
      * 領域の切り出しと前処理
+     * 四角形が与えられている場合は透視変換で切り出し、傾いた行でも隣接行を含めない。
+     * 縦書きの領域は反時計回りに90°回転し、先頭（上端）の文字が左に来る横長の画像にする
      * @private
      */
     async _cropAndPreprocessRegion(imageData, textRegion) {
+        const orientation = this._getRegionOrientation(textRegion);
+        
+        if (textRegion.polygon && textRegion.polygon.length === 4) {
+            return this._warpPolygonRegion(imageData, textRegion.polygon, orientation);
+        }
+        
         const bbox = textRegion.boundingBox;
         
+        if (orientation === 'vertical') {
+            // 回転は四角形の透視変換で行う（軸平行の矩形として扱う）
+            const padding = Math.max(2, Math.min(bbox.width, bbox.height) * 0.1);
+            const x0 = Math.max(0, bbox.x - padding);
+            const y0 = Math.max(0, bbox.y - padding);
+            const x1 = Math.min(imageData.width, bbox.x + bbox.width + padding);
+            const y1 = Math.min(imageData.height, bbox.y + bbox.height + padding);
+            
+            return this._warpPolygonRegion(imageData, [
+                { x: x0, y: y0 },
+                { x: x1, y: y0 },
+                { x: x1, y: y1 },
+                { x: x0, y: y1 }
+            ], orientation);
+        }
+        
         // 元画像からCanvasを作成
         const sourceCanvas = document.createElement('canvas');
         const sourceCtx = sourceCanvas.getContext('2d');
@@ -1502,7 +3187,7 @@ class OCREngine {
         };
         
         // 認識モデル用の標準サイズ（通常は32x128や48x160など）
-        const targetHeight = 48;
+        const targetHeight = this._getModelInputSpec('recognition').height || 48;
         const targetWidth = Math.max(128, Math.round(targetHeight * expandedBbox.width / expandedBbox.height));
         
         // 切り出しとリサイズ
@@ -1548,8 +3233,159 @@ class OCREngine {
             shape: [1, 1, targetHeight, targetWidth],
             width: targetWidth,
             height: targetHeight,
-            originalBbox: expandedBbox
+            originalBbox: expandedBbox,
+            orientation
+        };
+    }
+
+    /**
+     * 四角形領域を透視変換で矩形に展開して切り出す
+     * 縦書きの場合は右上の角を出力の左上に対応させ、反時計回りに90°回転した画像にする
+     * @private
+     */
+    _warpPolygonRegion(imageData, polygon, orientation = 'horizontal') {
+        const [topLeft, topRight, bottomRight, bottomLeft] = this._orderQuadPoints(polygon);
+        
+        // 出力画像の左上・右上・右下・左下に対応する元画像の角
+        const corners = orientation === 'vertical'
+            ? [topRight, bottomRight, bottomLeft, topLeft]
+            : [topLeft, topRight, bottomRight, bottomLeft];
+        const [outTopLeft, outTopRight, outBottomRight, outBottomLeft] = corners;
+        
+        const quadWidth = Math.max(
+            Math.hypot(outTopRight.x - outTopLeft.x, outTopRight.y - outTopLeft.y),
+            Math.hypot(outBottomRight.x - outBottomLeft.x, outBottomRight.y - outBottomLeft.y)
+        );
+        const quadHeight = Math.max(
+            Math.hypot(outBottomLeft.x - outTopLeft.x, outBottomLeft.y - outTopLeft.y),
+            Math.hypot(outBottomRight.x - outTopRight.x, outBottomRight.y - outTopRight.y)
+        );
+        
+        // 認識モデル用の標準サイズ（矩形切り出しと同じ規則）
+        const targetHeight = this._getModelInputSpec('recognition').height || 48;
+        const contentWidth = Math.max(1, Math.round(targetHeight * quadWidth / Math.max(1, quadHeight)));
+        const targetWidth = Math.max(128, contentWidth);
+        const offsetX = Math.floor((targetWidth - contentWidth) / 2);
+        
+        // 出力矩形 → 元画像の四角形 への射影変換
+        const transform = this._getPerspectiveTransform(
+            [
+                { x: 0, y: 0 },
+                { x: contentWidth, y: 0 },
+                { x: contentWidth, y: targetHeight },
+                { x: 0, y: targetHeight }
+            ],
+            corners
+        );
+        
+        // 背景は白（1.0）で初期化
+        const inputTensor = new Float32Array(targetHeight * targetWidth).fill(1);
+        
+        for (let y = 0; y < targetHeight; y++) {
+            for (let x = 0; x < contentWidth; x++) {
+                const source = this._applyPerspectiveTransform(transform, x + 0.5, y + 0.5);
+                inputTensor[y * targetWidth + offsetX + x] = this._sampleGrayBilinear(imageData, source.x - 0.5, source.y - 0.5);
+            }
+        }
+        
+        return {
+            tensor: inputTensor,
+            shape: [1, 1, targetHeight, targetWidth],
+            width: targetWidth,
+            height: targetHeight,
+            originalBbox: this._polygonToBoundingBox(polygon),
+            polygon: [topLeft, topRight, bottomRight, bottomLeft],
+            orientation
+        };
+    }
+
+    /**
+     * 4点対応から射影変換行列（3x3、h33=1）を求める
+     * @private
+     */
+    _getPerspectiveTransform(srcPoints, dstPoints) {
+        // 8元連立方程式 A・h = b を組み立てる
+        const matrix = [];
+        
+        for (let i = 0; i < 4; i++) {
+            const { x, y } = srcPoints[i];
+            const { x: u, y: v } = dstPoints[i];
+            matrix.push([x, y, 1, 0, 0, 0, -x * u, -y * u, u]);
+            matrix.push([0, 0, 0, x, y, 1, -x * v, -y * v, v]);
+        }
+        
+        // 部分ピボット付きガウスの消去法
+        for (let col = 0; col < 8; col++) {
+            let pivot = col;
+            for (let row = col + 1; row < 8; row++) {
+                if (Math.abs(matrix[row][col]) > Math.abs(matrix[pivot][col])) {
+                    pivot = row;
+                }
+            }
+            [matrix[col], matrix[pivot]] = [matrix[pivot], matrix[col]];
+            
+            const divisor = matrix[col][col];
+            if (Math.abs(divisor) < 1e-12) {
+                throw new Error('射影変換行列を計算できません（退化した四角形）');
+            }
+            
+            for (let k = col; k < 9; k++) {
+                matrix[col][k] /= divisor;
+            }
+            
+            for (let row = 0; row < 8; row++) {
+                if (row === col) continue;
+                const factor = matrix[row][col];
+                for (let k = col; k < 9; k++) {
+                    matrix[row][k] -= factor * matrix[col][k];
+                }
+            }
+        }
+        
+        return matrix.map(row => row[8]).concat(1);
+    }
+
+    /**
+     * 射影変換の適用
+     * @private
+     */
+    _applyPerspectiveTransform(transform, x, y) {
+        const [h11, h12, h13, h21, h22, h23, h31, h32, h33] = transform;
+        const w = h31 * x + h32 * y + h33;
+        
+        return {
+            x: (h11 * x + h12 * y + h13) / w,
+            y: (h21 * x + h22 * y + h23) / w
+        };
+    }
+
+    /**
+     * 画素中心座標系での双線形補間によるグレースケール値の取得（範囲外は白）
+     * @private
+     */
+    _sampleGrayBilinear(imageData, x, y) {
+        const { width, height, data } = imageData;
+        
+        if (x < -0.5 || y < -0.5 || x > width - 0.5 || y > height - 0.5) {
+            return 1;
+        }
+        
+        const x0 = Math.max(0, Math.min(width - 1, Math.floor(x)));
+        const y0 = Math.max(0, Math.min(height - 1, Math.floor(y)));
+        const x1 = Math.min(width - 1, x0 + 1);
+        const y1 = Math.min(height - 1, y0 + 1);
+        const fx = Math.max(0, Math.min(1, x - x0));
+        const fy = Math.max(0, Math.min(1, y - y0));
+        
+        const gray = (px, py) => {
+            const index = (py * width + px) * 4;
+            return (data[index] * 0.299 + data[index + 1] * 0.587 + data[index + 2] * 0.114) / 255.0;
         };
+        
+        const top = gray(x0, y0) * (1 - fx) + gray(x1, y0) * fx;
+        const bottom = gray(x0, y1) * (1 - fx) + gray(x1, y1) * fx;
+        
+        return top * (1 - fy) + bottom * fy;
     }
 
     /**
@@ -1563,14 +3399,12 @@ class OCREngine {
         }
         
         try {
-            // 角度分類モデルの実行
-            const inputTensor = new ort.Tensor('float32', croppedImage.tensor, croppedImage.shape);
-            const feeds = { [this.models.angleClassification.inputNames[0]]: inputTensor };
-            const results = await this.models.angleClassification.run(feeds);
+            const { angleClass } = await this._classifyTextAngle(croppedImage);
             
-            // 角度の予測結果を取得
-            const angleOutput = results[this.models.angleClassification.outputNames[0]];
-            const angleClass = this._getAngleClass(angleOutput.data);
+            // 90°/270°は縦書きの可能性があるため、回転せずに呼び出し元で切り出し直す
+            if (angleClass % 2 === 1 && this.config.verticalText && croppedImage.orientation !== 'vertical') {
+                return { ...croppedImage, verticalHint: true };
+            }
             
             // 角度補正が必要な場合
             if (angleClass !== 0) {
@@ -1585,6 +3419,39 @@ class OCREngine {
         }
     }
 
+    /**
+     * 角度分類モデルの実行
+     * @returns {Promise<{angleClass: number, probability: number}>} クラス（0: 0度, 1: 90度, 2: 180度, 3: 270度）とその確率
+     * @private
+     */
+    async _classifyTextAngle(croppedImage) {
+        const inputTensor = new ort.Tensor('float32', croppedImage.tensor, croppedImage.shape);
+        const feeds = { [this.models.angleClassification.inputNames[0]]: inputTensor };
+        const results = await this.models.angleClassification.run(feeds);
+        
+        const angleOutput = results[this.models.angleClassification.outputNames[0]];
+        const angleClass = this._getAngleClass(angleOutput.data);
+        
+        return { angleClass, probability: this._getAngleProbability(angleOutput.data, angleClass) };
+    }
+
+    /**
+     * 角度クラスの確率（出力が確率分布でなければsoftmaxで正規化）
+     * @private
+     */
+    _getAngleProbability(angleData, angleClass) {
+        const values = Array.from(angleData);
+        const sum = values.reduce((total, value) => total + value, 0);
+        
+        if (values.every(value => value >= 0 && value <= 1) && Math.abs(sum - 1) < 1e-3) {
+            return values[angleClass];
+        }
+        
+        const max = Math.max(...values);
+        const exps = values.map(value => Math.exp(value - max));
+        return exps[angleClass] / exps.reduce((total, value) => total + value, 0);
+    }
+
     /**
      * 角度クラスの取得
      * @private
@@ -1664,31 +3531,76 @@ class OCREngine {
             width: canvas.width,
             height: canvas.height,
             rotated: true,
-            angleClass
+            angleClass,
+            orientation: croppedImage.orientation
         };
     }
 
     /**
-     * 認識モデルの実行
+     * 認識モデルの実行（単一領域）
+     * @private
+     */
+    /**
+     * セッションの出力メタデータ（[N, シーケンス長, クラス数]）からクラス数を取得
+     * outputMetadata を持たない ONNX Runtime や、クラス数が動的な次元のモデルでは null
      * @private
      */
+    _getSessionOutputClasses(session) {
+        const metadata = session && session.outputMetadata;
+        if (!metadata) {
+            return null;
+        }
+        
+        const outputName = session.outputNames ? session.outputNames[0] : undefined;
+        const entries = Array.isArray(metadata) ? metadata : Object.values(metadata);
+        const output = entries.find(entry => entry && entry.name === outputName) || entries[0];
+        if (!output || !Array.isArray(output.shape) || output.shape.length === 0) {
+            return null;
+        }
+        
+        const numClasses = output.shape[output.shape.length - 1];
+        return Number.isInteger(numClasses) && numClasses > 0 ? numClasses : null;
+    }
+
     async _runRecognitionModel(preprocessedImage) {
+        const [output] = await this._runRecognitionBatch([preprocessedImage]);
+        return output;
+    }
+
+    /**
+     * 認識モデルのバッチ実行
+     * @private
+     */
+    async _runRecognitionBatch(preprocessedImages) {
         try {
-            // 入力テンソルの作成
-            const inputTensor = new ort.Tensor('float32', preprocessedImage.tensor, preprocessedImage.shape);
+            // [N,3,H,W] の入力テンソルを作成
+            const batch = this._createRecognitionBatchTensor(preprocessedImages);
+            const inputTensor = new ort.Tensor('float32', batch.tensor, batch.shape);
             
             // モデル実行
             const feeds = { [this.models.recognition.inputNames[0]]: inputTensor };
             const results = await this.models.recognition.run(feeds);
             
-            // 出力テンソルの取得（通常は文字確率のシーケンス）
+            // 出力テンソルの取得（[N, シーケンス長, クラス数] の文字確率）
             const outputTensor = results[this.models.recognition.outputNames[0]];
+            const [batchSize, seqLength, numClasses] = outputTensor.dims;
             
-            return {
-                logits: outputTensor.data,
-                shape: outputTensor.dims,
-                inputInfo: preprocessedImage
-            };
+            // 文字セットとずれたまま復号すると別の文字になるため、推論ごとに検証する
+            this._verifyCharsetConsistency(this._getModelSpec('recognition'), this.charset, numClasses);
+            
+            if (batchSize !== preprocessedImages.length) {
+                const error = new Error(`認識モデルの出力バッチサイズが一致しません (入力: ${preprocessedImages.length}, 出力: ${batchSize})`);
+                error.name = 'RecognitionBatchSizeError';
+                throw error;
+            }
+            
+            const stride = seqLength * numClasses;
+            
+            return preprocessedImages.map((image, i) => ({
+                logits: outputTensor.data.subarray(i * stride, (i + 1) * stride),
+                shape: [1, seqLength, numClasses],
+                inputInfo: image
+            }));
             
         } catch (error) {
             console.error('認識モデル実行エラー:', error);
@@ -1696,16 +3608,53 @@ class OCREngine {
         }
     }
 
+    /**
+     * 切り出し画像を共通の幅にパディングしてバッチテンソルに積む
+     * グレースケール値をモデルのチャンネル数に複製してマニフェストの定数で標準化し、余白は白で埋める
+     * @private
+     */
+    _createRecognitionBatchTensor(preprocessedImages) {
+        const { channels, mean, std } = this._getModelInputSpec('recognition');
+        const height = preprocessedImages[0].height;
+        const width = Math.max(...preprocessedImages.map(image => image.width));
+        const planeSize = height * width;
+        const tensor = new Float32Array(preprocessedImages.length * channels * planeSize);
+        
+        preprocessedImages.forEach((image, n) => {
+            if (image.height !== height) {
+                throw new Error('バッチ内の画像の高さが一致しません');
+            }
+            
+            for (let c = 0; c < channels; c++) {
+                const channelMean = mean[c] !== undefined ? mean[c] : mean[0];
+                const channelStd = std[c] !== undefined ? std[c] : std[0];
+                const planeOffset = (n * channels + c) * planeSize;
+                
+                for (let y = 0; y < height; y++) {
+                    for (let x = 0; x < width; x++) {
+                        const gray = x < image.width ? image.tensor[y * image.width + x] : 1;
+                        tensor[planeOffset + y * width + x] = (gray - channelMean) / channelStd;
+                    }
+                }
+            }
+        });
+        
+        return {
+            tensor,
+            shape: [preprocessedImages.length, channels, height, width]
+        };
+    }
+
     /**
      * 認識結果のデコード処理
      * @private
      */
-    async _decodeRecognitionOutput(recognitionOutput) {
+    async _decodeRecognitionOutput(recognitionOutput, options = {}) {
         const { logits, shape } = recognitionOutput;
         
         try {
             // CTC (Connectionist Temporal Classification) デコード
-            const decodedResult = this._ctcDecode(logits, shape);
+            const decodedResult = this._ctcDecode(logits, shape, options);
             
             // 文字セットを使用してテキストに変換
             const text = this._convertToText(decodedResult.sequence);
@@ -1713,10 +3662,13 @@ class OCREngine {
             // 信頼度の計算
             const confidence = this._calculateRecognitionConfidence(decodedResult.probabilities);
             
+            // 文字ごとの確率と代替候補
+            const characters = this._buildCharacterDetails(decodedResult.characters, logits, shape, options);
+            
             return {
                 text: text.trim(),
                 confidence,
-                characters: decodedResult.characters,
+                characters,
                 rawSequence: decodedResult.sequence
             };
             
@@ -1726,11 +3678,67 @@ class OCREngine {
         }
     }
 
+    /**
+     * 文字ごとの確率と上位の代替候補の生成
+     * 各文字を出力した時刻の分布から、採用文字以外の上位候補を取り出す。
+     * 前後の空白は text.trim() と位置を揃えるため除外する
+     * @private
+     */
+    _buildCharacterDetails(characters, logits, shape, options = {}) {
+        const [, , numClasses] = shape;
+        const blankIndex = numClasses - 1;
+        const alternativeCount = options.alternativeCount !== undefined ? options.alternativeCount : this.config.alternativeCount;
+        
+        const details = characters.map(character => {
+            const logProbs = this._logSoftmax(logits, character.position * numClasses, numClasses);
+            const alternatives = alternativeCount > 0
+                ? this._getTopClasses(logProbs, alternativeCount + 1, blankIndex)
+                    .filter(index => index !== character.index && index < this.charset.length)
+                    .slice(0, alternativeCount)
+                    .map(index => ({
+                        char: this.charset[index],
+                        probability: Math.exp(logProbs[index])
+                    }))
+                : [];
+            
+            return {
+                char: this.charset[character.index],
+                index: character.index,
+                // 代替候補と比較できるよう、採用文字も同じ時刻の分布から確率を求める
+                probability: Math.exp(logProbs[character.index]),
+                position: character.position,
+                alternatives
+            };
+        });
+        
+        let start = 0;
+        let end = details.length;
+        while (start < end && !details[start].char.trim()) start++;
+        while (end > start && !details[end - 1].char.trim()) end--;
+        
+        return details.slice(start, end);
+    }
+
     /**
      * CTC デコード
+     * 既定は貪欲法。options.decoder（または config.ctcDecoder）が 'beam' の場合はビームサーチを使用する
+     * @private
+     */
+    _ctcDecode(logits, shape, options = {}) {
+        const decoder = options.decoder || this.config.ctcDecoder;
+        
+        if (decoder === 'beam') {
+            return this._ctcBeamSearchDecode(logits, shape, options);
+        }
+        
+        return this._ctcGreedyDecode(logits, shape);
+    }
+
+    /**
+     * CTC 貪欲デコード（各時刻の最大確率クラスを採用）
      * @private
      */
-    _ctcDecode(logits, shape) {
+    _ctcGreedyDecode(logits, shape) {
         const [batchSize, seqLength, numClasses] = shape;
         const blankIndex = numClasses - 1; // 通常、最後のインデックスがblank
         
@@ -1755,7 +3763,9 @@ class OCREngine {
             }
             
             // Softmax変換で確率に変換
-            const probability = Math.exp(maxProb);
+            const probability = maxIndex !== blankIndex && maxIndex !== prevIndex
+                ? Math.exp(this._logSoftmax(logits, t * numClasses, numClasses)[maxIndex])
+                : 0;
             
             // CTC規則に従ってデコード
             if (maxIndex !== blankIndex && maxIndex !== prevIndex) {
@@ -1769,57 +3779,463 @@ class OCREngine {
                     position: t
                 });
             }
-            
-            prevIndex = maxIndex;
+            
+            prevIndex = maxIndex;
+        }
+        
+        return {
+            sequence,
+            probabilities,
+            characters
+        };
+    }
+
+    /**
+     * CTC ビームサーチデコード（プレフィックスビームサーチ）
+     * 辞書（options.lexicon）が指定された場合、辞書語の接頭辞に沿って伸びる候補にボーナスを与える
+     * @private
+     */
+    _ctcBeamSearchDecode(logits, shape, options = {}) {
+        const [, seqLength, numClasses] = shape;
+        const blankIndex = numClasses - 1;
+        const beamWidth = Math.max(1, options.beamWidth || this.config.beamWidth);
+        const lexiconBonus = options.lexiconBonus !== undefined ? options.lexiconBonus : this.config.lexiconBonus;
+        const trie = options.lexicon && options.lexicon.length > 0 ? this._getLexiconTrie(options.lexicon) : null;
+        
+        const logAddExp = (a, b) => {
+            if (a === -Infinity) return b;
+            if (b === -Infinity) return a;
+            const max = Math.max(a, b);
+            return max + Math.log(Math.exp(a - max) + Math.exp(b - max));
+        };
+        const beamScore = (beam) => logAddExp(beam.logBlank, beam.logNonBlank) + beam.bonus;
+        
+        // 接頭辞ごとに「blankで終わる」「文字で終わる」経路の対数確率を保持する
+        let beams = [{
+            key: '',
+            sequence: [],
+            characters: [],
+            logBlank: 0,
+            logNonBlank: -Infinity,
+            bonus: 0,
+            trieNodes: []
+        }];
+        
+        for (let t = 0; t < seqLength; t++) {
+            const logProbs = this._logSoftmax(logits, t * numClasses, numClasses);
+            const candidates = this._getTopClasses(logProbs, beamWidth, blankIndex);
+            const nextBeams = new Map();
+            
+            const getNextBeam = (source) => {
+                if (!nextBeams.has(source.key)) {
+                    nextBeams.set(source.key, { ...source, logBlank: -Infinity, logNonBlank: -Infinity });
+                }
+                return nextBeams.get(source.key);
+            };
+            
+            for (const beam of beams) {
+                const total = logAddExp(beam.logBlank, beam.logNonBlank);
+                const lastIndex = beam.sequence.length > 0 ? beam.sequence[beam.sequence.length - 1] : -1;
+                
+                // blankを出力（接頭辞は変わらない）
+                const blankBeam = getNextBeam(beam);
+                blankBeam.logBlank = logAddExp(blankBeam.logBlank, total + logProbs[blankIndex]);
+                
+                for (const index of candidates) {
+                    const logProb = logProbs[index];
+                    
+                    if (index === lastIndex) {
+                        // 同じ文字の連続は1文字に縮約され、blankを挟んだ場合のみ新しい文字になる
+                        const repeatBeam = getNextBeam(beam);
+                        repeatBeam.logNonBlank = logAddExp(repeatBeam.logNonBlank, beam.logNonBlank + logProb);
+                    }
+                    
+                    const extended = this._extendBeam(beam, index, logProb, t, trie, lexiconBonus);
+                    const extendedBeam = getNextBeam(extended);
+                    const pathLogProb = index === lastIndex ? beam.logBlank + logProb : total + logProb;
+                    extendedBeam.logNonBlank = logAddExp(extendedBeam.logNonBlank, pathLogProb);
+                }
+            }
+            
+            beams = [...nextBeams.values()]
+                .sort((a, b) => beamScore(b) - beamScore(a))
+                .slice(0, beamWidth);
+        }
+        
+        const best = beams[0];
+        
+        return {
+            sequence: best.sequence,
+            probabilities: best.characters.map(character => character.probability),
+            characters: best.characters
+        };
+    }
+
+    /**
+     * ビームに1文字追加した候補を作成（辞書ボーナスを加算）
+     * 辞書語の2文字目以降に一致した時点でボーナスを与える（1文字目の分も2文字目でまとめて加算）
+     * @private
+     */
+    _extendBeam(beam, index, logProb, position, trie, lexiconBonus) {
+        let bonus = beam.bonus;
+        let trieNodes = [];
+        
+        if (trie && this.charset && index < this.charset.length) {
+            const character = this.charset[index];
+            const nextNodes = new Set();
+            
+            for (const node of [...beam.trieNodes, trie]) {
+                const child = node.children.get(character);
+                if (!child) {
+                    continue;
+                }
+                nextNodes.add(child);
+                if (child.depth === 2) {
+                    bonus += lexiconBonus * 2;
+                } else if (child.depth > 2) {
+                    bonus += lexiconBonus;
+                }
+            }
+            
+            trieNodes = [...nextNodes];
+        }
+        
+        return {
+            key: `${beam.key},${index}`,
+            sequence: [...beam.sequence, index],
+            characters: [...beam.characters, { index, probability: Math.exp(logProb), position }],
+            bonus,
+            trieNodes
+        };
+    }
+
+    /**
+     * 1時刻分の出力を対数確率に変換
+     * @private
+     */
+    _logSoftmax(logits, offset, numClasses) {
+        let max = -Infinity;
+        for (let c = 0; c < numClasses; c++) {
+            max = Math.max(max, logits[offset + c]);
+        }
+        
+        let sum = 0;
+        for (let c = 0; c < numClasses; c++) {
+            sum += Math.exp(logits[offset + c] - max);
+        }
+        
+        const logSum = max + Math.log(sum);
+        const logProbs = new Float32Array(numClasses);
+        for (let c = 0; c < numClasses; c++) {
+            logProbs[c] = logits[offset + c] - logSum;
+        }
+        
+        return logProbs;
+    }
+
+    /**
+     * blankを除く上位クラスのインデックス（ビームの枝刈り用）
+     * @private
+     */
+    _getTopClasses(logProbs, count, blankIndex) {
+        const top = [];
+        
+        for (let c = 0; c < logProbs.length; c++) {
+            if (c === blankIndex) {
+                continue;
+            }
+            if (top.length < count || logProbs[c] > logProbs[top[top.length - 1]]) {
+                top.push(c);
+                top.sort((a, b) => logProbs[b] - logProbs[a]);
+                if (top.length > count) {
+                    top.pop();
+                }
+            }
+        }
+        
+        return top;
+    }
+
+    /**
+     * 辞書語の接頭辞木（トライ）の取得（同じ辞書であれば再利用）
+     * @private
+     */
+    _getLexiconTrie(lexicon) {
+        const cacheKey = lexicon.join('\n');
+        if (this.lexiconTrie && this.lexiconTrie.key === cacheKey) {
+            return this.lexiconTrie.root;
+        }
+        
+        const root = { children: new Map(), depth: 0 };
+        for (const word of lexicon) {
+            let node = root;
+            for (const character of word) {
+                if (!node.children.has(character)) {
+                    node.children.set(character, { children: new Map(), depth: node.depth + 1 });
+                }
+                node = node.children.get(character);
+            }
+        }
+        
+        this.lexiconTrie = { key: cacheKey, root };
+        return root;
+    }
+
+    /**
+     * インデックスシーケンスをテキストに変換
+     * @private
+     */
+    _convertToText(sequence) {
+        if (!this.charset || sequence.length === 0) {
+            return '';
+        }
+        
+        let text = '';
+        
+        for (const index of sequence) {
+            if (index < 0 || index >= this.charset.length) {
+                // 黙って読み飛ばすと文字がずれるため例外にする
+                throw new Error(`文字セットの範囲外の文字インデックス: ${index} (文字数: ${this.charset.length})`);
+            }
+            text += this.charset[index];
+        }
+        
+        return text;
+    }
+
+    /**
+     * 認識信頼度の計算
+     * @private
+     */
+    _calculateRecognitionConfidence(probabilities) {
+        if (probabilities.length === 0) return 0;
+        
+        // 幾何平均を使用して信頼度を計算
+        let logSum = 0;
+        for (const prob of probabilities) {
+            logSum += Math.log(Math.max(prob, 1e-10)); // 数値安定性のため最小値を設定
+        }
+        
+        const geometricMean = Math.exp(logSum / probabilities.length);
+        
+        // 0-1の範囲に正規化
+        return Math.min(1, Math.max(0, geometricMean));
+    }
+
+    /**
+     * アンサンブル投票
+     * ONNXの信頼度が閾値未満の行をTesseract.jsでも認識し、IoUで対応付けた行ごとに
+     * 「信頼度 + 妥当性スコア」の高い方を採用する。採用したエンジンは各結果の ensemble.winner に記録する
+     * @private
+     */
+    async _applyEnsembleVoting(imageData, recognitionResults, options = {}) {
+        const threshold = options.ensembleConfidenceThreshold || this.config.ensembleConfidenceThreshold;
+        const summary = { comparedRegions: 0, tesseractWins: 0, onnxWins: 0, unmatched: 0 };
+        
+        const targets = recognitionResults.filter(result =>
+            !result.recognitionError && this._getRecognitionConfidence(result) < threshold
+        );
+        if (targets.length === 0) {
+            return { results: recognitionResults, summary };
+        }
+        
+        let engine = null;
+        try {
+            engine = await this._getSharedTesseractEngine();
+        } catch (error) {
+            console.warn('アンサンブル用Tesseract.jsの初期化エラー（ONNXの結果のみ使用します）:', error);
+            return { results: recognitionResults, summary: { ...summary, error: error.message } };
+        }
+        
+        const results = [];
+        for (const result of recognitionResults) {
+            if (!targets.includes(result)) {
+                results.push(result);
+                continue;
+            }
+            
+            this._throwIfAborted(options.signal);
+            
+            const candidate = await this._recognizeLineWithTesseract(engine, imageData, result.boundingBox, options);
+            if (!candidate) {
+                summary.unmatched++;
+                results.push(result);
+                continue;
+            }
+            
+            summary.comparedRegions++;
+            const vote = this._voteEnsembleLine(result, candidate, options.lexicon);
+            if (vote.winner === 'tesseract') {
+                summary.tesseractWins++;
+                results.push({
+                    ...result,
+                    text: candidate.text,
+                    confidence: candidate.confidence,
+                    recognitionConfidence: candidate.confidence,
+                    characters: null,
+                    ensemble: vote
+                });
+            } else {
+                summary.onnxWins++;
+                results.push({ ...result, ensemble: vote });
+            }
+        }
+        
+        console.log(`アンサンブル: ${summary.comparedRegions}行を比較 (Tesseract採用: ${summary.tesseractWins}行)`);
+        return { results, summary };
+    }
+
+    /**
+     * 認識結果の信頼度（認識単体の信頼度があればそれを使う）
+     * @private
+     */
+    _getRecognitionConfidence(result) {
+        return result.recognitionConfidence !== undefined ? result.recognitionConfidence : result.confidence;
+    }
+
+    /**
+     * アンサンブル・一時的なフォールバック用のTesseract.jsワーカーの取得
+     * フォールバック用のワーカーを共有するが、フォールバック状態（usingFallback）には切り替えない
+     * @private
+     */
+    async _getSharedTesseractEngine() {
+        if (this.fallbackEngine) {
+            return this.fallbackEngine;
+        }
+        
+        if (typeof Tesseract === 'undefined') {
+            throw new Error('Tesseract.jsが読み込まれていません');
+        }
+        
+        this.fallbackEngine = await this._createTesseractWorker(this.config.tesseractLanguages);
+        this.fallbackReleased = false;
+        return this.fallbackEngine;
+    }
+
+    /**
+     * 1行分の領域をTesseract.jsで認識し、IoUが最大の行を返す
+     * @returns {Promise<{text: string, confidence: number, boundingBox: Object, iou: number}|null>}
+     * @private
+     */
+    async _recognizeLineWithTesseract(engine, imageData, boundingBox, options = {}) {
+        // 行の上下が欠けないよう少し広げて切り出す
+        const padding = Math.max(2, Math.round(boundingBox.height * 0.2));
+        const x = Math.max(0, Math.floor(boundingBox.x - padding));
+        const y = Math.max(0, Math.floor(boundingBox.y - padding));
+        const region = {
+            x,
+            y,
+            width: Math.min(imageData.width - x, Math.ceil(boundingBox.width + padding * 2)),
+            height: Math.min(imageData.height - y, Math.ceil(boundingBox.height + padding * 2))
+        };
+        
+        try {
+            const croppedImageData = this._cropImageRegion(imageData, region);
+            const { data } = await this._runAbortable(
+                engine.recognize(croppedImageData),
+                options.signal,
+                () => this._terminateTesseractWorker(engine)
+            );
+            
+            const lines = (data.lines || []).map(line => ({
+                text: (line.text || '').trim(),
+                confidence: (line.confidence || 0) / 100,
+                boundingBox: {
+                    x: region.x + line.bbox.x0,
+                    y: region.y + line.bbox.y0,
+                    width: line.bbox.x1 - line.bbox.x0,
+                    height: line.bbox.y1 - line.bbox.y0
+                }
+            })).filter(line => line.text);
+            
+            return this._matchLineByIoU(boundingBox, lines);
+            
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw error;
+            }
+            console.warn('アンサンブルのTesseract認識エラー:', error);
+            return null;
         }
-        
-        return {
-            sequence,
-            probabilities,
-            characters
-        };
     }
 
     /**
-     * インデックスシーケンスをテキストに変換
+     * 対象の行とIoUが最大の行の選択（config.ensembleMinIoU 未満なら対応なし）
      * @private
      */
-    _convertToText(sequence) {
-        if (!this.charset || sequence.length === 0) {
-            return '';
-        }
-        
-        let text = '';
+    _matchLineByIoU(boundingBox, lines) {
+        let best = null;
         
-        for (const index of sequence) {
-            if (index >= 0 && index < this.charset.length) {
-                text += this.charset[index];
-            } else {
-                console.warn(`無効な文字インデックス: ${index}`);
-                text += '?'; // 未知文字
+        for (const line of lines) {
+            const iou = this._calculateIoU(boundingBox, line.boundingBox);
+            if (iou >= this.config.ensembleMinIoU && (!best || iou > best.iou)) {
+                best = { ...line, iou };
             }
         }
         
-        return text;
+        return best;
     }
 
     /**
-     * 認識信頼度の計算
+     * 同じ行に対する2つのエンジンの結果の投票
+     * @returns {{winner: string, onnx: Object, tesseract: Object, iou: number}}
      * @private
      */
-    _calculateRecognitionConfidence(probabilities) {
-        if (probabilities.length === 0) return 0;
+    _voteEnsembleLine(onnxResult, tesseractResult, lexicon = null) {
+        const onnxConfidence = this._getRecognitionConfidence(onnxResult);
+        const onnx = {
+            text: onnxResult.text,
+            confidence: onnxConfidence,
+            score: onnxConfidence + this._scoreTextPlausibility(onnxResult.text, lexicon)
+        };
+        const tesseract = {
+            text: tesseractResult.text,
+            confidence: tesseractResult.confidence,
+            score: tesseractResult.confidence + this._scoreTextPlausibility(tesseractResult.text, lexicon)
+        };
         
-        // 幾何平均を使用して信頼度を計算
-        let logSum = 0;
-        for (const prob of probabilities) {
-            logSum += Math.log(Math.max(prob, 1e-10)); // 数値安定性のため最小値を設定
+        return {
+            // 同点の場合はONNXを優先
+            winner: tesseract.score > onnx.score ? 'tesseract' : 'onnx',
+            onnx,
+            tesseract,
+            iou: tesseractResult.iou
+        };
+    }
+
+    /**
+     * テキストの妥当性スコア（辞書語・領収書の定型表現で加点、記号だらけの文字列で減点）
+     * @private
+     */
+    _scoreTextPlausibility(text, lexicon = null) {
+        if (!text || !text.trim()) {
+            return -1;
         }
         
-        const geometricMean = Math.exp(logSum / probabilities.length);
+        const compact = text.replace(/\s+/g, '');
+        let score = 0;
         
-        // 0-1の範囲に正規化
-        return Math.min(1, Math.max(0, geometricMean));
+        // 金額・日付・電話番号などの定型表現
+        const patterns = [
+            /[¥￥]\s*\d{1,3}(,\d{3})*|\d{1,3}(,\d{3})*\s*円/,
+            /\d{2,4}[\/\-年]\d{1,2}[\/\-月]\d{1,2}/,
+            /(令和|平成|昭和)\s*\d{1,2}\s*年/,
+            /\d{2,4}-\d{2,4}-\d{3,4}/
+        ];
+        if (patterns.some(pattern => pattern.test(compact))) {
+            score += 0.15;
+        }
+        
+        // 辞書語（ビームサーチと同じ語彙）を含む場合
+        if (Array.isArray(lexicon) && lexicon.some(word => word && compact.includes(word))) {
+            score += 0.1;
+        }
+        
+        // 日本語・英数字・一般的な記号以外の割合が高い場合は誤認識とみなす
+        const unusual = compact.replace(/[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}A-Za-z0-9０-９ー・.,:\/\-()（）¥￥円%#&*@]/gu, '');
+        score -= Math.min(0.3, unusual.length / compact.length);
+        
+        return score;
     }
 
     /**
@@ -1834,12 +4250,18 @@ class OCREngine {
                 text: result.text,
                 confidence: result.confidence,
                 boundingBox: result.boundingBox,
+                polygon: result.polygon || this._boundingBoxToPolygon(result.boundingBox),
                 fontSize: result.fontSize,
                 recognitionConfidence: result.recognitionConfidence,
                 characters: result.characters,
-                source: 'onnx-recognition'
+                orientation: result.orientation || 'horizontal',
+                source: 'onnx-recognition',
+                ...(result.ensemble ? { engine: result.ensemble.winner, ensemble: result.ensemble } : {})
             }));
         
+        // 行・列へのグループ化と読み順の再構成
+        const layout = this._analyzeLayout(textBlocks);
+        
         // 全体の信頼度を計算
         const overallConfidence = this._calculateOverallConfidence(
             detectionResult.confidence,
@@ -1856,14 +4278,142 @@ class OCREngine {
         };
         
         return {
-            textBlocks,
+            textBlocks: layout.textBlocks,
+            lines: layout.lines,
             confidence: overallConfidence,
             statistics,
             originalSize: detectionResult.originalSize,
-            processingSteps: ['detection', 'recognition']
+            processingSteps: ['detection', 'recognition', 'layout']
         };
     }
 
+    /**
+     * レイアウト解析
+     * テキストブロックを行・列にグループ化し、上から下・左から右の読み順に並べ替える
+     * @private
+     */
+    _analyzeLayout(textBlocks) {
+        if (textBlocks.length === 0) {
+            return { textBlocks: [], lines: [] };
+        }
+        
+        // 行の太さ（縦書きのブロックは幅）の中央値
+        const heights = textBlocks
+            .map(block => block.orientation === 'vertical' ? block.boundingBox.width : block.boundingBox.height)
+            .sort((a, b) => a - b);
+        const medianHeight = Math.max(1, heights[Math.floor(heights.length / 2)]);
+        const centerY = block => block.boundingBox.y + block.boundingBox.height / 2;
+        
+        // 中心のy座標順に走査し、縦方向の重なりが大きい行に割り当てる
+        const lineGroups = [];
+        const sortedBlocks = [...textBlocks].sort((a, b) => centerY(a) - centerY(b));
+        
+        for (const block of sortedBlocks) {
+            const box = block.boundingBox;
+            let bestGroup = null;
+            let bestOverlap = 0;
+            
+            // 縦書きのブロックは複数の横書きの行にまたがるため、単独の行とする
+            if (block.orientation === 'vertical') {
+                lineGroups.push({ centerY: centerY(block), height: box.height, blocks: [block], vertical: true });
+                continue;
+            }
+            
+            for (const group of lineGroups) {
+                if (group.vertical) continue;
+                
+                const top = Math.max(group.centerY - group.height / 2, box.y);
+                const bottom = Math.min(group.centerY + group.height / 2, box.y + box.height);
+                const overlap = (bottom - top) / Math.max(1, Math.min(group.height, box.height));
+                
+                if (overlap > bestOverlap) {
+                    bestOverlap = overlap;
+                    bestGroup = group;
+                }
+            }
+            
+            if (bestGroup && bestOverlap >= 0.5) {
+                // 行の中心と高さはメンバーの平均で更新（行が縦に膨らみ続けないように）
+                const count = bestGroup.blocks.length;
+                bestGroup.centerY = (bestGroup.centerY * count + centerY(block)) / (count + 1);
+                bestGroup.height = (bestGroup.height * count + box.height) / (count + 1);
+                bestGroup.blocks.push(block);
+            } else {
+                lineGroups.push({ centerY: centerY(block), height: box.height, blocks: [block] });
+            }
+        }
+        
+        lineGroups.sort((a, b) => a.centerY - b.centerY);
+        
+        const orderedBlocks = [];
+        const lines = lineGroups.map((group, lineIndex) => {
+            const blocks = group.blocks.sort((a, b) => a.boundingBox.x - b.boundingBox.x);
+            
+            // 行高に比べて大きな空白で列（ラベルと値など）を区切る
+            const columns = [];
+            for (const block of blocks) {
+                const previousColumn = columns[columns.length - 1];
+                const previousBlock = previousColumn && previousColumn.blocks[previousColumn.blocks.length - 1];
+                const gap = previousBlock
+                    ? block.boundingBox.x - (previousBlock.boundingBox.x + previousBlock.boundingBox.width)
+                    : Infinity;
+                
+                if (previousColumn && gap <= medianHeight) {
+                    previousColumn.blocks.push(block);
+                } else {
+                    columns.push({ blocks: [block] });
+                }
+            }
+            
+            columns.forEach((column, columnIndex) => {
+                column.blocks.forEach(block => {
+                    block.lineIndex = lineIndex;
+                    block.columnIndex = columnIndex;
+                    orderedBlocks.push(block);
+                });
+                column.text = this._joinBlockTexts(column.blocks);
+                column.boundingBox = this._unionBoundingBoxes(column.blocks.map(block => block.boundingBox));
+            });
+            
+            return {
+                text: columns.map(column => column.text).join(' '),
+                confidence: blocks.reduce((sum, block) => sum + block.confidence, 0) / blocks.length,
+                boundingBox: this._unionBoundingBoxes(blocks.map(block => block.boundingBox)),
+                orientation: group.vertical ? 'vertical' : 'horizontal',
+                blocks,
+                columns
+            };
+        });
+        
+        return { textBlocks: orderedBlocks, lines };
+    }
+
+    /**
+     * 同じ列のブロックテキストを連結（英数字同士の間のみ空白を入れる）
+     * @private
+     */
+    _joinBlockTexts(blocks) {
+        return blocks.reduce((text, block) => {
+            if (text && /[A-Za-z0-9]$/.test(text) && /^[A-Za-z0-9]/.test(block.text)) {
+                return `${text} ${block.text}`;
+            }
+            return text + block.text;
+        }, '');
+    }
+
+    /**
+     * 複数のバウンディングボックスを包含するボックスを計算
+     * @private
+     */
+    _unionBoundingBoxes(boxes) {
+        const x1 = Math.min(...boxes.map(box => box.x));
+        const y1 = Math.min(...boxes.map(box => box.y));
+        const x2 = Math.max(...boxes.map(box => box.x + box.width));
+        const y2 = Math.max(...boxes.map(box => box.y + box.height));
+        
+        return { x: x1, y: y1, width: x2 - x1, height: y2 - y1 };
+    }
+
     /**
      * 全体信頼度の計算
      * @private
@@ -1894,27 +4444,46 @@ class OCREngine {
             throw new Error('OCRエンジンが初期化されていません');
         }
         
+        this._validateImageData(imageData);
+        
         try {
+            this._throwIfAborted(options.signal);
+            
             if (this.usingFallback) {
                 // フォールバック使用時は領域を切り出してTesseract.jsで処理
                 return await this._processRegionWithFallback(imageData, region, options);
             } else {
                 // ONNX使用時は認識モデルで直接処理
-                return await this._processRegionWithONNX(imageData, region, options);
+                const result = await this._processRegionWithONNX(imageData, region, options);
+                this.backendFailures[this.currentBackend] = 0;
+                return result;
             }
         } catch (error) {
+            // キャンセルはエラーではないためフォールバックしない
+            if (error.name === 'AbortError') {
+                console.log('領域OCR処理がキャンセルされました');
+                throw error;
+            }
+            
             console.error('領域OCR処理エラー:', error);
             
-            // ONNX処理でエラーが発生した場合、フォールバックを試行
-            if (!this.usingFallback && this.config.fallbackToTesseract) {
-                console.log('ONNXエラーのため領域処理でフォールバックを試行します');
+            // ONNX処理でエラーが発生した場合、次のバックエンドかフォールバックを試行
+            if (!this.usingFallback) {
+                const action = await this._recordBackendFailure(error);
+                if (action === 'retry') {
+                    return await this.processRegion(imageData, region, options);
+                }
                 
-                try {
-                    await this.switchToFallback(error.message);
-                    return await this._processRegionWithFallback(imageData, region, options);
-                } catch (fallbackError) {
-                    console.error('フォールバック領域処理も失敗:', fallbackError);
-                    throw fallbackError;
+                if (this.config.fallbackToTesseract) {
+                    console.log('ONNXエラーのため領域処理でフォールバックを試行します');
+                    
+                    try {
+                        await this._prepareFallbackAfterFailure(action, error.message);
+                        return await this._processRegionWithFallback(imageData, region, options);
+                    } catch (fallbackError) {
+                        console.error('フォールバック領域処理も失敗:', fallbackError);
+                        throw fallbackError;
+                    }
                 }
             }
             
@@ -1928,8 +4497,14 @@ class OCREngine {
      */
     async _processRegionWithONNX(imageData, region, options = {}) {
         try {
-            // 必要なモデルの遅延ロード
-            await this.loadModelIfNeeded('recognition');
+            // 必要なモデルの遅延ロード（文書ごとに認識モデルの指定があれば切り替え）
+            if (options.recognizer) {
+                await this.useRecognizer(options.recognizer);
+            } else {
+                await this.loadModelIfNeeded('recognition');
+            }
+            
+            this._throwIfAborted(options.signal);
             
             if (options.progressCallback) {
                 options.progressCallback('領域を切り出し中...', 20);
@@ -1947,8 +4522,9 @@ class OCREngine {
                 options.progressCallback('テキスト認識中...', 60);
             }
             
-            // 認識処理を実行
-            const recognitionResult = await this._recognizeTextRegion(imageData, textRegion, options);
+            // 画像前処理（プリセット指定時のみ）を適用して認識処理を実行
+            const preprocessedImage = this._applyPreprocessing(imageData, this._getPreprocessingPipeline(options));
+            const recognitionResult = await this._recognizeTextRegion(preprocessedImage, textRegion, options);
             
             if (options.progressCallback) {
                 options.progressCallback('処理完了', 100);
@@ -1956,7 +4532,10 @@ class OCREngine {
             
             // 結果を標準形式で返す
             return {
-                textBlocks: [recognitionResult],
+                textBlocks: [{
+                    ...recognitionResult,
+                    polygon: this._boundingBoxToPolygon(region)
+                }],
                 confidence: recognitionResult.confidence,
                 statistics: {
                     totalRegions: 1,
@@ -1972,6 +4551,9 @@ class OCREngine {
             };
             
         } catch (error) {
+            if (error.name === 'AbortError') {
+                throw error;
+            }
             console.error('ONNX領域処理エラー:', error);
             throw error;
         }
@@ -1982,31 +4564,38 @@ class OCREngine {
      * @private
      */
     async _processRegionWithFallback(imageData, region, options = {}) {
-        if (!this.fallbackEngine) {
-            throw new Error('フォールバックエンジンが初期化されていません');
-        }
+        await this._ensureFallbackEngine();
         
         try {
             if (options.progressCallback) {
                 options.progressCallback('領域を切り出し中...', 20);
             }
             
-            // 領域を切り出し
-            const croppedImageData = this._cropImageRegion(imageData, region);
+            // 領域を切り出し、前処理を適用（切り出し後に行うことで領域内の明るさに合わせて補正される）
+            const preprocessing = this._getPreprocessingPipeline(options);
+            const croppedImageData = this._applyPreprocessing(this._cropImageRegion(imageData, region), preprocessing);
+            
+            // 縦長の領域は縦書き用（jpn_vert）のワーカーで認識
+            const orientation = this._getRegionOrientation({ boundingBox: region, orientation: options.orientation });
+            const engine = orientation === 'vertical' ? await this._getVerticalFallbackEngine() : this.fallbackEngine;
             
             if (options.progressCallback) {
                 options.progressCallback('Tesseract.jsで認識中...', 50);
             }
             
-            // Tesseract.jsで処理
-            const result = await this.fallbackEngine.recognize(croppedImageData, {
-                logger: options.progressCallback ? (m) => {
-                    if (m.status === 'recognizing text') {
-                        const progress = 50 + (m.progress * 40);
-                        options.progressCallback(`認識中... ${Math.round(m.progress * 100)}%`, progress);
-                    }
-                } : null
-            });
+            // Tesseract.jsで処理（中断時はワーカーを終了して処理を止める）
+            const result = await this._runAbortable(
+                engine.recognize(croppedImageData, {
+                    logger: options.progressCallback ? (m) => {
+                        if (m.status === 'recognizing text') {
+                            const progress = 50 + (m.progress * 40);
+                            options.progressCallback(`認識中... ${Math.round(m.progress * 100)}%`, progress);
+                        }
+                    } : null
+                }),
+                options.signal,
+                () => this._terminateTesseractWorker(engine)
+            );
             
             if (options.progressCallback) {
                 options.progressCallback('処理完了', 100);
@@ -2017,7 +4606,9 @@ class OCREngine {
                 text: result.data.text.trim(),
                 confidence: result.data.confidence / 100,
                 boundingBox: region,
+                polygon: this._boundingBoxToPolygon(region),
                 fontSize: this._estimateFontSizeFromBbox(region),
+                orientation,
                 source: 'tesseract-region'
             };
             
@@ -2031,18 +4622,366 @@ class OCREngine {
                     recognitionRate: textBlock.text ? 1 : 0
                 },
                 originalSize: { width: imageData.width, height: imageData.height },
-                processingSteps: ['manual-region', 'tesseract'],
+                processingSteps: preprocessing ? ['manual-region', 'preprocessing', 'tesseract'] : ['manual-region', 'tesseract'],
                 processingTime: Date.now(),
                 engine: 'tesseract',
-                fallback: true
+                fallback: true,
+                ...(preprocessing ? { preprocessing: this._describePreprocessing(preprocessing) } : {})
             };
             
         } catch (error) {
-            console.error('フォールバック領域処理エラー:', error);
+            if (error.name !== 'AbortError') {
+                console.error('フォールバック領域処理エラー:', error);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * 使用する前処理の決定（options.preprocessing、無ければ config.preprocessing。'none' は前処理なし）
+     * @private
+     */
+    _getPreprocessingPipeline(options = {}) {
+        const pipeline = options.preprocessing !== undefined ? options.preprocessing : this.config.preprocessing;
+        return pipeline && pipeline !== 'none' ? pipeline : null;
+    }
+
+    /**
+     * 画像前処理の適用
+     * ImagePreprocessor が読み込まれていない場合は前処理せずにそのまま返す
+     * @private
+     */
+    _applyPreprocessing(imageData, pipeline) {
+        if (!pipeline) {
+            return imageData;
+        }
+        
+        if (typeof ImagePreprocessor === 'undefined') {
+            console.warn('ImagePreprocessorが読み込まれていないため前処理を省略します');
+            return imageData;
+        }
+        
+        if (!this.imagePreprocessor) {
+            this.imagePreprocessor = new ImagePreprocessor();
+        }
+        
+        try {
+            return this.imagePreprocessor.process(imageData, pipeline);
+        } catch (error) {
+            console.error('画像前処理エラー:', error);
             throw error;
         }
     }
 
+    /**
+     * 結果に記録する前処理の名前（プリセット名、またはステップ名の列）
+     * @private
+     */
+    _describePreprocessing(pipeline) {
+        if (typeof pipeline === 'string') {
+            return pipeline;
+        }
+        return pipeline.map(item => typeof item === 'string' ? item : item.step).join('+');
+    }
+
+    /**
+     * ページの向き判定を行うか（options.autoOrientation、無ければ config.autoOrientation）
+     * @private
+     */
+    _isAutoOrientationEnabled(options = {}) {
+        return options.autoOrientation !== undefined ? options.autoOrientation : this.config.autoOrientation;
+    }
+
+    /**
+     * テキストボックスからページの向きを推定
+     * 細長いボックスを面積の大きい順に最大 config.orientationSampleCount 個選び、横長はそのまま、
+     * 縦長は反時計回りに90°回転して切り出す。切り出しの回転と角度クラスの和がページの補正角になる
+     * @private
+     */
+    async _estimatePageOrientation(imageData, textRegions) {
+        const votes = { 0: 0, 90: 0, 180: 0, 270: 0 };
+        
+        if (!this.models.angleClassification) {
+            return { rotation: 0, confidence: 0, applied: false, method: 'unavailable', samples: 0, votes };
+        }
+        
+        const minAspectRatio = this.config.orientationMinAspectRatio;
+        const samples = textRegions
+            .filter(region => region.boundingBox && region.boundingBox.width > 0 && region.boundingBox.height > 0)
+            .map(region => ({ region, aspectRatio: this._getRegionAspectRatio(region) }))
+            .filter(({ aspectRatio }) => aspectRatio >= minAspectRatio || aspectRatio <= 1 / minAspectRatio)
+            .sort((a, b) => this._getRegionArea(b.region) - this._getRegionArea(a.region))
+            .slice(0, this.config.orientationSampleCount);
+        
+        for (const { region, aspectRatio } of samples) {
+            const tall = aspectRatio < 1;
+            const bbox = region.boundingBox;
+            const polygon = region.polygon && region.polygon.length === 4 ? region.polygon : [
+                { x: bbox.x, y: bbox.y },
+                { x: bbox.x + bbox.width, y: bbox.y },
+                { x: bbox.x + bbox.width, y: bbox.y + bbox.height },
+                { x: bbox.x, y: bbox.y + bbox.height }
+            ];
+            
+            try {
+                const croppedImage = this._warpPolygonRegion(imageData, polygon, tall ? 'vertical' : 'horizontal');
+                const { angleClass, probability } = await this._classifyTextAngle(croppedImage);
+                const rotation = ((tall ? 270 : 0) + angleClass * 90) % 360;
+                votes[rotation] += probability;
+            } catch (error) {
+                console.warn('向き判定の角度分類エラー:', error);
+            }
+        }
+        
+        const total = Object.values(votes).reduce((sum, value) => sum + value, 0);
+        if (total === 0) {
+            return { rotation: 0, confidence: 0, applied: false, method: 'angleModel', samples: samples.length, votes };
+        }
+        
+        const rotation = [0, 90, 180, 270].reduce((best, angle) => votes[angle] > votes[best] ? angle : best, 0);
+        const confidence = votes[rotation] / total;
+        
+        return {
+            rotation,
+            confidence,
+            applied: rotation !== 0 && confidence >= this.config.orientationMinConfidence,
+            method: 'angleModel',
+            samples: samples.length,
+            votes
+        };
+    }
+
+    /**
+     * 領域の面積（バウンディングボックス）
+     * @private
+     */
+    _getRegionArea(region) {
+        return region.boundingBox.width * region.boundingBox.height;
+    }
+
+    /**
+     * 画像データを時計回りに 90°単位で回転
+     * @private
+     */
+    _rotateImageData(imageData, rotation) {
+        const { width, height, data } = imageData;
+        const quarterTurns = ((rotation / 90) % 4 + 4) % 4;
+        
+        if (quarterTurns === 0) {
+            return imageData;
+        }
+        
+        const outWidth = quarterTurns === 2 ? width : height;
+        const outHeight = quarterTurns === 2 ? height : width;
+        const rotated = new Uint8ClampedArray(data.length);
+        
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                let outX;
+                let outY;
+                if (quarterTurns === 1) {
+                    outX = height - 1 - y;
+                    outY = x;
+                } else if (quarterTurns === 2) {
+                    outX = width - 1 - x;
+                    outY = height - 1 - y;
+                } else {
+                    outX = y;
+                    outY = width - 1 - x;
+                }
+                
+                const src = (y * width + x) * 4;
+                const dst = (outY * outWidth + outX) * 4;
+                rotated[dst] = data[src];
+                rotated[dst + 1] = data[src + 1];
+                rotated[dst + 2] = data[src + 2];
+                rotated[dst + 3] = data[src + 3];
+            }
+        }
+        
+        return this._createImageData(rotated, outWidth, outHeight);
+    }
+
+    /**
+     * 傾き補正を行うか（options.deskew、無ければ config.deskew）
+     * @private
+     */
+    _isDeskewEnabled(options = {}) {
+        return options.deskew !== undefined ? options.deskew : this.config.deskew;
+    }
+
+    /**
+     * 文字行の傾きの推定（投影プロファイル法）
+     * 文字の画素を回転させて行・列方向に投影し、ヒストグラムが最も鋭くなる（二乗和が最大になる）回転角を探す。
+     * 0.5°刻みで ±config.deskewMaxAngle を探索した後、最良の角度の前後を0.1°刻みで詰める
+     * @returns {{angle: number, applied: boolean, method: string, inkPixels: number}} angle は補正として時計回りに回す角度（度）
+     * @private
+     */
+    _estimateSkewAngle(imageData) {
+        const ink = this._collectInkPoints(imageData);
+        const result = { angle: 0, applied: false, method: 'projectionProfile', inkPixels: ink.count };
+        
+        if (ink.count < 50) {
+            return result;
+        }
+        
+        const maxAngle = this.config.deskewMaxAngle;
+        const search = (from, to, step, best) => {
+            for (let angle = from; angle <= to + 1e-9; angle += step) {
+                const score = this._projectionScore(ink, angle);
+                if (score > best.score) {
+                    best = { angle, score };
+                }
+            }
+            return best;
+        };
+        
+        let best = search(-maxAngle, maxAngle, 0.5, { angle: 0, score: this._projectionScore(ink, 0) });
+        best = search(Math.max(-maxAngle, best.angle - 0.4), Math.min(maxAngle, best.angle + 0.4), 0.1, best);
+        
+        const angle = Math.round(best.angle * 10) / 10;
+        return {
+            ...result,
+            angle: Math.abs(angle) >= this.config.deskewMinAngle ? angle : 0,
+            applied: Math.abs(angle) >= this.config.deskewMinAngle
+        };
+    }
+
+    /**
+     * 文字の画素の座標（画像中心からの相対位置）を集める
+     * 長辺が maxSize を超える画像は間引いて扱い、大津の方法で求めたしきい値より暗い画素を文字とする
+     * @private
+     */
+    _collectInkPoints(imageData, maxSize = 600) {
+        const { width, height, data } = imageData;
+        const step = Math.max(1, Math.ceil(Math.max(width, height) / maxSize));
+        const sampleWidth = Math.floor(width / step);
+        const sampleHeight = Math.floor(height / step);
+        const gray = new Uint8Array(sampleWidth * sampleHeight);
+        const histogram = new Array(256).fill(0);
+        
+        for (let y = 0; y < sampleHeight; y++) {
+            for (let x = 0; x < sampleWidth; x++) {
+                const i = (y * step * width + x * step) * 4;
+                const value = Math.round(data[i] * 0.299 + data[i + 1] * 0.587 + data[i + 2] * 0.114);
+                gray[y * sampleWidth + x] = value;
+                histogram[value]++;
+            }
+        }
+        
+        // 大津の方法（クラス間分散が最大になるしきい値）
+        const total = gray.length;
+        const sumAll = histogram.reduce((sum, count, level) => sum + count * level, 0);
+        let threshold = 0;
+        let maxVariance = -1;
+        let backgroundCount = 0;
+        let backgroundSum = 0;
+        for (let level = 0; level < 256; level++) {
+            backgroundCount += histogram[level];
+            backgroundSum += histogram[level] * level;
+            const foregroundCount = total - backgroundCount;
+            if (backgroundCount === 0 || foregroundCount === 0) {
+                continue;
+            }
+            const meanDifference = backgroundSum / backgroundCount - (sumAll - backgroundSum) / foregroundCount;
+            const variance = backgroundCount * foregroundCount * meanDifference * meanDifference;
+            if (variance > maxVariance) {
+                maxVariance = variance;
+                threshold = level;
+            }
+        }
+        
+        const xs = [];
+        const ys = [];
+        for (let y = 0; y < sampleHeight; y++) {
+            for (let x = 0; x < sampleWidth; x++) {
+                if (gray[y * sampleWidth + x] <= threshold) {
+                    xs.push(x - sampleWidth / 2);
+                    ys.push(y - sampleHeight / 2);
+                }
+            }
+        }
+        
+        // 文字が画像の半分以上を占める場合は背景と文字の区別がつかないため推定しない
+        const count = xs.length <= total / 2 ? xs.length : 0;
+        return {
+            xs: Float32Array.from(xs),
+            ys: Float32Array.from(ys),
+            count,
+            radius: Math.ceil(Math.hypot(sampleWidth, sampleHeight) / 2) + 1
+        };
+    }
+
+    /**
+     * 文字の画素を時計回りに angle 度回転したときの、行方向・列方向の投影ヒストグラムの二乗和
+     * @private
+     */
+    _projectionScore(ink, angle) {
+        const radians = angle * Math.PI / 180;
+        const cos = Math.cos(radians);
+        const sin = Math.sin(radians);
+        const size = ink.radius * 2 + 1;
+        const rows = new Int32Array(size);
+        const columns = new Int32Array(size);
+        
+        for (let i = 0; i < ink.count; i++) {
+            const x = ink.xs[i];
+            const y = ink.ys[i];
+            rows[Math.round(x * sin + y * cos) + ink.radius]++;
+            columns[Math.round(x * cos - y * sin) + ink.radius]++;
+        }
+        
+        let score = 0;
+        for (let i = 0; i < size; i++) {
+            score += rows[i] * rows[i] + columns[i] * columns[i];
+        }
+        return score;
+    }
+
+    /**
+     * 画像データを中心まわりに時計回りに angle 度回転（サイズは変えず、はみ出した部分は白で埋める）
+     * @private
+     */
+    _rotateImageDataByAngle(imageData, angle) {
+        const { width, height, data } = imageData;
+        const radians = angle * Math.PI / 180;
+        const cos = Math.cos(radians);
+        const sin = Math.sin(radians);
+        const centerX = width / 2;
+        const centerY = height / 2;
+        const rotated = new Uint8ClampedArray(data.length).fill(255);
+        
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                // 出力画素の中心を逆回転して元画像上の位置を求める
+                const dx = x + 0.5 - centerX;
+                const dy = y + 0.5 - centerY;
+                const sourceX = centerX + dx * cos + dy * sin - 0.5;
+                const sourceY = centerY - dx * sin + dy * cos - 0.5;
+                
+                if (sourceX < 0 || sourceY < 0 || sourceX > width - 1 || sourceY > height - 1) {
+                    continue;
+                }
+                
+                const x0 = Math.floor(sourceX);
+                const y0 = Math.floor(sourceY);
+                const x1 = Math.min(x0 + 1, width - 1);
+                const y1 = Math.min(y0 + 1, height - 1);
+                const fx = sourceX - x0;
+                const fy = sourceY - y0;
+                const dst = (y * width + x) * 4;
+                
+                for (let channel = 0; channel < 4; channel++) {
+                    const top = data[(y0 * width + x0) * 4 + channel] * (1 - fx) + data[(y0 * width + x1) * 4 + channel] * fx;
+                    const bottom = data[(y1 * width + x0) * 4 + channel] * (1 - fx) + data[(y1 * width + x1) * 4 + channel] * fx;
+                    rotated[dst + channel] = top * (1 - fy) + bottom * fy;
+                }
+            }
+        }
+        
+        return this._createImageData(rotated, width, height);
+    }
+
     /**
      * 画像領域の切り出し
      * @private
@@ -2085,6 +5024,17 @@ class OCREngine {
             modelsLoaded: this.areModelsLoaded(),
             fallbackAvailable: !!this.fallbackEngine,
             supportedBackends: this.config.backends,
+            backendFailures: { ...this.backendFailures },
+            models: Object.fromEntries(
+                Object.entries(this.modelSpecs)
+                    .filter(([, spec]) => spec)
+                    .map(([role, spec]) => [role, { id: spec.id, file: spec.file, version: spec.version || null }])
+            ),
+            recognizers: this.getAvailableRecognizers(),
+            modelCache: {
+                enabled: this.config.modelCache && typeof caches !== 'undefined',
+                ...this.modelCacheStats
+            },
             version: '1.0.0'
         };
     }
@@ -2094,30 +5044,39 @@ class OCREngine {
      */
     async dispose() {
         try {
-            // ONNXセッションのクリーンアップ
-            if (this.models.detection) {
-                await this.models.detection.release();
-                this.models.detection = null;
-            }
-            if (this.models.recognition) {
-                await this.models.recognition.release();
-                this.models.recognition = null;
-            }
-            if (this.models.angleClassification) {
-                await this.models.angleClassification.release();
-                this.models.angleClassification = null;
+            if (this.recoveryProbeTimer) {
+                clearTimeout(this.recoveryProbeTimer);
+                this.recoveryProbeTimer = null;
             }
+            this.backendFailures = {};
+            
+            // ONNXセッションのクリーンアップ
+            await this._releaseModels();
             
             // Tesseractワーカーのクリーンアップ
+            if (this.verticalFallbackEngine && this.verticalFallbackEngine !== this.fallbackEngine) {
+                await this.verticalFallbackEngine.terminate();
+            }
+            this.verticalFallbackEngine = null;
+            
             if (this.fallbackEngine) {
                 await this.fallbackEngine.terminate();
                 this.fallbackEngine = null;
             }
+            this.fallbackReleased = false;
             
             this.charset = null;
+            this.manifest = null;
+            this.modelSpecs = {
+                detection: null,
+                recognition: null,
+                angleClassification: null
+            };
             this.initialized = false;
             this.currentBackend = null;
             this.usingFallback = false;
+            this.integrityError = null;
+            this.modelCacheStats = { cacheName: null, hits: 0, misses: 0 };
             
             console.log('OCRエンジンをクリーンアップしました');
             
@@ -2127,5 +5086,8 @@ class OCREngine {
     }
 }
 
+// 永続モデルキャッシュ名の接頭辞（Service Workerの古いキャッシュ削除対象から除外される）
+OCREngine.MODEL_CACHE_PREFIX = 'receipt-ocr-models-';
+
 // グローバルに公開
 window.OCREngine = OCREngine;
\ No newline at end of file
@@ -102,7 +102,9 @@ class OCRWorkerManager {
             
             const result = await this._sendMessage('LOAD_MODELS', {});
             
-            this.workerStatus.modelsLoaded = true;
+            // 整合性検証に失敗した場合、Worker側はTesseract.jsに切り替え済み
+            this.workerStatus.modelsLoaded = result.modelsLoaded;
+            this.workerStatus.usingFallback = result.usingFallback;
             
             // 進行状況コールバックを解除
             if (progressCallback) {
@@ -119,74 +121,80 @@ class OCRWorkerManager {
 
     /**
      * 画像のOCR処理
+     * @param {ImageData} imageData - 処理対象の画像データ
+     * @param {Object} options - オプション設定
+     * @param {AbortSignal} [options.signal] - 中断用シグナル（中断時はWorkerにCANCELを送り、AbortErrorで終了）
      */
     async processImage(imageData, options = {}) {
         if (!this.isInitialized) {
             throw new Error('Worker Managerが初期化されていません');
         }
         
+        // 進行状況コールバックを設定
+        const progressCallback = options.progressCallback;
+        if (progressCallback) {
+            this._on('progress', progressCallback);
+        }
+        
         try {
-            // 進行状況コールバックを設定
-            const progressCallback = options.progressCallback;
-            if (progressCallback) {
-                this._on('progress', progressCallback);
-            }
-            
-            const result = await this._sendMessage('PROCESS_IMAGE', {
+            return await this._sendMessage('PROCESS_IMAGE', {
                 imageData,
                 options: {
                     ...options,
-                    progressCallback: undefined // Workerには関数を送信できないため除外
+                    progressCallback: undefined, // Workerには関数を送信できないため除外
+                    signal: undefined
                 }
-            });
+            }, { signal: options.signal });
             
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                console.error('OCR処理エラー:', error);
+            }
+            throw error;
+        } finally {
             // 進行状況コールバックを解除
             if (progressCallback) {
                 this._off('progress', progressCallback);
             }
-            
-            return result;
-            
-        } catch (error) {
-            console.error('OCR処理エラー:', error);
-            throw error;
         }
     }
 
     /**
      * 指定領域のOCR処理
+     * @param {AbortSignal} [options.signal] - 中断用シグナル（processImage と同じ）
      */
     async processRegion(imageData, region, options = {}) {
         if (!this.isInitialized) {
             throw new Error('Worker Managerが初期化されていません');
         }
         
+        // 進行状況コールバックを設定
+        const progressCallback = options.progressCallback;
+        if (progressCallback) {
+            this._on('progress', progressCallback);
+        }
+        
         try {
-            // 進行状況コールバックを設定
-            const progressCallback = options.progressCallback;
-            if (progressCallback) {
-                this._on('progress', progressCallback);
-            }
-            
-            const result = await this._sendMessage('PROCESS_REGION', {
+            return await this._sendMessage('PROCESS_REGION', {
                 imageData,
                 region,
                 options: {
                     ...options,
-                    progressCallback: undefined
+                    progressCallback: undefined,
+                    signal: undefined
                 }
-            });
+            }, { signal: options.signal });
             
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                console.error('領域OCR処理エラー:', error);
+            }
+            throw error;
+        } finally {
             // 進行状況コールバックを解除
             if (progressCallback) {
                 this._off('progress', progressCallback);
             }
-            
-            return result;
-            
-        } catch (error) {
-            console.error('領域OCR処理エラー:', error);
-            throw error;
         }
     }
 
@@ -207,6 +215,39 @@ class OCRWorkerManager {
         }
     }
 
+    /**
+     * 永続モデルキャッシュの再構築
+     * @param {Object} options - { force: true で既存キャッシュを削除してから取り直す }
+     */
+    async warmModelCache(options = {}) {
+        if (!this.isInitialized) {
+            throw new Error('Worker Managerが初期化されていません');
+        }
+        
+        try {
+            return await this._sendMessage('WARM_MODEL_CACHE', options);
+        } catch (error) {
+            console.error('モデルキャッシュ準備エラー:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 永続モデルキャッシュの削除
+     */
+    async evictModelCache() {
+        if (!this.isInitialized) {
+            throw new Error('Worker Managerが初期化されていません');
+        }
+        
+        try {
+            return await this._sendMessage('EVICT_MODEL_CACHE', {});
+        } catch (error) {
+            console.error('モデルキャッシュ削除エラー:', error);
+            throw error;
+        }
+    }
+
     /**
      * Workerの終了とクリーンアップ
      */
@@ -264,28 +305,68 @@ class OCRWorkerManager {
 
     /**
      * Workerにメッセージを送信
+     * options.signal が中断されると、同じIDで CANCEL を送信して AbortError で終了する
      * @private
      */
-    async _sendMessage(type, data) {
+    async _sendMessage(type, data, options = {}) {
+        const { signal } = options;
+        
         return new Promise((resolve, reject) => {
             if (!this.worker) {
                 reject(new Error('Workerが初期化されていません'));
                 return;
             }
             
+            if (signal && signal.aborted) {
+                reject(this._createAbortError());
+                return;
+            }
+            
             const id = ++this.messageId;
+            
+            const handleAbort = () => {
+                const pending = this.pendingMessages.get(id);
+                if (!pending) return;
+                
+                clearTimeout(pending.timeout);
+                this.pendingMessages.delete(id);
+                
+                // Worker側の処理を止める（結果のERRORは保留中でないため無視される）
+                if (this.worker) {
+                    this.worker.postMessage({ type: 'CANCEL', id });
+                }
+                reject(this._createAbortError());
+            };
+            
+            const cleanup = () => {
+                if (signal) {
+                    signal.removeEventListener('abort', handleAbort);
+                }
+            };
+            
             const timeout = setTimeout(() => {
                 this.pendingMessages.delete(id);
+                cleanup();
                 reject(new Error(`メッセージタイムアウト: ${type}`));
             }, this.config.timeout);
             
             this.pendingMessages.set(id, {
-                resolve,
-                reject,
+                resolve: (value) => {
+                    cleanup();
+                    resolve(value);
+                },
+                reject: (error) => {
+                    cleanup();
+                    reject(error);
+                },
                 timeout,
                 type
             });
             
+            if (signal) {
+                signal.addEventListener('abort', handleAbort, { once: true });
+            }
+            
             this.worker.postMessage({
                 type,
                 data,
@@ -294,12 +375,22 @@ class OCRWorkerManager {
         });
     }
 
+    /**
+     * 処理中断エラーの生成（name === 'AbortError' で判別できる）
+     * @private
+     */
+    _createAbortError(message = 'OCR処理がキャンセルされました') {
+        const error = new Error(message);
+        error.name = 'AbortError';
+        return error;
+    }
+
     /**
      * Workerからのメッセージ処理
      * @private
      */
     _handleWorkerMessage(e) {
-        const { type, id, data, error } = e.data;
+        const { type, id, data, error, errorName } = e.data;
         
         switch (type) {
             case 'SUCCESS':
@@ -307,7 +398,7 @@ class OCRWorkerManager {
                 break;
                 
             case 'ERROR':
-                this._handleError(id, error);
+                this._handleError(id, error, errorName);
                 break;
                 
             case 'PROGRESS':
@@ -322,6 +413,18 @@ class OCRWorkerManager {
                 this._handleWorkerError(error);
                 break;
                 
+            case 'FALLBACK':
+                this._handleFallback(data);
+                break;
+                
+            case 'BACKEND_SWITCH':
+                this._handleBackendSwitch(data);
+                break;
+                
+            case 'RECOVERY':
+                this._handleRecovery(data);
+                break;
+                
             default:
                 console.warn('未知のWorkerメッセージタイプ:', type);
         }
@@ -344,12 +447,17 @@ class OCRWorkerManager {
      * エラーレスポンスの処理
      * @private
      */
-    _handleError(id, error) {
+    _handleError(id, error, errorName = null) {
         const pending = this.pendingMessages.get(id);
         if (pending) {
             clearTimeout(pending.timeout);
             this.pendingMessages.delete(id);
-            pending.reject(new Error(error));
+            
+            const workerError = new Error(error);
+            if (errorName) {
+                workerError.name = errorName;
+            }
+            pending.reject(workerError);
         }
     }
 
@@ -361,6 +469,34 @@ class OCRWorkerManager {
         this._emit('progress', data.message, data.progress);
     }
 
+    /**
+     * Worker内エンジンのフォールバック切り替えの処理
+     * @private
+     */
+    _handleFallback(data) {
+        this.workerStatus.usingFallback = true;
+        this._emit('fallback', data);
+    }
+
+    /**
+     * バックエンド切り替えの処理
+     * @private
+     */
+    _handleBackendSwitch(data) {
+        this.workerStatus.backend = data.to;
+        this._emit('backendSwitch', data);
+    }
+
+    /**
+     * ONNXへの復帰の処理
+     * @private
+     */
+    _handleRecovery(data) {
+        this.workerStatus.usingFallback = false;
+        this.workerStatus.backend = data.backend;
+        this._emit('recovery', data);
+    }
+
     /**
      * ログメッセージの処理
      * @private
@@ -6,6 +6,9 @@
 let ocrEngine = null;
 let isInitialized = false;
 
+// 実行中の処理の中断用コントローラー（メッセージID → AbortController）
+const activeOperations = new Map();
+
 /**
  * メインスレッドからのメッセージ処理
  */
@@ -34,6 +37,18 @@ self.onmessage = async function(e) {
                 handleGetStatus(id);
                 break;
                 
+            case 'WARM_MODEL_CACHE':
+                await handleWarmModelCache(data, id);
+                break;
+                
+            case 'EVICT_MODEL_CACHE':
+                await handleEvictModelCache(id);
+                break;
+                
+            case 'CANCEL':
+                handleCancel(id);
+                break;
+                
             case 'DISPOSE':
                 await handleDispose(id);
                 break;
@@ -43,7 +58,7 @@ self.onmessage = async function(e) {
         }
     } catch (error) {
         console.error('Worker処理エラー:', error);
-        sendError(id, error.message);
+        sendError(id, error.message, error.name);
     }
 };
 
@@ -97,6 +112,11 @@ async function loadRequiredLibraries() {
             importScripts('./js/ocr-engine.js');
         }
         
+        // 画像前処理パイプライン（プリセット指定時に使用）
+        if (typeof ImagePreprocessor === 'undefined') {
+            importScripts('./js/image-preprocessor.js');
+        }
+        
         // Tesseract.js（フォールバック用）
         if (typeof Tesseract === 'undefined') {
             try {
@@ -127,8 +147,9 @@ async function handleLoadModels(options, id) {
         });
         
         sendSuccess(id, {
-            modelsLoaded: true,
-            usingFallback: ocrEngine.usingFallback
+            modelsLoaded: !ocrEngine.usingFallback,
+            usingFallback: ocrEngine.usingFallback,
+            integrityError: ocrEngine.integrityError
         });
         
     } catch (error) {
@@ -146,6 +167,9 @@ async function handleProcessImage(data, id) {
         return;
     }
     
+    const controller = new AbortController();
+    activeOperations.set(id, controller);
+    
     try {
         const { imageData, options = {} } = data;
         
@@ -157,14 +181,21 @@ async function handleProcessImage(data, id) {
         // OCR処理の実行
         const result = await ocrEngine.processImage(imageData, {
             ...options,
-            progressCallback
+            progressCallback,
+            signal: controller.signal
         });
         
         sendSuccess(id, result);
         
     } catch (error) {
+        if (error.name === 'AbortError') {
+            sendError(id, error.message, error.name);
+            return;
+        }
         console.error('OCR処理エラー:', error);
         sendError(id, `OCR処理に失敗しました: ${error.message}`);
+    } finally {
+        activeOperations.delete(id);
     }
 }
 
@@ -177,6 +208,9 @@ async function handleProcessRegion(data, id) {
         return;
     }
     
+    const controller = new AbortController();
+    activeOperations.set(id, controller);
+    
     try {
         const { imageData, region, options = {} } = data;
         
@@ -188,14 +222,32 @@ async function handleProcessRegion(data, id) {
         // 領域OCR処理の実行
         const result = await ocrEngine.processRegion(imageData, region, {
             ...options,
-            progressCallback
+            progressCallback,
+            signal: controller.signal
         });
         
         sendSuccess(id, result);
         
     } catch (error) {
+        if (error.name === 'AbortError') {
+            sendError(id, error.message, error.name);
+            return;
+        }
         console.error('領域OCR処理エラー:', error);
         sendError(id, `領域OCR処理に失敗しました: ${error.message}`);
+    } finally {
+        activeOperations.delete(id);
+    }
+}
+
+/**
+ * 処理の中断（id は中断対象の PROCESS_IMAGE / PROCESS_REGION のメッセージID）
+ * 中断された処理は AbortError として ERROR を返す
+ */
+function handleCancel(id) {
+    const controller = activeOperations.get(id);
+    if (controller) {
+        controller.abort();
     }
 }
 
@@ -211,11 +263,55 @@ function handleGetStatus(id) {
     sendSuccess(id, status);
 }
 
+/**
+ * 永続モデルキャッシュの再構築
+ */
+async function handleWarmModelCache(options, id) {
+    if (!isInitialized) {
+        sendError(id, 'OCRエンジンが初期化されていません');
+        return;
+    }
+    
+    try {
+        const cacheInfo = await ocrEngine.warmModelCache(options || {});
+        sendSuccess(id, cacheInfo);
+        
+    } catch (error) {
+        console.error('モデルキャッシュ準備エラー:', error);
+        sendError(id, `モデルキャッシュの準備に失敗しました: ${error.message}`);
+    }
+}
+
+/**
+ * 永続モデルキャッシュの削除
+ */
+async function handleEvictModelCache(id) {
+    if (!isInitialized) {
+        sendError(id, 'OCRエンジンが初期化されていません');
+        return;
+    }
+    
+    try {
+        const evicted = await ocrEngine.evictModelCache();
+        sendSuccess(id, { evicted });
+        
+    } catch (error) {
+        console.error('モデルキャッシュ削除エラー:', error);
+        sendError(id, `モデルキャッシュの削除に失敗しました: ${error.message}`);
+    }
+}
+
 /**
  * リソースのクリーンアップ
  */
 async function handleDispose(id) {
     try {
+        // 実行中の処理を中断してから解放する
+        for (const controller of activeOperations.values()) {
+            controller.abort();
+        }
+        activeOperations.clear();
+        
         if (ocrEngine) {
             await ocrEngine.dispose();
             ocrEngine = null;
@@ -244,12 +340,14 @@ function sendSuccess(id, data) {
 
 /**
  * エラーレスポンスの送信
+ * errorName（'AbortError' 等）はメインスレッドで同じ name のエラーとして復元される
  */
-function sendError(id, message) {
+function sendError(id, message, errorName = null) {
     self.postMessage({
         type: 'ERROR',
         id,
-        error: message
+        error: message,
+        errorName
     });
 }
 
@@ -281,6 +379,36 @@ function sendLog(level, message) {
     });
 }
 
+/**
+ * エンジンのフォールバック切り替えをメインスレッドへ転送
+ */
+self.addEventListener('ocrFallbackSwitch', function(event) {
+    self.postMessage({
+        type: 'FALLBACK',
+        data: event.detail
+    });
+});
+
+/**
+ * サーキットブレーカーによるバックエンド切り替えをメインスレッドへ転送
+ */
+self.addEventListener('ocrBackendSwitch', function(event) {
+    self.postMessage({
+        type: 'BACKEND_SWITCH',
+        data: event.detail
+    });
+});
+
+/**
+ * フォールバックからONNXへの復帰をメインスレッドへ転送
+ */
+self.addEventListener('ocrRecoverySwitch', function(event) {
+    self.postMessage({
+        type: 'RECOVERY',
+        data: event.detail
+    });
+});
+
 // エラーハンドリング
 self.onerror = function(error) {
     console.error('Worker内エラー:', error);
@@ -1,6 +1,6 @@
 /**
  * 透視補正処理クラス
- * OpenCV.jsを使用した透視補正機能
+ * OpenCV.jsを使用した透視補正機能（OpenCV.jsが無い場合は QuadDetector と純JSの射影変換で代替）
  */
 
 class PerspectiveCorrection {
@@ -47,8 +47,9 @@ class PerspectiveCorrection {
      * @returns {Promise<Array>} 検出された四隅の座標
      */
     async detectRectangle(img) {
-        if (!await this.waitForOpenCV()) {
-            throw new Error('OpenCV.jsが利用できません');
+        // OpenCV.jsが読み込まれていなければ待たずに純JSの検出器を使う
+        if (!this.isOpenCVAvailable()) {
+            return this.detectRectangleWithoutOpenCV(img);
         }
 
         try {
@@ -125,6 +126,97 @@ class PerspectiveCorrection {
         }
     }
 
+    /**
+     * OpenCV.jsが読み込み済みか（待たずに確認）
+     */
+    isOpenCVAvailable() {
+        if (typeof cv !== 'undefined' && cv.Mat) {
+            this.isOpenCVReady = true;
+        }
+        return this.isOpenCVReady;
+    }
+
+    /**
+     * 四角形の自動検出（OpenCV.js不要の QuadDetector を使用）
+     * @param {HTMLImageElement} img - 入力画像
+     * @returns {Array} 検出された四隅の座標（検出できない場合はデフォルトの四隅）
+     */
+    detectRectangleWithoutOpenCV(img) {
+        if (typeof QuadDetector === 'undefined') {
+            throw new Error('OpenCV.jsもQuadDetectorも利用できません');
+        }
+
+        try {
+            return this.findRectangle(img) || this.getDefaultCorners(img.width, img.height);
+
+        } catch (error) {
+            console.warn('四角形自動検出に失敗:', error);
+            return this.getDefaultCorners(img.width, img.height);
+        }
+    }
+
+    /**
+     * 四角形の検出（QuadDetector を使用。カメラ映像のフレームごとの検出にも使う）
+     * @param {HTMLImageElement|HTMLCanvasElement} img - 入力画像（width/height を持つ描画可能な要素）
+     * @returns {Array|null} 検出された四隅の座標（左上・右上・右下・左下）。検出できない場合は null
+     */
+    findRectangle(img) {
+        const detector = new QuadDetector();
+
+        // 検出器の処理サイズまで縮小して描画する（大きい画像をそのまま読み出さない）
+        const scale = Math.min(1, detector.options.maxSize / Math.max(img.width, img.height));
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.max(1, Math.round(img.width * scale));
+        canvas.height = Math.max(1, Math.round(img.height * scale));
+        const ctx = canvas.getContext('2d');
+        ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+
+        const result = detector.detect(ctx.getImageData(0, 0, canvas.width, canvas.height));
+        if (!result) {
+            return null;
+        }
+
+        // 画像の外に出た角は画像内に収める
+        return result.corners.map(point => ({
+            x: Math.min(img.width, Math.max(0, point.x * img.width / canvas.width)),
+            y: Math.min(img.height, Math.max(0, point.y * img.height / canvas.height))
+        }));
+    }
+
+    /**
+     * 1枚の写真に並んだ複数の領収書の検出
+     * 机の上に並べた用紙を明るさで切り分けるため、OpenCV.jsの有無に関わらず QuadDetector を使う
+     * @param {HTMLImageElement} img - 入力画像
+     * @returns {Array<Array>} 領収書ごとの四隅の座標（左上・右上・右下・左下）。上の行から左から順
+     */
+    detectRectangles(img) {
+        if (typeof QuadDetector === 'undefined') {
+            throw new Error('QuadDetectorが利用できません');
+        }
+
+        try {
+            const detector = new QuadDetector();
+
+            const scale = Math.min(1, detector.options.maxSize / Math.max(img.width, img.height));
+            const canvas = document.createElement('canvas');
+            canvas.width = Math.max(1, Math.round(img.width * scale));
+            canvas.height = Math.max(1, Math.round(img.height * scale));
+            const ctx = canvas.getContext('2d');
+            ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
+
+            return detector.detectAll(ctx.getImageData(0, 0, canvas.width, canvas.height)).map(result =>
+                result.corners.map(point => ({
+                    x: Math.min(img.width, Math.max(0, point.x * img.width / canvas.width)),
+                    y: Math.min(img.height, Math.max(0, point.y * img.height / canvas.height))
+                }))
+            );
+
+        } catch (error) {
+            console.warn('複数の領収書の検出に失敗:', error);
+            return [];
+        }
+    }
+
     /**
      * 輪郭から四隅の座標を抽出
      */
@@ -177,8 +269,8 @@ class PerspectiveCorrection {
      * @returns {Promise<HTMLImageElement>} 補正後の画像
      */
     async correctPerspective(img, corners) {
-        if (!await this.waitForOpenCV()) {
-            throw new Error('OpenCV.jsが利用できません');
+        if (!this.isOpenCVAvailable()) {
+            return this.correctPerspectiveWithoutOpenCV(img, corners);
         }
 
         try {
@@ -248,6 +340,138 @@ class PerspectiveCorrection {
         }
     }
 
+    /**
+     * 透視補正の実行（OpenCV.js不要。出力画素ごとに射影変換で元画像を双線形補間する）
+     * @param {HTMLImageElement} img - 入力画像
+     * @param {Array} corners - 四隅の座標（左上・右上・右下・左下）
+     * @returns {Promise<HTMLImageElement>} 補正後の画像
+     */
+    async correctPerspectiveWithoutOpenCV(img, corners) {
+        try {
+            const canvas = document.createElement('canvas');
+            const ctx = canvas.getContext('2d');
+            canvas.width = img.width;
+            canvas.height = img.height;
+            ctx.drawImage(img, 0, 0);
+            const source = ctx.getImageData(0, 0, img.width, img.height);
+
+            const outputWidth = Math.round(Math.max(
+                this.distance(corners[0], corners[1]),
+                this.distance(corners[2], corners[3])
+            ));
+            const outputHeight = Math.round(Math.max(
+                this.distance(corners[1], corners[2]),
+                this.distance(corners[3], corners[0])
+            ));
+
+            // 出力画像 → 元画像 の射影変換
+            const transform = this.getPerspectiveTransform(
+                [
+                    { x: 0, y: 0 },
+                    { x: outputWidth, y: 0 },
+                    { x: outputWidth, y: outputHeight },
+                    { x: 0, y: outputHeight }
+                ],
+                corners
+            );
+
+            const outputCanvas = document.createElement('canvas');
+            outputCanvas.width = outputWidth;
+            outputCanvas.height = outputHeight;
+            const outputCtx = outputCanvas.getContext('2d');
+            const output = outputCtx.createImageData(outputWidth, outputHeight);
+            this.warpPerspective(source, output, transform);
+            outputCtx.putImageData(output, 0, 0);
+
+            const correctedImg = new Image();
+            await new Promise((resolve) => {
+                correctedImg.onload = resolve;
+                correctedImg.src = outputCanvas.toDataURL('image/jpeg', 0.9);
+            });
+
+            return correctedImg;
+
+        } catch (error) {
+            console.error('透視補正に失敗:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 4点対応から射影変換行列（3x3、h33=1）を求める
+     * @returns {Array<number>} [h11, h12, h13, h21, h22, h23, h31, h32]
+     */
+    getPerspectiveTransform(srcPoints, dstPoints) {
+        // 8元連立方程式 A・h = b をガウスの消去法で解く
+        const matrix = [];
+        for (let i = 0; i < 4; i++) {
+            const { x, y } = srcPoints[i];
+            const { x: u, y: v } = dstPoints[i];
+            matrix.push([x, y, 1, 0, 0, 0, -x * u, -y * u, u]);
+            matrix.push([0, 0, 0, x, y, 1, -x * v, -y * v, v]);
+        }
+
+        for (let col = 0; col < 8; col++) {
+            let pivot = col;
+            for (let row = col + 1; row < 8; row++) {
+                if (Math.abs(matrix[row][col]) > Math.abs(matrix[pivot][col])) {
+                    pivot = row;
+                }
+            }
+            if (Math.abs(matrix[pivot][col]) < 1e-10) {
+                throw new Error('四隅の座標から射影変換を求められません');
+            }
+            [matrix[col], matrix[pivot]] = [matrix[pivot], matrix[col]];
+
+            for (let row = 0; row < 8; row++) {
+                if (row === col) {
+                    continue;
+                }
+                const factor = matrix[row][col] / matrix[col][col];
+                for (let k = col; k <= 8; k++) {
+                    matrix[row][k] -= factor * matrix[col][k];
+                }
+            }
+        }
+
+        return matrix.map((row, i) => row[8] / row[i]);
+    }
+
+    /**
+     * 射影変換による画像の展開（output の各画素に対応する source の位置を双線形補間）
+     * @param {ImageData} source - 元画像
+     * @param {ImageData} output - 出力先（サイズは設定済み）
+     * @param {Array<number>} transform - 出力座標 → 元画像座標 の射影変換
+     */
+    warpPerspective(source, output, transform) {
+        const [h11, h12, h13, h21, h22, h23, h31, h32] = transform;
+        const { width, height, data } = source;
+
+        for (let y = 0; y < output.height; y++) {
+            for (let x = 0; x < output.width; x++) {
+                const px = x + 0.5;
+                const py = y + 0.5;
+                const w = h31 * px + h32 * py + 1;
+                const sx = Math.min(width - 1, Math.max(0, (h11 * px + h12 * py + h13) / w - 0.5));
+                const sy = Math.min(height - 1, Math.max(0, (h21 * px + h22 * py + h23) / w - 0.5));
+
+                const x0 = Math.floor(sx);
+                const y0 = Math.floor(sy);
+                const x1 = Math.min(x0 + 1, width - 1);
+                const y1 = Math.min(y0 + 1, height - 1);
+                const fx = sx - x0;
+                const fy = sy - y0;
+                const dst = (y * output.width + x) * 4;
+
+                for (let channel = 0; channel < 4; channel++) {
+                    const top = data[(y0 * width + x0) * 4 + channel] * (1 - fx) + data[(y0 * width + x1) * 4 + channel] * fx;
+                    const bottom = data[(y1 * width + x0) * 4 + channel] * (1 - fx) + data[(y1 * width + x1) * 4 + channel] * fx;
+                    output.data[dst + channel] = top * (1 - fy) + bottom * fy;
+                }
+            }
+        }
+    }
+
     /**
      * 2点間の距離を計算
      */
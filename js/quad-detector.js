@@ -0,0 +1,807 @@
+/**
+ * 領収書の四角形検出クラス（OpenCV.js不要）
+ * 縮小したグレースケール画像に Canny エッジ検出と直線 Hough 変換をかけ、
+ * 水平寄り・垂直寄りの直線を2本ずつ組み合わせた四角形をエッジの重なり具合で採点する
+ */
+
+class QuadDetector {
+    constructor(options = {}) {
+        this.options = {
+            maxSize: 400, // 検出時の長辺の最大サイズ（これより大きい画像は縮小して検出）
+            cannyLow: 50, // ヒステリシスの下側しきい値（Sobel勾配のL1ノルム）
+            cannyHigh: 150, // ヒステリシスの上側しきい値
+            houghThreshold: 0.15, // 投票数が短辺のこの割合未満の直線は捨てる
+            minSegmentRatio: 0.2, // 直線上で連続するエッジ（線分）が短辺のこの割合未満なら捨てる
+            maxSegmentGap: 5, // 線分とみなすエッジの途切れの許容幅（px）
+            maxLinesPerDirection: 8, // 水平寄り・垂直寄りそれぞれで組み合わせに使う直線数
+            maxLineAngle: 30, // 水平・垂直からこの角度（度）以内の直線を辺の候補にする
+            minAreaRatio: 0.1, // 画像面積に対する四角形の最小面積
+            edgeTolerance: 2, // 辺上の点とエッジの距離の許容幅（px）
+            borderSupport: 0.4, // 画像の端を辺として使う場合の支持率（端で切れた領収書用）
+            minSupport: 0.5, // 4辺の平均支持率がこの値未満なら検出なし
+            minReceiptAreaRatio: 0.02, // detectAll: 画像面積に対する1枚の領収書の最小面積
+            minFillRatio: 0.6, // detectAll: 外接矩形のうち用紙の画素が占める最小割合
+            maxAspectRatio: 10, // detectAll: 外接矩形の長辺/短辺の上限
+            minPaperContrast: 40, // detectAll: 用紙と机の平均輝度の差がこの値未満なら検出なし
+            ...options
+        };
+    }
+
+    /**
+     * 四角形の検出
+     * @param {ImageData} imageData - 入力画像
+     * @returns {{corners: Array<{x: number, y: number}>, score: number, support: number}|null}
+     *          corners は入力画像の座標で左上・右上・右下・左下の順。見つからない場合は null
+     */
+    detect(imageData) {
+        if (!imageData || !imageData.data || !imageData.width || !imageData.height) {
+            throw new Error('四角形検出の画像データが不正です');
+        }
+
+        const gray = this.toGrayscale(imageData);
+        const edges = this.canny(this.gaussianBlur(gray));
+        const lines = this.houghLines(edges);
+        const quad = this.findBestQuad(lines, edges);
+
+        if (!quad) {
+            return null;
+        }
+
+        return {
+            ...quad,
+            corners: quad.corners.map(point => ({ x: point.x * gray.scale, y: point.y * gray.scale }))
+        };
+    }
+
+    /**
+     * 1枚の画像に並んだ複数の領収書の検出
+     * 机より明るい用紙の領域を大津の方法で二値化して連結成分に分け、成分ごとに面積最小の外接矩形を求める。
+     * 用紙の画素で十分に埋まっていて、細長すぎない矩形を領収書とみなす
+     * @param {ImageData} imageData - 入力画像
+     * @returns {Array<{corners: Array<{x: number, y: number}>, area: number, fillRatio: number}>}
+     *          corners は入力画像の座標で左上・右上・右下・左下の順。上の行から、同じ行は左から順に並べる
+     */
+    detectAll(imageData) {
+        if (!imageData || !imageData.data || !imageData.width || !imageData.height) {
+            throw new Error('四角形検出の画像データが不正です');
+        }
+
+        const gray = this.gaussianBlur(this.toGrayscale(imageData));
+        const { width, height, scale } = gray;
+        const threshold = this.calculateOtsuThreshold(gray.data);
+        const paper = new Uint8Array(width * height);
+        let paperCount = 0;
+        let paperSum = 0;
+        let deskSum = 0;
+        for (let i = 0; i < paper.length; i++) {
+            paper[i] = gray.data[i] > threshold ? 1 : 0;
+            paperCount += paper[i];
+            if (paper[i]) {
+                paperSum += gray.data[i];
+            } else {
+                deskSum += gray.data[i];
+            }
+        }
+
+        // 明るさで用紙と机を切り分けられない画像（一様な画像など）では検出しない
+        const deskCount = paper.length - paperCount;
+        if (paperCount === 0 || deskCount === 0 ||
+            paperSum / paperCount - deskSum / deskCount < this.options.minPaperContrast) {
+            return [];
+        }
+
+        const imageArea = width * height;
+        const receipts = [];
+
+        for (const component of this.labelComponents(paper, width, height)) {
+            if (component.area < imageArea * this.options.minReceiptAreaRatio) {
+                continue;
+            }
+
+            const rectangle = this.minAreaRectangle(this.convexHull(component.points));
+            if (!rectangle) {
+                continue;
+            }
+
+            const fillRatio = component.area / Math.max(1, rectangle.area);
+            const aspectRatio = Math.max(rectangle.width, rectangle.height) / Math.max(1, Math.min(rectangle.width, rectangle.height));
+            if (fillRatio < this.options.minFillRatio || aspectRatio > this.options.maxAspectRatio) {
+                continue;
+            }
+
+            receipts.push({
+                corners: this.orderCorners(rectangle.corners).map(point => ({ x: point.x * scale, y: point.y * scale })),
+                area: rectangle.area * scale * scale,
+                fillRatio
+            });
+        }
+
+        return this.sortReadingOrder(receipts);
+    }
+
+    /**
+     * 大津の方法による二値化しきい値（クラス間分散が最大になる輝度）
+     */
+    calculateOtsuThreshold(data) {
+        const histogram = new Array(256).fill(0);
+        for (let i = 0; i < data.length; i++) {
+            histogram[Math.min(255, Math.max(0, Math.round(data[i])))]++;
+        }
+
+        const total = data.length;
+        const sumAll = histogram.reduce((sum, count, level) => sum + count * level, 0);
+        let threshold = 0;
+        let maxVariance = -1;
+        let backgroundCount = 0;
+        let backgroundSum = 0;
+
+        for (let level = 0; level < 256; level++) {
+            backgroundCount += histogram[level];
+            backgroundSum += histogram[level] * level;
+            const foregroundCount = total - backgroundCount;
+            if (backgroundCount === 0 || foregroundCount === 0) {
+                continue;
+            }
+            const meanDifference = backgroundSum / backgroundCount - (sumAll - backgroundSum) / foregroundCount;
+            const variance = backgroundCount * foregroundCount * meanDifference * meanDifference;
+            if (variance > maxVariance) {
+                maxVariance = variance;
+                threshold = level;
+            }
+        }
+
+        return threshold;
+    }
+
+    /**
+     * 4近傍の連結成分のラベリング
+     * 凸包の計算には各行の左端・右端の画素だけで足りるため、それだけを points に集める
+     * @returns {Array<{area: number, points: Array<{x: number, y: number}>}>}
+     */
+    labelComponents(mask, width, height) {
+        const labels = new Int32Array(width * height);
+        const components = [];
+        const stack = [];
+
+        for (let start = 0; start < mask.length; start++) {
+            if (!mask[start] || labels[start]) {
+                continue;
+            }
+
+            const label = components.length + 1;
+            const rowExtents = new Map();
+            let area = 0;
+            labels[start] = label;
+            stack.push(start);
+
+            while (stack.length > 0) {
+                const i = stack.pop();
+                const x = i % width;
+                const y = (i - x) / width;
+                area++;
+
+                const extent = rowExtents.get(y);
+                if (!extent) {
+                    rowExtents.set(y, { min: x, max: x });
+                } else {
+                    extent.min = Math.min(extent.min, x);
+                    extent.max = Math.max(extent.max, x);
+                }
+
+                const neighbors = [
+                    x > 0 ? i - 1 : -1,
+                    x < width - 1 ? i + 1 : -1,
+                    y > 0 ? i - width : -1,
+                    y < height - 1 ? i + width : -1
+                ];
+                for (const j of neighbors) {
+                    if (j >= 0 && mask[j] && !labels[j]) {
+                        labels[j] = label;
+                        stack.push(j);
+                    }
+                }
+            }
+
+            const points = [];
+            for (const [y, extent] of rowExtents) {
+                points.push({ x: extent.min, y }, { x: extent.max + 1, y }, { x: extent.min, y: y + 1 }, { x: extent.max + 1, y: y + 1 });
+            }
+            components.push({ area, points });
+        }
+
+        return components;
+    }
+
+    /**
+     * 凸包（Andrew の単調連鎖法）
+     */
+    convexHull(points) {
+        const sorted = [...points].sort((a, b) => a.x - b.x || a.y - b.y);
+        if (sorted.length < 3) {
+            return sorted;
+        }
+
+        const cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+        const lower = [];
+        for (const point of sorted) {
+            while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], point) <= 0) {
+                lower.pop();
+            }
+            lower.push(point);
+        }
+
+        const upper = [];
+        for (let i = sorted.length - 1; i >= 0; i--) {
+            const point = sorted[i];
+            while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], point) <= 0) {
+                upper.pop();
+            }
+            upper.push(point);
+        }
+
+        return lower.slice(0, -1).concat(upper.slice(0, -1));
+    }
+
+    /**
+     * 凸包の辺の向きをそれぞれ試し、面積最小の外接矩形を求める
+     * @returns {{corners: Array<{x: number, y: number}>, width: number, height: number, area: number}|null}
+     */
+    minAreaRectangle(hull) {
+        if (hull.length < 3) {
+            return null;
+        }
+
+        let best = null;
+        for (let i = 0; i < hull.length; i++) {
+            const a = hull[i];
+            const b = hull[(i + 1) % hull.length];
+            const length = Math.hypot(b.x - a.x, b.y - a.y);
+            if (length === 0) {
+                continue;
+            }
+
+            // 辺の方向 u とその法線 v を軸にした投影の範囲
+            const ux = (b.x - a.x) / length;
+            const uy = (b.y - a.y) / length;
+            let minU = Infinity;
+            let maxU = -Infinity;
+            let minV = Infinity;
+            let maxV = -Infinity;
+            for (const point of hull) {
+                const u = point.x * ux + point.y * uy;
+                const v = -point.x * uy + point.y * ux;
+                minU = Math.min(minU, u);
+                maxU = Math.max(maxU, u);
+                minV = Math.min(minV, v);
+                maxV = Math.max(maxV, v);
+            }
+
+            const area = (maxU - minU) * (maxV - minV);
+            if (!best || area < best.area) {
+                const toPoint = (u, v) => ({ x: u * ux - v * uy, y: u * uy + v * ux });
+                best = {
+                    corners: [toPoint(minU, minV), toPoint(maxU, minV), toPoint(maxU, maxV), toPoint(minU, maxV)],
+                    width: maxU - minU,
+                    height: maxV - minV,
+                    area
+                };
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * 四隅を左上・右上・右下・左下の順に並べる（重心まわりの時計回り、x + y が最小の点から）
+     */
+    orderCorners(corners) {
+        const center = corners.reduce((sum, point) => ({
+            x: sum.x + point.x / corners.length,
+            y: sum.y + point.y / corners.length
+        }), { x: 0, y: 0 });
+        const sorted = [...corners].sort((a, b) =>
+            Math.atan2(a.y - center.y, a.x - center.x) - Math.atan2(b.y - center.y, b.x - center.x));
+
+        let first = 0;
+        sorted.forEach((point, index) => {
+            if (point.x + point.y < sorted[first].x + sorted[first].y) {
+                first = index;
+            }
+        });
+        return sorted.slice(first).concat(sorted.slice(0, first));
+    }
+
+    /**
+     * 読み順（上の行から、同じ行は左から）に並べる
+     * 中心の縦位置の差が高さの半分未満の領収書は同じ行とみなす
+     */
+    sortReadingOrder(receipts) {
+        const bounds = receipts.map(receipt => {
+            const ys = receipt.corners.map(point => point.y);
+            const xs = receipt.corners.map(point => point.x);
+            return {
+                receipt,
+                centerX: (Math.min(...xs) + Math.max(...xs)) / 2,
+                centerY: (Math.min(...ys) + Math.max(...ys)) / 2,
+                height: Math.max(...ys) - Math.min(...ys)
+            };
+        }).sort((a, b) => a.centerY - b.centerY);
+
+        const rows = [];
+        for (const item of bounds) {
+            const row = rows.find(candidate => Math.abs(candidate[0].centerY - item.centerY) < Math.min(candidate[0].height, item.height) / 2);
+            if (row) {
+                row.push(item);
+            } else {
+                rows.push([item]);
+            }
+        }
+
+        return rows.flatMap(row => row.sort((a, b) => a.centerX - b.centerX).map(item => item.receipt));
+    }
+
+    /**
+     * グレースケール化（長辺が maxSize を超える場合は面積平均で縮小）
+     * @returns {{data: Float32Array, width: number, height: number, scale: number}}
+     */
+    toGrayscale(imageData) {
+        const { width, height, data } = imageData;
+        const scale = Math.max(1, Math.max(width, height) / this.options.maxSize);
+        const outWidth = Math.max(1, Math.round(width / scale));
+        const outHeight = Math.max(1, Math.round(height / scale));
+        const sums = new Float32Array(outWidth * outHeight);
+        const counts = new Uint32Array(outWidth * outHeight);
+
+        for (let y = 0; y < height; y++) {
+            const outY = Math.min(outHeight - 1, Math.floor(y / scale));
+            for (let x = 0; x < width; x++) {
+                const outX = Math.min(outWidth - 1, Math.floor(x / scale));
+                const i = (y * width + x) * 4;
+                sums[outY * outWidth + outX] += data[i] * 0.299 + data[i + 1] * 0.587 + data[i + 2] * 0.114;
+                counts[outY * outWidth + outX]++;
+            }
+        }
+
+        for (let i = 0; i < sums.length; i++) {
+            sums[i] /= Math.max(1, counts[i]);
+        }
+
+        return { data: sums, width: outWidth, height: outHeight, scale: width / outWidth };
+    }
+
+    /**
+     * 5x5 ガウシアンぼかし（[1, 4, 6, 4, 1] の分離フィルタ、端は複製）
+     */
+    gaussianBlur(gray) {
+        const { data, width, height } = gray;
+        const kernel = [1, 4, 6, 4, 1];
+        const horizontal = new Float32Array(data.length);
+        const output = new Float32Array(data.length);
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                let sum = 0;
+                for (let k = -2; k <= 2; k++) {
+                    const sx = Math.min(width - 1, Math.max(0, x + k));
+                    sum += data[y * width + sx] * kernel[k + 2];
+                }
+                horizontal[y * width + x] = sum / 16;
+            }
+        }
+
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                let sum = 0;
+                for (let k = -2; k <= 2; k++) {
+                    const sy = Math.min(height - 1, Math.max(0, y + k));
+                    sum += horizontal[sy * width + x] * kernel[k + 2];
+                }
+                output[y * width + x] = sum / 16;
+            }
+        }
+
+        return { ...gray, data: output };
+    }
+
+    /**
+     * Canny エッジ検出（Sobel勾配 → 非最大値抑制 → ヒステリシスしきい値処理）
+     * @returns {{data: Uint8Array, width: number, height: number}} エッジ画素が1
+     */
+    canny(gray) {
+        const { data, width, height } = gray;
+        const { cannyLow, cannyHigh } = this.options;
+        const magnitude = new Float32Array(width * height);
+        const direction = new Uint8Array(width * height);
+
+        for (let y = 1; y < height - 1; y++) {
+            for (let x = 1; x < width - 1; x++) {
+                const i = y * width + x;
+                const gx = (data[i - width + 1] + 2 * data[i + 1] + data[i + width + 1]) -
+                    (data[i - width - 1] + 2 * data[i - 1] + data[i + width - 1]);
+                const gy = (data[i + width - 1] + 2 * data[i + width] + data[i + width + 1]) -
+                    (data[i - width - 1] + 2 * data[i - width] + data[i - width + 1]);
+                magnitude[i] = Math.abs(gx) + Math.abs(gy);
+
+                // 勾配方向を 0°, 45°, 90°, 135° に量子化
+                const angle = ((Math.atan2(gy, gx) * 180 / Math.PI) + 180) % 180;
+                direction[i] = angle < 22.5 || angle >= 157.5 ? 0 : angle < 67.5 ? 1 : angle < 112.5 ? 2 : 3;
+            }
+        }
+
+        // 勾配方向の前後の画素 [dx, dy]
+        const neighbors = [[1, 0], [1, 1], [0, 1], [-1, 1]];
+        const state = new Uint8Array(width * height); // 0: 非エッジ, 1: 弱いエッジ, 2: 強いエッジ
+        const stack = [];
+
+        for (let y = 1; y < height - 1; y++) {
+            for (let x = 1; x < width - 1; x++) {
+                const i = y * width + x;
+                const value = magnitude[i];
+                if (value < cannyLow) {
+                    continue;
+                }
+
+                const [dx, dy] = neighbors[direction[i]];
+                if (value < magnitude[i + dy * width + dx] || value < magnitude[i - dy * width - dx]) {
+                    continue;
+                }
+
+                if (value >= cannyHigh) {
+                    state[i] = 2;
+                    stack.push(i);
+                } else {
+                    state[i] = 1;
+                }
+            }
+        }
+
+        // 強いエッジにつながる弱いエッジだけを残す
+        while (stack.length > 0) {
+            const i = stack.pop();
+            const x = i % width;
+            const y = (i - x) / width;
+            for (let dy = -1; dy <= 1; dy++) {
+                for (let dx = -1; dx <= 1; dx++) {
+                    const nx = x + dx;
+                    const ny = y + dy;
+                    if (nx < 0 || ny < 0 || nx >= width || ny >= height) {
+                        continue;
+                    }
+                    const j = ny * width + nx;
+                    if (state[j] === 1) {
+                        state[j] = 2;
+                        stack.push(j);
+                    }
+                }
+            }
+        }
+
+        const edges = new Uint8Array(width * height);
+        for (let i = 0; i < edges.length; i++) {
+            edges[i] = state[i] === 2 ? 1 : 0;
+        }
+
+        return { data: edges, width, height };
+    }
+
+    /**
+     * 直線 Hough 変換（θ は1°刻み、ρ は1px刻み）
+     * 投票の極大を直線とし、直線上で最も長い線分が短すぎるものは捨てる
+     * @returns {Array<{theta: number, rho: number, votes: number, segment: Object}>} theta はラジアン（法線の向き）
+     */
+    houghLines(edges) {
+        const { data, width, height } = edges;
+        const diagonal = Math.ceil(Math.hypot(width, height));
+        const rhoCount = diagonal * 2 + 1;
+        const thetaCount = 180;
+        const cosTable = new Float32Array(thetaCount);
+        const sinTable = new Float32Array(thetaCount);
+        for (let t = 0; t < thetaCount; t++) {
+            cosTable[t] = Math.cos(t * Math.PI / 180);
+            sinTable[t] = Math.sin(t * Math.PI / 180);
+        }
+
+        const accumulator = new Int32Array(thetaCount * rhoCount);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                if (!data[y * width + x]) {
+                    continue;
+                }
+                for (let t = 0; t < thetaCount; t++) {
+                    const rho = Math.round(x * cosTable[t] + y * sinTable[t]) + diagonal;
+                    accumulator[t * rhoCount + rho]++;
+                }
+            }
+        }
+
+        const shortSide = Math.min(width, height);
+        const minVotes = Math.max(10, Math.round(shortSide * this.options.houghThreshold));
+        const minSegmentLength = shortSide * this.options.minSegmentRatio;
+        const peaks = [];
+
+        for (let t = 0; t < thetaCount; t++) {
+            for (let r = 0; r < rhoCount; r++) {
+                const votes = accumulator[t * rhoCount + r];
+                if (votes < minVotes || !this.isLocalMaximum(accumulator, thetaCount, rhoCount, t, r)) {
+                    continue;
+                }
+                peaks.push({ t, rho: r - diagonal, votes });
+            }
+        }
+
+        peaks.sort((a, b) => b.votes - a.votes);
+
+        // 角度・位置の近い直線は投票数の多い方だけ残す
+        const lines = [];
+        for (const peak of peaks) {
+            const duplicate = lines.some(line => {
+                const angleDifference = Math.min(Math.abs(line.t - peak.t), thetaCount - Math.abs(line.t - peak.t));
+                return angleDifference <= 5 && Math.abs(Math.abs(line.rho) - Math.abs(peak.rho)) <= 8;
+            });
+            if (duplicate) {
+                continue;
+            }
+
+            const theta = peak.t * Math.PI / 180;
+            const segment = this.findLongestSegment(edges, theta, peak.rho);
+            if (segment && segment.length >= minSegmentLength) {
+                lines.push({ t: peak.t, theta, rho: peak.rho, votes: peak.votes, segment });
+            }
+        }
+
+        // 辺の候補は長い線分から順に使う（文字行より用紙の縁の方が長い）
+        return lines
+            .sort((a, b) => b.segment.length - a.segment.length)
+            .map(({ t, ...line }) => line);
+    }
+
+    /**
+     * 投票数が近傍（θ±2°, ρ±2）の最大か
+     */
+    isLocalMaximum(accumulator, thetaCount, rhoCount, t, r) {
+        const votes = accumulator[t * rhoCount + r];
+        for (let dt = -2; dt <= 2; dt++) {
+            const nt = t + dt;
+            if (nt < 0 || nt >= thetaCount) {
+                continue;
+            }
+            for (let dr = -2; dr <= 2; dr++) {
+                const nr = r + dr;
+                if ((dt === 0 && dr === 0) || nr < 0 || nr >= rhoCount) {
+                    continue;
+                }
+                const neighbor = accumulator[nt * rhoCount + nr];
+                // 同じ投票数の平坦な頂上は先に現れた方だけを極大とする
+                if (neighbor > votes || (neighbor === votes && (dt < 0 || (dt === 0 && dr < 0)))) {
+                    return false;
+                }
+            }
+        }
+        return true;
+    }
+
+    /**
+     * 直線上をたどり、途切れが maxSegmentGap 以下で続くエッジの最長区間を求める
+     * @returns {{start: {x, y}, end: {x, y}, length: number}|null}
+     */
+    findLongestSegment(edges, theta, rho) {
+        const { width, height } = edges;
+        const cos = Math.cos(theta);
+        const sin = Math.sin(theta);
+        // 直線上の点 p(s) = (rho·cos − s·sin, rho·sin + s·cos)
+        const span = Math.ceil(Math.hypot(width, height));
+        let best = null;
+        let runStart = null;
+        let lastHit = null;
+
+        for (let s = -span; s <= span; s++) {
+            const x = rho * cos - s * sin;
+            const y = rho * sin + s * cos;
+            const inside = x >= 0 && y >= 0 && x <= width - 1 && y <= height - 1;
+            const hit = inside && this.hasEdgeNear(edges, x, y, 1);
+
+            if (hit) {
+                if (runStart === null || s - lastHit > this.options.maxSegmentGap) {
+                    runStart = s;
+                }
+                lastHit = s;
+                if (!best || lastHit - runStart > best.to - best.from) {
+                    best = { from: runStart, to: lastHit };
+                }
+            }
+        }
+
+        if (!best) {
+            return null;
+        }
+
+        const point = s => ({ x: rho * cos - s * sin, y: rho * sin + s * cos });
+        return { start: point(best.from), end: point(best.to), length: best.to - best.from };
+    }
+
+    /**
+     * (x, y) から radius 以内にエッジ画素があるか
+     */
+    hasEdgeNear(edges, x, y, radius) {
+        const { data, width, height } = edges;
+        const cx = Math.round(x);
+        const cy = Math.round(y);
+        for (let dy = -radius; dy <= radius; dy++) {
+            const ny = cy + dy;
+            if (ny < 0 || ny >= height) {
+                continue;
+            }
+            for (let dx = -radius; dx <= radius; dx++) {
+                const nx = cx + dx;
+                if (nx >= 0 && nx < width && data[ny * width + nx]) {
+                    return true;
+                }
+            }
+        }
+        return false;
+    }
+
+    /**
+     * 水平寄り・垂直寄りの直線を2本ずつ組み合わせ、最も評価の高い四角形を選ぶ
+     * 評価 = 4辺の平均支持率（辺上の点のうちエッジに重なる割合）の2乗 × 面積比
+     */
+    findBestQuad(lines, edges) {
+        const { width, height } = edges;
+        const { maxLineAngle, maxLinesPerDirection, minAreaRatio, minSupport } = this.options;
+        const maxAngle = maxLineAngle * Math.PI / 180;
+
+        // 法線が垂直に近い直線が水平寄りの辺、法線が水平に近い直線が垂直寄りの辺
+        const horizontals = lines
+            .filter(line => Math.abs(line.theta - Math.PI / 2) <= maxAngle)
+            .slice(0, maxLinesPerDirection);
+        const verticals = lines
+            .filter(line => line.theta <= maxAngle || line.theta >= Math.PI - maxAngle)
+            .slice(0, maxLinesPerDirection);
+
+        // 領収書が画像の端で切れている場合に備えて、画像の端も辺の候補にする
+        horizontals.push({ theta: Math.PI / 2, rho: 0, border: true }, { theta: Math.PI / 2, rho: height - 1, border: true });
+        verticals.push({ theta: 0, rho: 0, border: true }, { theta: 0, rho: width - 1, border: true });
+
+        const imageArea = width * height;
+        const margin = Math.min(width, height) * 0.05;
+        let best = null;
+
+        for (let i = 0; i < horizontals.length; i++) {
+            for (let j = i + 1; j < horizontals.length; j++) {
+                for (let k = 0; k < verticals.length; k++) {
+                    for (let l = k + 1; l < verticals.length; l++) {
+                        const [top, bottom] = this.sortByPosition(horizontals[i], horizontals[j], width, height, 'y');
+                        const [left, right] = this.sortByPosition(verticals[k], verticals[l], width, height, 'x');
+
+                        const corners = [
+                            this.intersect(top, left),
+                            this.intersect(top, right),
+                            this.intersect(bottom, right),
+                            this.intersect(bottom, left)
+                        ];
+                        if (corners.some(point => !point ||
+                            point.x < -margin || point.y < -margin || point.x > width - 1 + margin || point.y > height - 1 + margin)) {
+                            continue;
+                        }
+
+                        const area = this.polygonArea(corners);
+                        if (area < imageArea * minAreaRatio || !this.isConvex(corners)) {
+                            continue;
+                        }
+
+                        const sides = [top, right, bottom, left];
+                        const supports = sides.map((side, index) => side.border
+                            ? this.options.borderSupport
+                            : this.calculateSideSupport(edges, corners[index], corners[(index + 1) % 4]));
+                        const support = supports.reduce((sum, value) => sum + value, 0) / 4;
+                        const score = support * support * Math.min(1, area / imageArea);
+
+                        if (support >= minSupport && (!best || score > best.score)) {
+                            best = { corners, score, support };
+                        }
+                    }
+                }
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * 2本の直線を画像中央での位置（axis: 'x' または 'y'）の小さい順に並べる
+     */
+    sortByPosition(lineA, lineB, width, height, axis) {
+        const position = line => {
+            const cos = Math.cos(line.theta);
+            const sin = Math.sin(line.theta);
+            // 水平寄りの直線は x = 中央での y、垂直寄りの直線は y = 中央での x
+            return axis === 'y'
+                ? (line.rho - (width / 2) * cos) / sin
+                : (line.rho - (height / 2) * sin) / cos;
+        };
+        return position(lineA) <= position(lineB) ? [lineA, lineB] : [lineB, lineA];
+    }
+
+    /**
+     * 法線形式（x·cosθ + y·sinθ = ρ）の2直線の交点
+     */
+    intersect(lineA, lineB) {
+        const a1 = Math.cos(lineA.theta);
+        const b1 = Math.sin(lineA.theta);
+        const a2 = Math.cos(lineB.theta);
+        const b2 = Math.sin(lineB.theta);
+        const determinant = a1 * b2 - a2 * b1;
+        if (Math.abs(determinant) < 1e-6) {
+            return null;
+        }
+        return {
+            x: (lineA.rho * b2 - lineB.rho * b1) / determinant,
+            y: (a1 * lineB.rho - a2 * lineA.rho) / determinant
+        };
+    }
+
+    /**
+     * 辺上の点のうち、エッジ画素に edgeTolerance 以内で重なる割合
+     */
+    calculateSideSupport(edges, start, end) {
+        const length = Math.hypot(end.x - start.x, end.y - start.y);
+        const steps = Math.max(1, Math.round(length));
+        let supported = 0;
+        let counted = 0;
+
+        for (let i = 0; i <= steps; i++) {
+            const x = start.x + (end.x - start.x) * i / steps;
+            const y = start.y + (end.y - start.y) * i / steps;
+            if (x < 0 || y < 0 || x > edges.width - 1 || y > edges.height - 1) {
+                continue;
+            }
+            counted++;
+            if (this.hasEdgeNear(edges, x, y, this.options.edgeTolerance)) {
+                supported++;
+            }
+        }
+
+        return counted > 0 ? supported / counted : 0;
+    }
+
+    /**
+     * 多角形の面積（靴ひも公式）
+     */
+    polygonArea(points) {
+        let sum = 0;
+        for (let i = 0; i < points.length; i++) {
+            const next = points[(i + 1) % points.length];
+            sum += points[i].x * next.y - next.x * points[i].y;
+        }
+        return Math.abs(sum) / 2;
+    }
+
+    /**
+     * 四角形が凸か（隣り合う辺の外積の符号がすべて同じ）
+     */
+    isConvex(points) {
+        let sign = 0;
+        for (let i = 0; i < points.length; i++) {
+            const a = points[i];
+            const b = points[(i + 1) % points.length];
+            const c = points[(i + 2) % points.length];
+            const cross = (b.x - a.x) * (c.y - b.y) - (b.y - a.y) * (c.x - b.x);
+            if (Math.abs(cross) < 1e-9) {
+                return false;
+            }
+            if (sign === 0) {
+                sign = Math.sign(cross);
+            } else if (Math.sign(cross) !== sign) {
+                return false;
+            }
+        }
+        return true;
+    }
+}
+
+// モジュールとしてエクスポート（フレーム解析Worker内でも使うため self に公開する）
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QuadDetector;
+} else {
+    self.QuadDetector = QuadDetector;
+}
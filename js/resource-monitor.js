@@ -124,6 +124,33 @@ class ResourceMonitor {
         }
     }
 
+    /**
+     * 現在のメモリ状況の取得
+     * OCRエンジンのバッチサイズ調整などに使用する
+     * @returns {Object|null} メモリ状況（performance.memoryが利用できない場合はnull）
+     */
+    getMemoryStatus() {
+        if (!performance.memory) return null;
+        
+        const memory = performance.memory;
+        const usageRatio = memory.usedJSHeapSize / memory.jsHeapSizeLimit;
+        
+        let level = 'normal';
+        if (usageRatio >= this.memoryThresholds.emergency) {
+            level = 'emergency';
+        } else if (usageRatio >= this.memoryThresholds.critical) {
+            level = 'critical';
+        } else if (usageRatio >= this.memoryThresholds.warning) {
+            level = 'warning';
+        }
+        
+        return {
+            level,
+            usageRatio,
+            availableBytes: memory.jsHeapSizeLimit - memory.usedJSHeapSize
+        };
+    }
+
     /**
      * 警告レベルのメモリ処理
      */
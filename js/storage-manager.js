@@ -93,9 +93,11 @@ class StorageManager {
      * 領収書データの保存
      * @param {Object} receiptData - 領収書データ
      * @param {Blob} imageBlob - 画像データ（オプション）
+     * @param {Array<Blob>} sourceImageBlobs - つなぎ合わせる前の撮影画像（オプション。撮影順）
+     * @param {Object} options - reviewed: false の場合は読み取り結果を確認していない下書きとして保存
      * @returns {Promise<string>} 保存されたレコードのID
      */
-    async saveReceipt(receiptData, imageBlob = null) {
+    async saveReceipt(receiptData, imageBlob = null, sourceImageBlobs = [], options = {}) {
         if (!this.db) {
             throw new Error('データベースが初期化されていません');
         }
@@ -114,17 +116,22 @@ class StorageManager {
             data: receiptData,
             createdAt: now,
             lastAccessedAt: now,
-            hasImage: !!imageBlob
+            hasImage: !!imageBlob,
+            sourceImageCount: sourceImageBlobs.length,
+            reviewed: options.reviewed !== false
         };
 
-        const transaction = this.db.transaction([this.stores.receipts, this.stores.images], 'readwrite');
-        
         try {
             // ストレージ容量の事前チェック
-            if (imageBlob && imageBlob.size > 5 * 1024 * 1024) { // 5MB以上
-                await this.checkStorageQuota(imageBlob.size);
+            // IndexedDB 以外の非同期処理を待つとトランザクションが自動で終了するため、トランザクションの開始前に行う
+            const totalImageSize = [imageBlob, ...sourceImageBlobs]
+                .reduce((sum, blob) => sum + (blob ? blob.size : 0), 0);
+            if (totalImageSize > 5 * 1024 * 1024) { // 5MB以上
+                await this.checkStorageQuota(totalImageSize);
             }
             
+            const transaction = this.db.transaction([this.stores.receipts, this.stores.images], 'readwrite');
+            
             // 領収書データの保存
             const receiptStore = transaction.objectStore(this.stores.receipts);
             await this.promisifyRequest(receiptStore.add(receipt));
@@ -141,6 +148,20 @@ class StorageManager {
                 await this.promisifyRequest(imageStore.add(imageRecord));
             }
             
+            // つなぎ合わせる前の撮影画像の保存
+            if (sourceImageBlobs.length > 0) {
+                const imageStore = transaction.objectStore(this.stores.images);
+                for (let i = 0; i < sourceImageBlobs.length; i++) {
+                    await this.promisifyRequest(imageStore.add({
+                        id: `img_${id}_source_${i}`,
+                        receiptId: id,
+                        imageData: sourceImageBlobs[i],
+                        sourceIndex: i,
+                        createdAt: now
+                    }));
+                }
+            }
+            
             // LRU管理の実行
             await this.enforceLRULimit();
             
@@ -189,6 +210,44 @@ class StorageManager {
         }
     }
 
+    /**
+     * 保存済み領収書データの更新（画像はそのまま残す）
+     * 未確認の下書きを開いて内容を確かめて保存し直したときに、確認済みにするために使う
+     * @param {string} id - レコードID
+     * @param {Object} receiptData - 領収書データ
+     * @param {Object} options - reviewed: false の場合は未確認のまま更新
+     * @returns {Promise<Object>} 更新後のレコード
+     */
+    async updateReceipt(id, receiptData, options = {}) {
+        if (!this.db) {
+            throw new Error('データベースが初期化されていません');
+        }
+
+        const transaction = this.db.transaction([this.stores.receipts], 'readwrite');
+        const store = transaction.objectStore(this.stores.receipts);
+        
+        try {
+            const receipt = await this.promisifyRequest(store.get(id));
+            if (!receipt) {
+                throw new Error(`領収書が見つかりません: ${id}`);
+            }
+            
+            const now = new Date();
+            const updated = {
+                ...receipt,
+                data: receiptData,
+                updatedAt: now,
+                lastAccessedAt: now,
+                reviewed: options.reviewed !== false
+            };
+            await this.promisifyRequest(store.put(updated));
+            
+            return updated;
+        } catch (error) {
+            throw new Error('データの更新に失敗しました: ' + error.message);
+        }
+    }
+
     /**
      * 画像データの読み込み
      * @param {string} receiptId - 領収書ID
@@ -201,16 +260,40 @@ class StorageManager {
 
         const transaction = this.db.transaction([this.stores.images], 'readonly');
         const store = transaction.objectStore(this.stores.images);
-        const index = store.index('receiptId');
         
         try {
-            const imageRecord = await this.promisifyRequest(index.get(receiptId));
+            // 同じ領収書の撮影画像と区別するため主キーで取得する
+            const imageRecord = await this.promisifyRequest(store.get(`img_${receiptId}`));
             return imageRecord ? imageRecord.imageData : null;
         } catch (error) {
             throw new Error('画像データの読み込みに失敗しました: ' + error.message);
         }
     }
 
+    /**
+     * つなぎ合わせる前の撮影画像の読み込み
+     * @param {string} receiptId - 領収書ID
+     * @returns {Promise<Array<Blob>>} 撮影順の画像データ（無い場合は空配列）
+     */
+    async getSourceImages(receiptId) {
+        if (!this.db) {
+            throw new Error('データベースが初期化されていません');
+        }
+
+        const transaction = this.db.transaction([this.stores.images], 'readonly');
+        const index = transaction.objectStore(this.stores.images).index('receiptId');
+        
+        try {
+            const imageRecords = await this.promisifyRequest(index.getAll(receiptId));
+            return imageRecords
+                .filter(record => record.sourceIndex !== undefined)
+                .sort((a, b) => a.sourceIndex - b.sourceIndex)
+                .map(record => record.imageData);
+        } catch (error) {
+            throw new Error('画像データの読み込みに失敗しました: ' + error.message);
+        }
+    }
+
     /**
      * 全領収書データの一覧取得
      * @param {Object} options - オプション
@@ -278,13 +361,13 @@ class StorageManager {
             const receiptStore = transaction.objectStore(this.stores.receipts);
             await this.promisifyRequest(receiptStore.delete(id));
             
-            // 関連する画像データの削除
+            // 関連する画像データ（つなぎ合わせる前の撮影画像を含む）の削除
             const imageStore = transaction.objectStore(this.stores.images);
             const imageIndex = imageStore.index('receiptId');
-            const imageRecord = await this.promisifyRequest(imageIndex.get(id));
+            const imageKeys = await this.promisifyRequest(imageIndex.getAllKeys(id));
             
-            if (imageRecord) {
-                await this.promisifyRequest(imageStore.delete(imageRecord.id));
+            for (const imageKey of imageKeys) {
+                await this.promisifyRequest(imageStore.delete(imageKey));
             }
         } catch (error) {
             throw new Error('データの削除に失敗しました: ' + error.message);
@@ -93,6 +93,15 @@ class ZipExportManager {
                             const imageExtension = this.getImageExtension(imageBlob.type);
                             receiptFolder.file(`receipt_image${imageExtension}`, imageBlob);
                         }
+                        
+                        // つなぎ合わせる前の撮影画像
+                        if (receipt.sourceImageCount > 0) {
+                            const sourceBlobs = await storageManager.getSourceImages(receipt.id);
+                            sourceBlobs.forEach((sourceBlob, index) => {
+                                const sourceExtension = this.getImageExtension(sourceBlob.type);
+                                receiptFolder.file(`source_image_${index + 1}${sourceExtension}`, sourceBlob);
+                            });
+                        }
                     } catch (error) {
                         console.warn(`画像の取得に失敗しました (ID: ${receipt.id}):`, error);
                         // 画像が取得できない場合はエラーファイルを作成
@@ -227,7 +236,8 @@ class ZipExportManager {
             metadata: {
                 createdAt: receipt.createdAt,
                 lastAccessedAt: receipt.lastAccessedAt,
-                hasImage: receipt.hasImage
+                hasImage: receipt.hasImage,
+                reviewed: receipt.reviewed !== false
             }
         };
     }
@@ -387,11 +397,12 @@ class ZipExportManager {
 - receipt_XXX/: 各領収書のフォルダ
   - receipt_data.json: 抽出されたデータ
   - receipt_image.*: 領収書画像（存在する場合）
+  - source_image_N.*: つなぎ合わせる前の撮影画像（分割撮影した長い領収書の場合、撮影順）
 
 データ形式:
 各領収書フォルダ内のreceipt_data.jsonには以下の情報が含まれます：
 - extractedData: OCRで抽出されたデータ（日付、支払先、金額、適用）
-- metadata: 作成日時、最終アクセス日時、画像有無
+- metadata: 作成日時、最終アクセス日時、画像有無、確認状況（reviewed: false は複数の領収書をまとめて読み取り、内容を確認せずに保存した下書き）
 
 注意事項:
 - 画像ファイルは元の形式で保存されています
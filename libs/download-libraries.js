@@ -2,7 +2,7 @@
 
 /**
  * Script to download required library files for the receipt OCR app
- * Downloads ONNX Runtime Web, Tesseract.js, JSZip, and OpenCV.js
+ * Downloads ONNX Runtime Web, Tesseract.js, JSZip, OpenCV.js, and the HEIC/TIFF/PDF decoders
  */
 
 const https = require('https');
@@ -55,6 +55,26 @@ const libraries = [
     name: 'OpenCV.js',
     url: 'https://docs.opencv.org/4.8.0/opencv.js',
     filename: 'opencv.js'
+  },
+  {
+    name: 'libheif-js (WASM bundle)',
+    url: 'https://cdn.jsdelivr.net/npm/libheif-js@1.17.1/libheif-wasm/libheif-bundle.js',
+    filename: 'libheif-bundle.js'
+  },
+  {
+    name: 'UTIF.js',
+    url: 'https://cdn.jsdelivr.net/npm/utif@3.1.0/UTIF.js',
+    filename: 'UTIF.js'
+  },
+  {
+    name: 'PDF.js',
+    url: 'https://cdn.jsdelivr.net/npm/pdfjs-dist@3.11.174/build/pdf.min.js',
+    filename: 'pdf.min.js'
+  },
+  {
+    name: 'PDF.js Worker',
+    url: 'https://cdn.jsdelivr.net/npm/pdfjs-dist@3.11.174/build/pdf.worker.min.js',
+    filename: 'pdf.worker.min.js'
   }
 ];
 
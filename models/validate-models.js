@@ -6,8 +6,12 @@
  * 
  * Usage:
  * 1. Place actual ONNX model files in this directory
- * 2. Run this script in a browser environment with ONNX Runtime Web loaded
+ * 2. Run this script in a browser environment with ONNX Runtime Web loaded,
+ *    or offline with Node.js: `node models/validate-models.js`
  * 3. Check console output for validation results
+ *
+ * Every file listed in manifest.json is checked against its declared size and
+ * SHA-256 digest, the same check the OCR engine runs before creating a session.
  */
 
 class ModelValidator {
@@ -17,10 +21,41 @@ class ModelValidator {
             'text_det.onnx',
             'text_rec_jp.onnx', 
             'text_angle.onnx',
-            'charset_jp.txt'
+            'charset_jp.txt',
+            'manifest.json'
         ];
     }
 
+    /**
+     * Read a file from the models directory (fetch in browsers, fs in Node.js)
+     */
+    async readFile(filename) {
+        if (typeof window === 'undefined' && typeof require !== 'undefined') {
+            const fs = require('fs');
+            const path = require('path');
+            const data = await fs.promises.readFile(path.join(__dirname, filename));
+            return data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+        }
+
+        const response = await fetch(this.modelsPath + filename);
+        if (!response.ok) {
+            throw new Error(`File not accessible (${response.status})`);
+        }
+        return await response.arrayBuffer();
+    }
+
+    /**
+     * Compute the hex SHA-256 digest of a buffer
+     */
+    async computeSHA256(buffer) {
+        const subtle = (typeof crypto !== 'undefined' && crypto.subtle) ||
+            (typeof require !== 'undefined' && require('crypto').webcrypto.subtle);
+        const digest = await subtle.digest('SHA-256', buffer);
+        return Array.from(new Uint8Array(digest))
+            .map(byte => byte.toString(16).padStart(2, '0'))
+            .join('');
+    }
+
     /**
      * Validate all required model files
      */
@@ -30,7 +65,8 @@ class ModelValidator {
         const results = {
             filesExist: await this.checkFileExistence(),
             charsetValid: await this.validateCharset(),
-            modelsValid: await this.validateONNXModels()
+            modelsValid: await this.validateONNXModels(),
+            integrity: await this.verifyIntegrity()
         };
 
         this.printResults(results);
@@ -45,11 +81,10 @@ class ModelValidator {
         
         for (const filename of this.requiredFiles) {
             try {
-                const response = await fetch(this.modelsPath + filename);
+                const buffer = await this.readFile(filename);
                 results[filename] = {
-                    exists: response.ok,
-                    size: response.headers.get('content-length'),
-                    contentType: response.headers.get('content-type')
+                    exists: true,
+                    size: buffer.byteLength
                 };
             } catch (error) {
                 results[filename] = {
@@ -67,15 +102,8 @@ class ModelValidator {
      */
     async validateCharset() {
         try {
-            const response = await fetch(this.modelsPath + 'charset_jp.txt');
-            if (!response.ok) {
-                return { valid: false, error: 'File not accessible' };
-            }
-
-            const text = await response.text();
-            const characters = text.split('\n')
-                .map(line => line.trim())
-                .filter(line => line && !line.startsWith('#'));
+            const text = new TextDecoder('utf-8').decode(await this.readFile('charset_jp.txt'));
+            const characters = this.parseCharset(text);
 
             const validation = {
                 valid: true,
@@ -99,6 +127,16 @@ class ModelValidator {
         }
     }
 
+    /**
+     * Parse a charset file the same way the OCR engine does:
+     * "# " lines are comments, a bare "#" line is the "#" character, a single-space line is the space character
+     */
+    parseCharset(text) {
+        return text.split('\n')
+            .map(line => line.replace(/\r$/, ''))
+            .filter(line => line !== '' && !line.startsWith('# '));
+    }
+
     /**
      * Validate ONNX model files (basic format check)
      */
@@ -108,13 +146,7 @@ class ModelValidator {
 
         for (const filename of onnxFiles) {
             try {
-                const response = await fetch(this.modelsPath + filename);
-                if (!response.ok) {
-                    results[filename] = { valid: false, error: 'File not accessible' };
-                    continue;
-                }
-
-                const buffer = await response.arrayBuffer();
+                const buffer = await this.readFile(filename);
                 const uint8Array = new Uint8Array(buffer);
                 
                 // Basic ONNX format validation (check magic bytes)
@@ -140,6 +172,108 @@ class ModelValidator {
         return results;
     }
 
+    /**
+     * Read the recognizer's class dimension from the session output metadata
+     * Returns null when ONNX Runtime Web is not loaded, the file is a placeholder or the dimension is dynamic
+     */
+    async readOutputClasses(filename) {
+        if (typeof ort === 'undefined') {
+            return null;
+        }
+
+        const buffer = await this.readFile(filename);
+        if (this.isPlaceholderFile(new Uint8Array(buffer))) {
+            return null;
+        }
+
+        const session = await ort.InferenceSession.create(new Uint8Array(buffer));
+        try {
+            const metadata = session.outputMetadata;
+            const entries = Array.isArray(metadata) ? metadata : Object.values(metadata || {});
+            const output = entries.find(entry => entry.name === session.outputNames[0]) || entries[0];
+            const numClasses = output && Array.isArray(output.shape) ? output.shape[output.shape.length - 1] : null;
+            return Number.isInteger(numClasses) && numClasses > 0 ? numClasses : null;
+        } finally {
+            await session.release();
+        }
+    }
+
+    /**
+     * Verify every model and charset declared in manifest.json against its size and SHA-256
+     */
+    async verifyIntegrity() {
+        const results = {};
+
+        let manifest;
+        try {
+            manifest = JSON.parse(new TextDecoder('utf-8').decode(await this.readFile('manifest.json')));
+        } catch (error) {
+            results['manifest.json'] = { valid: false, error: `Manifest not readable: ${error.message}` };
+            return results;
+        }
+
+        const entries = [];
+        for (const model of manifest.models || []) {
+            entries.push({ file: model.file, size: model.size, sha256: model.sha256 });
+            if (model.charset) {
+                entries.push(model.charset);
+            }
+        }
+
+        // Recognizer output classes (read from the model itself) must equal charset length + CTC blank
+        for (const model of manifest.models || []) {
+            if (model.role !== 'recognition' || !model.charset) {
+                continue;
+            }
+
+            const key = `${model.id} (classes)`;
+            try {
+                const charsetText = new TextDecoder('utf-8').decode(await this.readFile(model.charset.file));
+                const expected = this.parseCharset(charsetText).length + 1;
+                const classes = await this.readOutputClasses(model.file);
+
+                if (classes === null) {
+                    results[key] = { valid: true, warning: 'Output classes not readable (no ONNX Runtime Web, placeholder file or dynamic dimension); the engine checks them at first inference' };
+                } else {
+                    results[key] = classes === expected
+                        ? { valid: true }
+                        : { valid: false, error: `Output classes ${classes} != ${model.charset.file} characters + blank (${expected})` };
+                }
+            } catch (error) {
+                results[key] = { valid: false, error: error.message };
+            }
+        }
+
+        for (const entry of entries) {
+            if (results[entry.file]) {
+                continue;
+            }
+
+            try {
+                const buffer = await this.readFile(entry.file);
+                const actual = await this.computeSHA256(buffer);
+                const result = { valid: true, size: buffer.byteLength, sha256: actual };
+
+                if (!entry.sha256) {
+                    result.valid = false;
+                    result.error = 'No sha256 declared in manifest.json';
+                } else if (entry.size && buffer.byteLength !== entry.size) {
+                    result.valid = false;
+                    result.error = `Size mismatch (expected ${entry.size} bytes, got ${buffer.byteLength} bytes)`;
+                } else if (actual !== entry.sha256.toLowerCase()) {
+                    result.valid = false;
+                    result.error = `SHA-256 mismatch (expected ${entry.sha256})`;
+                }
+
+                results[entry.file] = result;
+            } catch (error) {
+                results[entry.file] = { valid: false, error: error.message };
+            }
+        }
+
+        return results;
+    }
+
     /**
      * Check if file has valid ONNX format (simplified check)
      */
@@ -217,9 +351,23 @@ class ModelValidator {
             }
         }
 
+        // Integrity verification
+        console.log('\n🔒 Integrity & Charset Consistency (manifest.json):');
+        for (const [filename, result] of Object.entries(results.integrity)) {
+            const status = result.valid ? (result.warning ? '⚠️' : '✅') : '❌';
+            console.log(`${status} ${filename}`);
+            if (result.error) {
+                console.log(`   Error: ${result.error}`);
+            }
+            if (result.warning) {
+                console.log(`   Warning: ${result.warning}`);
+            }
+        }
+
         // Summary
         const allValid = Object.values(results.modelsValid).every(r => r.valid) && 
-                        results.charsetValid.valid;
+                        results.charsetValid.valid &&
+                        Object.values(results.integrity).every(r => r.valid);
         
         console.log('\n📋 Summary:');
         if (allValid) {
@@ -234,6 +382,14 @@ class ModelValidator {
 // Export for use in other scripts
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = ModelValidator;
+
+    // Offline validation: node models/validate-models.js
+    if (typeof require !== 'undefined' && require.main === module) {
+        new ModelValidator().validateAll().then(results => {
+            const integrityValid = Object.values(results.integrity).every(r => r.valid);
+            process.exitCode = integrityValid ? 0 : 1;
+        });
+    }
 }
 
 // Auto-run validation if script is loaded directly
@@ -6,6 +6,9 @@
 const CACHE_NAME = 'receipt-ocr-v1';
 const CACHE_VERSION = '1.0.0';
 
+// OCRエンジンが検証済みモデルを保存するキャッシュの接頭辞（OCREngine.MODEL_CACHE_PREFIX と同じ値）
+const MODEL_CACHE_PREFIX = 'receipt-ocr-models-';
+
 // プリキャッシュするリソース
 const PRECACHE_RESOURCES = [
   '/',
@@ -76,7 +79,8 @@ self.addEventListener('activate', (event) => {
       caches.keys().then((cacheNames) => {
         return Promise.all(
           cacheNames.map((cacheName) => {
-            if (cacheName !== CACHE_NAME) {
+            // モデルキャッシュはマニフェスト単位でOCRエンジンが管理する
+            if (cacheName !== CACHE_NAME && !cacheName.startsWith(MODEL_CACHE_PREFIX)) {
               console.log('[SW] Deleting old cache:', cacheName);
               return caches.delete(cacheName);
             }
@@ -84,12 +88,32 @@ self.addEventListener('activate', (event) => {
         );
       }),
       
+      // 旧バージョンがアプリケーションキャッシュに保存したモデルの削除
+      purgeStaleModelEntries(),
+      
       // 即座にすべてのクライアントを制御下に置く
       self.clients.claim()
     ])
   );
 });
 
+/**
+ * アプリケーションキャッシュに残ったモデルファイルの削除
+ * モデルは整合性検証後にOCRエンジンのモデルキャッシュにだけ保存する（マニフェストは Network First のため残す）
+ */
+async function purgeStaleModelEntries() {
+  const cache = await caches.open(CACHE_NAME);
+  const requests = await cache.keys();
+  
+  await Promise.all(requests.map((request) => {
+    const pathname = new URL(request.url).pathname;
+    if (CACHE_PATTERNS.models.test(pathname) && pathname !== '/models/manifest.json') {
+      console.log('[SW] Deleting stale model entry:', request.url);
+      return cache.delete(request);
+    }
+  }));
+}
+
 /**
  * フェッチイベントの処理
  */
@@ -121,13 +145,23 @@ function getStrategyForRequest(request) {
   const url = new URL(request.url);
   const pathname = url.pathname;
   
+  // モデルマニフェストはモデル差し替えを反映するため常にネットワークを優先
+  if (pathname === '/models/manifest.json') {
+    return 'networkFirst';
+  }
+  
+  // モデルファイル（OCRエンジンのモデルキャッシュだけを検索）
+  if (CACHE_PATTERNS.models.test(pathname)) {
+    return 'modelCacheFirst';
+  }
+  
   // アプリケーションシェル
   if (CACHE_STRATEGIES.shell.some(pattern => pathname === pattern || pathname.startsWith(pattern))) {
     return 'cacheFirst';
   }
   
-  // ライブラリとモデル
-  if (CACHE_PATTERNS.libs.test(pathname) || CACHE_PATTERNS.models.test(pathname)) {
+  // ライブラリ
+  if (CACHE_PATTERNS.libs.test(pathname)) {
     return 'cacheFirst';
   }
   
@@ -165,6 +199,28 @@ async function cacheFirst(request) {
   return networkResponse;
 }
 
+/**
+ * モデル用 Cache First 戦略
+ * モデルはOCRエンジンが整合性検証後に専用キャッシュへ保存するため、ここでは保存しない
+ */
+async function modelCacheFirst(request) {
+  // 旧バージョンが CACHE_NAME に保存した未検証のモデルを返さないよう、モデルキャッシュだけを検索する
+  const cacheNames = (await caches.keys()).filter(cacheName => cacheName.startsWith(MODEL_CACHE_PREFIX));
+  
+  for (const cacheName of cacheNames) {
+    const cache = await caches.open(cacheName);
+    const cachedResponse = await cache.match(request);
+    
+    if (cachedResponse) {
+      console.log('[SW] Model cache hit:', request.url);
+      return cachedResponse;
+    }
+  }
+  
+  console.log('[SW] Model cache miss, fetching:', request.url);
+  return fetch(request);
+}
+
 /**
  * Network First 戦略
  */
@@ -199,6 +255,8 @@ async function executeStrategy(strategy, request) {
   switch (strategy) {
     case 'cacheFirst':
       return cacheFirst(request);
+    case 'modelCacheFirst':
+      return modelCacheFirst(request);
     case 'networkFirst':
       return networkFirst(request);
     default:
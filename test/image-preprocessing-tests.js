@@ -18,7 +18,14 @@ class ImagePreprocessingTests {
         try {
             await this.setupTestImages();
             await this.testEXIFRotationCorrection();
+            await this.testImageFormatDetection();
             await this.testPerspectiveCorrection();
+            await this.testImageQualityAnalysis();
+            await this.testPreprocessingPipeline();
+            await this.testQuadDetection();
+            await this.testMultipleReceiptDetection();
+            await this.testLiveCaptureTrigger();
+            await this.testImageStitching();
             await this.testErrorHandling();
             
             this.displayResults();
@@ -58,6 +65,39 @@ class ImagePreprocessingTests {
         }
     }
 
+    /**
+     * HEIC/HEIF・TIFF・PDFの形式判定のテスト
+     */
+    async testImageFormatDetection() {
+        console.log('📋 画像形式の判定テスト...');
+        
+        try {
+            const decoder = new ReceiptImageDecoder();
+            const bytes = (text, prefix = []) => new Uint8Array([...prefix, ...Array.from(text, c => c.charCodeAt(0))]);
+            const cases = [
+                { name: 'HEIC (iPhone)', header: bytes('ftypheic\0\0\0\0', [0, 0, 0, 0x18]), expected: 'heic' },
+                { name: 'HEIF (mif1)', header: bytes('ftypmif1\0\0\0\0', [0, 0, 0, 0x1C]), expected: 'heic' },
+                { name: 'TIFF (リトルエンディアン)', header: new Uint8Array([0x49, 0x49, 0x2A, 0x00, 8, 0, 0, 0]), expected: 'tiff' },
+                { name: 'TIFF (ビッグエンディアン)', header: new Uint8Array([0x4D, 0x4D, 0x00, 0x2A, 0, 0, 0, 8]), expected: 'tiff' },
+                { name: 'PDF', header: bytes('%PDF-1.7\n'), expected: 'pdf' },
+                { name: 'JPEG', header: new Uint8Array([0xFF, 0xD8, 0xFF, 0xE1, 0, 0, 0, 0]), expected: null },
+                { name: 'MIMEタイプが空のHEIC（拡張子で判定）', header: new Uint8Array(16), fileName: 'IMG_0001.HEIC', expected: 'heic' }
+            ];
+            
+            for (const testCase of cases) {
+                const format = decoder.detectFormat(testCase.header, '', testCase.fileName || '');
+                this.addTestResult(
+                    `画像形式の判定 (${testCase.name})`,
+                    format === testCase.expected,
+                    `判定結果: ${format}`
+                );
+            }
+            
+        } catch (error) {
+            this.addTestResult('画像形式の判定', false, `テスト実行エラー: ${error.message}`);
+        }
+    }
+
     /**
      * EXIF回転補正のテスト
      */
@@ -557,6 +597,433 @@ class ImagePreprocessingTests {
         }
     }
 
+    /**
+     * 画質チェック（ピンぼけ・白飛び・暗さ・文字の解像度）のテスト
+     */
+    async testImageQualityAnalysis() {
+        console.log('📋 画質チェックテスト...');
+        
+        try {
+            const analyzer = new ImageQualityAnalyzer();
+            
+            // 白地に高さ12pxの黒い行が並ぶ鮮明な画像
+            const createImage = (width, height, pixel) => {
+                const data = new Uint8ClampedArray(width * height * 4);
+                for (let y = 0; y < height; y++) {
+                    for (let x = 0; x < width; x++) {
+                        const value = pixel(x, y);
+                        const i = (y * width + x) * 4;
+                        data[i] = data[i + 1] = data[i + 2] = value;
+                        data[i + 3] = 255;
+                    }
+                }
+                return { width, height, data };
+            };
+            const textLine = (x, y) => y % 30 < 12 && x % 8 < 5;
+            
+            const sharp = analyzer.analyze(createImage(200, 300, (x, y) => textLine(x, y) ? 20 : 230));
+            this.addTestResult(
+                '画質チェック (鮮明な画像)',
+                sharp.action === 'proceed' && sharp.issues.length === 0 && sharp.metrics.textHeight === 12,
+                `ラプラシアン分散: ${sharp.metrics.laplacianVariance.toFixed(1)}, 文字高さ: ${sharp.metrics.textHeight}px`
+            );
+            
+            // 濃淡の差がほとんど無い画像はピンぼけとしてブロック（既定ポリシー）
+            const blurry = analyzer.analyze(createImage(200, 300, (x, y) => 180 + Math.round(5 * Math.sin(y / 20))));
+            const blurIssue = blurry.issues.find(issue => issue.type === 'blur');
+            this.addTestResult(
+                '画質チェック (ピンぼけ)',
+                blurry.blocked && blurry.action === 'block' && blurIssue && blurIssue.severity === 'block' &&
+                    blurIssue.message.includes('ピンぼけ'),
+                `判定: ${blurry.action}, 問題: ${blurry.issues.map(issue => issue.type).join(', ')}`
+            );
+            
+            // 暗い画像と白飛びした画像は警告のみ
+            const dark = analyzer.analyze(createImage(200, 300, (x, y) => textLine(x, y) ? 5 : 50));
+            const glare = analyzer.analyze(createImage(200, 300, (x, y) => textLine(x, y) ? 20 : 255));
+            this.addTestResult(
+                '画質チェック (暗さ・白飛び)',
+                dark.action === 'warn' && dark.issues.some(issue => issue.type === 'darkness') &&
+                    glare.action === 'warn' && glare.issues.some(issue => issue.type === 'glare'),
+                `暗さ: ${dark.metrics.meanLuminance.toFixed(1)}, 白飛び: ${(glare.metrics.clippedHighlightRatio * 100).toFixed(1)}%`
+            );
+            
+            // 文字が小さすぎる画像と、ポリシーによる扱いの変更
+            const tinyText = createImage(200, 300, (x, y) => y % 10 < 3 && x % 4 < 2 ? 20 : 230);
+            const strict = new ImageQualityAnalyzer({ policy: { resolution: 'block', blur: 'ignore' } });
+            const tinyReport = strict.analyze(tinyText);
+            this.addTestResult(
+                '画質チェック (文字の解像度とポリシー)',
+                tinyReport.blocked && tinyReport.issues.some(issue => issue.type === 'resolution' && issue.severity === 'block') &&
+                    !strict.analyze(createImage(200, 300, () => 180)).blocked,
+                `文字高さ: ${tinyReport.metrics.textHeight}px, 判定: ${tinyReport.action}`
+            );
+            
+            // 元画像を1/4に縮小して渡した場合、文字の高さは元画像のpxに換算して判定する
+            const scaledReport = strict.analyze(tinyText, 4);
+            this.addTestResult(
+                '画質チェック (縮小した画像の文字の解像度)',
+                scaledReport.metrics.textHeight === tinyReport.metrics.textHeight * 4 &&
+                    !scaledReport.issues.some(issue => issue.type === 'resolution'),
+                `文字高さ: ${scaledReport.metrics.textHeight}px (元画像), 判定: ${scaledReport.action}`
+            );
+            
+        } catch (error) {
+            this.addTestResult('画質チェック', false, `テスト実行エラー: ${error.message}`);
+        }
+    }
+
+    /**
+     * 画像前処理パイプライン（コントラスト補正・二値化・背景平坦化・ノイズ除去・シャープ化）のテスト
+     */
+    async testPreprocessingPipeline() {
+        console.log('📋 画像前処理パイプラインテスト...');
+        
+        try {
+            const preprocessor = new ImagePreprocessor();
+            
+            // 左から右へ暗くなる影のある、色あせた感熱紙（紙 220→110、文字は紙より40暗い）
+            const width = 160;
+            const height = 120;
+            const isText = (x, y) => y % 20 >= 6 && y % 20 < 12 && x % 10 < 6;
+            const paper = x => 220 - Math.round(110 * x / width);
+            const data = new Uint8ClampedArray(width * height * 4);
+            for (let y = 0; y < height; y++) {
+                for (let x = 0; x < width; x++) {
+                    const i = (y * width + x) * 4;
+                    data[i] = data[i + 1] = data[i + 2] = paper(x) - (isText(x, y) ? 40 : 0);
+                    data[i + 3] = 255;
+                }
+            }
+            const faded = { width, height, data };
+            const luminanceAt = (image, x, y) => image.data[(y * width + x) * 4];
+            
+            // 背景の平坦化: 影のある側とない側の紙の明るさの差が小さくなる
+            const flattened = preprocessor.process(faded, ['flattenBackground']);
+            const shadowBefore = luminanceAt(faded, 5, 2) - luminanceAt(faded, width - 5, 2);
+            const shadowAfter = Math.abs(luminanceAt(flattened, 5, 2) - luminanceAt(flattened, width - 5, 2));
+            this.addTestResult(
+                '前処理 (背景の平坦化)',
+                shadowAfter < shadowBefore / 4,
+                `紙の明るさの差: ${shadowBefore} → ${shadowAfter}`
+            );
+            
+            // 'thermal' プリセット: 影の側でも文字は黒、紙は白に二値化される
+            const thermal = preprocessor.process(faded, 'thermal');
+            const textPixels = [];
+            const paperPixels = [];
+            for (let y = 0; y < height; y++) {
+                for (let x = 2; x < width - 2; x++) {
+                    (isText(x, y) ? textPixels : paperPixels).push(luminanceAt(thermal, x, y));
+                }
+            }
+            const textBlack = textPixels.filter(value => value === 0).length / textPixels.length;
+            const paperWhite = paperPixels.filter(value => value === 255).length / paperPixels.length;
+            this.addTestResult(
+                '前処理 (thermal プリセット)',
+                thermal.width === width && thermal.height === height && textBlack > 0.8 && paperWhite > 0.9,
+                `文字の黒: ${(textBlack * 100).toFixed(1)}%, 紙の白: ${(paperWhite * 100).toFixed(1)}%`
+            );
+            
+            // 'photo' プリセット: 二値化せず、文字と紙のコントラストを強める
+            const photo = preprocessor.process(faded, 'photo');
+            const contrastBefore = luminanceAt(faded, 82, 2) - luminanceAt(faded, 82, 8);
+            const contrastAfter = luminanceAt(photo, 82, 2) - luminanceAt(photo, 82, 8);
+            this.addTestResult(
+                '前処理 (photo プリセット)',
+                contrastAfter > contrastBefore && new Set(photo.data).size > 2,
+                `文字と紙のコントラスト: ${contrastBefore} → ${contrastAfter}`
+            );
+            
+            // 個別ステップ: コントラスト伸張は0-255に広げ、ノイズ除去は孤立点を消す
+            const stretched = preprocessor.contrastStretch({ data: new Uint8ClampedArray([100, 110, 120, 130]), width: 2, height: 2 }, { low: 0, high: 1 });
+            const noisy = new Uint8ClampedArray(25).fill(200);
+            noisy[12] = 0;
+            const denoised = preprocessor.denoise({ data: noisy, width: 5, height: 5 });
+            this.addTestResult(
+                '前処理 (コントラスト伸張・ノイズ除去)',
+                stretched.data[0] === 0 && stretched.data[3] === 255 && denoised.data[12] === 200,
+                `伸張: ${Array.from(stretched.data).join(',')}, 孤立点: ${denoised.data[12]}`
+            );
+            
+            // 未知のプリセット・ステップはエラー
+            let unknownPresetError = null;
+            let unknownStepError = null;
+            try { preprocessor.process(faded, 'unknown'); } catch (error) { unknownPresetError = error; }
+            try { preprocessor.process(faded, ['blur']); } catch (error) { unknownStepError = error; }
+            this.addTestResult(
+                '前処理 (不正な指定)',
+                unknownPresetError && unknownStepError,
+                `${unknownPresetError ? unknownPresetError.message : 'エラーなし'} / ${unknownStepError ? unknownStepError.message : 'エラーなし'}`
+            );
+            
+        } catch (error) {
+            this.addTestResult('画像前処理パイプライン', false, `テスト実行エラー: ${error.message}`);
+        }
+    }
+
+    /**
+     * OpenCV.jsを使わない四角形検出のテスト
+     */
+    async testQuadDetection() {
+        console.log('📋 四角形検出（OpenCV.js不要）テスト...');
+        
+        try {
+            const detector = new QuadDetector();
+            
+            // 暗い机の上に斜めに置いた白い領収書（文字行つき）
+            const width = 320;
+            const height = 240;
+            const receipt = [{ x: 60, y: 30 }, { x: 250, y: 45 }, { x: 262, y: 215 }, { x: 48, y: 200 }];
+            const isInside = (x, y) => receipt.every((a, i) => {
+                const b = receipt[(i + 1) % 4];
+                return (b.x - a.x) * (y - a.y) - (b.y - a.y) * (x - a.x) >= 0;
+            });
+            const data = new Uint8ClampedArray(width * height * 4);
+            for (let y = 0; y < height; y++) {
+                for (let x = 0; x < width; x++) {
+                    const i = (y * width + x) * 4;
+                    const isText = y % 16 < 6 && x > 80 && x < 80 + 40 + (y * 7) % 90 && x % 12 < 8;
+                    data[i] = data[i + 1] = data[i + 2] = isInside(x, y) ? (isText ? 40 : 225) : 70 + (x * 7 + y * 13) % 11;
+                    data[i + 3] = 255;
+                }
+            }
+            
+            const result = detector.detect({ width, height, data });
+            const maxError = result
+                ? Math.max(...result.corners.map((corner, i) => Math.hypot(corner.x - receipt[i].x, corner.y - receipt[i].y)))
+                : Infinity;
+            this.addTestResult(
+                '四角形検出 (斜めの領収書)',
+                maxError <= 4,
+                result ? `四隅の最大誤差: ${maxError.toFixed(1)}px, 支持率: ${result.support.toFixed(2)}` : '検出されませんでした'
+            );
+            
+            // 縁の無い一様な画像では検出しない
+            const blank = detector.detect({ width, height, data: new Uint8ClampedArray(width * height * 4).fill(128) });
+            this.addTestResult(
+                '四角形検出 (一様な画像)',
+                blank === null,
+                blank ? '誤検出がありました' : '検出なし'
+            );
+            
+            // 純JSの射影変換: 出力矩形の四隅が領収書の四隅に対応する
+            const perspectiveCorrection = new PerspectiveCorrection();
+            const transform = perspectiveCorrection.getPerspectiveTransform(
+                [{ x: 0, y: 0 }, { x: 200, y: 0 }, { x: 200, y: 170 }, { x: 0, y: 170 }],
+                receipt
+            );
+            const [h11, h12, h13, h21, h22, h23, h31, h32] = transform;
+            const project = (x, y) => {
+                const w = h31 * x + h32 * y + 1;
+                return { x: (h11 * x + h12 * y + h13) / w, y: (h21 * x + h22 * y + h23) / w };
+            };
+            const projected = project(200, 170);
+            this.addTestResult(
+                '四角形検出 (射影変換)',
+                Math.hypot(projected.x - receipt[2].x, projected.y - receipt[2].y) < 1e-6,
+                `右下 → (${projected.x.toFixed(2)}, ${projected.y.toFixed(2)})`
+            );
+            
+        } catch (error) {
+            this.addTestResult('四角形検出', false, `テスト実行エラー: ${error.message}`);
+        }
+    }
+
+    /**
+     * 1枚の写真に並んだ複数の領収書の検出テスト
+     */
+    async testMultipleReceiptDetection() {
+        console.log('📋 複数の領収書の検出テスト...');
+        
+        try {
+            const detector = new QuadDetector();
+            
+            // 暗い机の上に並べた3枚の領収書（1枚は斜め）
+            const width = 400;
+            const height = 300;
+            const receipts = [
+                [{ x: 30, y: 40 }, { x: 120, y: 30 }, { x: 135, y: 250 }, { x: 45, y: 260 }],
+                [{ x: 160, y: 30 }, { x: 240, y: 30 }, { x: 240, y: 270 }, { x: 160, y: 270 }],
+                [{ x: 280, y: 50 }, { x: 370, y: 50 }, { x: 370, y: 200 }, { x: 280, y: 200 }]
+            ];
+            const isInside = (x, y, corners) => corners.every((a, i) => {
+                const b = corners[(i + 1) % 4];
+                return (b.x - a.x) * (y - a.y) - (b.y - a.y) * (x - a.x) >= 0;
+            });
+            const data = new Uint8ClampedArray(width * height * 4);
+            for (let y = 0; y < height; y++) {
+                for (let x = 0; x < width; x++) {
+                    const i = (y * width + x) * 4;
+                    const onPaper = receipts.some(corners => isInside(x, y, corners));
+                    const isText = y % 14 < 5 && x % 9 < 6;
+                    data[i] = data[i + 1] = data[i + 2] = onPaper ? (isText ? 50 : 230) : 80 + (x * 7 + y * 13) % 15;
+                    data[i + 3] = 255;
+                }
+            }
+            
+            const results = detector.detectAll({ width, height, data });
+            const maxError = results.length === receipts.length
+                ? Math.max(...results.flatMap((result, n) =>
+                    result.corners.map((corner, i) => Math.hypot(corner.x - receipts[n][i].x, corner.y - receipts[n][i].y))))
+                : Infinity;
+            this.addTestResult(
+                '複数の領収書の検出 (3枚)',
+                maxError <= 6,
+                `検出数: ${results.length}, 四隅の最大誤差: ${Number.isFinite(maxError) ? maxError.toFixed(1) + 'px' : '-'}`
+            );
+            
+            // 領収書の無い一様な画像では検出しない
+            const blank = detector.detectAll({ width, height, data: new Uint8ClampedArray(width * height * 4).fill(128) });
+            this.addTestResult(
+                '複数の領収書の検出 (一様な画像)',
+                blank.length === 0,
+                `検出数: ${blank.length}`
+            );
+            
+        } catch (error) {
+            this.addTestResult('複数の領収書の検出', false, `テスト実行エラー: ${error.message}`);
+        }
+    }
+
+    /**
+     * カメラ映像からの自動撮影の判定テスト
+     */
+    async testLiveCaptureTrigger() {
+        console.log('📋 自動撮影の判定テスト...');
+        
+        try {
+            const liveCapture = new LiveCapture({ stableFrames: 3, minSharpness: 100 });
+            const diagonal = 1000;
+            const corners = [{ x: 100, y: 100 }, { x: 400, y: 100 }, { x: 400, y: 700 }, { x: 100, y: 700 }];
+            const shift = (dx) => corners.map(point => ({ x: point.x + dx, y: point.y }));
+            
+            // 輪郭がほぼ動かないフレームが続き、ピントが合っていれば撮影できる
+            const states = [shift(0), shift(3), shift(5)].map(frame => liveCapture.evaluateFrame(frame, 200, diagonal));
+            this.addTestResult(
+                '自動撮影 (安定した輪郭)',
+                states.join(',') === 'unstable,unstable,ready',
+                `状態: ${states.join(' → ')}`
+            );
+            
+            // ピンぼけのフレームでは撮影しない
+            const blurry = liveCapture.evaluateFrame(shift(5), 50, diagonal);
+            this.addTestResult('自動撮影 (ピンぼけ)', blurry === 'blurry', `状態: ${blurry}`);
+            
+            // 撮影後は、輪郭を見失うか大きく動く（次の領収書に替える）まで撮影しない
+            liveCapture.armed = false;
+            const afterCapture = liveCapture.evaluateFrame(shift(5), 200, diagonal);
+            const lost = liveCapture.evaluateFrame(null, 200, diagonal);
+            const rearmed = [shift(0), shift(0), shift(0)].map(frame => liveCapture.evaluateFrame(frame, 200, diagonal));
+            this.addTestResult(
+                '自動撮影 (次の領収書を待つ)',
+                afterCapture === 'captured' && lost === 'searching' && rearmed[2] === 'ready',
+                `状態: ${afterCapture} → ${lost} → ${rearmed.join(' → ')}`
+            );
+            
+            // 輪郭が大きく動いたら安定するまで待ち直す
+            const moved = liveCapture.evaluateFrame(shift(100), 200, diagonal);
+            this.addTestResult('自動撮影 (輪郭の移動)', moved === 'unstable', `状態: ${moved}`);
+            
+            // 解析結果は縮小したフレームの座標から映像の座標に戻し、次のフレームを解析できるようにする
+            const analyzed = new LiveCapture({ stableFrames: 3, minSharpness: 100, autoCapture: false });
+            analyzed.stream = {};
+            analyzed.showState = () => {};
+            analyzed.drawOutline = () => {};
+            const frame = { id: 1, scale: 0.25, diagonal };
+            analyzed.pendingFrame = frame;
+            analyzed.handleAnalysis(frame, corners.map(point => ({ x: point.x / 4, y: point.y / 4 })), 200);
+            this.addTestResult(
+                '自動撮影 (解析結果の座標)',
+                analyzed.pendingFrame === null && analyzed.maxCornerDistance(analyzed.corners, corners) < 1e-6,
+                `左上: (${analyzed.corners[0].x}, ${analyzed.corners[0].y})`
+            );
+            
+            // Workerが使えずメインスレッドで検出する場合は、処理時間に応じて検出の間隔を広げる
+            analyzed.analysisCost = 150;
+            const mainThreadInterval = analyzed.getDetectionInterval();
+            analyzed.worker = {};
+            const workerInterval = analyzed.getDetectionInterval();
+            this.addTestResult(
+                '自動撮影 (検出の間隔)',
+                mainThreadInterval === 600 && workerInterval === 200,
+                `メインスレッド: ${mainThreadInterval}ms, Worker: ${workerInterval}ms`
+            );
+            
+        } catch (error) {
+            this.addTestResult('自動撮影の判定', false, `テスト実行エラー: ${error.message}`);
+        }
+    }
+
+    /**
+     * 分割撮影した長い領収書のつなぎ合わせテスト
+     */
+    async testImageStitching() {
+        console.log('📋 画像つなぎ合わせテスト...');
+        
+        try {
+            // 長さの異なる文字行が並ぶ縦長の領収書
+            const width = 240;
+            const height = 900;
+            const receipt = new Uint8ClampedArray(width * height * 4);
+            const lines = [];
+            for (let y = 20, n = 0; y < height - 20; y += 22, n++) {
+                lines.push({ y, start: 10 + (n * 7) % 20, length: 40 + (n * 53) % 170 });
+            }
+            for (let y = 0; y < height; y++) {
+                for (let x = 0; x < width; x++) {
+                    const i = (y * width + x) * 4;
+                    const isText = lines.some(line =>
+                        y >= line.y && y < line.y + 9 && x >= line.start && x < line.start + line.length && (x * 3 + y) % 7 < 4);
+                    receipt[i] = receipt[i + 1] = receipt[i + 2] = isText ? 40 : 235;
+                    receipt[i + 3] = 255;
+                }
+            }
+            
+            // 重なりを持たせて3枚に分割（3枚目は横に6pxずらして撮影）
+            const crop = (top, cropHeight, shiftX) => {
+                const data = new Uint8ClampedArray(width * cropHeight * 4).fill(235);
+                for (let y = 0; y < cropHeight; y++) {
+                    for (let x = 0; x < width; x++) {
+                        const sourceX = x + shiftX;
+                        if (sourceX < 0 || sourceX >= width) continue;
+                        const source = ((top + y) * width + sourceX) * 4;
+                        data.set(receipt.subarray(source, source + 4), (y * width + x) * 4);
+                    }
+                }
+                return { width, height: cropHeight, data };
+            };
+            
+            const stitcher = new ImageStitcher();
+            const result = stitcher.stitch([crop(0, 380, 0), crop(230, 370, 0), crop(480, 420, 6)]);
+            const overlaps = result.overlaps.map(overlap => `${overlap.height}px/${overlap.offsetX}px`).join(', ');
+            this.addTestResult(
+                '画像つなぎ合わせ (重なりの検出)',
+                result.overlaps.every(overlap => overlap.matched) &&
+                    Math.abs(result.overlaps[0].height - 150) <= 1 && Math.abs(result.overlaps[1].height - 120) <= 1 &&
+                    Math.abs(result.overlaps[1].offsetX - 6) <= 1,
+                `重なり(高さ/横のずれ): ${overlaps}`
+            );
+            this.addTestResult(
+                '画像つなぎ合わせ (合成画像の高さ)',
+                Math.abs(result.imageData.height - height) <= 2,
+                `${result.imageData.width}x${result.imageData.height}`
+            );
+            
+            // 重なりの無い画像はそのまま縦に並べる
+            const blank = { width, height: 200, data: new Uint8ClampedArray(width * 200 * 4).fill(235) };
+            const unmatched = stitcher.stitch([crop(0, 200, 0), blank]);
+            this.addTestResult(
+                '画像つなぎ合わせ (重なりなし)',
+                !unmatched.overlaps[0].matched && unmatched.imageData.height === 400,
+                `高さ: ${unmatched.imageData.height}`
+            );
+            
+        } catch (error) {
+            this.addTestResult('画像つなぎ合わせ', false, `テスト実行エラー: ${error.message}`);
+        }
+    }
+
     /**
      * エラーハンドリングのテスト
      */
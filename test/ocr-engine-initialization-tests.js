@@ -22,6 +22,10 @@ class OCREngineInitializationTests {
             await this.setupTestEnvironment();
             await this.testBackendAvailability();
             await this.testModelLoadingSuccess();
+            await this.testManifestModelSelection();
+            await this.testModelIntegrityVerification();
+            await this.testPersistentModelCache();
+            await this.testRecognizerCharsetConsistency();
             await this.testModelLoadingFailure();
             await this.testFallbackFunctionality();
             await this.testInitializationStates();
@@ -46,6 +50,13 @@ class OCREngineInitializationTests {
             this.originalOrt = window.ort;
             this.originalTesseract = window.Tesseract;
             this.originalFetch = window.fetch;
+            
+            // モックモデルがアプリのモデルキャッシュに混ざらないようCache Storageを差し替え
+            Object.defineProperty(window, 'caches', {
+                value: this.createMockCacheStorage(),
+                configurable: true,
+                writable: true
+            });
 
             // OCREngineクラスが利用可能かチェック
             if (typeof OCREngine === 'undefined') {
@@ -263,6 +274,72 @@ class OCREngineInitializationTests {
         }
     }
 
+    /**
+     * マニフェストによるモデル選択のテスト
+     */
+    async testManifestModelSelection() {
+        console.log('📋 マニフェストによるモデル選択テスト...');
+        
+        try {
+            this.setupMockONNXRuntime();
+            const requestedUrls = [];
+            window.fetch = async (url, options) => {
+                requestedUrls.push(url);
+                if (url.endsWith('manifest.json')) {
+                    return {
+                        ok: true,
+                        status: 200,
+                        json: async () => ({
+                            manifestVersion: 1,
+                            models: [
+                                { id: 'det_v2', role: 'detection', file: 'det_v2.onnx', input: { shape: [1, 3, 960, 960] } },
+                                { id: 'rec_ja', role: 'recognition', file: 'rec_ja.onnx', charset: { file: 'charset_ja.txt' } },
+                                { id: 'rec_en', role: 'recognition', file: 'rec_en.onnx', charset: { file: 'charset_en.txt' } }
+                            ]
+                        })
+                    };
+                }
+                if (url.includes('.txt')) {
+                    return { ok: true, status: 200, arrayBuffer: async () => new TextEncoder().encode('a\nb\nc').buffer };
+                }
+                return { ok: true, status: 200, arrayBuffer: async () => new ArrayBuffer(1024) };
+            };
+            
+            const engine = new OCREngine({
+                modelsPath: './test-models/',
+                backends: ['wasm'],
+                fallbackToTesseract: false,
+                modelSelection: { recognition: 'rec_en' }
+            });
+            
+            await engine.initialize();
+            await engine.loadModels();
+            
+            this.addTestResult(
+                'マニフェストのモデル選択',
+                requestedUrls.includes('./test-models/rec_en.onnx') &&
+                    requestedUrls.includes('./test-models/charset_en.txt') &&
+                    !requestedUrls.includes('./test-models/rec_ja.onnx'),
+                `読み込み対象: ${requestedUrls.filter(url => !url.endsWith('manifest.json')).join(', ')}`
+            );
+            
+            this.addTestResult(
+                '角度分類モデルの省略',
+                engine.areModelsLoaded() && !engine.models.angleClassification,
+                '宣言されていない角度分類モデルは読み込まれません'
+            );
+            
+            this.addTestResult(
+                'マニフェストの入力サイズ',
+                engine._getModelInputSpec('detection').height === 960,
+                `検出入力サイズ: ${engine._getModelInputSpec('detection').height}`
+            );
+            
+        } catch (error) {
+            this.addTestResult('マニフェストによるモデル選択テスト', false, `エラー: ${error.message}`);
+        }
+    }
+
     /**
      * 個別モデルロードのテスト
      */
@@ -287,6 +364,264 @@ class OCREngineInitializationTests {
         }
     }
 
+    /**
+     * モデル整合性検証のテスト
+     */
+    async testModelIntegrityVerification() {
+        console.log('📋 モデル整合性検証テスト...');
+        
+        const modelBytes = new Uint8Array(1024).fill(7);
+        const digest = await crypto.subtle.digest('SHA-256', modelBytes);
+        const validHash = Array.from(new Uint8Array(digest))
+            .map(byte => byte.toString(16).padStart(2, '0'))
+            .join('');
+        
+        // 認識モデルだけ途中で切れたファイルが配信される状況を再現
+        const setupFetch = () => {
+            window.fetch = async (url, options) => {
+                if (url.endsWith('manifest.json')) {
+                    return {
+                        ok: true,
+                        status: 200,
+                        json: async () => ({
+                            manifestVersion: 1,
+                            models: [
+                                { id: 'text_det', role: 'detection', file: 'text_det.onnx', size: 1024, sha256: validHash },
+                                { id: 'text_rec_jp', role: 'recognition', file: 'text_rec_jp.onnx', size: 1024, sha256: validHash }
+                            ]
+                        })
+                    };
+                }
+                const bytes = url.includes('text_rec_jp') ? modelBytes.slice(0, 512) : modelBytes;
+                return { ok: true, status: 200, arrayBuffer: async () => bytes.slice().buffer };
+            };
+        };
+        
+        try {
+            this.setupMockONNXRuntime();
+            this.setupMockTesseract();
+            setupFetch();
+            
+            const strictEngine = new OCREngine({
+                modelsPath: './test-models/',
+                backends: ['wasm'],
+                fallbackToTesseract: false
+            });
+            await strictEngine.initialize();
+            
+            try {
+                await strictEngine.loadModels();
+                this.addTestResult('整合性エラーの検出', false, '切り詰められたモデルが読み込まれました');
+            } catch (error) {
+                this.addTestResult(
+                    '整合性エラーの検出',
+                    error.name === 'ModelIntegrityError' && error.file === 'text_rec_jp.onnx',
+                    error.message
+                );
+            }
+            
+            const fallbackEngine = new OCREngine({
+                modelsPath: './test-models/',
+                backends: ['wasm'],
+                fallbackToTesseract: true
+            });
+            await fallbackEngine.initialize();
+            await fallbackEngine.loadModels();
+            
+            const status = fallbackEngine.getInitializationStatus();
+            this.addTestResult(
+                '整合性エラー時のフォールバック',
+                status.usingFallback && status.integrityError && status.integrityError.file === 'text_rec_jp.onnx' &&
+                    !fallbackEngine.models.detection,
+                `フォールバック: ${status.usingFallback}, 対象: ${status.integrityError ? status.integrityError.file : 'なし'}`
+            );
+            
+            // manifest.json を読み込めない環境でも、組み込みマニフェストで全ファイルを検証する
+            const builtinFiles = fallbackEngine._getDefaultManifest().models
+                .flatMap(entry => entry.charset ? [entry, entry.charset] : [entry]);
+            const unverified = builtinFiles.filter(file => !file.size || !/^[0-9a-f]{64}$/.test(file.sha256 || ''));
+            this.addTestResult(
+                '組み込みマニフェストの整合性情報',
+                unverified.length === 0,
+                unverified.length === 0 ? `${builtinFiles.length}ファイルにサイズとSHA-256があります` : `未定義: ${unverified.map(file => file.file).join(', ')}`
+            );
+            
+        } catch (error) {
+            this.addTestResult('モデル整合性検証テスト', false, `エラー: ${error.message}`);
+        }
+    }
+
+    /**
+     * 永続モデルキャッシュのテスト
+     */
+    async testPersistentModelCache() {
+        console.log('📋 永続モデルキャッシュテスト...');
+        
+        try {
+            this.setupMockONNXRuntime();
+            this.setupMockFetchSuccess();
+            
+            let modelRequests = 0;
+            const mockFetch = window.fetch;
+            window.fetch = async (url, options) => {
+                if (url.endsWith('.onnx')) {
+                    modelRequests++;
+                }
+                return mockFetch(url, options);
+            };
+            
+            const createEngine = async () => {
+                const engine = new OCREngine({
+                    modelsPath: './test-models/',
+                    backends: ['wasm'],
+                    fallbackToTesseract: false
+                });
+                await engine.initialize();
+                await engine.loadModels();
+                return engine;
+            };
+            
+            await new OCREngine({ modelsPath: './test-models/' }).evictModelCache();
+            
+            const coldEngine = await createEngine();
+            const coldInfo = coldEngine.getEngineInfo().modelCache;
+            this.addTestResult(
+                'モデルキャッシュのミス記録',
+                coldInfo.misses === 4 && coldInfo.hits === 0 && modelRequests === 3,
+                `ヒット: ${coldInfo.hits}, ミス: ${coldInfo.misses}, モデル取得: ${modelRequests}回`
+            );
+            
+            modelRequests = 0;
+            const warmEngine = await createEngine();
+            const warmInfo = warmEngine.getEngineInfo().modelCache;
+            this.addTestResult(
+                'モデルキャッシュのヒット',
+                warmInfo.hits === 4 && warmInfo.misses === 0 && modelRequests === 0 &&
+                    warmInfo.cacheName === coldInfo.cacheName,
+                `ヒット: ${warmInfo.hits}, ミス: ${warmInfo.misses}, モデル取得: ${modelRequests}回`
+            );
+            
+            const evicted = await warmEngine.evictModelCache();
+            const remaining = (await caches.keys()).filter(name => name.startsWith(OCREngine.MODEL_CACHE_PREFIX));
+            this.addTestResult(
+                'モデルキャッシュの削除',
+                evicted === 1 && remaining.length === 0 && warmEngine.getEngineInfo().modelCache.hits === 0,
+                `削除したキャッシュ: ${evicted}件`
+            );
+            
+        } catch (error) {
+            this.addTestResult('永続モデルキャッシュテスト', false, `エラー: ${error.message}`);
+        }
+    }
+
+    /**
+     * 認識モデルと文字セットの整合性・切り替えのテスト
+     */
+    async testRecognizerCharsetConsistency() {
+        console.log('📋 認識モデルと文字セットの整合性テスト...');
+        
+        const charsets = {
+            'charset_ja.txt': '# 日本語\nあ\nい\nう',
+            'charset_en.txt': '# English\nA\nB\n#\n '
+        };
+        
+        // モデルファイルの中身をファイル名にして、セッションの出力メタデータを切り替える
+        const setupFetch = (outputClasses, requestedUrls) => {
+            window.fetch = async (url, options) => {
+                requestedUrls.push(url);
+                if (url.endsWith('manifest.json')) {
+                    return {
+                        ok: true,
+                        status: 200,
+                        json: async () => ({
+                            manifestVersion: 1,
+                            models: [
+                                { id: 'text_det', role: 'detection', file: 'text_det.onnx' },
+                                { id: 'rec_ja', role: 'recognition', language: 'ja', file: 'rec_ja.onnx', charset: { file: 'charset_ja.txt' } },
+                                { id: 'rec_en', role: 'recognition', language: 'en', file: 'rec_en.onnx', charset: { file: 'charset_en.txt' } }
+                            ]
+                        })
+                    };
+                }
+                const fileName = url.split('/').pop();
+                if (charsets[fileName] !== undefined) {
+                    return { ok: true, status: 200, arrayBuffer: async () => new TextEncoder().encode(charsets[fileName]).buffer };
+                }
+                return { ok: true, status: 200, arrayBuffer: async () => new TextEncoder().encode(fileName).buffer };
+            };
+            window.ort.InferenceSession.create = async (modelData) => {
+                const fileName = new TextDecoder().decode(modelData);
+                const classes = outputClasses[fileName];
+                return {
+                    outputNames: ['y'],
+                    outputMetadata: classes === undefined ? undefined : [{ name: 'y', isTensor: true, shape: ['batch', 'seq', classes] }],
+                    release: async () => {}
+                };
+            };
+        };
+        
+        const createEngine = async () => {
+            const engine = new OCREngine({
+                modelsPath: './test-models/',
+                backends: ['wasm'],
+                fallbackToTesseract: false,
+                modelCache: false
+            });
+            await engine.initialize();
+            return engine;
+        };
+        
+        try {
+            this.setupMockONNXRuntime();
+            
+            // 文字セット3文字 + blank = 4 クラスのはずがモデルの出力は 10 クラス
+            setupFetch({ 'rec_ja.onnx': 10 }, []);
+            const mismatchEngine = await createEngine();
+            try {
+                await mismatchEngine.loadModels();
+                this.addTestResult('出力クラス数の不一致検出', false, '不一致のまま読み込まれました');
+            } catch (error) {
+                this.addTestResult('出力クラス数の不一致検出', error.name === 'CharsetMismatchError', error.message);
+            }
+            
+            // rec_en はクラス数が動的な次元のため、読み込み時には検証できない
+            const requestedUrls = [];
+            setupFetch({ 'rec_ja.onnx': 4, 'rec_en.onnx': 'classes' }, requestedUrls);
+            const engine = await createEngine();
+            await engine.loadModels();
+            
+            await engine.useRecognizer('en');
+            this.addTestResult(
+                '言語による認識モデルの切り替え',
+                engine.modelSpecs.recognition.id === 'rec_en' && engine.charset.join('') === 'AB# ',
+                `認識モデル: ${engine.modelSpecs.recognition.id}, 文字セット: ${JSON.stringify(engine.charset)}`
+            );
+            
+            const requestCount = requestedUrls.length;
+            await engine.useRecognizer('rec_ja');
+            this.addTestResult(
+                '読み込み済み認識モデルの再利用',
+                engine.modelSpecs.recognition.id === 'rec_ja' && engine.charset.length === 3 &&
+                    requestedUrls.length === requestCount,
+                `追加の取得: ${requestedUrls.length - requestCount}件`
+            );
+            
+            // 推論時の出力次元も検証する（4クラスのはずが5クラス出力）
+            engine.models.recognition.inputNames = ['x'];
+            engine.models.recognition.outputNames = ['y'];
+            engine.models.recognition.run = async () => ({ y: { dims: [1, 2, 5], data: new Float32Array(10) } });
+            try {
+                await engine._runRecognitionBatch([{ tensor: new Float32Array(48 * 8).fill(1), width: 8, height: 48 }]);
+                this.addTestResult('推論時の出力次元検証', false, '不一致の出力が復号されました');
+            } catch (error) {
+                this.addTestResult('推論時の出力次元検証', error.name === 'CharsetMismatchError', error.message);
+            }
+            
+        } catch (error) {
+            this.addTestResult('認識モデルと文字セットの整合性テスト', false, `エラー: ${error.message}`);
+        }
+    }
+
     /**
      * モデルロード失敗のテスト
      */
@@ -935,12 +1270,16 @@ class OCREngineInitializationTests {
      * 成功用モックFetchのセットアップ
      */
     setupMockFetchSuccess() {
+        const charsetText = 'あいうえお\nかきくけこ\n123456789';
         window.fetch = async (url, options) => {
-            if (url.includes('.txt')) {
+            if (url.endsWith('manifest.json')) {
+                return { ok: true, status: 200, json: () => this.createMockModelManifest(charsetText) };
+            } else if (url.includes('.txt')) {
                 return {
                     ok: true,
                     status: 200,
-                    text: async () => 'あいうえお\nかきくけこ\n123456789'
+                    text: async () => charsetText,
+                    arrayBuffer: async () => new TextEncoder().encode(charsetText).buffer
                 };
             } else {
                 return {
@@ -952,6 +1291,35 @@ class OCREngineInitializationTests {
         };
     }
 
+    /**
+     * モックのモデルファイル（1024バイトのゼロ埋め）と文字セットに合わせたマニフェストの作成
+     * 組み込みマニフェストは同梱モデルのSHA-256を持つため、モックのファイルを読み込むテストはマニフェストも配信する
+     */
+    async createMockModelManifest(charsetText) {
+        const sha256 = async (buffer) => Array.from(new Uint8Array(await crypto.subtle.digest('SHA-256', buffer)))
+            .map(byte => byte.toString(16).padStart(2, '0'))
+            .join('');
+        const modelBuffer = new ArrayBuffer(1024);
+        const charsetBuffer = new TextEncoder().encode(charsetText).buffer;
+        const model = { version: 'mock', size: modelBuffer.byteLength, sha256: await sha256(modelBuffer) };
+        
+        return {
+            manifestVersion: 1,
+            models: [
+                { ...model, id: 'text_det', role: 'detection', file: 'text_det.onnx' },
+                {
+                    ...model,
+                    id: 'text_rec_jp',
+                    role: 'recognition',
+                    file: 'text_rec_jp.onnx',
+                    language: 'ja',
+                    charset: { file: 'charset_jp.txt', size: charsetBuffer.byteLength, sha256: await sha256(charsetBuffer) }
+                },
+                { ...model, id: 'text_angle', role: 'angleClassification', file: 'text_angle.onnx' }
+            ]
+        };
+    }
+
     /**
      * 404エラー用モックFetchのセットアップ
      */
@@ -979,7 +1347,9 @@ class OCREngineInitializationTests {
      */
     setupMockFetchPartialFailure() {
         window.fetch = async (url, options) => {
-            if (url.includes('text_det.onnx')) {
+            if (url.endsWith('manifest.json')) {
+                return { ok: true, status: 200, json: () => this.createMockModelManifest('') };
+            } else if (url.includes('text_det.onnx')) {
                 return {
                     ok: true,
                     status: 200,
@@ -995,6 +1365,31 @@ class OCREngineInitializationTests {
         };
     }
 
+    /**
+     * メモリ上で動作するCache Storageのモック
+     */
+    createMockCacheStorage() {
+        const stores = new Map();
+        
+        return {
+            open: async (name) => {
+                if (!stores.has(name)) {
+                    stores.set(name, new Map());
+                }
+                const store = stores.get(name);
+                return {
+                    match: async (key) => store.has(key) ? new Response(store.get(key)) : undefined,
+                    put: async (key, response) => {
+                        store.set(key, await response.arrayBuffer());
+                    },
+                    delete: async (key) => store.delete(key)
+                };
+            },
+            keys: async () => [...stores.keys()],
+            delete: async (name) => stores.delete(name)
+        };
+    }
+
     /**
      * テスト用画像データの作成
      */
@@ -1020,6 +1415,7 @@ class OCREngineInitializationTests {
             window.ort = this.originalOrt;
             window.Tesseract = this.originalTesseract;
             window.fetch = this.originalFetch;
+            delete window.caches;
             
             // テストエンジンのクリーンアップ
             if (this.testEngine) {
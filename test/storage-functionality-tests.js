@@ -78,6 +78,10 @@ class StorageFunctionalityTests {
         // 画像付きデータの保存・読み込みテスト
         await this.testImageSaveLoad();
         
+        // つなぎ合わせる前の撮影画像付きデータの保存・読み込みテスト
+        await this.testSourceImageSaveLoad();
+        await this.testUnreviewedDraftSave();
+        
         // 複数データの保存・読み込みテスト
         await this.testMultipleDataSaveLoad();
         
@@ -206,6 +210,87 @@ class StorageFunctionalityTests {
         }
     }
 
+    /**
+     * つなぎ合わせる前の撮影画像付きデータの保存・読み込みテスト
+     */
+    async testSourceImageSaveLoad() {
+        try {
+            const testReceiptData = {
+                date: { value: '2024/03/20', confidence: 0.90 },
+                payee: { value: '長いレシート商店', confidence: 0.85 },
+                amount: { value: '12800', confidence: 0.88 },
+                purpose: { value: '消耗品費', confidence: 0.80 }
+            };
+
+            const createBlob = (type, size) => new Blob([new Uint8Array(size)], { type });
+            const stitchedBlob = createBlob('image/jpeg', 300);
+            const sourceBlobs = [createBlob('image/jpeg', 100), createBlob('image/jpeg', 120), createBlob('image/jpeg', 140)];
+
+            const savedId = await this.storageManager.saveReceipt(testReceiptData, stitchedBlob, sourceBlobs);
+            const loadedReceipt = await this.storageManager.getReceipt(savedId);
+            const loadedImage = await this.storageManager.getImage(savedId);
+            const loadedSources = await this.storageManager.getSourceImages(savedId);
+
+            const countSuccess = loadedReceipt && loadedReceipt.sourceImageCount === 3;
+            const imageSuccess = loadedImage && loadedImage.size === 300;
+            const orderSuccess = loadedSources.map(blob => blob.size).join(',') === '100,120,140';
+
+            // 削除すると撮影画像も削除される
+            await this.storageManager.deleteReceipt(savedId);
+            const remainingSources = await this.storageManager.getSourceImages(savedId);
+
+            this.addTestResult(
+                '撮影画像付き保存・読み込み',
+                countSuccess && imageSuccess && orderSuccess && remainingSources.length === 0,
+                `撮影画像数: ${countSuccess}, 合成画像: ${imageSuccess}, 撮影順: ${orderSuccess}, 削除後の残り: ${remainingSources.length}`
+            );
+
+        } catch (error) {
+            this.addTestResult('撮影画像付き保存・読み込み', false, `エラー: ${error.message}`);
+        }
+    }
+
+    /**
+     * 未確認の下書きとしての保存テスト（複数の領収書をまとめて読み取った場合）
+     */
+    async testUnreviewedDraftSave() {
+        try {
+            const testReceiptData = {
+                date: { value: '2024/03/21', confidence: 0.90 },
+                payee: { value: 'まとめ読み商店', confidence: 0.85 },
+                amount: { value: '980', confidence: 0.88 },
+                purpose: { value: '会議費', confidence: 0.80 }
+            };
+
+            const draftId = await this.storageManager.saveReceipt(testReceiptData, null, [], { reviewed: false });
+            const reviewedId = await this.storageManager.saveReceipt(testReceiptData);
+            const draft = await this.storageManager.getReceipt(draftId);
+            const reviewed = await this.storageManager.getReceipt(reviewedId);
+
+            // 下書きを開いて修正・保存し直すと確認済みになる
+            const editedData = { ...testReceiptData, amount: { value: '1080', confidence: 1 } };
+            await this.storageManager.updateReceipt(draftId, editedData);
+            const edited = await this.storageManager.getReceipt(draftId);
+
+            await this.storageManager.deleteReceipt(draftId);
+            await this.storageManager.deleteReceipt(reviewedId);
+
+            this.addTestResult(
+                '未確認の下書きの保存',
+                draft && draft.reviewed === false && reviewed && reviewed.reviewed === true,
+                `下書き: ${draft && draft.reviewed}, 通常: ${reviewed && reviewed.reviewed}`
+            );
+            this.addTestResult(
+                '下書きの確認済みへの更新',
+                edited && edited.reviewed === true && edited.data.amount.value === '1080' && edited.id === draftId,
+                `確認状況: ${edited && edited.reviewed}, 金額: ${edited && edited.data.amount.value}`
+            );
+
+        } catch (error) {
+            this.addTestResult('未確認の下書きの保存', false, `エラー: ${error.message}`);
+        }
+    }
+
     /**
      * 複数データの保存・読み込みテスト
      */